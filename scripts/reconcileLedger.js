@@ -0,0 +1,223 @@
+/**
+ * Script to reconcile the advance ledger against existing advances, expenses and balances
+ *
+ * For each employee it reports:
+ * - completed advances and approved expenses that have no ledger entry
+ * - breaks in the ledger chain (sequence gaps, running balances that do not add up)
+ * - drift between the ledger balance, User.advanceBalance and the balance recomputed
+ *   from completed advances minus approved expenses and recoveries, plus reimbursement payouts
+ *
+ * Usage:
+ *   node scripts/reconcileLedger.js [--user <userId>] [--post-missing] [--sync-balances]
+ *
+ *   --post-missing   Post the missing advances and expenses in date order
+ *                    (an empty ledger is backfilled with the original dates;
+ *                    posting also refreshes User.advanceBalance)
+ *   --sync-balances  Overwrite User.advanceBalance with the ledger balance
+ *                    (review the report first: a balance held only on the user record,
+ *                    with no advances behind it, is replaced by the ledger balance)
+ */
+
+const User = require('../src/models/User');
+const Advance = require('../src/models/Advance');
+const Expense = require('../src/models/Expense');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Audit = require('../src/models/Audit');
+const { roundAmount } = require('../src/utils/currency');
+const { postAdvance, postExpense, syncUserBalance } = require('../src/services/ledgerService');
+
+// Differences below this are rounding, not drift
+const TOLERANCE = 0.01;
+
+/**
+ * Sequence gaps and running balances that do not add up
+ * @param {Array} entries - The employee's ledger entries in sequence order
+ * @returns {Array<String>} Problems found
+ */
+function checkChain(entries) {
+  const problems = [];
+  let balance = 0;
+
+  entries.forEach((entry, index) => {
+    if (entry.sequence !== index + 1) {
+      problems.push(`expected entry #${index + 1}, found #${entry.sequence}`);
+    }
+    balance = roundAmount(balance + entry.getBalanceChange());
+    if (Math.abs(balance - entry.balanceAfter) >= TOLERANCE) {
+      problems.push(`entry #${entry.sequence} balance ${entry.balanceAfter} should be ${balance}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Reconcile one employee
+ * @param {Object} user - User document
+ * @param {Object} options - { postMissing, syncBalances }
+ * @returns {Promise<Object>} Reconciliation result
+ */
+async function reconcileUser(user, options) {
+  const [advances, expenses, entries] = await Promise.all([
+    Advance.find({ userId: user._id, status: 'completed', isDeleted: false }).sort({ date: 1 }),
+    Expense.find({ userId: user._id, status: 'approved' }).sort({ approvedAt: 1, date: 1 }),
+    LedgerEntry.find({ userId: user._id }).sort({ sequence: 1 })
+  ]);
+
+  const postedAdvances = new Set(entries.filter(e => e.entryType === 'advance').map(e => e.advanceId.toString()));
+  const postedExpenses = new Set(entries.filter(e => e.entryType === 'expense').map(e => e.expenseId.toString()));
+
+  const missingAdvances = advances.filter(a => !postedAdvances.has(a._id.toString()));
+  const missingExpenses = expenses.filter(e => e.approvedAmount > 0 && !postedExpenses.has(e._id.toString()));
+
+  const ledgerOnlyTotal = (entryType) => entries
+    .filter(e => e.entryType === entryType)
+    .reduce((sum, e) => sum + e.amount, 0);
+  const sourceBalance = roundAmount(
+    advances.reduce((sum, a) => sum + a.amount, 0) -
+    expenses.reduce((sum, e) => sum + (e.approvedAmount || 0), 0) -
+    ledgerOnlyTotal('recovery') +
+    ledgerOnlyTotal('payout')
+  );
+
+  const result = {
+    userId: user._id,
+    name: user.name,
+    employeeId: user.employeeId,
+    ledgerBalance: entries.length > 0 ? entries[entries.length - 1].balanceAfter : 0,
+    userBalance: user.advanceBalance || 0,
+    sourceBalance,
+    missingAdvances: missingAdvances.map(a => ({ id: a._id, date: a.date, amount: a.amount })),
+    missingExpenses: missingExpenses.map(e => ({ id: e._id, date: e.approvedAt || e.date, amount: e.approvedAmount })),
+    chainProblems: checkChain(entries),
+    posted: 0,
+    synced: false
+  };
+
+  if (options.postMissing && (missingAdvances.length > 0 || missingExpenses.length > 0)) {
+    // Balance changed when the advance was paid or the expense approved
+    const missing = [
+      ...missingAdvances.map(advance => ({ date: advance.date, post: ctx => postAdvance(advance, ctx) })),
+      ...missingExpenses.map(expense => ({ date: expense.approvedAt || expense.date, post: ctx => postExpense(expense, ctx) }))
+    ].sort((a, b) => a.date - b.date);
+
+    const backfill = entries.length === 0;
+    for (const item of missing) {
+      await item.post({ postedBy: null, postedAt: backfill ? item.date : new Date() });
+      result.posted++;
+    }
+    result.ledgerBalance = await syncUserBalance(user._id);
+    result.userBalance = result.ledgerBalance;
+    result.synced = true;
+  } else if (options.syncBalances && Math.abs(result.userBalance - result.ledgerBalance) >= TOLERANCE) {
+    result.userBalance = await syncUserBalance(user._id);
+    result.synced = true;
+  }
+
+  result.drift = {
+    userBalance: roundAmount(result.userBalance - result.ledgerBalance),
+    sourceBalance: roundAmount(result.sourceBalance - result.ledgerBalance)
+  };
+  result.hasIssues =
+    result.missingAdvances.length > 0 ||
+    result.missingExpenses.length > 0 ||
+    result.chainProblems.length > 0 ||
+    result.synced ||
+    Math.abs(result.drift.userBalance) >= TOLERANCE ||
+    Math.abs(result.drift.sourceBalance) >= TOLERANCE;
+
+  if (result.posted > 0 || result.synced) {
+    await Audit.log({
+      action: 'ledger_reconciled',
+      actorType: 'system',
+      performedBy: null,
+      targetUser: user._id,
+      metadata: {
+        postedEntries: result.posted,
+        ledgerBalance: result.ledgerBalance,
+        userBalance: result.userBalance,
+        sourceBalance: result.sourceBalance
+      },
+      severity: 'medium'
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Reconcile the ledgers of all employees (or one)
+ * @param {Object} options - { userId, postMissing, syncBalances }
+ * @returns {Promise<Object>} { users, withIssues, posted, synced, results }
+ */
+async function reconcileLedger(options = {}) {
+  console.log('Starting advance ledger reconciliation...');
+
+  const filter = options.userId ? { _id: options.userId } : {};
+  const users = await User.find(filter).select('name employeeId advanceBalance').sort({ name: 1 });
+
+  const summary = { users: users.length, withIssues: 0, posted: 0, synced: 0, results: [] };
+
+  for (const user of users) {
+    const result = await reconcileUser(user, options);
+    summary.posted += result.posted;
+    if (result.synced) summary.synced++;
+    if (!result.hasIssues) continue;
+
+    summary.withIssues++;
+    summary.results.push(result);
+
+    console.log(`\n${user.name} (${user.employeeId || user._id})`);
+    console.log(`  Ledger balance: ${result.ledgerBalance}`);
+    console.log(`  User.advanceBalance: ${result.userBalance} (drift ${result.drift.userBalance})`);
+    console.log(`  Advances - expenses - recoveries + payouts: ${result.sourceBalance} (drift ${result.drift.sourceBalance})`);
+    if (result.missingAdvances.length > 0) {
+      console.log(`  Advances without ledger entry: ${result.missingAdvances.length}`);
+    }
+    if (result.missingExpenses.length > 0) {
+      console.log(`  Approved expenses without ledger entry: ${result.missingExpenses.length}`);
+    }
+    if (result.posted > 0) {
+      console.log(`  Posted ${result.posted} missing entr${result.posted === 1 ? 'y' : 'ies'}`);
+    }
+    result.chainProblems.forEach(problem => console.log(`  Chain: ${problem}`));
+  }
+
+  console.log(`\nReconciliation completed:`);
+  console.log(`- ${summary.users} employees checked`);
+  console.log(`- ${summary.withIssues} employees with drift or missing entries`);
+  console.log(`- ${summary.posted} entries posted`);
+  console.log(`- ${summary.synced} cached balances updated`);
+
+  return summary;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config();
+  const connectDB = require('../src/config/database');
+
+  const args = process.argv.slice(2);
+  const userIndex = args.indexOf('--user');
+  const options = {
+    userId: userIndex !== -1 ? args[userIndex + 1] : null,
+    postMissing: args.includes('--post-missing'),
+    syncBalances: args.includes('--sync-balances')
+  };
+
+  connectDB()
+    .then(() => {
+      console.log('Connected to database');
+      return reconcileLedger(options);
+    })
+    .then(() => {
+      console.log('Script completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { reconcileLedger };
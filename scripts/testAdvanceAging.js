@@ -0,0 +1,386 @@
+/**
+ * Test Script for the Advance Aging Report
+ * Tests FIFO settlement of advances and the age buckets at their day boundaries
+ *
+ * The report endpoint is rate limited to 10 requests per hour; this script makes 7
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const ExcelJS = require('exceljs');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const { getOutstandingLots } = require('../src/services/ledgerService');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger accounts per entry type (see ledgerService)
+const ACCOUNTS = {
+  advance: { debitAccount: 'employee_advance', creditAccount: 'cash' },
+  expense: { debitAccount: 'expense', creditAccount: 'employee_advance' },
+  recovery: { debitAccount: 'cash', creditAccount: 'employee_advance' }
+};
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let userToken = '';
+let testUserId = '';
+let testEmployeeId = '';
+let advancesPostedAt = 0;
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response && !(error.response.data instanceof ArrayBuffer)) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Helper function to build an unsaved ledger entry
+ */
+let sequence = 0;
+const ledgerEntry = (entryType, amount, date, fields = {}) => {
+  sequence++;
+  return new LedgerEntry({
+    userId: '000000000000000000000001',
+    sequence,
+    entryType,
+    ...ACCOUNTS[entryType],
+    amount,
+    effectiveDate: new Date(date),
+    balanceAfter: 0,
+    ...fields
+  });
+};
+
+/**
+ * Helper function for the lots as [date, amount, outstanding] rows
+ */
+const describeLots = (entries) => {
+  return getOutstandingLots(entries).lots.map(lot => [
+    lot.date.toISOString().slice(0, 10),
+    lot.amount,
+    lot.outstanding
+  ]);
+};
+
+/**
+ * Helper function to fetch the CSV report row of the test employee
+ * @returns {Promise<Object>} Row keyed by column header
+ */
+const getAgingRow = async (asOf) => {
+  const api = authRequest(adminToken);
+  const response = await api.get('/reports/advance-aging', {
+    params: { format: 'csv', employeeId: testUserId, asOf: new Date(asOf).toISOString() }
+  });
+
+  const [header, ...lines] = response.data.trim().split(/\r?\n/);
+  const columns = header.split(',');
+  const rows = lines.map(line => {
+    const values = line.split(',');
+    return Object.fromEntries(columns.map((column, index) => [column.replace(/ \(\w{3}\)$/, ''), values[index]]));
+  });
+
+  const row = rows.find(item => item['Employee ID'] === testEmployeeId);
+  if (!row) {
+    throw new Error('Test employee not found in the report');
+  }
+  return row;
+};
+
+/**
+ * Test 1: FIFO settlement
+ */
+const testFifo = test('Expenses settle the oldest advance first', async () => {
+  const lots = describeLots([
+    ledgerEntry('advance', 1000, '2026-01-01'),
+    ledgerEntry('advance', 500, '2026-02-01'),
+    ledgerEntry('expense', 1200, '2026-03-01')
+  ]);
+
+  if (JSON.stringify(lots) !== JSON.stringify([['2026-02-01', 500, 300]])) {
+    throw new Error(`Unexpected lots: ${JSON.stringify(lots)}`);
+  }
+});
+
+/**
+ * Test 2: Backdated advances
+ */
+const testBackdated = test('Backdated advance is settled before later advances', async () => {
+  const lots = describeLots([
+    ledgerEntry('advance', 500, '2026-02-01'),
+    ledgerEntry('advance', 1000, '2026-01-01'),
+    ledgerEntry('recovery', 600, '2026-03-01')
+  ]);
+
+  if (JSON.stringify(lots) !== JSON.stringify([['2026-01-01', 1000, 400], ['2026-02-01', 500, 500]])) {
+    throw new Error(`Unexpected lots: ${JSON.stringify(lots)}`);
+  }
+});
+
+/**
+ * Test 3: Reversal of an advance
+ */
+const testReversedAdvance = test('Reversed advance is settled before older advances', async () => {
+  const first = ledgerEntry('advance', 1000, '2026-01-01');
+  const second = ledgerEntry('advance', 500, '2026-02-01');
+  const reversal = ledgerEntry('reversal', 500, '2026-02-02', {
+    debitAccount: 'cash',
+    creditAccount: 'employee_advance',
+    reversesEntry: second._id
+  });
+
+  const lots = describeLots([first, second, reversal]);
+  if (JSON.stringify(lots) !== JSON.stringify([['2026-01-01', 1000, 1000]])) {
+    throw new Error(`Unexpected lots: ${JSON.stringify(lots)}`);
+  }
+});
+
+/**
+ * Test 4: Reimbursement owed to the employee
+ */
+const testOwedToEmployee = test('Amount owed to the employee offsets the next advance', async () => {
+  const { lots, owedToEmployee } = getOutstandingLots([
+    ledgerEntry('expense', 300, '2026-01-01'),
+    ledgerEntry('advance', 1000, '2026-02-01')
+  ]);
+
+  if (owedToEmployee !== 0 || lots.length !== 1 || lots[0].amount !== 700) {
+    throw new Error(`Expected one lot of 700, got ${JSON.stringify(lots.map(lot => lot.amount))} (owed ${owedToEmployee})`);
+  }
+});
+
+/**
+ * Test 5: Fully settled advances
+ */
+const testFullySettled = test('Exactly settled advances leave nothing outstanding', async () => {
+  const { lots, owedToEmployee } = getOutstandingLots([
+    ledgerEntry('advance', 1000, '2026-01-01'),
+    ledgerEntry('expense', 400, '2026-01-15'),
+    ledgerEntry('recovery', 600, '2026-01-20')
+  ]);
+
+  if (lots.length !== 0 || owedToEmployee !== 0) {
+    throw new Error(`Expected no lots, got ${lots.length} (owed ${owedToEmployee})`);
+  }
+});
+
+/**
+ * Test 6: Admin login, test employee, advances and an approved expense
+ */
+const testSetup = test('Create test employee with 2 advances and an approved expense', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const api = authRequest(adminToken);
+  const email = `test-aging-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  testEmployeeId = `TAGE${Date.now().toString().slice(-6)}`;
+  const employeeResponse = await api.post('/employees', {
+    email,
+    password,
+    name: 'Test Aging User',
+    employeeId: testEmployeeId,
+    role: 'user'
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+
+  advancesPostedAt = Date.now();
+  await api.post('/advances', { userId: testUserId, amount: 1000, description: 'Aging test advance 1', paymentMethod: 'cash' });
+  await api.post('/advances', { userId: testUserId, amount: 500, description: 'Aging test advance 2', paymentMethod: 'cash' });
+
+  const expenseResponse = await authRequest(userToken).post('/expenses', {
+    type: 'office_expense',
+    expenseCategory: 'general',
+    date: new Date().toISOString(),
+    description: 'Aging test expense',
+    amount: 1200
+  });
+  await api.post(`/expenses/${expenseResponse.data.data._id}/approve`, { approvedOption: 1 });
+});
+
+/**
+ * Test 7: Outstanding balance after FIFO settlement
+ */
+const testOutstandingBalance = test('Report shows the remainder of the second advance', async () => {
+  const row = await getAgingRow(advancesPostedAt + 30 * DAY_MS + DAY_MS / 2);
+
+  if (row['Advances'] !== '1' || row['Outstanding'] !== '300.00') {
+    throw new Error(`Expected 1 advance with 300.00 outstanding, got ${row['Advances']} with ${row['Outstanding']}`);
+  }
+  if (row['0-30 Days'] !== '300.00' || row['Oldest Age (Days)'] !== '30') {
+    throw new Error(`Expected 300.00 aged 30 days in 0-30, got ${row['0-30 Days']} aged ${row['Oldest Age (Days)']}`);
+  }
+});
+
+/**
+ * Test 8: Bucket boundaries
+ */
+const testBucketBoundaries = test('Age buckets change after 30, 60 and 90 days', async () => {
+  const cases = [
+    { days: 31, bucket: '31-60 Days' },
+    { days: 90, bucket: '61-90 Days' },
+    { days: 91, bucket: '90+ Days' }
+  ];
+
+  for (const { days, bucket } of cases) {
+    const row = await getAgingRow(advancesPostedAt + days * DAY_MS + DAY_MS / 2);
+    if (row[bucket] !== '300.00') {
+      throw new Error(`At ${days} days expected 300.00 in ${bucket}, got ${row[bucket]}`);
+    }
+  }
+});
+
+/**
+ * Test 9: Advance-level sheet
+ */
+const testAdvanceSheet = test('Excel advance sheet lists the partly settled advance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get('/reports/advance-aging', {
+    params: { format: 'excel', employeeId: testUserId },
+    responseType: 'arraybuffer'
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(response.data);
+  const sheet = workbook.getWorksheet('Advances');
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1 && row.getCell(2).value === testEmployeeId) {
+      rows.push({ type: row.getCell(5).value, amount: row.getCell(6).value, outstanding: row.getCell(7).value });
+    }
+  });
+
+  if (rows.length !== 1 || rows[0].type !== 'Advance' || rows[0].amount !== 500 || rows[0].outstanding !== 300) {
+    throw new Error(`Unexpected advance rows: ${JSON.stringify(rows)}`);
+  }
+});
+
+/**
+ * Test 10: Before the advances were paid
+ */
+const testBeforeAdvances = test('Report as of a date before the advances has nothing outstanding', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.get('/reports/advance-aging', {
+      params: { format: 'csv', employeeId: testUserId, asOf: new Date(advancesPostedAt - DAY_MS).toISOString() }
+    });
+    throw new Error('Should have failed - no outstanding advances');
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 11: Settled balance
+ */
+const testSettled = test('Settled employee is left out of the report', async () => {
+  const expenseResponse = await authRequest(userToken).post('/expenses', {
+    type: 'office_expense',
+    expenseCategory: 'general',
+    date: new Date().toISOString(),
+    description: 'Aging test settling expense',
+    amount: 300
+  });
+  await authRequest(adminToken).post(`/expenses/${expenseResponse.data.data._id}/approve`, { approvedOption: 1 });
+
+  try {
+    await authRequest(adminToken).get('/reports/advance-aging', {
+      params: { format: 'csv', employeeId: testUserId }
+    });
+    throw new Error('Should have failed - balance is settled');
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('ADVANCE AGING TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- FIFO Settlement Tests ---');
+    await testFifo();
+    await testBackdated();
+    await testReversedAdvance();
+    await testOwedToEmployee();
+    await testFullySettled();
+
+    console.log('\n--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Report Tests ---');
+    await testOutstandingBalance();
+    await testBucketBoundaries();
+    await testAdvanceSheet();
+    await testBeforeAdvances();
+    await testSettled();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
@@ -0,0 +1,272 @@
+/**
+ * Test Script for Advance Cancellation
+ * Tests cancelling a paid-out advance and its reversal in the advance ledger
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let userToken = '';
+let testUserId = '';
+let keptAdvanceId = '';
+let cancelledAdvanceId = '';
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Test 1: Admin login, test employee and two advances
+ */
+const testSetup = test('Create test employee with two advances', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const email = `test-advcancel-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  const api = authRequest(adminToken);
+  const employeeResponse = await api.post('/employees', {
+    email,
+    password,
+    name: 'Test Advance Cancel User',
+    employeeId: `TCAN${Date.now().toString().slice(-6)}`,
+    role: 'user'
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+
+  const keptResponse = await api.post('/advances', {
+    userId: testUserId,
+    amount: 1000,
+    description: 'Advance that stays',
+    paymentMethod: 'cash'
+  });
+  keptAdvanceId = keptResponse.data.data.advance._id;
+
+  const cancelledResponse = await api.post('/advances', {
+    userId: testUserId,
+    amount: 5000,
+    description: 'Advance entered with the wrong amount',
+    paymentMethod: 'cash'
+  });
+  cancelledAdvanceId = cancelledResponse.data.data.advance._id;
+
+  if (cancelledResponse.data.data.newBalance !== 6000) {
+    throw new Error(`Expected balance 6000, got ${cancelledResponse.data.data.newBalance}`);
+  }
+});
+
+/**
+ * Test 2: Cancellation requires a reason
+ */
+const testCancelRequiresReason = test('Cancellation requires a reason', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/${cancelledAdvanceId}/cancel`, {});
+    throw new Error('Should have failed without reason');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 3: Employee cannot cancel advances
+ */
+const testUserCannotCancel = test('Employee cannot cancel advances', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post(`/advances/${cancelledAdvanceId}/cancel`, { reason: 'Not mine to cancel' });
+    throw new Error('Should have failed - user cannot cancel advances');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 4: Admin cancels the advance
+ */
+const testCancelAdvance = test('Admin cancels the advance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/advances/${cancelledAdvanceId}/cancel`, {
+    reason: 'Typed 5000 instead of 500'
+  });
+  const { advance, reversalEntry, previousBalance, newBalance } = response.data.data;
+
+  if (advance.status !== 'cancelled' || advance.cancellationReason !== 'Typed 5000 instead of 500') {
+    throw new Error('Advance was not cancelled with its reason');
+  }
+  if (previousBalance !== 6000 || newBalance !== 1000) {
+    throw new Error(`Expected 6000 -> 1000, got ${previousBalance} -> ${newBalance}`);
+  }
+  if (reversalEntry.entryType !== 'reversal' || reversalEntry.amount !== 5000) {
+    throw new Error('Reversal entry does not match the advance');
+  }
+});
+
+/**
+ * Test 5: Advance keeps its entry and the reversal
+ */
+const testAdvanceLedgerEntries = test('Advance shows its entry and reversal', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/${cancelledAdvanceId}`);
+  const { advance, ledgerEntries } = response.data.data;
+
+  const posted = ledgerEntries.find(entry => entry.entryType === 'advance');
+  const reversal = ledgerEntries.find(entry => entry.entryType === 'reversal');
+  if (!posted || !reversal) {
+    throw new Error('Expected the advance entry and its reversal');
+  }
+  if (posted.amount !== 5000 || reversal.amount !== 5000) {
+    throw new Error('Reversal amount does not match the advance');
+  }
+  if (posted.balanceAfter !== 6000 || reversal.balanceAfter !== 1000) {
+    throw new Error(`Expected balances 6000 and 1000, got ${posted.balanceAfter} and ${reversal.balanceAfter}`);
+  }
+  if (!advance.cancelledBy || !advance.cancelledAt) {
+    throw new Error('Cancellation trail missing');
+  }
+});
+
+/**
+ * Test 6: Statement includes the reversal
+ */
+const testStatementReversal = test('Statement includes the reversal', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/user/${testUserId}/statement`);
+  const { closingBalance, entries } = response.data.data;
+
+  const types = entries.map(entry => entry.entryType).join(',');
+  if (types !== 'advance,advance,reversal') {
+    throw new Error(`Unexpected entries: ${types}`);
+  }
+  if (closingBalance !== 1000) {
+    throw new Error(`Expected closing balance 1000, got ${closingBalance}`);
+  }
+});
+
+/**
+ * Test 7: A cancelled advance cannot be cancelled again
+ */
+const testCannotCancelTwice = test('Cancelled advance cannot be cancelled again', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/${cancelledAdvanceId}/cancel`, { reason: 'Second attempt' });
+    throw new Error('Should have failed for a cancelled advance');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 8: Other advances and the cached balance are unaffected
+ */
+const testBalanceAfterCancel = test('Cached balance matches the ledger', async () => {
+  const api = authRequest(adminToken);
+  const keptResponse = await api.get(`/advances/${keptAdvanceId}`);
+  if (keptResponse.data.data.advance.status !== 'completed') {
+    throw new Error('Other advance changed status');
+  }
+
+  const userResponse = await api.get(`/employees/${testUserId}`);
+  const cachedBalance = userResponse.data.data.employee.advanceBalance;
+  if (cachedBalance !== 1000) {
+    throw new Error(`Expected cached balance 1000, got ${cachedBalance}`);
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('ADVANCE CANCELLATION TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Validation Tests ---');
+    await testCancelRequiresReason();
+    await testUserCannotCancel();
+
+    console.log('\n--- Cancellation Tests ---');
+    await testCancelAdvance();
+    await testAdvanceLedgerEntries();
+    await testStatementReversal();
+    await testCannotCancelTwice();
+    await testBalanceAfterCancel();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
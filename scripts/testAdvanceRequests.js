@@ -0,0 +1,361 @@
+/**
+ * Test Script for Advance Requests
+ * Tests requesting, approving, declining and disbursing trip advances
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let userToken = '';
+let testUserId = '';
+let approvedRequestId = '';
+let declinedRequestId = '';
+
+// Trip next week
+const tripStart = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+const tripEnd = new Date(tripStart.getTime() + 2 * 24 * 60 * 60 * 1000);
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Test 1: Admin login and test employee
+ */
+const testSetup = test('Admin login and create test employee', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const email = `test-advreq-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  const api = authRequest(adminToken);
+  const employeeResponse = await api.post('/employees', {
+    email,
+    password,
+    name: 'Test Advance Request User',
+    employeeId: `TREQ${Date.now().toString().slice(-6)}`,
+    role: 'user'
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+
+  if (!adminToken || !userToken || !testUserId) {
+    throw new Error('Setup failed');
+  }
+});
+
+/**
+ * Test 2: Request requires purpose and trip dates
+ */
+const testRequestValidation = test('Request requires purpose and trip dates', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post('/advances/requests', { amount: 2000 });
+    throw new Error('Should have failed without purpose and trip dates');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 3: Employee requests an advance
+ */
+const testRequestAdvance = test('Employee requests an advance', async () => {
+  const api = authRequest(userToken);
+  const response = await api.post('/advances/requests', {
+    amount: 2000,
+    purpose: 'Site visit to customer plant',
+    tripStartDate: tripStart.toISOString(),
+    tripEndDate: tripEnd.toISOString()
+  });
+
+  const advance = response.data.data.advance;
+  approvedRequestId = advance._id;
+  if (advance.status !== 'requested') {
+    throw new Error(`Expected status requested, got ${advance.status}`);
+  }
+});
+
+/**
+ * Test 4: Request does not change the balance
+ */
+const testRequestLeavesBalance = test('Request does not change the balance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/user/${testUserId}`);
+
+  if (response.data.data.summary.currentBalance !== 0) {
+    throw new Error(`Expected balance 0, got ${response.data.data.summary.currentBalance}`);
+  }
+});
+
+/**
+ * Test 5: Employee cannot approve requests
+ */
+const testUserCannotApprove = test('Employee cannot approve requests', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post(`/advances/${approvedRequestId}/approve`, {});
+    throw new Error('Should have failed - user cannot approve');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 6: Disbursing needs an approved request
+ */
+const testCannotDisburseRequested = test('Cannot disburse before approval', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/${approvedRequestId}/disburse`, { paymentMethod: 'cash' });
+    throw new Error('Should have failed for a request that is not approved');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 7: Admin approves the request
+ */
+const testApproveRequest = test('Admin approves the request', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/advances/${approvedRequestId}/approve`, {
+    notes: 'Approved by advance request test'
+  });
+
+  if (response.data.data.advance.status !== 'approved') {
+    throw new Error(`Expected status approved, got ${response.data.data.advance.status}`);
+  }
+});
+
+/**
+ * Test 8: Bank transfer needs a transaction reference
+ */
+const testDisburseNeedsReference = test('Bank transfer needs a transaction reference', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/${approvedRequestId}/disburse`, { paymentMethod: 'bank_transfer' });
+    throw new Error('Should have failed without transaction reference');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 9: Admin disburses the advance
+ */
+const testDisburseAdvance = test('Admin disburses the advance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/advances/${approvedRequestId}/disburse`, {
+    paymentMethod: 'bank_transfer',
+    transactionReference: `UTR${Date.now()}`
+  });
+
+  const { advance, newBalance } = response.data.data;
+  if (advance.status !== 'completed') {
+    throw new Error(`Expected status completed, got ${advance.status}`);
+  }
+  if (newBalance !== 2000) {
+    throw new Error(`Expected balance 2000, got ${newBalance}`);
+  }
+});
+
+/**
+ * Test 10: A disbursed advance cannot be declined
+ */
+const testCannotDeclineDisbursed = test('Disbursed advance cannot be declined', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/${approvedRequestId}/decline`, { reason: 'Too late to decline' });
+    throw new Error('Should have failed for a disbursed advance');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 11: Decline requires a reason
+ */
+const testDeclineRequiresReason = test('Decline requires a reason', async () => {
+  const userApi = authRequest(userToken);
+  const response = await userApi.post('/advances/requests', {
+    amount: 500,
+    purpose: 'Second trip',
+    tripStartDate: tripStart.toISOString(),
+    tripEndDate: tripEnd.toISOString()
+  });
+  declinedRequestId = response.data.data.advance._id;
+
+  const api = authRequest(adminToken);
+  try {
+    await api.post(`/advances/${declinedRequestId}/decline`, {});
+    throw new Error('Should have failed without reason');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 12: Admin declines the request
+ */
+const testDeclineRequest = test('Admin declines the request', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/advances/${declinedRequestId}/decline`, {
+    reason: 'Trip covered by the first advance'
+  });
+
+  if (response.data.data.advance.status !== 'declined') {
+    throw new Error(`Expected status declined, got ${response.data.data.advance.status}`);
+  }
+});
+
+/**
+ * Test 13: Employee sees only their own requests
+ */
+const testListOwnRequests = test('Employee lists own requests', async () => {
+  const api = authRequest(userToken);
+  const response = await api.get('/advances/requests');
+
+  const advances = response.data.data.advances;
+  if (advances.length !== 2) {
+    throw new Error(`Expected 2 requests, got ${advances.length}`);
+  }
+  advances.forEach(advance => {
+    const ownerId = advance.userId._id || advance.userId;
+    if (ownerId !== testUserId) {
+      throw new Error('Request of another employee listed');
+    }
+  });
+});
+
+/**
+ * Test 14: Balance only includes the disbursed advance
+ */
+const testFinalBalance = test('Balance only includes the disbursed advance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/user/${testUserId}`);
+
+  if (response.data.data.summary.currentBalance !== 2000) {
+    throw new Error(`Expected balance 2000, got ${response.data.data.summary.currentBalance}`);
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('ADVANCE REQUEST TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Request Tests ---');
+    await testRequestValidation();
+    await testRequestAdvance();
+    await testRequestLeavesBalance();
+
+    console.log('\n--- Approval Tests ---');
+    await testUserCannotApprove();
+    await testCannotDisburseRequested();
+    await testApproveRequest();
+
+    console.log('\n--- Disbursement Tests ---');
+    await testDisburseNeedsReference();
+    await testDisburseAdvance();
+    await testCannotDeclineDisbursed();
+
+    console.log('\n--- Decline Tests ---');
+    await testDeclineRequiresReason();
+    await testDeclineRequest();
+
+    console.log('\n--- Read Tests ---');
+    await testListOwnRequests();
+    await testFinalBalance();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
@@ -0,0 +1,347 @@
+/**
+ * Test Script for the Expense Approval Chain
+ * Tests admin approval, finance approval above FINANCE_APPROVAL_THRESHOLD and the
+ * distance option carried from the admin level to the finance level
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Threshold used by the tests (restored afterwards)
+const TEST_THRESHOLD = 5000;
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let superadminToken = '';
+let userToken = '';
+let testUserId = '';
+let originalThreshold = null;
+let financeExpenseId = '';
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Helper function to submit an expense as the test employee
+ */
+const createExpense = async (amount, fields = {}) => {
+  const api = authRequest(userToken);
+  const response = await api.post('/expenses', {
+    type: 'office_expense',
+    expenseCategory: 'general',
+    date: new Date().toISOString(),
+    description: `Approval chain test ${amount} ${Date.now()}`,
+    amount,
+    ...fields
+  });
+  return response.data.data._id;
+};
+
+/**
+ * Helper function to set the finance approval threshold
+ */
+const setThreshold = async (value) => {
+  const api = authRequest(superadminToken);
+  await api.put('/settings/FINANCE_APPROVAL_THRESHOLD', { value });
+};
+
+/**
+ * Test 1: Logins, threshold and test employee
+ */
+const testSetup = test('Admin and Super Admin login, create test employee', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const superadminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'superadmin@fieldx.com',
+    password: 'Superadmin@001'
+  });
+  superadminToken = superadminResponse.data.data.accessToken;
+
+  const settingResponse = await authRequest(superadminToken).get('/settings/FINANCE_APPROVAL_THRESHOLD');
+  originalThreshold = settingResponse.data.data.value;
+  await setThreshold(TEST_THRESHOLD);
+
+  const email = `test-chain-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  const employeeResponse = await authRequest(adminToken).post('/employees', {
+    email,
+    password,
+    name: 'Test Approval Chain User',
+    employeeId: `TCHN${Date.now().toString().slice(-6)}`,
+    role: 'user'
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+});
+
+/**
+ * Test 2: Amount equal to the threshold needs admin approval only
+ */
+const testAtThreshold = test('Expense at the threshold is approved by the admin alone', async () => {
+  const expenseId = await createExpense(TEST_THRESHOLD);
+  const api = authRequest(adminToken);
+  const response = await api.post(`/expenses/${expenseId}/approve`, { approvedOption: 1 });
+  const { expense } = response.data.data;
+
+  if (expense.status !== 'approved' || expense.approvalLevelsRequired !== 1) {
+    throw new Error(`Expected approved at 1 level, got ${expense.status} at ${expense.approvalLevelsRequired}`);
+  }
+});
+
+/**
+ * Test 3: Amount above the threshold is forwarded to finance
+ */
+const testAboveThreshold = test('Expense above the threshold is forwarded to finance', async () => {
+  financeExpenseId = await createExpense(TEST_THRESHOLD + 1);
+  const api = authRequest(adminToken);
+  const response = await api.post(`/expenses/${financeExpenseId}/approve`, { approvedOption: 1 });
+  const { expense, currentApprovalLevel, approvalLevelsRequired } = response.data.data;
+
+  if (expense.status !== 'pending' || currentApprovalLevel !== 2 || approvalLevelsRequired !== 2) {
+    throw new Error(`Expected pending at level 2 of 2, got ${expense.status} at ${currentApprovalLevel} of ${approvalLevelsRequired}`);
+  }
+});
+
+/**
+ * Test 4: Forwarded expense is not deducted yet
+ */
+const testForwardedNotDeducted = test('Forwarded expense does not change the balance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/user/${testUserId}`);
+
+  if (response.data.data.summary.currentBalance !== -TEST_THRESHOLD) {
+    throw new Error(`Expected balance ${-TEST_THRESHOLD}, got ${response.data.data.summary.currentBalance}`);
+  }
+});
+
+/**
+ * Test 5: The admin cannot also decide the finance level
+ */
+const testSameApproverTwice = test('Admin cannot approve the finance level', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/expenses/${financeExpenseId}/approve`, { approvedOption: 1 });
+    throw new Error('Should have failed - admin already decided level 1');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 6: Finance approval completes the chain
+ */
+const testFinanceApproval = test('Super Admin approves the finance level', async () => {
+  const api = authRequest(superadminToken);
+  const response = await api.post(`/expenses/${financeExpenseId}/approve`, { approvedOption: 1 });
+  const { expense } = response.data.data;
+
+  const roles = expense.approvalChain.map(entry => entry.role).join(',');
+  if (expense.status !== 'approved' || roles !== 'admin,finance') {
+    throw new Error(`Expected approved by admin,finance, got ${expense.status} by ${roles}`);
+  }
+
+  const balanceResponse = await authRequest(adminToken).get(`/advances/user/${testUserId}`);
+  const expectedBalance = -(TEST_THRESHOLD * 2 + 1);
+  if (balanceResponse.data.data.summary.currentBalance !== expectedBalance) {
+    throw new Error(`Expected balance ${expectedBalance}, got ${balanceResponse.data.data.summary.currentBalance}`);
+  }
+});
+
+/**
+ * Test 7: Finance approver keeps the admin's distance
+ */
+const testFinanceKeepsAdminDistance = test('Finance level keeps the admin distance choice', async () => {
+  const expenseId = await createExpense(TEST_THRESHOLD + 1, {
+    type: 'journey',
+    systemDistance: 100,
+    manualDistance: 120,
+    distanceRate: 10
+  });
+
+  const adminResponse = await authRequest(adminToken).post(`/expenses/${expenseId}/approve`, {
+    approvedOption: 3,
+    adminDistance: 110
+  });
+  const [adminStep] = adminResponse.data.data.expense.approvalChain;
+  if (adminStep.approvedOption !== 3 || adminStep.adminDistance !== 110) {
+    throw new Error('Admin distance choice was not stored on the approval chain');
+  }
+
+  // No approvedOption: the finance approver accepts the admin's choice
+  const financeResponse = await authRequest(superadminToken).post(`/expenses/${expenseId}/approve`, {});
+  const { expense } = financeResponse.data.data;
+  if (expense.approvedOption !== 3 || expense.adminDistance !== 110) {
+    throw new Error(`Expected option 3 at 110 km, got option ${expense.approvedOption} at ${expense.adminDistance} km`);
+  }
+  if (expense.approvedAmount !== TEST_THRESHOLD + 1 + 1100) {
+    throw new Error(`Expected approved amount ${TEST_THRESHOLD + 1 + 1100}, got ${expense.approvedAmount}`);
+  }
+});
+
+/**
+ * Test 8: Finance approver can choose another option
+ */
+const testFinanceChangesOption = test('Finance level can change the distance option', async () => {
+  const expenseId = await createExpense(TEST_THRESHOLD + 1, {
+    type: 'journey',
+    systemDistance: 100,
+    manualDistance: 120,
+    distanceRate: 10
+  });
+
+  await authRequest(adminToken).post(`/expenses/${expenseId}/approve`, { approvedOption: 2 });
+  const response = await authRequest(superadminToken).post(`/expenses/${expenseId}/approve`, { approvedOption: 1 });
+  const { expense } = response.data.data;
+
+  if (expense.approvedOption !== 1 || expense.approvedAmount !== TEST_THRESHOLD + 1 + 1000) {
+    throw new Error(`Expected option 1 for ${TEST_THRESHOLD + 1 + 1000}, got option ${expense.approvedOption} for ${expense.approvedAmount}`);
+  }
+
+  const options = expense.approvalChain.map(entry => entry.approvedOption).join(',');
+  if (options !== '2,1') {
+    throw new Error(`Expected options 2,1 on the chain, got ${options}`);
+  }
+});
+
+/**
+ * Test 9: Finance rejection ends the chain without a deduction
+ */
+const testFinanceRejection = test('Finance rejection ends the chain', async () => {
+  const balanceBefore = (await authRequest(adminToken).get(`/advances/user/${testUserId}`)).data.data.summary.currentBalance;
+
+  const expenseId = await createExpense(TEST_THRESHOLD + 500);
+  await authRequest(adminToken).post(`/expenses/${expenseId}/approve`, { approvedOption: 1 });
+  await authRequest(superadminToken).post(`/expenses/${expenseId}/reject`, {
+    rejectionReason: 'Not covered by the travel policy'
+  });
+
+  const expenseResponse = await authRequest(adminToken).get(`/expenses/${expenseId}`);
+  const expense = expenseResponse.data.data;
+  if (expense.status !== 'rejected' || expense.approvalChain.length !== 2) {
+    throw new Error(`Expected rejected after 2 decisions, got ${expense.status} after ${expense.approvalChain.length}`);
+  }
+
+  const balanceAfter = (await authRequest(adminToken).get(`/advances/user/${testUserId}`)).data.data.summary.currentBalance;
+  if (balanceAfter !== balanceBefore) {
+    throw new Error(`Balance changed from ${balanceBefore} to ${balanceAfter}`);
+  }
+});
+
+/**
+ * Test 10: Threshold 0 turns finance approval off
+ */
+const testZeroThreshold = test('Threshold 0 disables finance approval', async () => {
+  await setThreshold(0);
+
+  const expenseId = await createExpense(TEST_THRESHOLD * 10);
+  const response = await authRequest(adminToken).post(`/expenses/${expenseId}/approve`, { approvedOption: 1 });
+  const { expense } = response.data.data;
+
+  if (expense.status !== 'approved' || expense.approvalLevelsRequired !== 1) {
+    throw new Error(`Expected approved at 1 level, got ${expense.status} at ${expense.approvalLevelsRequired}`);
+  }
+});
+
+/**
+ * Test 11: Restore the threshold
+ */
+const testRestoreThreshold = test('Restore the finance approval threshold', async () => {
+  if (originalThreshold === null) {
+    throw new Error('Original threshold unknown');
+  }
+  await setThreshold(originalThreshold);
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('APPROVAL CHAIN TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Threshold Tests ---');
+    await testAtThreshold();
+    await testAboveThreshold();
+    await testForwardedNotDeducted();
+
+    console.log('\n--- Finance Approval Tests ---');
+    await testSameApproverTwice();
+    await testFinanceApproval();
+    await testFinanceKeepsAdminDistance();
+    await testFinanceChangesOption();
+    await testFinanceRejection();
+
+    console.log('\n--- Edge Case Tests ---');
+    await testZeroThreshold();
+    await testRestoreThreshold();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
@@ -0,0 +1,302 @@
+/**
+ * Test Script for the Advance Ledger
+ * Tests ledger postings, statements, recoveries and the cached advance balance
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let adminUserId = '';
+let userToken = '';
+let testUserId = '';
+let testExpenseId = '';
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Test 1: Admin login and test employee
+ */
+const testSetup = test('Admin login and create test employee', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+  adminUserId = adminResponse.data.data.user._id;
+
+  const email = `test-ledger-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  const api = authRequest(adminToken);
+  const employeeResponse = await api.post('/employees', {
+    email,
+    password,
+    name: 'Test Ledger User',
+    employeeId: `TLED${Date.now().toString().slice(-6)}`,
+    role: 'user'
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+
+  if (!adminToken || !userToken || !testUserId) {
+    throw new Error('Setup failed');
+  }
+});
+
+/**
+ * Test 2: Advance posts a debit
+ */
+const testPostAdvance = test('Advance posts to the ledger', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post('/advances', {
+    userId: testUserId,
+    amount: 5000,
+    description: 'Ledger test advance',
+    paymentMethod: 'cash'
+  });
+
+  if (response.data.data.newBalance !== 5000) {
+    throw new Error(`Expected balance 5000, got ${response.data.data.newBalance}`);
+  }
+});
+
+/**
+ * Test 3: Approved expense posts a credit
+ */
+const testPostExpense = test('Approved expense posts to the ledger', async () => {
+  const userApi = authRequest(userToken);
+  const expenseResponse = await userApi.post('/expenses', {
+    type: 'food',
+    expenseCategory: 'general',
+    date: new Date().toISOString(),
+    description: 'Ledger test meal',
+    amount: 1200
+  });
+  testExpenseId = expenseResponse.data.data._id;
+
+  const api = authRequest(adminToken);
+  await api.post(`/expenses/${testExpenseId}/approve`, { approvedOption: 1 });
+
+  const historyResponse = await api.get(`/advances/user/${testUserId}`);
+  if (historyResponse.data.data.summary.currentBalance !== 3800) {
+    throw new Error(`Expected balance 3800, got ${historyResponse.data.data.summary.currentBalance}`);
+  }
+});
+
+/**
+ * Test 4: Recovery cannot exceed the balance
+ */
+const testRecoveryLimit = test('Recovery cannot exceed the balance', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/advances/user/${testUserId}/recoveries`, { amount: 10000 });
+    throw new Error('Should have failed for a recovery above the balance');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 5: Employee cannot record recoveries
+ */
+const testUserCannotRecord = test('Employee cannot record recoveries', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post(`/advances/user/${testUserId}/recoveries`, { amount: 100 });
+    throw new Error('Should have failed - user cannot record recoveries');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 6: Recovery posts a credit
+ */
+const testRecordRecovery = test('Recovery posts to the ledger', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/advances/user/${testUserId}/recoveries`, {
+    amount: 800,
+    reference: 'Cash returned'
+  });
+
+  const { previousBalance, newBalance } = response.data.data;
+  if (previousBalance !== 3800 || newBalance !== 3000) {
+    throw new Error(`Expected 3800 -> 3000, got ${previousBalance} -> ${newBalance}`);
+  }
+});
+
+/**
+ * Test 7: Statement lists every entry with running balances
+ */
+const testStatement = test('Statement lists entries with running balances', async () => {
+  const api = authRequest(userToken);
+  const response = await api.get(`/advances/user/${testUserId}/statement`);
+  const { openingBalance, closingBalance, totals, entries } = response.data.data;
+
+  if (openingBalance !== 0 || closingBalance !== 3000) {
+    throw new Error(`Expected balances 0 -> 3000, got ${openingBalance} -> ${closingBalance}`);
+  }
+  if (totals.debits !== 5000 || totals.credits !== 2000) {
+    throw new Error(`Expected debits 5000 and credits 2000, got ${totals.debits} and ${totals.credits}`);
+  }
+
+  const types = entries.map(entry => entry.entryType).join(',');
+  if (types !== 'advance,expense,recovery') {
+    throw new Error(`Unexpected entries: ${types}`);
+  }
+  if (entries.map(entry => entry.balance).join(',') !== '5000,3800,3000') {
+    throw new Error('Running balances do not match the postings');
+  }
+});
+
+/**
+ * Test 8: Statement from a later date opens at the closing balance
+ */
+const testStatementPeriod = test('Later statement opens at the closing balance', async () => {
+  const api = authRequest(adminToken);
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const response = await api.get(`/advances/user/${testUserId}/statement`, {
+    params: { from: tomorrow }
+  });
+  const { openingBalance, entries } = response.data.data;
+
+  if (openingBalance !== 3000 || entries.length !== 0) {
+    throw new Error(`Expected opening 3000 with no entries, got ${openingBalance} with ${entries.length}`);
+  }
+});
+
+/**
+ * Test 9: History, statement and cached balance agree
+ */
+const testBalancesAgree = test('History, statement and cached balance agree', async () => {
+  const api = authRequest(adminToken);
+  const historyResponse = await api.get(`/advances/user/${testUserId}`);
+  const { summary, transactions } = historyResponse.data.data;
+  const lastTransaction = transactions[transactions.length - 1];
+
+  const userResponse = await api.get(`/employees/${testUserId}`);
+  const cachedBalance = userResponse.data.data.employee.advanceBalance;
+
+  if (lastTransaction.runningBalance !== 3000 || summary.currentBalance !== 3000 || cachedBalance !== 3000) {
+    throw new Error(
+      `Balance mismatch: running ${lastTransaction.runningBalance}, current ${summary.currentBalance}, cached ${cachedBalance}`
+    );
+  }
+  if (summary.totalRecoveries !== 800) {
+    throw new Error(`Expected total recoveries 800, got ${summary.totalRecoveries}`);
+  }
+});
+
+/**
+ * Test 10: Employee cannot read another employee's statement
+ */
+const testStatementAccess = test('Employee cannot read another statement', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.get(`/advances/user/${adminUserId}/statement`);
+    throw new Error('Should have failed - user can only read own statement');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('ADVANCE LEDGER TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Posting Tests ---');
+    await testPostAdvance();
+    await testPostExpense();
+
+    console.log('\n--- Recovery Tests ---');
+    await testRecoveryLimit();
+    await testUserCannotRecord();
+    await testRecordRecovery();
+
+    console.log('\n--- Statement Tests ---');
+    await testStatement();
+    await testStatementPeriod();
+    await testBalancesAgree();
+
+    console.log('\n--- Authorization Tests ---');
+    await testStatementAccess();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
@@ -0,0 +1,251 @@
+/**
+ * Test Script for Month Lock System
+ * Tests month closing, reopening and lock enforcement on expenses
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let userToken = '';
+let testUserId = '';
+let testLockId = '';
+
+// Close the month before last so it is always in the past
+const closeDate = new Date();
+closeDate.setDate(1);
+closeDate.setMonth(closeDate.getMonth() - 2);
+const closeYear = closeDate.getFullYear();
+const closeMonth = closeDate.getMonth() + 1;
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Test 1: Admin and user login
+ */
+const testLogin = test('Admin and user login', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'user@fieldx.com',
+    password: 'user123'
+  });
+  userToken = userResponse.data.data.accessToken;
+  testUserId = userResponse.data.data.user._id;
+
+  if (!adminToken || !userToken || !testUserId) {
+    throw new Error('Login failed');
+  }
+});
+
+/**
+ * Test 2: Preview month summary
+ */
+const testPreviewSummary = test('Preview month summary', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/month-locks/preview/${testUserId}/${closeYear}/${closeMonth}`);
+
+  const summary = response.data.data.summary;
+  if (!summary || summary.closingBalance === undefined) {
+    throw new Error('Summary missing closing balance');
+  }
+});
+
+/**
+ * Test 3: Cannot close the current month
+ */
+const testCannotCloseCurrentMonth = test('Cannot close the current month', async () => {
+  const api = authRequest(adminToken);
+  const now = new Date();
+
+  try {
+    await api.post('/month-locks/close', {
+      userId: testUserId,
+      year: now.getFullYear(),
+      month: now.getMonth() + 1
+    });
+    throw new Error('Should have failed for current month');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 4: Close month for employee (forced)
+ */
+const testCloseMonth = test('Close month for employee', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post('/month-locks/close', {
+    userId: testUserId,
+    year: closeYear,
+    month: closeMonth,
+    force: true,
+    notes: 'Closed by month lock test'
+  });
+
+  testLockId = response.data.data.lock._id;
+  if (!response.data.data.lock.isLocked) {
+    throw new Error('Lock was not created');
+  }
+});
+
+/**
+ * Test 5: Expense creation is blocked in a locked month
+ */
+const testExpenseBlocked = test('Expense creation blocked in locked month', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post('/expenses', {
+      type: 'food',
+      expenseCategory: 'general',
+      date: new Date(closeYear, closeMonth - 1, 15).toISOString(),
+      description: 'Locked month expense',
+      amount: 100
+    });
+    throw new Error('Should have failed for locked month');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 6: User cannot close months
+ */
+const testUserCannotClose = test('User cannot close months', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post('/month-locks/close', { year: closeYear, month: closeMonth });
+    throw new Error('Should have failed - user cannot close months');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 7: Unlock requires a reason
+ */
+const testUnlockRequiresReason = test('Unlock requires a reason', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.put(`/month-locks/${testLockId}/unlock`, {});
+    throw new Error('Should have failed without reason');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 8: Unlock month
+ */
+const testUnlockMonth = test('Unlock month', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.put(`/month-locks/${testLockId}/unlock`, {
+    reason: 'Reopened by month lock test'
+  });
+
+  if (response.data.data.lock.isLocked) {
+    throw new Error('Month is still locked');
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('MONTH LOCK TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Authentication Tests ---');
+    await testLogin();
+
+    console.log('\n--- Close Month Tests ---');
+    await testPreviewSummary();
+    await testCannotCloseCurrentMonth();
+    await testCloseMonth();
+    await testExpenseBlocked();
+
+    console.log('\n--- Authorization Tests ---');
+    await testUserCannotClose();
+
+    console.log('\n--- Unlock Tests ---');
+    await testUnlockRequiresReason();
+    await testUnlockMonth();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
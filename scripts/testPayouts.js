@@ -0,0 +1,394 @@
+/**
+ * Test Script for Reimbursement Payouts
+ * Tests creating, exporting and confirming payout batches
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let userToken = '';
+let testUserId = '';
+let testBatchId = '';
+const testAccountNumber = `9${Date.now().toString().slice(-11)}`;
+const testUtr = `UTR${Date.now()}`;
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Test 1: Employee with bank details and two approved expenses
+ */
+const testSetup = test('Create test employee with approved expenses', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const email = `test-payout-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  const api = authRequest(adminToken);
+  const employeeResponse = await api.post('/employees', {
+    email,
+    password,
+    name: 'Test Payout User',
+    employeeId: `TPAY${Date.now().toString().slice(-6)}`,
+    role: 'user',
+    bankDetails: {
+      accountNumber: testAccountNumber,
+      ifscCode: 'HDFC0001234',
+      bankName: 'HDFC Bank'
+    }
+  });
+  testUserId = employeeResponse.data.data.employee._id;
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+
+  const userApi = authRequest(userToken);
+  for (const amount of [1500, 500]) {
+    const expenseResponse = await userApi.post('/expenses', {
+      type: 'food',
+      expenseCategory: 'general',
+      date: new Date().toISOString(),
+      description: `Payout test meal ${amount}`,
+      amount
+    });
+    await api.post(`/expenses/${expenseResponse.data.data._id}/approve`, { approvedOption: 1 });
+  }
+});
+
+/**
+ * Test 2: Preview lists the employee with the amount owed
+ */
+const testPreview = test('Preview lists the reimbursement', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get('/payouts/preview', { params: { userIds: testUserId } });
+  const [line] = response.data.data.lines;
+
+  if (!line || line.netAmount !== 2000 || line.method !== 'bank_transfer') {
+    throw new Error(`Expected a 2000 bank transfer line, got ${JSON.stringify(line)}`);
+  }
+  if (line.expenseIds.length !== 2) {
+    throw new Error(`Expected 2 expenses, got ${line.expenseIds.length}`);
+  }
+});
+
+/**
+ * Test 3: Employee cannot create batches
+ */
+const testUserCannotCreate = test('Employee cannot create payout batches', async () => {
+  const api = authRequest(userToken);
+
+  try {
+    await api.post('/payouts', { userIds: [testUserId] });
+    throw new Error('Should have failed - user cannot create batches');
+  } catch (error) {
+    if (error.response && error.response.status === 403) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 4: Only one of two batches holding the same expenses is kept
+ * The batch that loses the race is refused with 409; if the first batch already
+ * held the expenses before the second read them, the second finds nothing to pay (400)
+ */
+const testConcurrentBatches = test('Same expenses cannot be held by two batches', async () => {
+  const api = authRequest(adminToken);
+  const results = await Promise.allSettled([
+    api.post('/payouts', { userIds: [testUserId], notes: 'Payout test batch' }),
+    api.post('/payouts', { userIds: [testUserId], notes: 'Payout test batch' })
+  ]);
+
+  const created = results.filter(result => result.status === 'fulfilled');
+  const refused = results.filter(result => result.status === 'rejected');
+  if (created.length !== 1 || refused.length !== 1) {
+    throw new Error(`Expected one batch created and one refused, got ${created.length} and ${refused.length}`);
+  }
+
+  const refusedStatus = refused[0].reason.response && refused[0].reason.response.status;
+  if (![409, 400].includes(refusedStatus)) {
+    throw refused[0].reason;
+  }
+
+  const { batch } = created[0].value.data.data;
+  testBatchId = batch._id;
+  if (batch.status !== 'draft' || batch.totals.netAmount !== 2000) {
+    throw new Error(`Expected a 2000 draft batch, got ${batch.status} for ${batch.totals.netAmount}`);
+  }
+});
+
+/**
+ * Test 5: Held expenses are not paid again by a new batch
+ */
+const testHeldExpenses = test('Held expenses are left out of new batches', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post('/payouts', { userIds: [testUserId] });
+    throw new Error('Should have failed - expenses are already in a batch');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 6: Bank file lists the transfer
+ */
+const testExportBank = test('Export the bank transfer file', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/payouts/${testBatchId}/export`, {
+    params: { format: 'bank' },
+    responseType: 'text'
+  });
+
+  if (!response.headers['content-type'].includes('text/csv')) {
+    throw new Error(`Expected CSV, got ${response.headers['content-type']}`);
+  }
+  if (!response.data.includes(testAccountNumber) || !response.data.includes('2000.00')) {
+    throw new Error('Bank file does not list the transfer');
+  }
+
+  const batchResponse = await api.get(`/payouts/${testBatchId}`);
+  if (batchResponse.data.data.batch.status !== 'exported') {
+    throw new Error(`Expected status exported, got ${batchResponse.data.data.batch.status}`);
+  }
+});
+
+/**
+ * Test 7: UPI list is refused when nobody is paid by UPI
+ */
+const testExportUpi = test('UPI export needs UPI payees', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.get(`/payouts/${testBatchId}/export`, { params: { format: 'upi' } });
+    throw new Error('Should have failed - no employees paid by UPI');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 8: Confirmation must list every employee
+ */
+const testConfirmNeedsLines = test('Confirmation must list every employee', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/payouts/${testBatchId}/confirm`, { lines: [] });
+    throw new Error('Should have failed without the employee line');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 9: Paid lines need a UTR
+ */
+const testConfirmNeedsUtr = test('Paid lines need a UTR', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/payouts/${testBatchId}/confirm`, {
+      lines: [{ userId: testUserId, status: 'paid' }]
+    });
+    throw new Error('Should have failed without UTR');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 10: An employee cannot be listed twice
+ */
+const testConfirmRejectsDuplicates = test('Employee cannot be both paid and failed', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/payouts/${testBatchId}/confirm`, {
+      lines: [
+        { userId: testUserId, status: 'paid', utr: testUtr },
+        { userId: testUserId, status: 'failed', failureReason: 'Account closed' }
+      ]
+    });
+    throw new Error('Should have failed for a duplicate employee line');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Test 11: Admin confirms the batch
+ */
+const testConfirmBatch = test('Admin confirms the batch', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.post(`/payouts/${testBatchId}/confirm`, {
+    lines: [{ userId: testUserId, status: 'paid', utr: testUtr }]
+  });
+  const { batch, summary } = response.data.data;
+
+  if (batch.status !== 'confirmed') {
+    throw new Error(`Expected status confirmed, got ${batch.status}`);
+  }
+  if (summary.paid !== 1 || summary.paidAmount !== 2000) {
+    throw new Error(`Expected 1 line paid for 2000, got ${summary.paid} for ${summary.paidAmount}`);
+  }
+});
+
+/**
+ * Test 12: Expenses are marked paid with the UTR
+ */
+const testExpensesPaid = test('Expenses are marked paid', async () => {
+  const api = authRequest(userToken);
+  const response = await api.get('/expenses', { params: { paymentStatus: 'paid' } });
+  const { expenses } = response.data.data;
+
+  if (expenses.length !== 2) {
+    throw new Error(`Expected 2 paid expenses, got ${expenses.length}`);
+  }
+  if (expenses.some(expense => expense.paymentReference !== testUtr)) {
+    throw new Error('Paid expenses do not carry the UTR');
+  }
+});
+
+/**
+ * Test 13: Payout settles the advance balance
+ */
+const testBalanceSettled = test('Payout settles the balance', async () => {
+  const api = authRequest(adminToken);
+  const response = await api.get(`/advances/user/${testUserId}/statement`);
+  const { closingBalance, entries } = response.data.data;
+
+  const types = entries.map(entry => entry.entryType).join(',');
+  if (types !== 'expense,expense,payout') {
+    throw new Error(`Unexpected entries: ${types}`);
+  }
+  if (closingBalance !== 0) {
+    throw new Error(`Expected closing balance 0, got ${closingBalance}`);
+  }
+});
+
+/**
+ * Test 14: A confirmed batch cannot be cancelled
+ */
+const testCannotCancelConfirmed = test('Confirmed batch cannot be cancelled', async () => {
+  const api = authRequest(adminToken);
+
+  try {
+    await api.post(`/payouts/${testBatchId}/cancel`, { reason: 'Paid by mistake' });
+    throw new Error('Should have failed for a confirmed batch');
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      return;
+    }
+    throw error;
+  }
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('PAYOUT TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Batch Tests ---');
+    await testPreview();
+    await testUserCannotCreate();
+    await testConcurrentBatches();
+    await testHeldExpenses();
+
+    console.log('\n--- Export Tests ---');
+    await testExportBank();
+    await testExportUpi();
+
+    console.log('\n--- Confirmation Tests ---');
+    await testConfirmNeedsLines();
+    await testConfirmNeedsUtr();
+    await testConfirmRejectsDuplicates();
+    await testConfirmBatch();
+    await testExpensesPaid();
+    await testBalanceSettled();
+    await testCannotCancelConfirmed();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
@@ -0,0 +1,377 @@
+/**
+ * Test Script for Per-Diem Allowances
+ * Tests the half-day/full-day bands, one allowance per day across several journeys
+ * and the overnight supplement, using journeys uploaded through offline sync
+ *
+ * Journey times are sent without a UTC offset so the server reads them in its own
+ * time zone (per-diem days start at the server's midnight)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { randomUUID } = require('crypto');
+const { evaluatePerDiem, getFieldMinutes } = require('../src/services/perDiemService');
+
+const API_URL = process.env.API_URL || 'http://office.ssheavyequipment.com:5000/api';
+
+// Rules used by the tests (the stored rules are restored afterwards)
+const TEST_RULES = {
+  halfDayHours: 4,
+  halfDayAmount: 250,
+  fullDayHours: 8,
+  fullDayAmount: 500,
+  overnightSupplement: 300
+};
+
+const START = { latitude: 18.5204, longitude: 73.8567 };
+const END = { latitude: 18.5590, longitude: 73.7868 };
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+// Test data storage
+let adminToken = '';
+let superadminToken = '';
+let userToken = '';
+let originalEnabled = null;
+let originalRules = null;
+let lateJourneyId = '';
+
+/**
+ * Helper function to run a test
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      if (error.response) {
+        console.error(`  Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      failed++;
+    }
+  };
+};
+
+/**
+ * Helper function to make authenticated requests
+ */
+const authRequest = (token) => {
+  return axios.create({
+    baseURL: API_URL,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+};
+
+/**
+ * Helper function for a local time on a past day, e.g. dayAt(3, '09:00')
+ */
+const dayAt = (daysAgo, time) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+  return `${day}T${time}:00`;
+};
+
+/**
+ * Helper function to upload a completed journey as the test employee
+ */
+const syncJourney = async (name, startTimestamp, endTimestamp) => {
+  const api = authRequest(userToken);
+  const response = await api.post('/journeys/sync', {
+    journeys: [{
+      clientId: randomUUID(),
+      name: `${name} ${Date.now()}`,
+      startCoordinates: START,
+      startTimestamp,
+      endCoordinates: END,
+      endTimestamp
+    }]
+  });
+
+  const [result] = response.data.data.results;
+  if (result.status !== 'created') {
+    throw new Error(`Journey not synced: ${result.status} ${result.reason || ''}`);
+  }
+  return result.journeyId.toString();
+};
+
+/**
+ * Helper function to list the per-diem allowances covering a journey, oldest day first
+ */
+const getAllowances = async (journeyId) => {
+  const api = authRequest(userToken);
+  const response = await api.get('/expenses', { params: { type: 'per_diem', limit: 100 } });
+  return response.data.data.expenses
+    .filter(expense => expense.perDiem.journeyIds.map(String).includes(journeyId))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Helper function to update a setting as the Super Admin
+ */
+const putSetting = async (key, value) => {
+  const api = authRequest(superadminToken);
+  await api.put(`/settings/${key}`, { value });
+};
+
+/**
+ * Test 1: Bands at their exact hour thresholds
+ */
+const testBandThresholds = test('Half-day and full-day bands start at their thresholds', async () => {
+  const cases = [
+    { minutes: 239, band: null, amount: 0 },
+    { minutes: 240, band: 'half_day', amount: 250 },
+    { minutes: 479, band: 'half_day', amount: 250 },
+    { minutes: 480, band: 'full_day', amount: 500 }
+  ];
+
+  cases.forEach(({ minutes, band, amount }) => {
+    const allowance = evaluatePerDiem(minutes, false, TEST_RULES);
+    if (allowance.band !== band || allowance.amount !== amount) {
+      throw new Error(`${minutes} min: expected ${band} ${amount}, got ${allowance.band} ${allowance.amount}`);
+    }
+  });
+});
+
+/**
+ * Test 2: Overnight supplement is added to any band
+ */
+const testOvernightSupplement = test('Overnight supplement applies with or without a day band', async () => {
+  const short = evaluatePerDiem(60, true, TEST_RULES);
+  if (short.band !== null || short.amount !== 300) {
+    throw new Error(`Expected supplement only (300), got ${short.band} ${short.amount}`);
+  }
+
+  const full = evaluatePerDiem(600, true, TEST_RULES);
+  if (full.amount !== 800) {
+    throw new Error(`Expected 800, got ${full.amount}`);
+  }
+});
+
+/**
+ * Test 3: Zero amounts give no allowance
+ */
+const testZeroAmounts = test('Rules with zero amounts give no allowance', async () => {
+  const rules = { ...TEST_RULES, halfDayAmount: 0, fullDayAmount: 0, overnightSupplement: 0 };
+  const allowance = evaluatePerDiem(600, true, rules);
+  if (allowance.amount !== 0) {
+    throw new Error(`Expected 0, got ${allowance.amount}`);
+  }
+});
+
+/**
+ * Test 4: Overlapping journeys are counted once
+ */
+const testOverlappingMinutes = test('Overlapping time ranges are counted once', async () => {
+  const day = new Date(2026, 0, 15);
+  const minutes = getFieldMinutes([
+    { start: new Date(2026, 0, 15, 9, 0), end: new Date(2026, 0, 15, 12, 0) },
+    { start: new Date(2026, 0, 15, 11, 0), end: new Date(2026, 0, 15, 13, 0) },
+    { start: new Date(2026, 0, 14, 22, 0), end: new Date(2026, 0, 15, 1, 0) }
+  ], day);
+
+  if (minutes !== 300) {
+    throw new Error(`Expected 300 minutes (4h + 1h after midnight), got ${minutes}`);
+  }
+});
+
+/**
+ * Test 5: Logins, per-diem settings and test employee
+ */
+const testSetup = test('Admin and Super Admin login, enable per-diem, create test employee', async () => {
+  const adminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'admin@fieldx.com',
+    password: 'admin123'
+  });
+  adminToken = adminResponse.data.data.accessToken;
+
+  const superadminResponse = await axios.post(`${API_URL}/auth/login`, {
+    email: 'superadmin@fieldx.com',
+    password: 'Superadmin@001'
+  });
+  superadminToken = superadminResponse.data.data.accessToken;
+
+  const api = authRequest(superadminToken);
+  originalEnabled = (await api.get('/settings/PER_DIEM_ENABLED')).data.data.value;
+  originalRules = (await api.get('/settings/PER_DIEM_RULES')).data.data.value;
+  await putSetting('PER_DIEM_ENABLED', true);
+  await putSetting('PER_DIEM_RULES', TEST_RULES);
+
+  const email = `test-perdiem-${Date.now()}@fieldx.com`;
+  const password = 'Test@1234';
+  await authRequest(adminToken).post('/employees', {
+    email,
+    password,
+    name: 'Test Per-Diem User',
+    employeeId: `TPDM${Date.now().toString().slice(-6)}`,
+    role: 'user'
+  });
+
+  const userResponse = await axios.post(`${API_URL}/auth/login`, { email, password });
+  userToken = userResponse.data.data.accessToken;
+});
+
+/**
+ * Test 6: Short journey earns nothing
+ */
+const testShortJourney = test('Journey under the half-day threshold creates no allowance', async () => {
+  const journeyId = await syncJourney('Per-diem short', dayAt(6, '09:00'), dayAt(6, '12:00'));
+  const allowances = await getAllowances(journeyId);
+
+  if (allowances.length !== 0) {
+    throw new Error(`Expected no allowance, got ${allowances.length}`);
+  }
+});
+
+/**
+ * Test 7: Exactly the half-day hours
+ */
+const testHalfDay = test('Journey of exactly the half-day hours creates a half-day allowance', async () => {
+  const journeyId = await syncJourney('Per-diem half day', dayAt(5, '09:00'), dayAt(5, '13:00'));
+  const allowances = await getAllowances(journeyId);
+
+  if (allowances.length !== 1 || allowances[0].amount !== 250 || allowances[0].perDiem.band !== 'half_day') {
+    throw new Error(`Expected one half-day allowance of 250, got ${JSON.stringify(allowances.map(a => a.amount))}`);
+  }
+});
+
+/**
+ * Test 8: Second journey on the same day updates the allowance
+ */
+const testSameDay = test('Second journey on the same day updates the one allowance', async () => {
+  const journeyId = await syncJourney('Per-diem same day', dayAt(5, '14:00'), dayAt(5, '19:00'));
+  const allowances = await getAllowances(journeyId);
+
+  if (allowances.length !== 1) {
+    throw new Error(`Expected one allowance, got ${allowances.length}`);
+  }
+
+  const [allowance] = allowances;
+  if (allowance.amount !== 500 || allowance.perDiem.band !== 'full_day' || allowance.perDiem.journeyIds.length !== 2) {
+    throw new Error(`Expected full-day 500 from 2 journeys, got ${allowance.perDiem.band} ${allowance.amount} from ${allowance.perDiem.journeyIds.length}`);
+  }
+  if (allowance.perDiem.fieldMinutes !== 540) {
+    throw new Error(`Expected 540 minutes, got ${allowance.perDiem.fieldMinutes}`);
+  }
+});
+
+/**
+ * Test 9: Overnight journey
+ */
+const testOvernight = test('Overnight journey adds the supplement to the first day only', async () => {
+  const journeyId = await syncJourney('Per-diem overnight', dayAt(4, '20:00'), dayAt(3, '06:00'));
+  const allowances = await getAllowances(journeyId);
+
+  if (allowances.length !== 2) {
+    throw new Error(`Expected allowances for 2 days, got ${allowances.length}`);
+  }
+
+  const [night, morning] = allowances;
+  if (night.amount !== 550 || !night.perDiem.overnight || night.perDiem.band !== 'half_day') {
+    throw new Error(`Expected half day + overnight (550), got ${night.perDiem.band} ${night.amount}`);
+  }
+  if (morning.amount !== 250 || morning.perDiem.overnight) {
+    throw new Error(`Expected half day without supplement (250), got ${morning.amount}`);
+  }
+  lateJourneyId = journeyId;
+});
+
+/**
+ * Test 10: Approved allowances are not recalculated
+ */
+const testApprovedNotRecalculated = test('Approved allowance is not changed by a later journey', async () => {
+  const [, morning] = await getAllowances(lateJourneyId);
+  await authRequest(adminToken).post(`/expenses/${morning._id}/approve`, { approvedOption: 1 });
+
+  const journeyId = await syncJourney('Per-diem after approval', dayAt(3, '08:00'), dayAt(3, '11:00'));
+  const [, allowance] = await getAllowances(lateJourneyId);
+
+  if (allowance.status !== 'approved' || allowance.amount !== 250 || allowance.perDiem.journeyIds.map(String).includes(journeyId)) {
+    throw new Error(`Approved allowance was recalculated to ${allowance.amount}`);
+  }
+});
+
+/**
+ * Test 11: Nothing is created while per-diem is disabled
+ */
+const testDisabled = test('No allowance while per-diem is disabled', async () => {
+  await putSetting('PER_DIEM_ENABLED', false);
+
+  const journeyId = await syncJourney('Per-diem disabled', dayAt(2, '09:00'), dayAt(2, '18:00'));
+  const allowances = await getAllowances(journeyId);
+
+  if (allowances.length !== 0) {
+    throw new Error(`Expected no allowance, got ${allowances.length}`);
+  }
+});
+
+/**
+ * Test 12: Restore the per-diem settings
+ */
+const testRestoreSettings = test('Restore the per-diem settings', async () => {
+  if (originalEnabled === null || originalRules === null) {
+    throw new Error('Original per-diem settings unknown');
+  }
+  await putSetting('PER_DIEM_ENABLED', originalEnabled);
+  await putSetting('PER_DIEM_RULES', originalRules);
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('PER-DIEM TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    console.log('--- Rule Tests ---');
+    await testBandThresholds();
+    await testOvernightSupplement();
+    await testZeroAmounts();
+    await testOverlappingMinutes();
+
+    console.log('\n--- Setup Tests ---');
+    await testSetup();
+
+    console.log('\n--- Allowance Tests ---');
+    await testShortJourney();
+    await testHalfDay();
+    await testSameDay();
+    await testOvernight();
+    await testApprovedNotRecalculated();
+    await testDisabled();
+    await testRestoreSettings();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+};
+
+// Run tests
+runTests();
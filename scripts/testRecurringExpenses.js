@@ -0,0 +1,344 @@
+/**
+ * Recurring Expense Test Script
+ * Tests occurrence scheduling, catch-up of missed occurrences, locked-month skips,
+ * end dates and pause/resume of recurring expense templates
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Expense = require('../src/models/Expense');
+const User = require('../src/models/User');
+const MonthLock = require('../src/models/MonthLock');
+const Notification = require('../src/models/Notification');
+const RecurringExpense = require('../src/models/RecurringExpense');
+const { generateRecurringExpenses } = require('../src/jobs/recurringExpenseJob');
+const { resumeRecurringExpense } = require('../src/controllers/recurringExpenseController');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+/**
+ * Test helper function
+ */
+const test = (name, fn) => {
+  return async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failed++;
+    }
+  };
+};
+
+/**
+ * Call a controller as the given user
+ * @returns {Promise<Object>} { status, body }
+ */
+const callController = async (handler, user, params) => {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  await handler({ params, body: {}, user, ip: '127.0.0.1', get: () => 'testRecurringExpenses' }, res);
+  return result;
+};
+
+/**
+ * Dates of a template's generated expenses, oldest first, e.g. ['2025-01-31']
+ */
+const getGeneratedDays = async (template) => {
+  const expenses = await Expense.find({ recurringExpenseId: template._id }).sort({ date: 1 });
+  return expenses.map(expense => formatDay(expense.date));
+};
+
+/**
+ * Local calendar day of a date, e.g. '2025-01-31'
+ */
+const formatDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Test data
+ */
+let testUser;
+let testAdmin;
+let monthlyTemplate;
+let weeklyTemplate;
+let pausedTemplate;
+
+/**
+ * Setup Tests
+ */
+const testCreateUsers = test('Create test users', async () => {
+  testAdmin = new User({
+    name: 'Test Recurring Admin',
+    email: `test.recurring.admin.${Date.now()}@example.com`,
+    password: 'password123',
+    employeeId: `RADM${Date.now()}`,
+    role: 'admin'
+  });
+  await testAdmin.save();
+
+  testUser = new User({
+    name: 'Test Recurring Employee',
+    email: `test.recurring.${Date.now()}@example.com`,
+    password: 'password123',
+    employeeId: `REMP${Date.now()}`,
+    role: 'user',
+    assignedTo: testAdmin._id
+  });
+  await testUser.save();
+});
+
+const testCreateTemplates = test('Create test templates and lock March 2025', async () => {
+  monthlyTemplate = await RecurringExpense.create({
+    userId: testUser._id,
+    type: 'office_expense',
+    description: 'Test recurring internet bill',
+    amount: 500,
+    frequency: 'monthly',
+    startDate: new Date(2025, 0, 31),
+    nextOccurrence: new Date(2025, 0, 31)
+  });
+
+  weeklyTemplate = await RecurringExpense.create({
+    userId: testUser._id,
+    type: 'office_expense',
+    description: 'Test recurring parking pass',
+    amount: 100,
+    frequency: 'weekly',
+    startDate: new Date(2025, 0, 6),
+    endDate: new Date(2025, 0, 20),
+    nextOccurrence: new Date(2025, 0, 6)
+  });
+
+  pausedTemplate = await RecurringExpense.create({
+    userId: testUser._id,
+    type: 'office_expense',
+    description: 'Test recurring mobile bill',
+    amount: 300,
+    frequency: 'monthly',
+    startDate: new Date(2025, 0, 10),
+    nextOccurrence: new Date(2025, 0, 10),
+    status: 'paused',
+    pausedAt: new Date(2025, 0, 1)
+  });
+
+  await MonthLock.create({
+    scope: 'user',
+    userId: testUser._id,
+    year: 2025,
+    month: 3,
+    closedBy: testAdmin._id
+  });
+});
+
+/**
+ * Scheduling Tests
+ */
+const testMonthEndOccurrences = test('Monthly occurrences after the 28th fall on the last day of shorter months', async () => {
+  const days = [0, 1, 2, 3].map(sequence => formatDay(monthlyTemplate.getOccurrence(sequence)));
+  const expected = ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30'];
+
+  if (days.join() !== expected.join()) {
+    throw new Error(`Expected ${expected.join(', ')}, got ${days.join(', ')}`);
+  }
+});
+
+const testEndDate = test('Template ends after its end date', async () => {
+  await generateRecurringExpenses(new Date(2025, 1, 1));
+  const template = await RecurringExpense.findById(weeklyTemplate._id);
+  const days = await getGeneratedDays(weeklyTemplate);
+
+  if (days.join() !== '2025-01-06,2025-01-13,2025-01-20') {
+    throw new Error(`Unexpected generated dates: ${days.join(', ')}`);
+  }
+  if (template.status !== 'ended' || template.nextOccurrence !== null) {
+    throw new Error(`Expected ended with no next occurrence, got ${template.status}`);
+  }
+});
+
+const testCatchUp = test('Missed occurrences are generated on the next pass', async () => {
+  const summary = await generateRecurringExpenses(new Date(2025, 4, 15));
+  const days = await getGeneratedDays(monthlyTemplate);
+
+  if (days.join() !== '2025-01-31,2025-02-28,2025-04-30') {
+    throw new Error(`Unexpected generated dates: ${days.join(', ')}`);
+  }
+  if (summary.skipped < 1) {
+    throw new Error('Expected the locked occurrence to be reported as skipped');
+  }
+});
+
+const testLockedMonthSkipped = test('Occurrence in a locked month is skipped and recorded', async () => {
+  const template = await RecurringExpense.findById(monthlyTemplate._id);
+
+  if (template.skippedOccurrences.length !== 1) {
+    throw new Error(`Expected 1 skipped occurrence, got ${template.skippedOccurrences.length}`);
+  }
+  const [skipped] = template.skippedOccurrences;
+  if (formatDay(skipped.date) !== '2025-03-31' || skipped.code !== 'MONTH_LOCKED') {
+    throw new Error(`Expected MONTH_LOCKED on 2025-03-31, got ${skipped.code} on ${formatDay(skipped.date)}`);
+  }
+
+  const notification = await Notification.findOne({ recipient: testUser._id, type: 'recurring_expense_skipped' });
+  if (!notification) {
+    throw new Error('Employee was not notified of the skipped occurrence');
+  }
+});
+
+const testScheduleAdvanced = test('Schedule continues after the last due occurrence', async () => {
+  const template = await RecurringExpense.findById(monthlyTemplate._id);
+
+  if (template.sequence !== 4 || formatDay(template.nextOccurrence) !== '2025-05-31') {
+    throw new Error(`Expected sequence 4 next on 2025-05-31, got ${template.sequence} on ${formatDay(template.nextOccurrence)}`);
+  }
+  if (template.generatedCount !== 3) {
+    throw new Error(`Expected 3 generated, got ${template.generatedCount}`);
+  }
+});
+
+const testSecondPass = test('A second pass at the same time generates nothing', async () => {
+  await generateRecurringExpenses(new Date(2025, 4, 15));
+  const days = await getGeneratedDays(monthlyTemplate);
+
+  if (days.length !== 3) {
+    throw new Error(`Expected 3 expenses, got ${days.length}`);
+  }
+});
+
+const testGeneratedExpense = test('Generated expense is pending and copies the template', async () => {
+  const expense = await Expense.findOne({ recurringExpenseId: monthlyTemplate._id }).sort({ date: 1 });
+
+  if (expense.status !== 'pending' || expense.amount !== 500 || expense.description !== 'Test recurring internet bill') {
+    throw new Error(`Unexpected expense: ${expense.status} ${expense.amount} ${expense.description}`);
+  }
+  if (formatDay(expense.recurringOccurrence) !== '2025-01-31') {
+    throw new Error(`Expected occurrence 2025-01-31, got ${formatDay(expense.recurringOccurrence)}`);
+  }
+});
+
+/**
+ * Pause and Resume Tests
+ */
+const testPausedNotGenerated = test('Paused template generates nothing', async () => {
+  await generateRecurringExpenses(new Date());
+  const days = await getGeneratedDays(pausedTemplate);
+
+  if (days.length !== 0) {
+    throw new Error(`Expected no expenses, got ${days.length}`);
+  }
+});
+
+const testResumeSkipsMissed = test('Resume continues from today without the occurrences missed while paused', async () => {
+  const { status, body } = await callController(
+    resumeRecurringExpense,
+    { userId: testUser._id.toString(), role: 'user' },
+    { id: pausedTemplate._id.toString() }
+  );
+  if (status !== 200) {
+    throw new Error(`Resume failed: ${status} ${body.message}`);
+  }
+
+  const template = await RecurringExpense.findById(pausedTemplate._id);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (template.status !== 'active' || template.nextOccurrence < today) {
+    throw new Error(`Expected active from today, got ${template.status} next on ${formatDay(template.nextOccurrence)}`);
+  }
+
+  await generateRecurringExpenses(new Date());
+  const missed = await Expense.countDocuments({ recurringExpenseId: pausedTemplate._id, date: { $lt: today } });
+  if (missed !== 0) {
+    throw new Error(`Expected no expenses before today, got ${missed}`);
+  }
+});
+
+const testResumeActive = test('Cannot resume an active template', async () => {
+  const { status } = await callController(
+    resumeRecurringExpense,
+    { userId: testUser._id.toString(), role: 'user' },
+    { id: pausedTemplate._id.toString() }
+  );
+
+  if (status !== 400) {
+    throw new Error(`Expected 400, got ${status}`);
+  }
+});
+
+const testCleanup = test('Cleanup test data', async () => {
+  const templateIds = [monthlyTemplate._id, weeklyTemplate._id, pausedTemplate._id];
+  await Expense.deleteMany({ recurringExpenseId: { $in: templateIds } });
+  await RecurringExpense.deleteMany({ _id: { $in: templateIds } });
+  await MonthLock.deleteMany({ userId: testUser._id });
+  await Notification.deleteMany({ recipient: testUser._id });
+  await User.deleteOne({ _id: testUser._id });
+  await User.deleteOne({ _id: testAdmin._id });
+});
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log('\n========================================');
+  console.log('RECURRING EXPENSE TEST SUITE');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fieldx');
+    console.log('✓ Connected to MongoDB\n');
+
+    console.log('--- Setup Tests ---');
+    await testCreateUsers();
+    await testCreateTemplates();
+
+    console.log('\n--- Scheduling Tests ---');
+    await testMonthEndOccurrences();
+    await testEndDate();
+    await testCatchUp();
+    await testLockedMonthSkipped();
+    await testScheduleAdvanced();
+    await testSecondPass();
+    await testGeneratedExpense();
+
+    console.log('\n--- Pause and Resume Tests ---');
+    await testPausedNotGenerated();
+    await testResumeSkipsMissed();
+    await testResumeActive();
+    await testCleanup();
+
+    console.log('\n========================================');
+    console.log('TEST RESULTS');
+    console.log('========================================');
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+    console.log(`Total:  ${passed + failed}`);
+    console.log('========================================\n');
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('\n✗ Test suite failed:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+// Run tests
+runTests();
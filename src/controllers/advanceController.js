@@ -7,6 +7,43 @@ const Advance = require('../models/Advance');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
 const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const LedgerEntry = require('../models/LedgerEntry');
+const { convertToBase, sendExchangeRateMissing, getForeignCurrencyTotals } = require('../services/currencyService');
+const { notify, notifyAssignedAdmin } = require('../services/notificationService');
+const { getBalance, postAdvance, reverseAdvance, getStatement } = require('../services/ledgerService');
+const { checkMonthLock, sendMonthLocked } = require('../services/monthLockService');
+const { roundAmount, formatMoney } = require('../utils/currency');
+
+/**
+ * Post a paid-out advance to the employee's ledger (negative balances are allowed)
+ *
+ * @param {Object} advance - Completed Advance document
+ * @param {String} adminId - Admin who paid it out
+ * @returns {Promise<Object>} { previousBalance, newBalance, reconciledAmount, reconciliationNote }
+ */
+const creditAdvanceBalance = async (advance, adminId) => {
+  const { amount } = advance;
+  const { previousBalance, balance: newBalance } = await postAdvance(advance, { postedBy: adminId });
+  const reconciledAmount = amount;
+  let reconciliationNote = '';
+
+  // If user has negative balance, reconcile it
+  if (previousBalance < 0) {
+    // No restrictions on negative balances - allow them to remain negative if needed
+    reconciliationNote = `Previous balance: ₹${previousBalance}. Added: ₹${amount}. `;
+
+    if (newBalance >= 0) {
+      reconciliationNote += `Cleared negative balance and added ₹${newBalance.toFixed(2)} surplus.`;
+    } else {
+      reconciliationNote += `Added to negative balance. New balance: ₹${newBalance.toFixed(2)}.`;
+    }
+  } else {
+    reconciliationNote = `Added ₹${amount} to existing balance of ₹${previousBalance}.`;
+  }
+
+  return { previousBalance, newBalance, reconciledAmount, reconciliationNote };
+};
 
 /**
  * Add advance payment to employee
@@ -20,12 +57,13 @@ const Audit = require('../models/Audit');
  * @description
  * - Super Admin can add advance to any user
  * - Admin can only add advance to users assigned to them
+ * - Foreign-currency advances are converted at today's rate; the balance is kept in the base currency
  */
 const addAdvance = async (req, res) => {
   try {
     const adminId = req.user.userId;
     const userRole = req.user.role;
-    const { userId, amount, proofUrl, notes, description, paymentMethod, transactionReference } = req.body;
+    const { userId, amount: paidAmount, currency, proofUrl, notes, description, paymentMethod, transactionReference } = req.body;
 
     // Validate user exists
     const user = await User.findById(userId);
@@ -48,10 +86,17 @@ const addAdvance = async (req, res) => {
     }
     // Super Admin can add advance to any user
 
+    const date = new Date();
+    const { conversion, rateError } = await convertToBase({ amount: paidAmount, currency, date });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+    const { amount } = conversion;
+
     // Create advance record
     const advance = new Advance({
       userId,
-      amount,
+      ...conversion,
       proofUrl,
       notes,
       description,
@@ -59,38 +104,12 @@ const addAdvance = async (req, res) => {
       transactionReference,
       addedBy: adminId,
       status: 'completed',
-      date: new Date()
+      date
     });
 
     await advance.save();
 
-    // Balance reconciliation logic
-    const previousBalance = user.advanceBalance || 0;
-    let reconciledAmount = amount;
-    let reconciliationNote = '';
-
-    // If user has negative balance, reconcile it
-    if (previousBalance < 0) {
-      // Calculate how much of the added amount goes to covering negative balance
-      const negativeAmount = Math.abs(previousBalance);
-      reconciledAmount = amount; // Keep original amount for record, but track reconciliation
-
-      // The actual balance addition will bring them towards positive
-      // No restrictions on negative balances - allow them to remain negative if needed
-      reconciliationNote = `Previous balance: ₹${previousBalance}. Added: ₹${amount}. `;
-
-      if (previousBalance + amount >= 0) {
-        reconciliationNote += `Cleared negative balance and added ₹${(previousBalance + amount).toFixed(2)} surplus.`;
-      } else {
-        reconciliationNote += `Added to negative balance. New balance: ₹${(previousBalance + amount).toFixed(2)}.`;
-      }
-    } else {
-      reconciliationNote = `Added ₹${amount} to existing balance of ₹${previousBalance}.`;
-    }
-
-    // Update user's advance balance (allow negative balances)
-    user.advanceBalance = previousBalance + amount;
-    await user.save();
+    const { previousBalance, newBalance, reconciledAmount, reconciliationNote } = await creditAdvanceBalance(advance, adminId);
 
     // Create audit record
     await Audit.log({
@@ -100,9 +119,11 @@ const addAdvance = async (req, res) => {
       metadata: {
         advanceId: advance._id,
         amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
         reconciledAmount,
         previousBalance,
-        newBalance: user.advanceBalance,
+        newBalance,
         paymentMethod: advance.paymentMethod,
         reconciliationNote,
         notes
@@ -121,7 +142,7 @@ const addAdvance = async (req, res) => {
       data: {
         advance,
         previousBalance,
-        newBalance: user.advanceBalance,
+        newBalance,
         reconciledAmount,
         reconciliationNote
       }
@@ -255,6 +276,8 @@ const getAdvances = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} User's advance history with transaction details
+ * @description
+ * - Transactions are the employee's ledger entries in posting order, so the last running balance is the current balance
  */
 const getAdvanceHistory = async (req, res) => {
   try {
@@ -279,65 +302,66 @@ const getAdvanceHistory = async (req, res) => {
       });
     }
 
-    // Get all advances for user
-    const advances = await Advance.find({
-      userId,
-      status: 'completed',
-      isDeleted: false
-    })
-      .populate('addedBy', 'name email employeeId')
-      .sort({ date: 1 }); // Ascending order for running balance
+    // The ledger holds every change to the balance (advances, approved expenses, recoveries, reversals, payouts)
+    const statement = await getStatement(userId);
 
-    // Get all approved expenses for user
-    const expenses = await Expense.find({
-      userId,
-      status: 'approved'
-    })
-      .select('date approvedAmount description type')
-      .sort({ date: 1 });
-
-    // Calculate running balance and create transaction history
-    let runningBalance = 0;
-    const transactions = [];
-
-    // Combine advances and expenses, sort by date
-    const allTransactions = [
-      ...advances.map(adv => ({
-        type: 'advance',
-        date: adv.date,
-        amount: adv.amount,
-        description: adv.description || adv.notes || 'Advance payment',
-        reference: adv._id,
-        addedBy: adv.addedBy,
-        paymentMethod: adv.paymentMethod,
-        transactionReference: adv.transactionReference,
-        proofUrl: adv.proofUrl
-      })),
-      ...expenses.map(exp => ({
-        type: 'expense',
-        date: exp.date,
-        amount: -exp.approvedAmount, // Negative for expenses
-        description: exp.description,
-        reference: exp._id,
-        expenseType: exp.type
-      }))
-    ].sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // Calculate running balance for each transaction
-    allTransactions.forEach(transaction => {
-      runningBalance += transaction.amount;
-      transactions.push({
-        ...transaction,
-        runningBalance
-      });
+    const advanceIds = statement.entries.filter(line => line.advanceId).map(line => line.advanceId);
+    const expenseIds = statement.entries.filter(line => line.expenseId).map(line => line.expenseId);
+    const [advances, expenses] = await Promise.all([
+      Advance.find({ _id: { $in: advanceIds } })
+        .populate('addedBy', 'name email employeeId'),
+      Expense.find({ _id: { $in: expenseIds } })
+        .select('date approvedAmount description type currency')
+    ]);
+    const advancesById = new Map(advances.map(adv => [adv._id.toString(), adv]));
+    const expensesById = new Map(expenses.map(exp => [exp._id.toString(), exp]));
+
+    // One transaction per ledger entry, with the running balance after it
+    const totals = { advance: 0, expense: 0, recovery: 0, payout: 0 };
+    const transactions = statement.entries.map(line => {
+      const amount = roundAmount(line.debit - line.credit);
+      const adv = line.advanceId && advancesById.get(line.advanceId.toString());
+      const exp = line.expenseId && expensesById.get(line.expenseId.toString());
+
+      // A reversal counts against the type of the entry it reverses
+      const totalType = line.entryType === 'reversal' ? (line.advanceId ? 'advance' : 'expense') : line.entryType;
+      totals[totalType] += totalType === 'advance' || totalType === 'payout' ? amount : -amount;
+
+      return {
+        type: line.entryType,
+        date: line.effectiveDate || line.postedAt,
+        postedAt: line.postedAt,
+        amount, // Negative when the balance goes down
+        description: line.description,
+        reference: line.advanceId || line.expenseId || line.id,
+        ledgerEntryId: line.id,
+        sequence: line.sequence,
+        ...(adv && {
+          currency: adv.currency,
+          originalAmount: adv.originalAmount,
+          addedBy: adv.addedBy,
+          paymentMethod: adv.paymentMethod,
+          transactionReference: adv.transactionReference,
+          proofUrl: adv.proofUrl
+        }),
+        ...(exp && {
+          currency: exp.currency,
+          expenseType: exp.type
+        }),
+        runningBalance: line.balance
+      };
     });
 
     // Calculate current balance
     const currentBalance = await calculateBalance(userId);
 
     // Get summary statistics
-    const totalAdvances = advances.reduce((sum, adv) => sum + adv.amount, 0);
-    const totalExpenses = expenses.reduce((sum, exp) => sum + exp.approvedAmount, 0);
+    const totalAdvances = roundAmount(totals.advance);
+    const totalExpenses = roundAmount(totals.expense);
+    const [baseCurrency, advancesByCurrency] = await Promise.all([
+      Settings.getBaseCurrency(),
+      getForeignCurrencyTotals(Advance, { userId, status: 'completed', isDeleted: false })
+    ]);
 
     res.status(200).json({
       success: true,
@@ -351,11 +375,15 @@ const getAdvanceHistory = async (req, res) => {
           currentBalance: user.advanceBalance
         },
         summary: {
+          baseCurrency,
           totalAdvances,
           totalExpenses,
+          totalRecoveries: roundAmount(totals.recovery),
+          totalPayouts: roundAmount(totals.payout),
           currentBalance,
-          advanceCount: advances.length,
-          expenseCount: expenses.length
+          advanceCount: statement.entries.filter(line => line.entryType === 'advance').length,
+          expenseCount: statement.entries.filter(line => line.entryType === 'expense').length,
+          advancesByCurrency
         },
         transactions
       }
@@ -373,29 +401,14 @@ const getAdvanceHistory = async (req, res) => {
 
 /**
  * Calculate current balance for a user
- * Balance = Total Advances - Total Approved Expenses
+ * Read from the advance ledger (see scripts/reconcileLedger.js for checking it against advances and expenses)
  *
  * @param {String} userId - User ID
  * @returns {Number} Current balance
  */
 const calculateBalance = async (userId) => {
   try {
-    // Get all completed advances
-    const advances = await Advance.find({
-      userId,
-      status: 'completed',
-      isDeleted: false
-    }).select('amount');
-    const totalAdvances = advances.reduce((sum, adv) => sum + adv.amount, 0);
-
-    // Get all approved expenses
-    const expenses = await Expense.find({
-      userId,
-      status: 'approved'
-    }).select('approvedAmount');
-    const totalExpenses = expenses.reduce((sum, exp) => sum + exp.approvedAmount, 0);
-
-    return totalAdvances - totalExpenses;
+    return await getBalance(userId);
   } catch (error) {
     console.error('Error in calculateBalance:', error);
     throw error;
@@ -419,7 +432,9 @@ const getAdvanceById = async (req, res) => {
 
     const advance = await Advance.findById(id)
       .populate('userId', 'name email employeeId advanceBalance')
-      .populate('addedBy', 'name email employeeId');
+      .populate('addedBy', 'name email employeeId')
+      .populate('decidedBy', 'name email employeeId')
+      .populate('cancelledBy', 'name email employeeId');
 
     if (!advance) {
       return res.status(404).json({
@@ -436,10 +451,15 @@ const getAdvanceById = async (req, res) => {
       });
     }
 
+    // Ledger postings of the advance (the entry and, once cancelled, its reversal)
+    const ledgerEntries = await LedgerEntry.find({ advanceId: advance._id })
+      .sort({ sequence: 1 })
+      .select('sequence entryType amount balanceAfter postedAt description postedBy');
+
     res.status(200).json({
       success: true,
       message: 'Advance retrieved successfully',
-      data: { advance }
+      data: { advance, ledgerEntries }
     });
 
   } catch (error) {
@@ -452,11 +472,612 @@ const getAdvanceById = async (req, res) => {
   }
 };
 
+/**
+ * Advance amount for messages in the currency it was given in, e.g. "USD 250.00"
+ * Advances recorded before multi-currency support only have the base-currency amount
+ * @param {Object} advance - Advance document
+ * @returns {Promise<String>} Formatted amount
+ */
+const formatRequestedAmount = async (advance) => {
+  if (advance.originalAmount === undefined || advance.originalAmount === null || !advance.currency) {
+    return formatMoney(advance.amount, await Settings.getBaseCurrency());
+  }
+  return `${advance.currency} ${advance.originalAmount.toFixed(2)}`;
+};
+
+/**
+ * Load an advance request the current user may decide or disburse
+ * Super Admin can act on any request, Admin only on requests from users assigned to them,
+ * and nobody on their own request
+ *
+ * @param {String} id - Advance ID
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<Object>} { advance, employee } or { error: { status, message } }
+ */
+const loadAdvanceRequest = async (id, currentUser) => {
+  const advance = await Advance.findOne({ _id: id, isDeleted: false, requestedAt: { $ne: null } });
+  if (!advance) {
+    return { error: { status: 404, message: 'Advance request not found' } };
+  }
+
+  const employee = await User.findById(advance.userId).select('name email employeeId assignedTo advanceBalance');
+  if (!employee) {
+    return { error: { status: 404, message: 'Employee not found' } };
+  }
+
+  if (employee._id.toString() === currentUser.userId) {
+    return { error: { status: 403, message: 'You cannot act on your own advance request' } };
+  }
+
+  if (currentUser.role === 'admin' && (!employee.assignedTo || employee.assignedTo.toString() !== currentUser.userId)) {
+    return { error: { status: 403, message: 'Access denied. You can only act on advance requests from users assigned to you.' } };
+  }
+
+  return { advance, employee };
+};
+
+/**
+ * Request an advance before a trip
+ * POST /api/advances/requests
+ * Any authenticated user (for themselves)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Created advance request
+ * @description
+ * - The request starts as 'requested' and does not change the advance balance
+ * - Foreign-currency amounts are converted at today's rate for reference and again on disbursement
+ * - The employee's assigned admin is notified
+ */
+const requestAdvance = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { amount: requestedAmount, currency, purpose, tripStartDate, tripEndDate, notes } = req.body;
+
+    const requestedAt = new Date();
+    const { conversion, rateError } = await convertToBase({ amount: requestedAmount, currency, date: requestedAt });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+
+    const advance = new Advance({
+      userId,
+      ...conversion,
+      purpose,
+      tripStartDate,
+      tripEndDate,
+      notes,
+      status: 'requested',
+      requestedAt,
+      date: requestedAt
+    });
+
+    await advance.save();
+
+    await Audit.log({
+      action: 'advance_requested',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: {
+        advanceId: advance._id,
+        amount: advance.amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
+        purpose,
+        tripStartDate,
+        tripEndDate
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const user = await User.findById(userId).select('name');
+    await notifyAssignedAdmin(userId, {
+      type: 'advance_requested',
+      title: 'Advance requested',
+      message: `${user ? user.name : 'An employee'} requested an advance of ${await formatRequestedAmount(advance)} for "${purpose}".`,
+      metadata: { advanceId: advance._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Advance request submitted for approval',
+      data: { advance }
+    });
+
+  } catch (error) {
+    console.error('Error in requestAdvance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit advance request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get advance requests
+ * GET /api/advances/requests
+ * Any authenticated user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} List of advance requests with pagination
+ * @description
+ * - Users see their own requests
+ * - Admin sees requests from users assigned to them and their own
+ * - Super Admin sees all requests
+ */
+const getAdvanceRequests = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    const userRole = req.user.role;
+    const { userId, status, page = 1, limit = 10 } = req.query;
+
+    const filter = { isDeleted: false, requestedAt: { $ne: null } };
+
+    if (userRole === 'user') {
+      filter.userId = currentUserId;
+    } else if (userRole === 'admin') {
+      const assignedUsers = await User.find({ assignedTo: currentUserId }).select('_id');
+      const visibleUserIds = [...assignedUsers.map(u => u._id.toString()), currentUserId];
+
+      if (userId) {
+        if (!visibleUserIds.includes(userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view advance requests from users assigned to you.'
+          });
+        }
+        filter.userId = userId;
+      } else {
+        filter.userId = { $in: visibleUserIds };
+      }
+    } else if (userId) {
+      filter.userId = userId;
+    }
+
+    if (status) filter.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [advances, total] = await Promise.all([
+      Advance.find(filter)
+        .populate('userId', 'name email employeeId advanceBalance')
+        .populate('decidedBy', 'name email employeeId')
+        .populate('addedBy', 'name email employeeId')
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Advance.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance requests retrieved successfully',
+      data: {
+        advances,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getAdvanceRequests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve advance requests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve an advance request
+ * POST /api/advances/:id/approve
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Approved advance request (awaiting disbursement)
+ */
+const approveAdvanceRequest = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { notes } = req.body;
+
+    const { advance, employee, error } = await loadAdvanceRequest(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (advance.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Only requested advances can be approved. This advance is ${advance.status}.`
+      });
+    }
+
+    advance.status = 'approved';
+    advance.decidedBy = adminId;
+    advance.decidedAt = new Date();
+    advance.decisionNotes = notes;
+    await advance.save();
+
+    await Audit.log({
+      action: 'advance_approved',
+      performedBy: adminId,
+      targetUser: employee._id,
+      metadata: {
+        advanceId: advance._id,
+        amount: advance.amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
+        notes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await notify({
+      recipient: employee._id,
+      type: 'advance_approved',
+      title: 'Advance approved',
+      message: `Your advance request of ${await formatRequestedAmount(advance)} for "${advance.purpose}" was approved and is awaiting disbursement.`,
+      metadata: { advanceId: advance._id }
+    });
+
+    await advance.populate('decidedBy', 'name email employeeId');
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance request approved',
+      data: { advance }
+    });
+
+  } catch (error) {
+    console.error('Error in approveAdvanceRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve advance request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Decline an advance request
+ * POST /api/advances/:id/decline
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Declined advance request
+ * @description
+ * - Requested and approved (not yet disbursed) advances can be declined
+ */
+const declineAdvanceRequest = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { reason } = req.body;
+
+    const { advance, employee, error } = await loadAdvanceRequest(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!['requested', 'approved'].includes(advance.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only requested or approved advances can be declined. This advance is ${advance.status}.`
+      });
+    }
+
+    const previousStatus = advance.status;
+    advance.status = 'declined';
+    advance.decidedBy = adminId;
+    advance.decidedAt = new Date();
+    advance.decisionNotes = reason;
+    await advance.save();
+
+    await Audit.log({
+      action: 'advance_declined',
+      performedBy: adminId,
+      targetUser: employee._id,
+      metadata: {
+        advanceId: advance._id,
+        amount: advance.amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
+        previousStatus
+      },
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await notify({
+      recipient: employee._id,
+      type: 'advance_declined',
+      title: 'Advance declined',
+      message: `Your advance request of ${await formatRequestedAmount(advance)} for "${advance.purpose}" was declined. ${reason}`,
+      metadata: { advanceId: advance._id }
+    });
+
+    await advance.populate('decidedBy', 'name email employeeId');
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance request declined',
+      data: { advance }
+    });
+
+  } catch (error) {
+    console.error('Error in declineAdvanceRequest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline advance request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark an approved advance request as disbursed
+ * POST /api/advances/:id/disburse
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Disbursed advance and updated balance
+ * @description
+ * - The advance becomes 'completed', dated at disbursement, and is added to the advance balance
+ * - Foreign-currency requests are converted again at the disbursement date's rate
+ */
+const disburseAdvance = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { paymentMethod, transactionReference, proofUrl, notes } = req.body;
+
+    const { advance, employee, error } = await loadAdvanceRequest(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (advance.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: `Only approved advances can be disbursed. This advance is ${advance.status}.`
+      });
+    }
+
+    const date = new Date();
+    const { conversion, rateError } = await convertToBase({
+      amount: advance.originalAmount,
+      currency: advance.currency,
+      date
+    });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+    const { amount } = conversion;
+
+    Object.assign(advance, conversion);
+    advance.status = 'completed';
+    advance.date = date;
+    advance.disbursedAt = date;
+    advance.addedBy = adminId;
+    advance.paymentMethod = paymentMethod;
+    advance.transactionReference = transactionReference;
+    if (proofUrl) advance.proofUrl = proofUrl;
+    if (notes) advance.notes = notes;
+    await advance.save();
+
+    const { previousBalance, newBalance, reconciledAmount, reconciliationNote } = await creditAdvanceBalance(advance, adminId);
+
+    await Audit.log({
+      action: 'advance_disbursed',
+      performedBy: adminId,
+      targetUser: employee._id,
+      metadata: {
+        advanceId: advance._id,
+        amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
+        reconciledAmount,
+        previousBalance,
+        newBalance,
+        paymentMethod,
+        transactionReference,
+        reconciliationNote,
+        notes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await notify({
+      recipient: employee._id,
+      type: 'advance_disbursed',
+      title: 'Advance disbursed',
+      message: `Your advance of ${await formatRequestedAmount(advance)} for "${advance.purpose}" was paid out.`,
+      metadata: { advanceId: advance._id }
+    });
+
+    await advance.populate('addedBy', 'name email employeeId');
+    await advance.populate('decidedBy', 'name email employeeId');
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance disbursed successfully',
+      data: {
+        advance,
+        previousBalance,
+        newBalance,
+        reconciledAmount,
+        reconciliationNote
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in disburseAdvance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disburse advance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a paid-out advance
+ * POST /api/advances/:id/cancel
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Cancelled advance and updated balance
+ * @description
+ * - Only completed advances can be cancelled (requests are declined instead)
+ * - Refused when the advance date falls in a locked month
+ * - The advance's ledger entry is reversed; the advance record is kept with its cancellation trail
+ */
+const cancelAdvance = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+    const { reason } = req.body;
+
+    const advance = await Advance.findOne({ _id: req.params.id, isDeleted: false });
+    if (!advance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Advance not found'
+      });
+    }
+
+    const employee = await User.findById(advance.userId).select('name email employeeId assignedTo');
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (employee._id.toString() === adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot cancel your own advance'
+      });
+    }
+
+    if (userRole === 'admin' && (!employee.assignedTo || employee.assignedTo.toString() !== adminId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only cancel advances of users assigned to you.'
+      });
+    }
+
+    if (advance.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: ['requested', 'approved'].includes(advance.status)
+          ? 'Advance requests that are not disbursed are declined, not cancelled.'
+          : `Only completed advances can be cancelled. This advance is ${advance.status}.`
+      });
+    }
+
+    const lockError = await checkMonthLock(advance.userId, advance.date, 'cancel advance');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    const reversal = await reverseAdvance(advance, { postedBy: adminId, reason });
+    if (reversal.error) {
+      return res.status(reversal.error.status).json({
+        success: false,
+        message: reversal.error.message
+      });
+    }
+
+    await advance.cancel(reason, adminId);
+
+    await Audit.log({
+      action: 'advance_cancelled',
+      performedBy: adminId,
+      targetUser: employee._id,
+      metadata: {
+        advanceId: advance._id,
+        amount: advance.amount,
+        currency: advance.currency,
+        originalAmount: advance.originalAmount,
+        date: advance.date,
+        reversalEntryId: reversal.entry._id,
+        previousBalance: reversal.previousBalance,
+        newBalance: reversal.balance
+      },
+      reason,
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await notify({
+      recipient: employee._id,
+      type: 'advance_cancelled',
+      title: 'Advance cancelled',
+      message: `Your advance of ${await formatRequestedAmount(advance)} was cancelled and removed from your balance. ${reason}`,
+      metadata: { advanceId: advance._id }
+    });
+
+    await advance.populate('cancelledBy', 'name email employeeId');
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance cancelled successfully',
+      data: {
+        advance,
+        reversalEntry: reversal.entry,
+        previousBalance: reversal.previousBalance,
+        newBalance: reversal.balance
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in cancelAdvance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel advance',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   addAdvance,
   getAdvances,
   getAdvanceHistory,
   calculateBalance,
-  getAdvanceById
+  getAdvanceById,
+  requestAdvance,
+  getAdvanceRequests,
+  approveAdvanceRequest,
+  declineAdvanceRequest,
+  disburseAdvance,
+  cancelAdvance
 };
-
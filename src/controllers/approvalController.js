@@ -6,9 +6,22 @@
 const Expense = require('../models/Expense');
 const User = require('../models/User');
 const Journey = require('../models/Journey');
-const MonthLock = require('../models/MonthLock');
+const ExpenseClaim = require('../models/ExpenseClaim');
 const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
 const { calculateApprovedAmount } = require('../utils/varianceCalculator');
+const { checkMonthLock, sendMonthLocked } = require('../services/monthLockService');
+const {
+  APPROVAL_LEVELS,
+  checkApprover,
+  checkReceiptRequired,
+  recordDecision,
+  getProposedChoice,
+  getChangedChoice,
+  buildPendingForMeQuery
+} = require('../services/approvalService');
+const { refreshClaimsForExpenses } = require('../services/claimService');
+const { postExpense } = require('../services/ledgerService');
 
 /**
  * Approve an expense
@@ -17,15 +30,16 @@ const { calculateApprovedAmount } = require('../utils/varianceCalculator');
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @description
- * - Super Admin can approve any expense
- * - Admin can only approve expenses from users assigned to them
+ * - Level 1: Super Admin or the admin the user is assigned to
+ * - Level 2 (amount above FINANCE_APPROVAL_THRESHOLD): Super Admin or a finance approver
+ * - The expense is only approved (and the balance deducted) at the last required level
  */
 const approveExpense = async (req, res) => {
   try {
     const { id } = req.params;
     const adminId = req.user.userId;
     const userRole = req.user.role;
-    const { approvedOption, adminDistance, adminNotes } = req.body;
+    const { adminNotes } = req.body;
 
     // Only admins and superadmins can approve
     if (userRole !== 'admin' && userRole !== 'superadmin') {
@@ -45,19 +59,6 @@ const approveExpense = async (req, res) => {
       });
     }
 
-    // RBAC: Check if admin has access to this expense
-    if (userRole === 'admin') {
-      // Admin can only approve expenses from users assigned to them
-      const expenseUser = await User.findById(expense.userId._id);
-      if (!expenseUser.assignedTo || expenseUser.assignedTo.toString() !== adminId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only approve expenses from users assigned to you.'
-        });
-      }
-    }
-    // Super Admin can approve any expense
-
     // Check if already approved or rejected
     if (expense.status !== 'pending') {
       return res.status(400).json({
@@ -66,16 +67,40 @@ const approveExpense = async (req, res) => {
       });
     }
 
-    // Check if month is locked
-    const expenseDate = expense.date;
-    const year = expenseDate.getFullYear();
-    const month = expenseDate.getMonth() + 1;
+    // RBAC: Check the approver can decide the current level of the approval chain
+    const approverCheck = await checkApprover(req.user, expense);
+    if (!approverCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: approverCheck.reason,
+        data: { currentApprovalLevel: approverCheck.level, role: approverCheck.role }
+      });
+    }
+
+    // Recurring expenses may need their receipt first
+    const receiptError = checkReceiptRequired(expense);
+    if (receiptError) {
+      return res.status(400).json({
+        success: false,
+        code: receiptError.code,
+        message: receiptError.message
+      });
+    }
+
+    // Check if month is locked for the expense owner
+    const lockError = await checkMonthLock(expense.userId._id, expense.date, 'approve expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
 
-    const monthLock = await MonthLock.findOne({ year, month });
-    if (monthLock && monthLock.isLocked) {
+    // A later level keeps the distance option of the earlier level unless it chooses its own
+    const proposal = getProposedChoice(expense);
+    const approvedOption = req.body.approvedOption ?? proposal?.approvedOption;
+    const adminDistance = req.body.approvedOption !== undefined ? req.body.adminDistance : proposal?.adminDistance;
+    if (approvedOption === undefined) {
       return res.status(400).json({
         success: false,
-        message: `Cannot approve expense for ${monthLock.monthName} ${year}. Month is locked.`
+        message: 'Approved option is required'
       });
     }
 
@@ -84,6 +109,10 @@ const approveExpense = async (req, res) => {
     
     if (expense.type === 'journey') {
       // For journey expenses, calculate based on distance
+      // Expenses without a stored rate use the current rate for their vehicle type
+      if (expense.distanceRate === null || expense.distanceRate === undefined) {
+        expense.distanceRate = await Settings.getRatePerKm(expense.vehicleType);
+      }
       try {
         approvedAmount = calculateApprovedAmount(expense, approvedOption, adminDistance);
       } catch (error) {
@@ -97,6 +126,51 @@ const approveExpense = async (req, res) => {
       approvedAmount = expense.amount;
     }
 
+    // Record this level of the approval chain (with the distance option for journey expenses)
+    const chainResult = await recordDecision(expense, {
+      approverId: adminId,
+      level: approverCheck.level,
+      role: approverCheck.role,
+      decision: 'approved',
+      notes: adminNotes,
+      ...(expense.type === 'journey' && { approvedOption, adminDistance })
+    });
+
+    // Earlier level: forward to the next approver without approving yet
+    if (!chainResult.final) {
+      await expense.save();
+
+      const nextStep = APPROVAL_LEVELS.find(item => item.level === chainResult.nextLevel);
+
+      await Audit.log({
+        action: 'expense_approved',
+        performedBy: adminId,
+        targetUser: expense.userId._id,
+        metadata: {
+          expenseId: expense._id,
+          level: approverCheck.level,
+          final: false,
+          nextLevel: chainResult.nextLevel,
+          approvedOption,
+          adminDistance,
+          adminNotes,
+          proposedAmount: approvedAmount
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.json({
+        success: true,
+        message: `Expense approved at level ${approverCheck.level}. Awaiting ${nextStep.label.toLowerCase()}.`,
+        data: {
+          expense,
+          currentApprovalLevel: expense.currentApprovalLevel,
+          approvalLevelsRequired: expense.approvalLevelsRequired
+        }
+      });
+    }
+
     // Update expense
     expense.status = 'approved';
     expense.approvedAmount = approvedAmount;
@@ -152,22 +226,20 @@ const approveExpense = async (req, res) => {
       });
     }
 
-    const previousBalance = user.advanceBalance;
-    const newBalance = previousBalance - approvedAmount;
-
-    // Allow negative balances - no restrictions
-    user.advanceBalance = newBalance;
-    await user.save();
+    // Posted to the advance ledger (negative balances are allowed)
+    const { previousBalance, balance } = await postExpense(expense, { postedBy: adminId });
 
     balanceUpdate = {
       previous: previousBalance,
-      current: user.advanceBalance,
+      current: balance,
       deducted: approvedAmount
     };
 
     // Audit log
     const auditMetadata = {
       expenseId: expense._id,
+      level: approverCheck.level,
+      final: true,
       approvedOption,
       approvedAmount,
       adminDistance,
@@ -175,6 +247,12 @@ const approveExpense = async (req, res) => {
       isJourneyExpense: !!expense.journeyId
     };
 
+    // The earlier level's distance choice when this approver changed it
+    const changedChoice = expense.type === 'journey' ? getChangedChoice(proposal, approvedOption, adminDistance) : null;
+    if (changedChoice) {
+      auditMetadata.changedChoice = changedChoice;
+    }
+
     if (journeyUpdate) {
       auditMetadata.journeyUpdate = journeyUpdate;
     } else if (balanceUpdate) {
@@ -190,6 +268,8 @@ const approveExpense = async (req, res) => {
       userAgent: req.get('user-agent')
     });
 
+    await refreshClaimsForExpenses(expense, { decidedBy: adminId });
+
     // Populate approver info
     await expense.populate('approvedBy', 'name email');
 
@@ -226,8 +306,8 @@ const approveExpense = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @description
- * - Super Admin can reject any expense
- * - Admin can only reject expenses from users assigned to them
+ * - Whoever can decide the current approval level can reject (see approveExpense)
+ * - A rejection at any level ends the approval chain
  */
 const rejectExpense = async (req, res) => {
   try {
@@ -254,19 +334,6 @@ const rejectExpense = async (req, res) => {
       });
     }
 
-    // RBAC: Check if admin has access to this expense
-    if (userRole === 'admin') {
-      // Admin can only reject expenses from users assigned to them
-      const expenseUser = await User.findById(expense.userId._id);
-      if (!expenseUser.assignedTo || expenseUser.assignedTo.toString() !== adminId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only reject expenses from users assigned to you.'
-        });
-      }
-    }
-    // Super Admin can reject any expense
-
     // Check if already approved or rejected
     if (expense.status !== 'pending') {
       return res.status(400).json({
@@ -275,19 +342,30 @@ const rejectExpense = async (req, res) => {
       });
     }
 
-    // Check if month is locked
-    const expenseDate = expense.date;
-    const year = expenseDate.getFullYear();
-    const month = expenseDate.getMonth() + 1;
-
-    const monthLock = await MonthLock.findOne({ year, month });
-    if (monthLock && monthLock.isLocked) {
-      return res.status(400).json({
+    // RBAC: Check the approver can decide the current level of the approval chain
+    const approverCheck = await checkApprover(req.user, expense, { action: 'reject' });
+    if (!approverCheck.allowed) {
+      return res.status(403).json({
         success: false,
-        message: `Cannot reject expense for ${monthLock.monthName} ${year}. Month is locked.`
+        message: approverCheck.reason,
+        data: { currentApprovalLevel: approverCheck.level, role: approverCheck.role }
       });
     }
 
+    // Check if month is locked for the expense owner
+    const lockError = await checkMonthLock(expense.userId._id, expense.date, 'reject expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    await recordDecision(expense, {
+      approverId: adminId,
+      level: approverCheck.level,
+      role: approverCheck.role,
+      decision: 'rejected',
+      notes: rejectionReason
+    });
+
     // Update expense
     expense.status = 'rejected';
     expense.rejectionReason = rejectionReason;
@@ -303,6 +381,7 @@ const rejectExpense = async (req, res) => {
       targetUser: expense.userId._id,
       metadata: {
         expenseId: expense._id,
+        level: approverCheck.level,
         rejectionReason,
         amount: expense.amount
       },
@@ -310,6 +389,8 @@ const rejectExpense = async (req, res) => {
       userAgent: req.get('user-agent')
     });
 
+    await refreshClaimsForExpenses(expense, { decidedBy: adminId });
+
     // Populate approver info
     await expense.populate('approvedBy', 'name email');
 
@@ -328,6 +409,268 @@ const rejectExpense = async (req, res) => {
   }
 };
 
+/**
+ * Check which expenses the approver can decide at their current approval level
+ * @param {Object} approver - req.user { userId, role }
+ * @param {Array} expenses - Pending expense documents (userId populated)
+ * @param {Object} options - { action: 'approve'|'reject' }
+ * @returns {Promise<Object>} { approverChecks: Map of expense ID -> check, notAllowed: Array }
+ */
+const checkApprovers = async (approver, expenses, options = {}) => {
+  const approverUser = await User.findById(approver.userId).select('canApproveFinance');
+  const approverChecks = new Map();
+  const notAllowed = [];
+  for (const expense of expenses) {
+    const check = await checkApprover(approver, expense, { ...options, approverUser });
+    if (check.allowed) {
+      approverChecks.set(expense._id.toString(), check);
+    } else {
+      notAllowed.push({
+        expenseId: expense._id,
+        code: 'NOT_APPROVER',
+        reason: check.reason,
+        currentApprovalLevel: check.level
+      });
+    }
+  }
+  return { approverChecks, notAllowed };
+};
+
+/**
+ * Approve a batch of pending expenses at their current approval level
+ * Used by bulk approval and claim approval
+ *
+ * @param {Object} req - Express request object (approver, IP and user agent for the audit log)
+ * @param {Array} expenses - Pending expense documents the approver may decide (userId and journeyId populated)
+ * @param {Map} approverChecks - Expense ID -> result of checkApprover
+ * @param {Object} options - { approvedOption (defaults per expense to the earlier level's choice, else 1), adminNotes, bulkApproved, auditAction }
+ * @returns {Promise<Object>} { approved, forwarded, failed, totalApproved, totalForwarded, totalFailed, totalAmount }
+ */
+const approveExpenseBatch = async (req, expenses, approverChecks, options = {}) => {
+  const adminId = req.user.userId;
+  const { adminNotes, bulkApproved = false, auditAction = 'expense_bulk_approved' } = options;
+
+  const results = {
+    approved: [],
+    forwarded: [],
+    failed: [],
+    totalApproved: 0,
+    totalForwarded: 0,
+    totalFailed: 0,
+    totalAmount: 0
+  };
+
+  // Process each expense
+  for (const expense of expenses) {
+    try {
+      // Check if month is locked for the expense owner
+      const lockError = await checkMonthLock(expense.userId._id, expense.date, 'approve expense');
+      if (lockError) {
+        results.failed.push({
+          expenseId: expense._id,
+          code: lockError.code,
+          reason: lockError.message,
+          lock: lockError.details
+        });
+        results.totalFailed++;
+        continue;
+      }
+
+      // Recurring expenses may need their receipt first
+      const receiptError = checkReceiptRequired(expense);
+      if (receiptError) {
+        results.failed.push({
+          expenseId: expense._id,
+          code: receiptError.code,
+          reason: receiptError.message
+        });
+        results.totalFailed++;
+        continue;
+      }
+
+      // A later level keeps the distance option of the earlier level unless one is given
+      const proposal = getProposedChoice(expense);
+      const approvedOption = options.approvedOption ?? proposal?.approvedOption ?? 1;
+      const adminDistance = approvedOption === 3 && proposal?.approvedOption === 3 ? proposal.adminDistance : null;
+
+      // Calculate approved amount
+      let approvedAmount;
+
+      try {
+        if (expense.type === 'journey') {
+          if (expense.distanceRate === null || expense.distanceRate === undefined) {
+            expense.distanceRate = await Settings.getRatePerKm(expense.vehicleType);
+          }
+          approvedAmount = calculateApprovedAmount(expense, approvedOption, adminDistance);
+        } else {
+          // For non-journey expenses, use the expense amount directly
+          approvedAmount = parseFloat(expense.amount) || 0;
+        }
+      } catch (error) {
+        results.failed.push({
+          expenseId: expense._id,
+          reason: error.message
+        });
+        results.totalFailed++;
+        continue;
+      }
+
+      // Record this level of the approval chain
+      const approverCheck = approverChecks.get(expense._id.toString());
+      const chainResult = await recordDecision(expense, {
+        approverId: adminId,
+        level: approverCheck.level,
+        role: approverCheck.role,
+        decision: 'approved',
+        notes: adminNotes,
+        ...(expense.type === 'journey' && { approvedOption, adminDistance })
+      });
+
+      // Earlier level: forward to the next approver without approving yet
+      if (!chainResult.final) {
+        await expense.save();
+
+        await Audit.log({
+          action: auditAction,
+          performedBy: adminId,
+          targetUser: expense.userId._id,
+          metadata: {
+            expenseId: expense._id,
+            level: approverCheck.level,
+            final: false,
+            nextLevel: chainResult.nextLevel,
+            approvedOption: expense.type === 'journey' ? approvedOption : null,
+            proposedAmount: approvedAmount,
+            adminNotes,
+            claimId: expense.claimId || undefined
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        results.forwarded.push({
+          expenseId: expense._id,
+          userId: expense.userId._id,
+          level: approverCheck.level,
+          nextLevel: chainResult.nextLevel,
+          amount: expense.amount
+        });
+        results.totalForwarded++;
+        continue;
+      }
+
+      // Update expense
+      expense.status = 'approved';
+      expense.approvedOption = approvedOption;
+      if (adminDistance !== null) {
+        expense.adminDistance = adminDistance;
+      }
+      expense.approvedAmount = approvedAmount;
+      expense.approvedBy = adminId;
+      expense.approvedAt = new Date();
+      expense.adminNotes = adminNotes || '';
+      expense.bulkApproved = bulkApproved; // Mark as bulk approved
+
+      await expense.save();
+
+      // Handle journey-attached expenses (update journey total for tracking)
+      if (expense.journeyId) {
+        console.log(`[BULK JOURNEY EXPENSE] Processing expense ${expense._id} with journeyId ${expense.journeyId}`);
+        const journey = await Journey.findById(expense.journeyId);
+        if (journey) {
+          const previousJourneyTotal = journey.additionalExpensesTotal || 0;
+          journey.additionalExpensesTotal = previousJourneyTotal + approvedAmount;
+          await journey.save();
+
+          console.log(`[BULK JOURNEY EXPENSE] Updated journey ${journey._id}: ${previousJourneyTotal} → ${journey.additionalExpensesTotal}`);
+        } else {
+          console.error(`[BULK JOURNEY EXPENSE] Journey not found: ${expense.journeyId} for expense ${expense._id}`);
+        }
+      }
+
+      // Deduct from user balance for ALL approved expenses (journey and regular)
+      console.log(`[BULK BALANCE DEDUCTION] Processing expense ${expense._id} - deducting ₹${approvedAmount} from user balance`);
+      const user = await User.findById(expense.userId._id);
+      if (user) {
+        // Posted to the advance ledger (negative balances are allowed)
+        const { previousBalance, balance } = await postExpense(expense, { postedBy: adminId });
+
+        // Audit log
+        await Audit.log({
+          action: auditAction,
+          performedBy: adminId,
+          targetUser: expense.userId._id,
+          metadata: {
+            expenseId: expense._id,
+            level: approverCheck.level,
+            final: true,
+            approvedOption: expense.type === 'journey' ? approvedOption : null,
+            changedChoice: expense.type === 'journey' ? getChangedChoice(proposal, approvedOption, adminDistance) : null,
+            approvedAmount,
+            adminNotes,
+            claimId: expense.claimId || undefined,
+            isJourneyExpense: !!expense.journeyId,
+            journeyUpdate: expense.journeyId ? {
+              journeyId: expense.journeyId,
+              addedAmount: approvedAmount
+            } : undefined,
+            balanceUpdate: {
+              previous: previousBalance,
+              current: balance,
+              deducted: approvedAmount
+            }
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        results.approved.push({
+          expenseId: expense._id,
+          userId: expense.userId._id,
+          approvedAmount,
+          isJourneyExpense: !!expense.journeyId,
+          journeyUpdate: expense.journeyId ? {
+            journeyId: expense.journeyId,
+            addedAmount: approvedAmount
+          } : undefined,
+          balanceUpdate: {
+            previous: previousBalance,
+            current: balance,
+            deducted: approvedAmount
+          }
+        });
+        results.totalApproved++;
+        results.totalAmount += approvedAmount;
+      } else {
+        results.failed.push({
+          expenseId: expense._id,
+          reason: 'User not found'
+        });
+        results.totalFailed++;
+      }
+    } catch (error) {
+      console.error('Error processing expense:', expense._id, error);
+      let reason = error.message;
+
+      // If it's a validation error, get the specific field errors
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => err.message);
+        reason = `Validation failed: ${validationErrors.join(', ')}`;
+      }
+
+      results.failed.push({
+        expenseId: expense._id,
+        reason: reason
+      });
+      results.totalFailed++;
+    }
+  }
+
+  await refreshClaimsForExpenses(expenses, { decidedBy: adminId });
+
+  return results;
+};
+
 /**
  * Bulk approve expenses
  * POST /api/expenses/bulk-approve
@@ -335,14 +678,15 @@ const rejectExpense = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @description
- * - Super Admin can bulk approve any expenses
- * - Admin can only bulk approve expenses from users assigned to them
+ * - Each expense is approved at its current approval level by the same rules as approveExpense
+ * - Expenses the approver cannot decide at their current level are reported as failed
+ * - Expenses needing a further level are forwarded, not approved
  */
 const bulkApproveExpenses = async (req, res) => {
   try {
     const adminId = req.user.userId;
     const userRole = req.user.role;
-    const { expenseIds, approvedOption = 1, adminNotes, maxVariance } = req.body; // Default to option 1 (system distance)
+    const { expenseIds, approvedOption, adminNotes, maxVariance } = req.body; // Defaults to the earlier level's option, else 1 (system distance)
 
 
     // Only admins and superadmins can bulk approve
@@ -374,29 +718,21 @@ const bulkApproveExpenses = async (req, res) => {
       });
     }
 
-    // RBAC: Filter expenses based on role
-    let accessibleExpenses = expenses;
-    if (userRole === 'admin') {
-      // Admin can only approve expenses from users assigned to them
-      const assignedUsers = await User.find({ assignedTo: adminId }).select('_id');
-      const assignedUserIds = assignedUsers.map(u => u._id.toString());
+    // RBAC: Keep the expenses this approver can decide at their current approval level
+    const { approverChecks, notAllowed } = await checkApprovers(req.user, expenses);
+    const accessibleExpenses = expenses.filter(expense => approverChecks.has(expense._id.toString()));
 
-      accessibleExpenses = expenses.filter(expense => {
-        return assignedUserIds.includes(expense.userId._id.toString());
+    if (accessibleExpenses.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. None of the selected expenses are awaiting your approval.',
+        data: { failed: notAllowed }
       });
+    }
 
-      if (accessibleExpenses.length === 0) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. None of the selected expenses belong to users assigned to you.'
-        });
-      }
-
-      if (accessibleExpenses.length < expenses.length) {
-        console.log(`Admin ${adminId} attempted to approve ${expenses.length} expenses but only has access to ${accessibleExpenses.length}`);
-      }
+    if (notAllowed.length > 0) {
+      console.log(`Approver ${adminId} attempted to approve ${expenses.length} expenses but can only decide ${accessibleExpenses.length}`);
     }
-    // Super Admin can approve all expenses (no filtering needed)
 
     // Filter expenses by variance if maxVariance is specified
     let filteredExpenses = accessibleExpenses;
@@ -423,174 +759,332 @@ const bulkApproveExpenses = async (req, res) => {
       }
     }
 
-    const results = {
-      approved: [],
-      failed: [],
-      totalApproved: 0,
-      totalFailed: 0,
-      totalAmount: 0
-    };
+    const results = await approveExpenseBatch(req, filteredExpenses, approverChecks, {
+      approvedOption,
+      adminNotes,
+      bulkApproved: true
+    });
+    results.failed.unshift(...notAllowed);
+    results.totalFailed += notAllowed.length;
 
-    // Process each filtered expense
-    for (const expense of filteredExpenses) {
-      try {
-        // Check if month is locked
-        const expenseDate = expense.date;
-        const year = expenseDate.getFullYear();
-        const month = expenseDate.getMonth() + 1;
-
-        const monthLock = await MonthLock.findOne({ year, month });
-        if (monthLock && monthLock.isLocked) {
-          results.failed.push({
-            expenseId: expense._id,
-            reason: `Month ${monthLock.monthName} ${year} is locked`
-          });
-          results.totalFailed++;
-          continue;
-        }
+    const filteredCount = accessibleExpenses.length - filteredExpenses.length;
+    const summary = `${results.totalApproved} approved, ${results.totalForwarded} forwarded to the next approval level, ${results.totalFailed} failed.`;
+    const message = filteredCount > 0
+      ? `Bulk approval completed. ${summary} ${filteredCount} expenses filtered out by variance threshold.`
+      : `Bulk approval completed. ${summary}`;
 
-        // Calculate approved amount
-        let approvedAmount;
+    res.json({
+      success: true,
+      message,
+      data: {
+        ...results,
+        totalFiltered: filteredCount,
+        maxVariance: maxVariance !== undefined ? parseFloat(maxVariance) : null
+      }
+    });
+  } catch (error) {
+    console.error('Bulk approve error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bulk approve expenses',
+      error: error.message
+    });
+  }
+};
 
-        try {
-          if (expense.type === 'journey') {
-            approvedAmount = calculateApprovedAmount(expense, approvedOption);
-          } else {
-            // For non-journey expenses, use the expense amount directly
-            approvedAmount = parseFloat(expense.amount) || 0;
-          }
-        } catch (error) {
-          results.failed.push({
-            expenseId: expense._id,
-            reason: error.message
-          });
-          results.totalFailed++;
-          continue;
-        }
+/**
+ * Load a submitted claim and its pending expenses for a claim-level decision
+ * @param {String} claimId - Claim ID
+ * @returns {Promise<Object>} { claim, expenses } or { error: {status, message} }
+ */
+const loadClaimForDecision = async (claimId) => {
+  const claim = await ExpenseClaim.findById(claimId);
+  if (!claim) {
+    return { error: { status: 404, message: 'Claim not found' } };
+  }
 
-        // Update expense
-        expense.status = 'approved';
-        expense.approvedOption = approvedOption;
-        expense.approvedAmount = approvedAmount;
-        expense.approvedBy = adminId;
-        expense.approvedAt = new Date();
-        expense.adminNotes = adminNotes || '';
-        expense.bulkApproved = true; // Mark as bulk approved
+  if (claim.status === 'draft') {
+    return { error: { status: 400, message: 'Claim has not been submitted yet' } };
+  }
 
-        await expense.save();
+  const expenses = await Expense.find({ claimId: claim._id, status: 'pending' })
+    .populate('userId')
+    .populate('journeyId');
 
-        // Handle journey-attached expenses (update journey total for tracking)
-        if (expense.journeyId) {
-          console.log(`[BULK JOURNEY EXPENSE] Processing expense ${expense._id} with journeyId ${expense.journeyId}`);
-          const journey = await Journey.findById(expense.journeyId);
-          if (journey) {
-            const previousJourneyTotal = journey.additionalExpensesTotal || 0;
-            journey.additionalExpensesTotal = previousJourneyTotal + approvedAmount;
-            await journey.save();
-
-            console.log(`[BULK JOURNEY EXPENSE] Updated journey ${journey._id}: ${previousJourneyTotal} → ${journey.additionalExpensesTotal}`);
-          } else {
-            console.error(`[BULK JOURNEY EXPENSE] Journey not found: ${expense.journeyId} for expense ${expense._id}`);
-          }
-        }
+  if (expenses.length === 0) {
+    return { error: { status: 400, message: `Claim is already ${claim.status.replace('_', ' ')}` } };
+  }
 
-        // Deduct from user balance for ALL approved expenses (journey and regular)
-        console.log(`[BULK BALANCE DEDUCTION] Processing expense ${expense._id} - deducting ₹${approvedAmount} from user balance`);
-        const user = await User.findById(expense.userId._id);
-        if (user) {
-          const previousBalance = user.advanceBalance;
-          const newBalance = previousBalance - approvedAmount;
-
-          // Allow negative balances - no restrictions
-          user.advanceBalance = newBalance;
-          await user.save();
-
-          // Audit log
-          await Audit.log({
-            action: 'expense_bulk_approved',
-            performedBy: adminId,
-            targetUser: expense.userId._id,
-            metadata: {
-              expenseId: expense._id,
-              approvedOption: expense.type === 'journey' ? approvedOption : null,
-              approvedAmount,
-              adminNotes,
-              isJourneyExpense: !!expense.journeyId,
-              journeyUpdate: expense.journeyId ? {
-                journeyId: expense.journeyId,
-                addedAmount: approvedAmount
-              } : undefined,
-              balanceUpdate: {
-                previous: previousBalance,
-                current: user.advanceBalance,
-                deducted: approvedAmount
-              }
-            },
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent')
-          });
-
-          results.approved.push({
-            expenseId: expense._id,
-            userId: expense.userId._id,
-            approvedAmount,
-            isJourneyExpense: !!expense.journeyId,
-            journeyUpdate: expense.journeyId ? {
-              journeyId: expense.journeyId,
-              addedAmount: approvedAmount
-            } : undefined,
-            balanceUpdate: {
-              previous: previousBalance,
-              current: user.advanceBalance,
-              deducted: approvedAmount
-            }
-          });
-          results.totalApproved++;
-          results.totalAmount += approvedAmount;
-        } else {
-          results.failed.push({
-            expenseId: expense._id,
-            reason: 'User not found'
-          });
-          results.totalFailed++;
-        }
-      } catch (error) {
-        console.error('Error processing expense:', expense._id, error);
-        let reason = error.message;
+  return { claim, expenses };
+};
 
-        // If it's a validation error, get the specific field errors
-        if (error.name === 'ValidationError') {
-          const validationErrors = Object.values(error.errors).map(err => err.message);
-          reason = `Validation failed: ${validationErrors.join(', ')}`;
-        }
+/**
+ * Approve a whole expense claim
+ * POST /api/claims/:id/approve
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Approves every pending expense of the claim by the same rules as bulk approval
+ * - Expenses needing a further approval level are forwarded, keeping the claim submitted
+ * - Individual lines can still be decided through the expense approve/reject endpoints
+ */
+const approveClaim = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { approvedOption, adminNotes } = req.body;
+
+    const { claim, expenses, error } = await loadClaimForDecision(req.params.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // RBAC: Keep the expenses this approver can decide at their current approval level
+    const { approverChecks, notAllowed } = await checkApprovers(req.user, expenses);
+    const accessibleExpenses = expenses.filter(expense => approverChecks.has(expense._id.toString()));
+
+    if (accessibleExpenses.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. None of the expenses in this claim are awaiting your approval.',
+        data: { failed: notAllowed }
+      });
+    }
 
+    const results = await approveExpenseBatch(req, accessibleExpenses, approverChecks, {
+      approvedOption,
+      adminNotes,
+      auditAction: 'expense_approved'
+    });
+    results.failed.unshift(...notAllowed);
+    results.totalFailed += notAllowed.length;
+
+    const updatedClaim = await ExpenseClaim.findById(claim._id);
+
+    await Audit.log({
+      action: 'claim_approved',
+      performedBy: adminId,
+      targetUser: claim.userId,
+      metadata: {
+        claimId: claim._id,
+        status: updatedClaim.status,
+        totalApproved: results.totalApproved,
+        totalForwarded: results.totalForwarded,
+        totalFailed: results.totalFailed,
+        totalAmount: results.totalAmount,
+        adminNotes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Claim approval completed. ${results.totalApproved} approved, ${results.totalForwarded} forwarded to the next approval level, ${results.totalFailed} failed.`,
+      data: {
+        claim: updatedClaim,
+        ...results
+      }
+    });
+  } catch (error) {
+    console.error('Approve claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject a whole expense claim
+ * POST /api/claims/:id/reject
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Rejects every pending expense of the claim the approver can decide (see rejectExpense)
+ * - Expenses already decided keep their status, so the claim may end partially approved
+ */
+const rejectClaim = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { rejectionReason } = req.body;
+
+    const { claim, expenses, error } = await loadClaimForDecision(req.params.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // RBAC: Keep the expenses this approver can decide at their current approval level
+    const { approverChecks, notAllowed } = await checkApprovers(req.user, expenses, { action: 'reject' });
+    const accessibleExpenses = expenses.filter(expense => approverChecks.has(expense._id.toString()));
+
+    if (accessibleExpenses.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. None of the expenses in this claim are awaiting your decision.',
+        data: { failed: notAllowed }
+      });
+    }
+
+    const results = {
+      rejected: [],
+      failed: [...notAllowed],
+      totalRejected: 0,
+      totalFailed: notAllowed.length
+    };
+
+    for (const expense of accessibleExpenses) {
+      // Check if month is locked for the expense owner
+      const lockError = await checkMonthLock(expense.userId._id, expense.date, 'reject expense');
+      if (lockError) {
         results.failed.push({
           expenseId: expense._id,
-          reason: reason
+          code: lockError.code,
+          reason: lockError.message,
+          lock: lockError.details
         });
         results.totalFailed++;
+        continue;
       }
+
+      const approverCheck = approverChecks.get(expense._id.toString());
+      await recordDecision(expense, {
+        approverId: adminId,
+        level: approverCheck.level,
+        role: approverCheck.role,
+        decision: 'rejected',
+        notes: rejectionReason
+      });
+
+      expense.status = 'rejected';
+      expense.rejectionReason = rejectionReason;
+      expense.approvedBy = adminId;
+      expense.approvedAt = new Date();
+      await expense.save();
+
+      await Audit.log({
+        action: 'expense_rejected',
+        performedBy: adminId,
+        targetUser: expense.userId._id,
+        metadata: {
+          expenseId: expense._id,
+          claimId: claim._id,
+          level: approverCheck.level,
+          rejectionReason,
+          amount: expense.amount
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      results.rejected.push({ expenseId: expense._id, amount: expense.amount });
+      results.totalRejected++;
     }
 
-    const filteredCount = expenses.length - filteredExpenses.length;
-    const message = filteredCount > 0
-      ? `Bulk approval completed. ${results.totalApproved} approved, ${results.totalFailed} failed. ${filteredCount} expenses filtered out by variance threshold.`
-      : `Bulk approval completed. ${results.totalApproved} approved, ${results.totalFailed} failed.`;
+    await refreshClaimsForExpenses(accessibleExpenses, { decidedBy: adminId });
+    const updatedClaim = await ExpenseClaim.findById(claim._id);
+
+    await Audit.log({
+      action: 'claim_rejected',
+      performedBy: adminId,
+      targetUser: claim.userId,
+      metadata: {
+        claimId: claim._id,
+        status: updatedClaim.status,
+        totalRejected: results.totalRejected,
+        totalFailed: results.totalFailed,
+        rejectionReason
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
     res.json({
       success: true,
-      message,
+      message: `Claim rejection completed. ${results.totalRejected} rejected, ${results.totalFailed} failed.`,
       data: {
-        ...results,
-        totalFiltered: filteredCount,
-        maxVariance: maxVariance !== undefined ? parseFloat(maxVariance) : null
+        claim: updatedClaim,
+        ...results
       }
     });
   } catch (error) {
-    console.error('Bulk approve error:', error);
+    console.error('Reject claim error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to bulk approve expenses',
+      message: 'Failed to reject claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get expenses awaiting the current user's approval
+ * GET /api/expenses/pending-for-me
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Level 1: pending expenses of assigned users (all users for Super Admin)
+ * - Level 2: expenses awaiting finance approval (Super Admins and finance approvers)
+ * - Expenses the user already decided at an earlier level are excluded
+ */
+const getPendingForMe = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const query = await buildPendingForMeQuery(req.user);
+    if (type) {
+      query.type = type;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [expenses, total, byLevel] = await Promise.all([
+      Expense.find(query)
+        .populate('userId', 'name email employeeId')
+        .populate('approvalChain.approver', 'name email role')
+        .sort({ date: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Expense.countDocuments(query),
+      Expense.aggregate([
+        { $match: Expense.where(query).cast(Expense) }, // aggregate does not cast ObjectIds
+        { $group: { _id: { $ifNull: ['$currentApprovalLevel', 1] }, count: { $sum: 1 }, totalAmount: { $sum: '$amount' } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        expenses,
+        summary: byLevel.map(item => ({
+          level: item._id,
+          role: APPROVAL_LEVELS.find(step => step.level === item._id)?.role,
+          count: item.count,
+          totalAmount: item.totalAmount
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pending approvals',
       error: error.message
     });
   }
@@ -599,6 +1093,9 @@ const bulkApproveExpenses = async (req, res) => {
 module.exports = {
   approveExpense,
   rejectExpense,
-  bulkApproveExpenses
+  bulkApproveExpenses,
+  getPendingForMe,
+  approveClaim,
+  rejectClaim
 };
 
@@ -0,0 +1,606 @@
+/**
+ * Expense Claim Controller
+ * Employees group expenses into a claim (e.g. one trip) and submit it as a unit
+ * Claim approval and rejection live in the approval controller
+ */
+
+const Expense = require('../models/Expense');
+const ExpenseClaim = require('../models/ExpenseClaim');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const { refreshClaim } = require('../services/claimService');
+const { notifyAssignedAdmin } = require('../services/notificationService');
+const { formatMoney } = require('../utils/currency');
+
+// Fields of the claim's expenses shown with the claim
+const LINE_FIELDS = 'type date description amount approvedAmount status attachments rejectionReason approvalChain currentApprovalLevel approvalLevelsRequired hasPolicyViolation isSuspectedDuplicate hasReceiptMismatch receiptCheck journeyId';
+
+/**
+ * Whether the current user can view a claim
+ * @param {Object} currentUser - req.user
+ * @param {Object} claim - Claim document with userId populated (assignedTo)
+ * @returns {Boolean}
+ */
+const canViewClaim = (currentUser, claim) => {
+  const owner = claim.userId;
+  if ((owner._id || owner).toString() === currentUser.userId) return true;
+  if (currentUser.role === 'superadmin') return true;
+  return currentUser.role === 'admin' && owner.assignedTo?.toString() === currentUser.userId;
+};
+
+/**
+ * Load a claim owned by the current user that can still be edited
+ * @param {String} claimId - Claim ID
+ * @param {String} userId - Current user ID
+ * @returns {Promise<Object>} { claim } or { error: {status, message} }
+ */
+const loadEditableClaim = async (claimId, userId) => {
+  const claim = await ExpenseClaim.findById(claimId);
+
+  if (!claim) {
+    return { error: { status: 404, message: 'Claim not found' } };
+  }
+  if (claim.userId.toString() !== userId) {
+    return { error: { status: 403, message: 'You can only change your own claims' } };
+  }
+  if (!claim.isEditable()) {
+    return { error: { status: 400, message: `Cannot change ${claim.status.replace('_', ' ')} claim. Only draft claims can be changed.` } };
+  }
+
+  return { claim };
+};
+
+/**
+ * Check expenses can be added to a claim
+ * They must belong to the claim owner, be pending and not be part of another claim
+ *
+ * @param {Array} expenseIds - Expense IDs
+ * @param {String} userId - Claim owner
+ * @param {String} claimId - Claim the expenses are added to (optional)
+ * @returns {Promise<Object>} { expenses, invalid: [{expenseId, reason}] }
+ */
+const checkClaimableExpenses = async (expenseIds, userId, claimId) => {
+  const expenses = await Expense.find({ _id: { $in: expenseIds } }).select('userId status claimId');
+  const found = new Map(expenses.map(expense => [expense._id.toString(), expense]));
+  const invalid = [];
+
+  expenseIds.forEach(expenseId => {
+    const expense = found.get(expenseId);
+    if (!expense) {
+      invalid.push({ expenseId, reason: 'Expense not found' });
+    } else if (expense.userId.toString() !== userId) {
+      invalid.push({ expenseId, reason: 'You can only claim your own expenses' });
+    } else if (expense.status !== 'pending') {
+      invalid.push({ expenseId, reason: `Expense is already ${expense.status}` });
+    } else if (expense.claimId && expense.claimId.toString() !== claimId?.toString()) {
+      invalid.push({ expenseId, reason: 'Expense is already part of another claim' });
+    }
+  });
+
+  return { expenses, invalid };
+};
+
+/**
+ * Get claims with filters
+ * GET /api/claims
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - User can only see their own claims
+ * - Admin sees claims of users assigned to them (drafts stay private to the employee)
+ * - Super Admin sees all submitted claims
+ */
+const getClaims = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const userRole = req.user.role;
+    const { page = 1, limit = 20, status, userId: filterUserId } = req.query;
+
+    const query = {};
+
+    if (userRole === 'user') {
+      query.userId = userId;
+    } else if (userRole === 'admin') {
+      const assignedUsers = await User.find({ assignedTo: userId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (filterUserId) {
+        if (filterUserId !== userId && !assignedUserIds.some(id => id.toString() === filterUserId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view claims from users assigned to you.'
+          });
+        }
+        query.userId = filterUserId;
+      } else {
+        query.$or = [{ userId }, { userId: { $in: assignedUserIds } }];
+      }
+    } else if (filterUserId) {
+      query.userId = filterUserId;
+    }
+
+    // Drafts of other users are not shown
+    if (userRole !== 'user') {
+      query.$and = [{ $or: [{ userId }, { status: { $ne: 'draft' } }] }];
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [claims, total] = await Promise.all([
+      ExpenseClaim.find(query)
+        .populate('userId', 'name email employeeId')
+        .populate('decidedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ExpenseClaim.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        claims,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve claims',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a claim with its expenses, totals by type and attachments
+ * GET /api/claims/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getClaimById = async (req, res) => {
+  try {
+    const claim = await ExpenseClaim.findById(req.params.id)
+      .populate('userId', 'name email employeeId assignedTo')
+      .populate('decidedBy', 'name email');
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    // Drafts are private to the employee
+    const isOwner = claim.userId._id.toString() === req.user.userId;
+    if (!canViewClaim(req.user, claim) || (claim.status === 'draft' && !isOwner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this claim'
+      });
+    }
+
+    const expenses = await Expense.find({ claimId: claim._id })
+      .select(LINE_FIELDS)
+      .populate('approvalChain.approver', 'name email role')
+      .sort({ date: 1 })
+      .lean();
+
+    const totalsByType = {};
+    const attachments = [];
+    expenses.forEach(expense => {
+      totalsByType[expense.type] = parseFloat(((totalsByType[expense.type] || 0) + (expense.amount || 0)).toFixed(2));
+      (expense.attachments || []).forEach(attachment => {
+        attachments.push({
+          expenseId: expense._id,
+          type: expense.type,
+          date: expense.date,
+          url: attachment.url,
+          filename: attachment.filename,
+          fileType: attachment.fileType
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        claim,
+        expenses,
+        totalsByType,
+        attachments
+      }
+    });
+  } catch (error) {
+    console.error('Get claim by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a draft claim, optionally with expenses
+ * POST /api/claims
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createClaim = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { title, description, expenseIds = [] } = req.body;
+
+    const { invalid } = await checkClaimableExpenses(expenseIds, userId);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some expenses cannot be added to the claim',
+        data: { invalid }
+      });
+    }
+
+    const claim = await ExpenseClaim.create({ userId, title, description });
+
+    if (expenseIds.length > 0) {
+      await Expense.updateMany(
+        { _id: { $in: expenseIds } },
+        { $set: { claimId: claim._id, inDraftClaim: true } }
+      );
+    }
+    await refreshClaim(claim);
+
+    await Audit.log({
+      action: 'claim_created',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: {
+        claimId: claim._id,
+        title,
+        expenseCount: expenseIds.length
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Claim created successfully',
+      data: claim
+    });
+  } catch (error) {
+    console.error('Create claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a draft claim's title or description
+ * PUT /api/claims/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateClaim = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { title, description } = req.body;
+
+    const { claim, error } = await loadEditableClaim(req.params.id, userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const changes = {};
+    if (title !== undefined && title !== claim.title) {
+      changes.title = { from: claim.title, to: title };
+      claim.title = title;
+    }
+    if (description !== undefined && description !== claim.description) {
+      changes.description = { from: claim.description, to: description };
+      claim.description = description;
+    }
+
+    await claim.save();
+
+    await Audit.log({
+      action: 'claim_updated',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: { claimId: claim._id },
+      changes,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Claim updated successfully',
+      data: claim
+    });
+  } catch (error) {
+    console.error('Update claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add expenses to a draft claim
+ * POST /api/claims/:id/expenses
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addClaimExpenses = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { expenseIds } = req.body;
+
+    const { claim, error } = await loadEditableClaim(req.params.id, userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { invalid } = await checkClaimableExpenses(expenseIds, userId, claim._id);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some expenses cannot be added to the claim',
+        data: { invalid }
+      });
+    }
+
+    await Expense.updateMany(
+      { _id: { $in: expenseIds } },
+      { $set: { claimId: claim._id, inDraftClaim: true } }
+    );
+    await refreshClaim(claim);
+
+    await Audit.log({
+      action: 'claim_updated',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: { claimId: claim._id, addedExpenses: expenseIds },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `${expenseIds.length} expense(s) added to the claim`,
+      data: claim
+    });
+  } catch (error) {
+    console.error('Add claim expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add expenses to claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an expense from a draft claim
+ * DELETE /api/claims/:id/expenses/:expenseId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeClaimExpense = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { expenseId } = req.params;
+
+    const { claim, error } = await loadEditableClaim(req.params.id, userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const result = await Expense.updateOne(
+      { _id: expenseId, claimId: claim._id },
+      { $set: { claimId: null, inDraftClaim: false } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense is not part of this claim'
+      });
+    }
+
+    await refreshClaim(claim);
+
+    await Audit.log({
+      action: 'claim_updated',
+      performedBy: userId,
+      targetUser: userId,
+      targetExpense: expenseId,
+      metadata: { claimId: claim._id, removedExpense: expenseId },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense removed from the claim',
+      data: claim
+    });
+  } catch (error) {
+    console.error('Remove claim expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove expense from claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit a draft claim for approval
+ * POST /api/claims/:id/submit
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - The claim's expenses become visible to approvers
+ * - The employee's assigned admin is notified
+ */
+const submitClaim = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { claim, error } = await loadEditableClaim(req.params.id, userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const expenses = await Expense.find({ claimId: claim._id }).select('status');
+    if (expenses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one expense before submitting the claim'
+      });
+    }
+
+    await Expense.updateMany({ claimId: claim._id }, { $set: { inDraftClaim: false } });
+
+    claim.status = 'submitted';
+    claim.submittedAt = new Date();
+    await refreshClaim(claim);
+
+    await Audit.log({
+      action: 'claim_submitted',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: {
+        claimId: claim._id,
+        title: claim.title,
+        expenseCount: claim.totals.count,
+        amount: claim.totals.amount
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const baseCurrency = await Settings.getBaseCurrency();
+    await notifyAssignedAdmin(userId, {
+      type: 'claim_submitted',
+      title: 'Expense claim submitted',
+      message: `"${claim.title}" with ${claim.totals.count} expense(s) totalling ${formatMoney(claim.totals.amount, baseCurrency)} is awaiting approval.`,
+      metadata: { claimId: claim._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Claim submitted for approval',
+      data: claim
+    });
+  } catch (error) {
+    console.error('Submit claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit claim',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a draft claim
+ * DELETE /api/claims/:id
+ * The claim's expenses are kept and released from the claim
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteClaim = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { claim, error } = await loadEditableClaim(req.params.id, userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const released = await Expense.updateMany(
+      { claimId: claim._id },
+      { $set: { claimId: null, inDraftClaim: false } }
+    );
+    await ExpenseClaim.findByIdAndDelete(claim._id);
+
+    await Audit.log({
+      action: 'claim_deleted',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: {
+        claimId: claim._id,
+        title: claim.title,
+        releasedExpenses: released.modifiedCount
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Claim deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete claim',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getClaims,
+  getClaimById,
+  createClaim,
+  updateClaim,
+  addClaimExpenses,
+  removeClaimExpense,
+  submitClaim,
+  deleteClaim
+};
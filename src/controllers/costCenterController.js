@@ -0,0 +1,276 @@
+/**
+ * Cost Center Controller
+ * Manages the departments and projects that expenses and journeys are charged to
+ */
+
+const CostCenter = require('../models/CostCenter');
+const Audit = require('../models/Audit');
+
+// Fields an admin can change after creation
+const COST_CENTER_FIELDS = ['name', 'type', 'description', 'isActive'];
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {String} value - Raw search text
+ * @returns {String} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get cost centers with filters
+ * GET /api/cost-centers
+ * @access Private
+ * @description
+ * - All authenticated users can list active cost centers to charge expenses to
+ * - Admin and Super Admin can include inactive cost centers (isActive=false)
+ */
+const getCostCenters = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, type, isActive } = req.query;
+    const isAdmin = ['admin', 'superadmin'].includes(req.user.role);
+
+    const query = {};
+    if (isAdmin && isActive !== undefined) {
+      query.isActive = isActive;
+    } else if (!isAdmin) {
+      query.isActive = true;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [costCenters, total] = await Promise.all([
+      CostCenter.find(query)
+        .sort({ code: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CostCenter.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        costCenters,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get cost centers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cost centers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get cost center by ID
+ * GET /api/cost-centers/:id
+ * @access Private
+ */
+const getCostCenterById = async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    const isAdmin = ['admin', 'superadmin'].includes(req.user.role);
+    if (!costCenter || (!costCenter.isActive && !isAdmin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cost center not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { costCenter }
+    });
+  } catch (error) {
+    console.error('Get cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cost center',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a cost center
+ * POST /api/cost-centers
+ * @access Admin, Super Admin
+ */
+const createCostCenter = async (req, res) => {
+  try {
+    const existing = await CostCenter.findOne({ code: req.body.code });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Cost center "${existing.code}" already exists`,
+        data: { costCenterId: existing._id, isActive: existing.isActive }
+      });
+    }
+
+    const costCenter = await CostCenter.create({
+      ...req.body,
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    await Audit.log({
+      action: 'cost_center_created',
+      performedBy: req.user.userId,
+      metadata: {
+        costCenterId: costCenter._id,
+        code: costCenter.code,
+        name: costCenter.name,
+        type: costCenter.type
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cost center created successfully',
+      data: { costCenter }
+    });
+  } catch (error) {
+    console.error('Create cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create cost center',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a cost center
+ * PUT /api/cost-centers/:id
+ * @access Admin, Super Admin
+ * @description
+ * - The code cannot be changed; existing allocations keep pointing at the same cost center
+ */
+const updateCostCenter = async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findById(req.params.id);
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cost center not found'
+      });
+    }
+
+    const changes = {};
+    COST_CENTER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== costCenter[field]) {
+        changes[field] = { from: costCenter[field], to: req.body[field] };
+        costCenter[field] = req.body[field];
+      }
+    });
+    costCenter.updatedBy = req.user.userId;
+    await costCenter.save();
+
+    await Audit.log({
+      action: 'cost_center_updated',
+      performedBy: req.user.userId,
+      metadata: {
+        costCenterId: costCenter._id,
+        code: costCenter.code,
+        changes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Cost center updated successfully',
+      data: { costCenter }
+    });
+  } catch (error) {
+    console.error('Update cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cost center',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a cost center (soft delete)
+ * DELETE /api/cost-centers/:id
+ * @access Admin, Super Admin
+ * @description
+ * - Expenses and journeys keep their allocations; the cost center can no longer be selected
+ */
+const deactivateCostCenter = async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findById(req.params.id);
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cost center not found'
+      });
+    }
+
+    if (!costCenter.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cost center is already inactive'
+      });
+    }
+
+    costCenter.isActive = false;
+    costCenter.updatedBy = req.user.userId;
+    await costCenter.save();
+
+    await Audit.log({
+      action: 'cost_center_deactivated',
+      performedBy: req.user.userId,
+      metadata: {
+        costCenterId: costCenter._id,
+        code: costCenter.code,
+        name: costCenter.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Cost center deactivated successfully',
+      data: { costCenter }
+    });
+  } catch (error) {
+    console.error('Deactivate cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate cost center',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCostCenters,
+  getCostCenterById,
+  createCostCenter,
+  updateCostCenter,
+  deactivateCostCenter
+};
@@ -0,0 +1,369 @@
+/**
+ * Customer Controller
+ * Manages the customer registry and geofenced site locations
+ */
+
+const Customer = require('../models/Customer');
+const Audit = require('../models/Audit');
+const { normalizeName } = require('../models/Customer');
+
+// Default search radius for the journey-start lookup (meters)
+const DEFAULT_LOOKUP_RADIUS_METERS = 5000;
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {String} value - Raw search text
+ * @returns {String} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get customers with filters
+ * GET /api/customers
+ * @access Private
+ * @description
+ * - All authenticated users can browse active customers
+ * - Admin and Super Admin can include inactive customers (isActive=false)
+ */
+const getCustomers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, city, isActive } = req.query;
+    const isAdmin = ['admin', 'superadmin'].includes(req.user.role);
+
+    const query = {};
+    if (isAdmin && isActive !== undefined) {
+      query.isActive = isActive;
+    } else if (!isAdmin) {
+      query.isActive = true;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { code: pattern }];
+    }
+    if (city) {
+      query['address.city'] = new RegExp(`^${escapeRegex(city)}$`, 'i');
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Customer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        customers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve customers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Look up customers when starting a journey
+ * GET /api/customers/lookup
+ * @access Private
+ * @description
+ * - With latitude/longitude: active customers within radius, nearest first,
+ *   each with its distance and whether the position is inside its geofence
+ * - With search only: active customers matching the name or code
+ */
+const lookupCustomers = async (req, res) => {
+  try {
+    const { latitude, longitude, search, radius = DEFAULT_LOOKUP_RADIUS_METERS, limit = 10 } = req.query;
+
+    if (latitude === undefined || longitude === undefined) {
+      const pattern = new RegExp(escapeRegex(search || ''), 'i');
+      const customers = await Customer.find({
+        isActive: true,
+        $or: [{ name: pattern }, { code: pattern }]
+      })
+        .sort({ name: 1 })
+        .limit(parseInt(limit));
+
+      return res.json({
+        success: true,
+        data: { customers }
+      });
+    }
+
+    const pipeline = [
+      {
+        $geoNear: {
+          near: Customer.toPoint({ latitude, longitude }),
+          distanceField: 'distanceMeters',
+          maxDistance: radius,
+          spherical: true,
+          query: { isActive: true }
+        }
+      }
+    ];
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      pipeline.push({ $match: { $or: [{ name: pattern }, { code: pattern }] } });
+    }
+    pipeline.push({ $limit: parseInt(limit) });
+
+    const results = await Customer.aggregate(pipeline);
+
+    const customers = results.map(customer => ({
+      ...customer,
+      distanceMeters: Math.round(customer.distanceMeters),
+      insideGeofence: customer.distanceMeters <= customer.geofenceRadius
+    }));
+
+    res.json({
+      success: true,
+      data: { customers }
+    });
+  } catch (error) {
+    console.error('Lookup customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up customers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get customer by ID
+ * GET /api/customers/:id
+ * @access Private
+ */
+const getCustomerById = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    const isAdmin = ['admin', 'superadmin'].includes(req.user.role);
+    if (!customer || (!customer.isActive && !isAdmin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { customer }
+    });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a customer
+ * POST /api/customers
+ * @access Admin, Super Admin
+ */
+const createCustomer = async (req, res) => {
+  try {
+    const { coordinates, ...data } = req.body;
+
+    const existing = await Customer.findOne({ normalizedName: normalizeName(data.name) });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Customer "${existing.name}" already exists`,
+        data: { customerId: existing._id, isActive: existing.isActive }
+      });
+    }
+
+    const customer = await Customer.create({
+      ...data,
+      location: Customer.toPoint(coordinates),
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    await Audit.log({
+      action: 'customer_created',
+      performedBy: req.user.userId,
+      metadata: {
+        customerId: customer._id,
+        name: customer.name,
+        coordinates,
+        geofenceRadius: customer.geofenceRadius
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: { customer }
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a customer
+ * PUT /api/customers/:id
+ * @access Admin, Super Admin
+ * @description
+ * - Changing the site or radius only affects journeys completed afterwards
+ */
+const updateCustomer = async (req, res) => {
+  try {
+    const { coordinates, address, ...data } = req.body;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (data.name && normalizeName(data.name) !== customer.normalizedName) {
+      const existing = await Customer.findOne({
+        normalizedName: normalizeName(data.name),
+        _id: { $ne: customer._id }
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Customer "${existing.name}" already exists`
+        });
+      }
+    }
+
+    const changes = {};
+    Object.keys(data).forEach(key => {
+      changes[key] = { from: customer[key], to: data[key] };
+    });
+
+    Object.assign(customer, data);
+    if (address) {
+      customer.address = { ...customer.address?.toObject?.(), ...address };
+      changes.address = true;
+    }
+    if (coordinates) {
+      changes.coordinates = { from: customer.coordinates, to: coordinates };
+      customer.location = Customer.toPoint(coordinates);
+    }
+    customer.updatedBy = req.user.userId;
+    await customer.save();
+
+    await Audit.log({
+      action: 'customer_updated',
+      performedBy: req.user.userId,
+      metadata: {
+        customerId: customer._id,
+        name: customer.name,
+        changes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: { customer }
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a customer (soft delete)
+ * DELETE /api/customers/:id
+ * @access Admin, Super Admin
+ * @description
+ * - Existing journeys keep their reference; the customer can no longer be selected
+ */
+const deactivateCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (!customer.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is already inactive'
+      });
+    }
+
+    customer.isActive = false;
+    customer.updatedBy = req.user.userId;
+    await customer.save();
+
+    await Audit.log({
+      action: 'customer_deactivated',
+      performedBy: req.user.userId,
+      metadata: {
+        customerId: customer._id,
+        name: customer.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer deactivated successfully',
+      data: { customer }
+    });
+  } catch (error) {
+    console.error('Deactivate customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate customer',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCustomers,
+  lookupCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deactivateCustomer
+};
@@ -7,6 +7,9 @@ const User = require('../models/User');
 const Expense = require('../models/Expense');
 const Advance = require('../models/Advance');
 const Journey = require('../models/Journey');
+const Settings = require('../models/Settings');
+const { getForeignCurrencyTotals } = require('../services/currencyService');
+const { getCostCenterFilter, getCostCenterStages } = require('../services/costCenterService');
 const mongoose = require('mongoose');
 
 /**
@@ -20,11 +23,18 @@ const mongoose = require('mongoose');
  * @description
  * - Super Admin sees system-wide statistics
  * - Admin sees statistics only for users assigned to them
+ * - Pending expenses with expense policy violations are listed for review
+ * - Amounts are in the base currency; foreign-currency spend is broken out per currency
+ * - This month's approved spend is broken out per cost center (split expenses at their share)
+ * - costCenterId limits the statistics to that cost center's share of each expense
+ * - Advance requests awaiting a decision or disbursement are listed, oldest first
  */
 const getAdminDashboard = async (req, res) => {
   try {
     const adminId = req.user.userId;
     const userRole = req.user.role;
+    const { costCenterId } = req.query;
+    const costCenterStages = getCostCenterStages(costCenterId);
     const now = new Date();
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
     const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
@@ -42,6 +52,7 @@ const getAdminDashboard = async (req, res) => {
       expenseFilter.userId = { $in: assignedUserIds };
     }
     // Super Admin has no filter (sees all)
+    Object.assign(expenseFilter, getCostCenterFilter(costCenterId));
 
     // 1. Pending approvals count
     const pendingCount = await Expense.countDocuments({
@@ -58,6 +69,7 @@ const getAdminDashboard = async (req, res) => {
           ...expenseFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: null,
@@ -77,6 +89,7 @@ const getAdminDashboard = async (req, res) => {
           ...expenseFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: '$userId',
@@ -142,7 +155,115 @@ const getAdminDashboard = async (req, res) => {
     }
     const activeJourneys = await Journey.countDocuments(journeyFilter);
 
-    // 7. This month's statistics
+    // 7. Pending expenses flagged by the expense policy
+    const policyViolationFilter = {
+      status: 'pending',
+      hasPolicyViolation: true,
+      ...expenseFilter
+    };
+    const [policyViolationCount, policyViolationExpenses] = await Promise.all([
+      Expense.countDocuments(policyViolationFilter),
+      Expense.find(policyViolationFilter)
+        .select('userId type date amount description policyViolations')
+        .populate('userId', 'name email employeeId')
+        .sort({ date: -1 })
+        .limit(10)
+    ]);
+
+    // 8. This month's approved spend per foreign currency
+    const [baseCurrency, thisMonthByCurrency] = await Promise.all([
+      Settings.getBaseCurrency(),
+      getForeignCurrencyTotals(Expense, {
+        status: 'approved',
+        date: { $gte: monthStart, $lte: monthEnd },
+        ...expenseFilter
+      }, 'approvedAmount', costCenterStages)
+    ]);
+
+    // 9. This month's approved spend per cost center (expenses without one are grouped under null)
+    const costCenterBreakdown = await Expense.aggregate([
+      {
+        $match: {
+          status: 'approved',
+          date: { $gte: monthStart, $lte: monthEnd },
+          ...expenseFilter
+        }
+      },
+      {
+        $unwind: { path: '$allocations', preserveNullAndEmptyArrays: true }
+      },
+      ...(costCenterId ? [{ $match: getCostCenterFilter(costCenterId) }] : []),
+      {
+        $group: {
+          _id: '$allocations.costCenterId',
+          totalAmount: {
+            $sum: {
+              $multiply: [
+                { $ifNull: ['$approvedAmount', 0] },
+                { $divide: [{ $ifNull: ['$allocations.percentage', 100] }, 100] }
+              ]
+            }
+          },
+          expenseCount: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { totalAmount: -1 }
+      },
+      {
+        $lookup: {
+          from: 'costcenters',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'costCenter'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          costCenterId: '$_id',
+          code: { $arrayElemAt: ['$costCenter.code', 0] },
+          name: { $arrayElemAt: ['$costCenter.name', 0] },
+          type: { $arrayElemAt: ['$costCenter.type', 0] },
+          totalAmount: 1,
+          expenseCount: 1
+        }
+      }
+    ]);
+
+    // 10. Advance requests awaiting a decision or disbursement
+    const advanceRequestFilter = {
+      status: { $in: ['requested', 'approved'] },
+      requestedAt: { $ne: null },
+      isDeleted: false
+    };
+    if (userRole === 'admin') {
+      advanceRequestFilter.userId = { $in: assignedUserIds };
+    }
+
+    const [advanceRequestTotals, openAdvanceRequests] = await Promise.all([
+      Advance.aggregate([
+        { $match: advanceRequestFilter },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            totalAmount: { $sum: '$amount' }
+          }
+        }
+      ]),
+      Advance.find(advanceRequestFilter)
+        .populate('userId', 'name email employeeId advanceBalance')
+        .select('userId amount currency originalAmount purpose tripStartDate tripEndDate status requestedAt decidedAt')
+        .sort({ requestedAt: 1 })
+        .limit(10)
+    ]);
+    const advanceRequestStatus = (status) => {
+      const totals = advanceRequestTotals.find(t => t._id === status);
+      return { count: totals ? totals.count : 0, totalAmount: totals ? totals.totalAmount : 0 };
+    };
+
+    // 11. This month's statistics
     const monthStats = {
       totalExpenses: thisMonthTotal,
       pendingExpenses: pendingCount,
@@ -170,6 +291,23 @@ const getAdminDashboard = async (req, res) => {
         },
         topSpenders,
         lowBalanceEmployees,
+        policyViolations: {
+          pendingCount: policyViolationCount,
+          expenses: policyViolationExpenses
+        },
+        currencies: {
+          baseCurrency,
+          thisMonthByCurrency
+        },
+        costCenters: {
+          costCenterId: costCenterId || null,
+          thisMonth: costCenterBreakdown
+        },
+        advanceRequests: {
+          awaitingDecision: advanceRequestStatus('requested'),
+          awaitingDisbursement: advanceRequestStatus('approved'),
+          requests: openAdvanceRequests
+        },
         monthStats
       }
     });
@@ -196,10 +334,13 @@ const getAdminDashboard = async (req, res) => {
  * - Super Admin can view any user's dashboard
  * - Admin can only view dashboards for users assigned to them
  * - Users can only view their own dashboard
+ * - costCenterId limits the amounts to that cost center's share of each expense
+ * - The user's open advance requests (requested or approved, not yet disbursed) are listed
  */
 const getUserDashboard = async (req, res) => {
   try {
     const { id } = req.params;
+    const { costCenterId } = req.query;
     const requestingUserId = req.user.userId;
     const requestingUserRole = req.user.role;
 
@@ -248,14 +389,20 @@ const getUserDashboard = async (req, res) => {
     // 1. Current balance
     const currentBalance = user.advanceBalance;
 
+    // Optional cost center filter
+    const costCenterFilter = getCostCenterFilter(costCenterId);
+    const costCenterStages = getCostCenterStages(costCenterId);
+
     // 2. Pending expenses count and amount
     const pendingExpenses = await Expense.aggregate([
       {
         $match: {
           userId: mongoose.Types.ObjectId(id),
-          status: 'pending'
+          status: 'pending',
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: null,
@@ -273,9 +420,11 @@ const getUserDashboard = async (req, res) => {
         $match: {
           userId: mongoose.Types.ObjectId(id),
           status: 'approved',
-          date: { $gte: monthStart, $lte: monthEnd }
+          date: { $gte: monthStart, $lte: monthEnd },
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: null,
@@ -287,15 +436,29 @@ const getUserDashboard = async (req, res) => {
 
     const approved = approvedThisMonth.length > 0 ? approvedThisMonth[0] : { count: 0, totalAmount: 0 };
 
+    // Foreign-currency share of the pending and approved totals
+    const [baseCurrency, pendingByCurrency, approvedByCurrency] = await Promise.all([
+      Settings.getBaseCurrency(),
+      getForeignCurrencyTotals(Expense, { userId: id, status: 'pending', ...costCenterFilter }, 'amount', costCenterStages),
+      getForeignCurrencyTotals(Expense, {
+        userId: id,
+        status: 'approved',
+        date: { $gte: monthStart, $lte: monthEnd },
+        ...costCenterFilter
+      }, 'approvedAmount', costCenterStages)
+    ]);
+
     // 4. Last 30 days trend (daily expenses)
     const last30DaysTrend = await Expense.aggregate([
       {
         $match: {
           userId: mongoose.Types.ObjectId(id),
           status: 'approved',
-          date: { $gte: last30Days }
+          date: { $gte: last30Days },
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: {
@@ -343,9 +506,11 @@ const getUserDashboard = async (req, res) => {
         $match: {
           userId: mongoose.Types.ObjectId(id),
           status: 'approved',
-          date: { $gte: monthStart, $lte: monthEnd }
+          date: { $gte: monthStart, $lte: monthEnd },
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: '$type',
@@ -355,6 +520,17 @@ const getUserDashboard = async (req, res) => {
       }
     ]);
 
+    // 6. Open advance requests
+    const advanceRequests = await Advance.find({
+      userId: id,
+      status: { $in: ['requested', 'approved'] },
+      requestedAt: { $ne: null },
+      isDeleted: false
+    })
+      .populate('decidedBy', 'name email employeeId')
+      .select('amount currency originalAmount purpose tripStartDate tripEndDate status requestedAt decidedBy decidedAt decisionNotes')
+      .sort({ requestedAt: -1 });
+
     res.status(200).json({
       success: true,
       message: 'User dashboard data retrieved successfully',
@@ -367,18 +543,23 @@ const getUserDashboard = async (req, res) => {
           currentBalance
         },
         summary: {
+          baseCurrency,
+          costCenterId: costCenterId || null,
           currentBalance,
           pendingExpenses: {
             count: pending.count,
-            totalAmount: pending.totalAmount
+            totalAmount: pending.totalAmount,
+            byCurrency: pendingByCurrency
           },
           approvedThisMonth: {
             count: approved.count,
-            totalAmount: approved.totalAmount
+            totalAmount: approved.totalAmount,
+            byCurrency: approvedByCurrency
           }
         },
         trendData,
-        expenseBreakdown
+        expenseBreakdown,
+        advanceRequests
       }
     });
 
@@ -400,10 +581,13 @@ const getUserDashboard = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Object} Monthly summary with breakdown
+ * @description
+ * - costCenterId limits the amounts to that cost center's share of each expense
  */
 const getMonthSummary = async (req, res) => {
   try {
     const { userId, year, month } = req.params;
+    const { costCenterId } = req.query;
     const requestingUserId = req.user.userId;
     const requestingUserRole = req.user.role;
 
@@ -438,14 +622,20 @@ const getMonthSummary = async (req, res) => {
     const monthStart = new Date(yearNum, monthNum - 1, 1);
     const monthEnd = new Date(yearNum, monthNum, 0, 23, 59, 59);
 
+    // Optional cost center filter
+    const costCenterFilter = getCostCenterFilter(costCenterId);
+    const costCenterStages = getCostCenterStages(costCenterId);
+
     // 1. Total expenses by status
     const expensesByStatus = await Expense.aggregate([
       {
         $match: {
           userId: mongoose.Types.ObjectId(userId),
-          date: { $gte: monthStart, $lte: monthEnd }
+          date: { $gte: monthStart, $lte: monthEnd },
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: '$status',
@@ -469,9 +659,11 @@ const getMonthSummary = async (req, res) => {
         $match: {
           userId: mongoose.Types.ObjectId(userId),
           status: 'approved',
-          date: { $gte: monthStart, $lte: monthEnd }
+          date: { $gte: monthStart, $lte: monthEnd },
+          ...costCenterFilter
         }
       },
+      ...costCenterStages,
       {
         $group: {
           _id: '$type',
@@ -518,6 +710,7 @@ const getMonthSummary = async (req, res) => {
           month: monthNum,
           monthName: monthStart.toLocaleString('default', { month: 'long' })
         },
+        costCenterId: costCenterId || null,
         summary: {
           totalExpenses,
           approvedExpenses,
@@ -0,0 +1,181 @@
+/**
+ * Duplicate Review Controller
+ * Admin queue for expenses flagged as suspected duplicates
+ */
+
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+
+// Fields of the matched expenses shown next to each suspected duplicate
+const MATCH_FIELDS = 'userId type date amount description status attachments createdAt';
+
+/**
+ * Get the duplicate review queue
+ * GET /api/expenses/duplicates
+ * Admin and Super Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Super Admin sees all suspected duplicates
+ * - Admin only sees expenses from users assigned to them
+ * - status=suspected (default) lists expenses awaiting review; confirmed/dismissed list reviewed ones
+ */
+const getDuplicateQueue = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+    const { page = 1, limit = 20, status = 'suspected', userId: filterUserId } = req.query;
+
+    const query = { 'duplicateCheck.status': status };
+
+    if (userRole === 'admin') {
+      const assignedUsers = await User.find({ assignedTo: adminId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (filterUserId) {
+        if (!assignedUserIds.some(id => id.toString() === filterUserId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view expenses from users assigned to you.'
+          });
+        }
+        query.userId = filterUserId;
+      } else {
+        query.userId = { $in: assignedUserIds };
+      }
+    } else if (filterUserId) {
+      query.userId = filterUserId;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [expenses, total] = await Promise.all([
+      Expense.find(query)
+        .populate('userId', 'name email employeeId')
+        .populate({
+          path: 'duplicateCheck.matches.expenseId',
+          select: MATCH_FIELDS,
+          populate: { path: 'userId', select: 'name email employeeId' }
+        })
+        .populate('duplicateCheck.reviewedBy', 'name email')
+        .sort({ 'duplicateCheck.checkedAt': -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Expense.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        expenses,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve duplicate review queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Review a suspected duplicate
+ * PUT /api/expenses/:id/duplicate-review
+ * Admin and Super Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - confirmed: the expense is a duplicate (reject it through the normal rejection flow)
+ * - dismissed: the expense is genuine and leaves the queue
+ */
+const reviewDuplicate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+    const { decision, notes } = req.body;
+
+    const expense = await Expense.findById(id);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    // RBAC: Admin can only review expenses from users assigned to them
+    if (userRole === 'admin') {
+      const expenseUser = await User.findById(expense.userId);
+      if (!expenseUser || !expenseUser.assignedTo || expenseUser.assignedTo.toString() !== adminId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only review expenses from users assigned to you.'
+        });
+      }
+    }
+
+    const previousStatus = expense.duplicateCheck?.status || 'none';
+    if (previousStatus === 'none') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is not flagged as a duplicate'
+      });
+    }
+
+    expense.duplicateCheck.status = decision;
+    expense.duplicateCheck.reviewedBy = adminId;
+    expense.duplicateCheck.reviewedAt = new Date();
+    expense.duplicateCheck.reviewNotes = notes;
+    expense.isSuspectedDuplicate = false;
+    await expense.save();
+
+    await Audit.log({
+      action: 'expense_duplicate_reviewed',
+      performedBy: adminId,
+      targetUser: expense.userId,
+      targetExpense: expense._id,
+      metadata: {
+        expenseId: expense._id,
+        previousStatus,
+        decision,
+        duplicateOf: expense.duplicateOf,
+        matches: expense.duplicateCheck.matches.map(match => match.expenseId)
+      },
+      notes,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'confirmed'
+        ? 'Expense confirmed as duplicate'
+        : 'Duplicate flag dismissed',
+      data: expense
+    });
+  } catch (error) {
+    console.error('Review duplicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review duplicate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDuplicateQueue,
+  reviewDuplicate
+};
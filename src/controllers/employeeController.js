@@ -314,7 +314,7 @@ const getEmployeeById = async (req, res) => {
  * @description
  * - Super Admin can update any employee
  * - Admin can only update users assigned to them
- * - Only Super Admin can change role or assignedTo fields
+ * - Only Super Admin can change role, assignedTo or canApproveFinance fields
  */
 const updateEmployee = async (req, res) => {
   try {
@@ -329,11 +329,11 @@ const updateEmployee = async (req, res) => {
       });
     }
 
-    // RBAC: Only superadmin can update role or assignedTo
-    if ((updates.role || updates.assignedTo) && req.user.role !== 'superadmin') {
+    // RBAC: Only superadmin can update role, assignedTo or finance approval rights
+    if ((updates.role || updates.assignedTo || updates.canApproveFinance !== undefined) && req.user.role !== 'superadmin') {
       return res.status(403).json({
         success: false,
-        message: 'Only Super Admin can change role or assignment'
+        message: 'Only Super Admin can change role, assignment or finance approval rights'
       });
     }
 
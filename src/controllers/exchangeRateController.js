@@ -0,0 +1,282 @@
+/**
+ * Exchange Rate Controller
+ * Manages the exchange-rate table used to convert foreign-currency amounts
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const Settings = require('../models/Settings');
+const Audit = require('../models/Audit');
+const { convertToBase, sendExchangeRateMissing } = require('../services/currencyService');
+
+const { toEffectiveDate } = ExchangeRate;
+
+// Fields that can be changed on an existing rate
+const RATE_FIELDS = ['rate', 'source', 'notes'];
+
+/**
+ * Get exchange rates with filters
+ * GET /api/exchange-rates
+ * @access Private
+ * @description
+ * - All users can view the rates their expenses are converted with
+ * - Newest effective date first
+ */
+const getExchangeRates = async (req, res) => {
+  try {
+    const { currency, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+    const baseCurrency = await Settings.getBaseCurrency();
+
+    const query = { baseCurrency };
+    if (currency) {
+      query.currency = currency;
+    }
+    if (dateFrom || dateTo) {
+      query.effectiveDate = {};
+      if (dateFrom) query.effectiveDate.$gte = toEffectiveDate(dateFrom);
+      if (dateTo) query.effectiveDate.$lte = toEffectiveDate(dateTo);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .populate('updatedBy', 'name email')
+        .sort({ effectiveDate: -1, currency: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency,
+        rates,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview the conversion of an amount to the base currency
+ * GET /api/exchange-rates/convert
+ * @access Private
+ */
+const convertAmount = async (req, res) => {
+  try {
+    const { currency, amount, date } = req.query;
+
+    const { conversion, rateError } = await convertToBase({ amount, currency, date });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: await Settings.getBaseCurrency(),
+        ...conversion
+      }
+    });
+  } catch (error) {
+    console.error('Convert amount error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert amount',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add an exchange rate
+ * POST /api/exchange-rates
+ * @access Admin, Super Admin
+ * @description
+ * - One rate per currency and effective date
+ * - The rate applies to expenses dated on or after the effective date until the next rate
+ */
+const createExchangeRate = async (req, res) => {
+  try {
+    const { currency, rate, effectiveDate, source, notes } = req.body;
+    const baseCurrency = await Settings.getBaseCurrency();
+
+    if (currency === baseCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: `${currency} is the base currency`
+      });
+    }
+
+    const existing = await ExchangeRate.findOne({
+      currency,
+      baseCurrency,
+      effectiveDate: toEffectiveDate(effectiveDate)
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${currency} rate effective ${toEffectiveDate(effectiveDate).toISOString().slice(0, 10)} already exists`,
+        data: { exchangeRateId: existing._id }
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      currency,
+      baseCurrency,
+      rate,
+      effectiveDate,
+      source,
+      notes,
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    await Audit.log({
+      action: 'exchange_rate_created',
+      performedBy: req.user.userId,
+      metadata: {
+        exchangeRateId: exchangeRate._id,
+        currency,
+        baseCurrency,
+        rate,
+        effectiveDate: exchangeRate.effectiveDate
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: { exchangeRate }
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update an exchange rate
+ * PUT /api/exchange-rates/:id
+ * @access Admin, Super Admin
+ * @description
+ * - Expenses already converted keep the rate stored on them; edits apply to new conversions
+ */
+const updateExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    const changes = {};
+    RATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = { from: exchangeRate[field], to: req.body[field] };
+        exchangeRate[field] = req.body[field];
+      }
+    });
+    exchangeRate.updatedBy = req.user.userId;
+
+    await exchangeRate.save();
+
+    await Audit.log({
+      action: 'exchange_rate_updated',
+      performedBy: req.user.userId,
+      metadata: {
+        exchangeRateId: exchangeRate._id,
+        currency: exchangeRate.currency,
+        effectiveDate: exchangeRate.effectiveDate,
+        changes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: { exchangeRate }
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * DELETE /api/exchange-rates/:id
+ * @access Admin, Super Admin
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await Audit.log({
+      action: 'exchange_rate_deleted',
+      performedBy: req.user.userId,
+      metadata: {
+        exchangeRateId: exchangeRate._id,
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        effectiveDate: exchangeRate.effectiveDate
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  convertAmount,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+};
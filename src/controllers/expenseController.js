@@ -7,9 +7,125 @@ const Expense = require('../models/Expense');
 const Journey = require('../models/Journey');
 const User = require('../models/User');
 const Audit = require('../models/Audit');
-const MonthLock = require('../models/MonthLock');
 const Settings = require('../models/Settings');
-const { calculateVarianceWithCategory } = require('../utils/varianceCalculator');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const { calculateVarianceWithCategory, calculateVarianceAmount } = require('../utils/varianceCalculator');
+const { checkMonthLock, sendMonthLocked } = require('../services/monthLockService');
+const { evaluateExpensePolicy, sendPolicyViolation } = require('../services/policyService');
+const { resolveAttachmentHashes, applyDuplicateCheck } = require('../services/duplicateService');
+const { refreshClaimsForExpenses } = require('../services/claimService');
+const { convertToBase, sendExchangeRateMissing } = require('../services/currencyService');
+const { getReceiptSuggestions, applyReceiptCheck } = require('../services/receiptExtractionService');
+const {
+  getSingleAllocation,
+  resolveAllocations,
+  sendInvalidAllocation,
+  getCostCenterFilter,
+  getCostCenterStages,
+  getAllocationShare
+} = require('../services/costCenterService');
+
+const { REVISION_FIELDS } = ExpenseRevision;
+
+/**
+ * Copy the revisable fields of an expense as plain values
+ * @param {Object} expense - Expense document
+ * @returns {Object} Values of REVISION_FIELDS
+ */
+const pickRevisionFields = (expense) => {
+  const values = {};
+  REVISION_FIELDS.forEach(field => {
+    const value = expense[field];
+    if (field === 'attachments') {
+      values.attachments = (value || []).map(attachment => ({
+        url: attachment.url,
+        filename: attachment.filename,
+        contentHash: attachment.contentHash
+      }));
+    } else if (field === 'gst') {
+      values.gst = value ? value.toObject() : null;
+    } else if (field === 'allocations') {
+      values.allocations = (value || []).map(allocation => ({
+        costCenterId: allocation.costCenterId.toString(),
+        percentage: allocation.percentage
+      }));
+    } else if (value instanceof Date) {
+      values[field] = value.toISOString();
+    } else {
+      values[field] = value ?? null;
+    }
+  });
+  return values;
+};
+
+/**
+ * Field-level diff between two sets of revisable values
+ * Attachments are compared by URL
+ *
+ * @param {Object} before - Values from pickRevisionFields
+ * @param {Object} after - Values from pickRevisionFields
+ * @returns {Array} Changes [{field, from, to}]
+ */
+const diffRevisionFields = (before, after) => {
+  const comparable = (field, value) => (field === 'attachments'
+    ? JSON.stringify(value.map(attachment => attachment.url))
+    : JSON.stringify(value));
+
+  return REVISION_FIELDS
+    .filter(field => comparable(field, before[field]) !== comparable(field, after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+/**
+ * Convert an edited expense to the base currency again
+ * The amount is taken in the expense's (possibly changed) currency, at the expense date
+ *
+ * @param {Object} expense - Expense document with the other edits applied
+ * @param {Object} changes - { amount, currency } from the request
+ * @returns {Promise<Object|null>} EXCHANGE_RATE_MISSING payload, or null when converted
+ */
+const reconvertExpense = async (expense, { amount, currency }) => {
+  if (amount === undefined && currency === undefined && !expense.isModified('date')) {
+    return null;
+  }
+
+  const { conversion, rateError } = await convertToBase({
+    amount: amount ?? expense.originalAmount ?? expense.amount,
+    currency: expense.type === 'journey' ? null : (currency ?? expense.currency),
+    date: expense.date
+  });
+  if (rateError) {
+    return rateError;
+  }
+
+  expense.set(conversion);
+  return null;
+};
+
+/**
+ * Charge an edited expense to the cost centers given in the request
+ * Amount splits are checked against the expense amount as entered (after any amount change)
+ *
+ * @param {Object} expense - Expense document with the other edits applied
+ * @param {Object} changes - { costCenterId, allocations } from the request
+ * @returns {Promise<Object|null>} INVALID_COST_CENTER_ALLOCATION payload, or null when applied
+ */
+const reallocateExpense = async (expense, { costCenterId, allocations }) => {
+  if (costCenterId === undefined && allocations === undefined) {
+    return null;
+  }
+
+  const { allocation, allocationError } = await resolveAllocations(
+    { costCenterId, allocations },
+    expense.originalAmount ?? expense.amount
+  );
+  if (allocationError) {
+    return allocationError;
+  }
+
+  expense.set(allocation);
+  return null;
+};
 
 /**
  * Create a new expense
@@ -17,6 +133,13 @@ const { calculateVarianceWithCategory } = require('../utils/varianceCalculator')
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @description
+ * - Foreign-currency amounts are converted to the base currency at the expense date (EXCHANGE_RATE_MISSING without a rate)
+ * - General expenses are checked against the expense policy for their type
+ * - Block-mode violations refuse the expense (POLICY_VIOLATION); warn-mode violations are stored on it
+ * - Suspected duplicates (similar expense or reused receipt) are flagged for admin review, not refused
+ * - A missing amount or date is filled from the attached receipts; the entered amount is cross-checked against them
+ * - The expense can be charged to one cost center or split by percentage or amount; journey expenses default to the journey's
  */
 const createExpense = async (req, res) => {
   try {
@@ -26,7 +149,8 @@ const createExpense = async (req, res) => {
       expenseCategory,
       date,
       description,
-      amount,
+      amount: enteredAmount,
+      currency,
       journeyId,
       startCoordinates,
       endCoordinates,
@@ -36,22 +160,45 @@ const createExpense = async (req, res) => {
       manualDistance,
       gpsOffline,
       distanceRate,
+      nights,
+      gst,
+      costCenterId,
+      allocations,
       attachments
     } = req.body;
 
-    // Check if month is locked
-    const expenseDate = date ? new Date(date) : new Date();
-    const year = expenseDate.getFullYear();
-    const month = expenseDate.getMonth() + 1;
-
-    const monthLock = await MonthLock.findOne({ year, month });
-    if (monthLock && monthLock.isLocked) {
+    // Pre-fill a missing amount or date from the values read from the receipts
+    const { fields: suggested } = type !== 'journey' && enteredAmount === undefined
+      ? await getReceiptSuggestions(attachments)
+      : { fields: {} };
+    const amount = enteredAmount ?? suggested.amount?.value;
+    if (amount === undefined) {
       return res.status(400).json({
         success: false,
-        message: `Cannot create expense for ${monthLock.monthName} ${year}. Month is locked.`,
-        data: { lockedBy: monthLock.lockedBy, lockedAt: monthLock.lockedAt }
+        message: 'Amount is required (it could not be read from the attached receipts)'
       });
     }
+    const prefilled = [
+      ...(enteredAmount === undefined ? ['amount'] : []),
+      ...(!date && suggested.date ? ['date'] : [])
+    ];
+
+    // Check if month is locked
+    const expenseDate = date ? new Date(date) : (suggested.date ? new Date(suggested.date.value) : new Date());
+    const lockError = await checkMonthLock(userId, expenseDate, 'create expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    // Convert to the base currency at the expense date (journey expenses are always in the base currency)
+    const { conversion, rateError } = await convertToBase({
+      amount,
+      currency: type === 'journey' ? null : currency,
+      date: expenseDate
+    });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
 
     // Validate expenseCategory and journeyId
     const category = expenseCategory || 'general'; // Default to general for backward compatibility
@@ -64,8 +211,9 @@ const createExpense = async (req, res) => {
     }
 
     // If journey category or legacy journey type, validate journey
+    let journey = null;
     if ((category === 'journey' || type === 'journey') && journeyId) {
-      const journey = await Journey.findById(journeyId);
+      journey = await Journey.findById(journeyId);
       if (!journey) {
         return res.status(404).json({
           success: false,
@@ -87,6 +235,7 @@ const createExpense = async (req, res) => {
         if (existingExpense) {
           // Update existing expense by adding the new amount
           existingExpense.amount += amount;
+          existingExpense.originalAmount = existingExpense.amount; // Journey expenses are in the base currency
           await existingExpense.save();
 
           // Audit log for update
@@ -113,6 +262,32 @@ const createExpense = async (req, res) => {
       }
     }
 
+    // Cost center as given, otherwise the journey's
+    let allocation = getSingleAllocation(journey?.costCenterId);
+    if (costCenterId || allocations) {
+      const resolved = await resolveAllocations({ costCenterId, allocations }, amount);
+      if (resolved.allocationError) {
+        return sendInvalidAllocation(res, resolved.allocationError);
+      }
+      allocation = resolved.allocation;
+    }
+
+    // Expense policy limits (journey expenses are governed by the mileage rate)
+    let policyViolations = [];
+    if (type !== 'journey') {
+      const policyResult = await evaluateExpensePolicy({ userId, type, date: expenseDate, amount: conversion.amount, nights });
+      if (policyResult.blocked) {
+        return sendPolicyViolation(res, policyResult.violations);
+      }
+      policyViolations = policyResult.violations;
+    }
+
+    // Journey expenses use the journey's vehicle rate unless a rate is given
+    const vehicleType = journey ? journey.vehicleType : null;
+    const journeyRate = type === 'journey'
+      ? (distanceRate ?? await Settings.getRatePerKm(vehicleType))
+      : undefined;
+
     // Create expense
     const expense = new Expense({
       userId,
@@ -120,7 +295,7 @@ const createExpense = async (req, res) => {
       expenseCategory: category,
       date: expenseDate,
       description,
-      amount,
+      ...conversion,
       journeyId: (category === 'journey' || type === 'journey') ? journeyId : undefined,
       startCoordinates: type === 'journey' ? startCoordinates : undefined,
       endCoordinates: type === 'journey' ? endCoordinates : undefined,
@@ -129,11 +304,23 @@ const createExpense = async (req, res) => {
       systemDistance: type === 'journey' ? systemDistance : undefined,
       manualDistance: type === 'journey' ? manualDistance : undefined,
       gpsOffline: type === 'journey' ? gpsOffline : undefined,
-      distanceRate: type === 'journey' ? distanceRate : undefined,
-      attachments: attachments || [],
+      vehicleType: type === 'journey' ? vehicleType : undefined,
+      distanceRate: journeyRate,
+      nights: type === 'lodging' ? nights : undefined,
+      gst: type !== 'journey' ? gst : undefined,
+      ...allocation,
+      policyViolations,
+      hasPolicyViolation: policyViolations.length > 0,
+      attachments: await resolveAttachmentHashes(attachments || []),
       status: 'pending'
     });
 
+    // Flag suspected duplicates of earlier expenses
+    await applyDuplicateCheck(expense);
+
+    // Cross-check the amount against the receipts
+    await applyReceiptCheck(expense, prefilled);
+
     await expense.save();
 
     // Populate user info
@@ -147,8 +334,15 @@ const createExpense = async (req, res) => {
       metadata: {
         expenseId: expense._id,
         type,
-        amount,
-        description
+        amount: expense.amount,
+        currency: expense.currency,
+        originalAmount: expense.originalAmount,
+        description,
+        costCenterId: expense.costCenterId || undefined,
+        policyViolations: policyViolations.length > 0 ? policyViolations : undefined,
+        duplicateOf: expense.duplicateOf || undefined,
+        prefilledFromReceipt: prefilled.length > 0 ? prefilled : undefined,
+        receiptMismatch: expense.hasReceiptMismatch || undefined
       },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -156,7 +350,9 @@ const createExpense = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Expense created successfully',
+      message: policyViolations.length > 0 || expense.isSuspectedDuplicate || expense.hasReceiptMismatch
+        ? 'Expense created with warnings'
+        : 'Expense created successfully',
       data: expense
     });
   } catch (error) {
@@ -179,6 +375,7 @@ const createExpense = async (req, res) => {
  * - Super Admin can see all expenses
  * - Admin can only see expenses from users assigned to them
  * - Users can only see their own expenses
+ * - costCenterId lists expenses charged (wholly or partly) to the cost center; stats use the allocated share
  */
 const getAllExpenses = async (req, res) => {
   try {
@@ -195,6 +392,13 @@ const getAllExpenses = async (req, res) => {
       dateTo,
       varianceMin,
       varianceMax,
+      hasPolicyViolation,
+      isSuspectedDuplicate,
+      hasReceiptMismatch,
+      claimId,
+      paymentStatus,
+      recurringExpenseId,
+      costCenterId,
       sortBy = 'date',
       sortOrder = 'desc'
     } = req.query;
@@ -243,6 +447,41 @@ const getAllExpenses = async (req, res) => {
       query.status = status;
     }
 
+    // Filter by expense policy violations
+    if (hasPolicyViolation !== undefined) {
+      query.hasPolicyViolation = hasPolicyViolation;
+    }
+
+    // Filter by suspected duplicates
+    if (isSuspectedDuplicate !== undefined) {
+      query.isSuspectedDuplicate = isSuspectedDuplicate;
+    }
+
+    // Filter by amounts that disagree with the receipt
+    if (hasReceiptMismatch !== undefined) {
+      query.hasReceiptMismatch = hasReceiptMismatch;
+    }
+
+    // Filter by expense claim
+    if (claimId) {
+      query.claimId = claimId;
+    }
+
+    // Filter by reimbursement payment (expenses from before payouts have no paymentStatus)
+    if (paymentStatus) {
+      query.paymentStatus = paymentStatus === 'unpaid'
+        ? { $nin: ['processing', 'paid'] }
+        : paymentStatus;
+    }
+
+    // Filter by recurring template
+    if (recurringExpenseId) {
+      query.recurringExpenseId = recurringExpenseId;
+    }
+
+    // Filter by cost center (split expenses match each of their cost centers)
+    Object.assign(query, getCostCenterFilter(costCenterId));
+
     // Filter by date range
     if (dateFrom || dateTo) {
       query.date = {};
@@ -266,6 +505,7 @@ const getAllExpenses = async (req, res) => {
       .populate('userId', 'name email employeeId')
       .populate('journeyId')
       .populate('approvedBy', 'name email')
+      .populate('allocations.costCenterId', 'code name type')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
@@ -307,18 +547,28 @@ const getAllExpenses = async (req, res) => {
         return {
           ...expense,
           variancePercentage: varianceData.variance,
-          varianceCategory: varianceData.category
+          varianceCategory: varianceData.category,
+          varianceAmount: calculateVarianceAmount(expense.systemDistance, expense.manualDistance, expense.distanceRate)
         };
       }
       return expense;
     });
 
+    // Share of each expense charged to the filtered cost center
+    if (costCenterId) {
+      expenses = expenses.map(expense => ({
+        ...expense,
+        allocatedAmount: Math.round(expense.amount * getAllocationShare(expense, costCenterId) * 100) / 100
+      }));
+    }
+
     // Get total count
     const total = await Expense.countDocuments(query);
 
     // Calculate statistics
     const stats = await Expense.aggregate([
       { $match: query },
+      ...getCostCenterStages(costCenterId),
       {
         $group: {
           _id: null,
@@ -374,6 +624,9 @@ const getAllExpenses = async (req, res) => {
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @description
+ * - Includes the expense policy violations recorded at submission for the approver
+ * - Resubmitted expenses include the latest revision (rejection reason and changes)
  */
 const getExpenseById = async (req, res) => {
   try {
@@ -385,6 +638,7 @@ const getExpenseById = async (req, res) => {
       .populate('userId', 'name email employeeId role')
       .populate('journeyId')
       .populate('approvedBy', 'name email')
+      .populate('allocations.costCenterId', 'code name type')
       .lean();
 
     if (!expense) {
@@ -410,6 +664,15 @@ const getExpenseById = async (req, res) => {
       );
       expense.variancePercentage = varianceData.variance;
       expense.varianceCategory = varianceData.category;
+      expense.varianceAmount = calculateVarianceAmount(expense.systemDistance, expense.manualDistance, expense.distanceRate);
+    }
+
+    // Resubmitted expenses: the last rejection next to the changes made in response
+    if (expense.revisionCount > 0) {
+      expense.latestRevision = await ExpenseRevision.findOne({ expenseId: expense._id })
+        .sort({ revision: -1 })
+        .populate('rejection.rejectedBy', 'name email')
+        .lean();
     }
 
     res.json({
@@ -432,13 +695,16 @@ const getExpenseById = async (req, res) => {
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @description
+ * - The expense policy is re-evaluated; warn-mode violations replace the stored ones
+ * - costCenterId or allocations replace the expense's cost centers (null removes them)
  */
 const updateExpense = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
     const userRole = req.user.role;
-    const { type, date, description, amount, manualDistance, attachments } = req.body;
+    const { type, date, description, amount, currency, manualDistance, nights, gst, costCenterId, allocations, attachments } = req.body;
 
     const expense = await Expense.findById(id);
 
@@ -457,38 +723,78 @@ const updateExpense = async (req, res) => {
       });
     }
 
-    // Cannot update approved or rejected expenses
+    // Cannot update approved or rejected expenses (rejected expenses go through resubmit)
     if (expense.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        message: `Cannot update ${expense.status} expense. Only pending expenses can be updated.`
+        message: expense.status === 'rejected'
+          ? 'Cannot update rejected expense. Use PUT /api/expenses/:id/resubmit to resubmit it.'
+          : `Cannot update ${expense.status} expense. Only pending expenses can be updated.`
       });
     }
 
-    // Check if month is locked
-    const expenseDate = expense.date;
-    const year = expenseDate.getFullYear();
-    const month = expenseDate.getMonth() + 1;
-
-    const monthLock = await MonthLock.findOne({ year, month });
-    if (monthLock && monthLock.isLocked) {
+    // Per-diem allowances are calculated from journey time (see perDiemService)
+    if (expense.type === 'per_diem' && [type, date, amount, currency].some(value => value !== undefined)) {
       return res.status(400).json({
         success: false,
-        message: `Cannot update expense for ${monthLock.monthName} ${year}. Month is locked.`
+        message: 'Per-diem allowances are calculated from journey time. Only the description, cost center and attachments can be changed.'
       });
     }
 
+    // Check if month is locked (both the current date and the new date when moving the expense)
+    const lockError = await checkMonthLock(expense.userId, expense.date, 'update expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    if (date !== undefined) {
+      const newDateLockError = await checkMonthLock(expense.userId, date, 'move expense');
+      if (newDateLockError) {
+        return sendMonthLocked(res, newDateLockError);
+      }
+    }
+
     // Update fields
     if (type !== undefined) expense.type = type;
     if (date !== undefined) expense.date = new Date(date);
     if (description !== undefined) expense.description = description;
-    if (amount !== undefined) expense.amount = amount;
     if (manualDistance !== undefined && expense.type === 'journey') {
       expense.manualDistance = manualDistance;
     }
-    if (attachments !== undefined) expense.attachments = attachments;
+    if (nights !== undefined) expense.nights = nights;
+    if (expense.type !== 'lodging') expense.nights = null;
+    if (gst !== undefined) expense.gst = gst;
+    if (expense.type === 'journey') expense.gst = null;
+    if (attachments !== undefined) expense.attachments = await resolveAttachmentHashes(attachments);
+
+    const rateError = await reconvertExpense(expense, { amount, currency });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+
+    const allocationError = await reallocateExpense(expense, { costCenterId, allocations });
+    if (allocationError) {
+      return sendInvalidAllocation(res, allocationError);
+    }
+
+    // Re-evaluate the expense policy with the updated values
+    if (!['journey', 'per_diem'].includes(expense.type)) {
+      const policyResult = await evaluateExpensePolicy(expense);
+      if (policyResult.blocked) {
+        return sendPolicyViolation(res, policyResult.violations);
+      }
+      expense.policyViolations = policyResult.violations;
+    } else {
+      expense.policyViolations = [];
+    }
+    expense.hasPolicyViolation = expense.policyViolations.length > 0;
+
+    // Re-run the duplicate and receipt checks with the updated values
+    await applyDuplicateCheck(expense);
+    await applyReceiptCheck(expense);
 
     await expense.save();
+    await refreshClaimsForExpenses(expense);
 
     // Populate user info
     await expense.populate('userId', 'name email employeeId');
@@ -500,7 +806,8 @@ const updateExpense = async (req, res) => {
       targetUser: expense.userId._id,
       metadata: {
         expenseId: expense._id,
-        updates: { type, date, description, amount, manualDistance, attachments }
+        updates: { type, date, description, amount, manualDistance, nights, gst, costCenterId, allocations, attachments },
+        policyViolations: expense.hasPolicyViolation ? expense.policyViolations : undefined
       },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -560,19 +867,13 @@ const deleteExpense = async (req, res) => {
     }
 
     // Check if month is locked
-    const expenseDate = expense.date;
-    const year = expenseDate.getFullYear();
-    const month = expenseDate.getMonth() + 1;
-
-    const monthLock = await MonthLock.findOne({ year, month });
-    if (monthLock && monthLock.isLocked) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot delete expense for ${monthLock.monthName} ${year}. Month is locked.`
-      });
+    const lockError = await checkMonthLock(expense.userId, expense.date, 'delete expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
     }
 
     await expense.deleteOne();
+    await refreshClaimsForExpenses(expense);
 
     // Audit log
     await Audit.log({
@@ -603,6 +904,245 @@ const deleteExpense = async (req, res) => {
   }
 };
 
+/**
+ * Resubmit a rejected expense
+ * PUT /api/expenses/:id/resubmit
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Only the owner can resubmit, and only a rejected expense
+ * - The previous values, the rejection and the field diff are kept as an immutable ExpenseRevision
+ * - The expense returns to pending and restarts the approval chain
+ * - Policy and duplicate checks run again as for updateExpense
+ */
+const resubmitExpense = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { type, date, description, amount, currency, manualDistance, nights, gst, costCenterId, allocations, attachments, responseNote } = req.body;
+
+    const expense = await Expense.findById(id);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    // Check ownership
+    if (expense.userId.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only resubmit your own expenses'
+      });
+    }
+
+    if (expense.status !== 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resubmit ${expense.status} expense. Only rejected expenses can be resubmitted.`
+      });
+    }
+
+    // Per-diem allowances are calculated from journey time (see perDiemService)
+    if (expense.type === 'per_diem' && [type, date, amount, currency].some(value => value !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Per-diem allowances are calculated from journey time. Only the description, cost center and attachments can be changed.'
+      });
+    }
+
+    // Check if month is locked (both the current date and the new date when moving the expense)
+    const lockError = await checkMonthLock(expense.userId, expense.date, 'resubmit expense');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    if (date !== undefined) {
+      const newDateLockError = await checkMonthLock(expense.userId, date, 'move expense');
+      if (newDateLockError) {
+        return sendMonthLocked(res, newDateLockError);
+      }
+    }
+
+    const previousValues = pickRevisionFields(expense);
+
+    // Apply changes
+    if (type !== undefined) expense.type = type;
+    if (date !== undefined) expense.date = new Date(date);
+    if (description !== undefined) expense.description = description;
+    if (manualDistance !== undefined && expense.type === 'journey') {
+      expense.manualDistance = manualDistance;
+    }
+    if (nights !== undefined) expense.nights = nights;
+    if (expense.type !== 'lodging') expense.nights = null;
+    if (gst !== undefined) expense.gst = gst;
+    if (expense.type === 'journey') expense.gst = null;
+    if (attachments !== undefined) expense.attachments = await resolveAttachmentHashes(attachments);
+
+    const rateError = await reconvertExpense(expense, { amount, currency });
+    if (rateError) {
+      return sendExchangeRateMissing(res, rateError);
+    }
+
+    const allocationError = await reallocateExpense(expense, { costCenterId, allocations });
+    if (allocationError) {
+      return sendInvalidAllocation(res, allocationError);
+    }
+
+    const changes = diffRevisionFields(previousValues, pickRevisionFields(expense));
+    if (changes.length === 0 && !responseNote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change at least one field or add a response note to resubmit'
+      });
+    }
+
+    // Re-evaluate the expense policy with the updated values
+    if (!['journey', 'per_diem'].includes(expense.type)) {
+      const policyResult = await evaluateExpensePolicy(expense);
+      if (policyResult.blocked) {
+        return sendPolicyViolation(res, policyResult.violations);
+      }
+      expense.policyViolations = policyResult.violations;
+    } else {
+      expense.policyViolations = [];
+    }
+    expense.hasPolicyViolation = expense.policyViolations.length > 0;
+
+    await applyDuplicateCheck(expense);
+    await applyReceiptCheck(expense);
+
+    // Keep the rejected version
+    const revision = new ExpenseRevision({
+      expenseId: expense._id,
+      userId: expense.userId,
+      revision: expense.revisionCount + 1,
+      rejection: {
+        reason: expense.rejectionReason,
+        rejectedBy: expense.approvedBy,
+        rejectedAt: expense.approvedAt,
+        approvalChain: expense.approvalChain.map(entry => entry.toObject())
+      },
+      previousValues,
+      changes,
+      responseNote,
+      submittedBy: userId
+    });
+    await revision.save();
+
+    // Back to pending with a fresh approval chain
+    expense.status = 'pending';
+    expense.rejectionReason = undefined;
+    expense.approvedBy = undefined;
+    expense.approvedAt = undefined;
+    expense.adminNotes = undefined;
+    expense.approvalChain = [];
+    expense.approvalLevelsRequired = null;
+    expense.currentApprovalLevel = 1;
+    expense.revisionCount = revision.revision;
+    expense.resubmittedAt = new Date();
+
+    await expense.save();
+    await refreshClaimsForExpenses(expense);
+
+    await Audit.log({
+      action: 'expense_resubmitted',
+      performedBy: userId,
+      targetUser: expense.userId,
+      targetExpense: expense._id,
+      metadata: {
+        expenseId: expense._id,
+        revisionId: revision._id,
+        revision: revision.revision,
+        changedFields: changes.map(change => change.field),
+        rejectionReason: revision.rejection.reason
+      },
+      notes: responseNote,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense resubmitted for approval',
+      data: {
+        expense,
+        revision
+      }
+    });
+  } catch (error) {
+    console.error('Resubmit expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resubmit expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the revision history of an expense
+ * GET /api/expenses/:id/revisions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Users can view their own expense history
+ * - Admin can view expenses from users assigned to them
+ * - Super Admin can view any expense
+ */
+const getExpenseRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const userRole = req.user.role;
+
+    const expense = await Expense.findById(id).populate('userId', 'name email employeeId assignedTo');
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    // RBAC
+    const isOwner = expense.userId._id.toString() === userId;
+    const isAssignedAdmin = userRole === 'admin' && expense.userId.assignedTo?.toString() === userId;
+    if (!isOwner && !isAssignedAdmin && userRole !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this expense'
+      });
+    }
+
+    const revisions = await ExpenseRevision.find({ expenseId: expense._id })
+      .populate('rejection.rejectedBy', 'name email')
+      .populate('submittedBy', 'name email')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        expenseId: expense._id,
+        status: expense.status,
+        revisionCount: expense.revisionCount,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get expense revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve expense revisions',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get journey expense totals
  * GET /api/expenses/journey/:journeyId/total
@@ -684,7 +1224,7 @@ const getJourneyExpenseTotal = async (req, res) => {
         if (expense.type === 'journey') {
           // For journey expenses, approved amount includes distance calculation
           // Use expense's distanceRate if available, otherwise fetch current rate from Settings
-          const ratePerKm = expense.distanceRate || await Settings.getRatePerKm();
+          const ratePerKm = expense.distanceRate ?? await Settings.getRatePerKm(expense.vehicleType);
           let distanceCost = 0;
 
           // Use approved option if set, otherwise default to option 1
@@ -740,6 +1280,8 @@ module.exports = {
   createExpense,
   getAllExpenses,
   getExpenseById,
+  resubmitExpense,
+  getExpenseRevisions,
   updateExpense,
   deleteExpense,
   getJourneyExpenseTotal
@@ -0,0 +1,206 @@
+/**
+ * Expense Policy Controller
+ * Manages per-type expense limits
+ */
+
+const ExpensePolicy = require('../models/ExpensePolicy');
+const Audit = require('../models/Audit');
+
+// Fields that can be changed on an existing policy
+const POLICY_FIELDS = ['perExpenseLimit', 'perDayLimit', 'perMonthLimit', 'perNightLimit', 'enforcement', 'isActive', 'description'];
+
+/**
+ * Get all expense policies
+ * GET /api/expense-policies
+ * @access Private
+ * @description
+ * - All users can view the limits that apply to their expenses
+ */
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await ExpensePolicy.find()
+      .populate('updatedBy', 'name email')
+      .sort({ expenseType: 1 });
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('Get expense policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve expense policies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create an expense policy
+ * POST /api/expense-policies
+ * @access Admin, Super Admin
+ * @description
+ * - One policy per expense type
+ * - Applies to expenses created or updated afterwards
+ */
+const createPolicy = async (req, res) => {
+  try {
+    const existing = await ExpensePolicy.findOne({ expenseType: req.body.expenseType });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A policy for ${req.body.expenseType} already exists`,
+        data: { policyId: existing._id }
+      });
+    }
+
+    const policy = await ExpensePolicy.create({
+      ...req.body,
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    await Audit.log({
+      action: 'expense_policy_created',
+      performedBy: req.user.userId,
+      metadata: {
+        policyId: policy._id,
+        expenseType: policy.expenseType,
+        perExpenseLimit: policy.perExpenseLimit,
+        perDayLimit: policy.perDayLimit,
+        perMonthLimit: policy.perMonthLimit,
+        perNightLimit: policy.perNightLimit,
+        enforcement: policy.enforcement
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Create expense policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create expense policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update an expense policy
+ * PUT /api/expense-policies/:id
+ * @access Admin, Super Admin
+ * @description
+ * - Existing expenses keep the violations recorded when they were submitted
+ */
+const updatePolicy = async (req, res) => {
+  try {
+    const policy = await ExpensePolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense policy not found'
+      });
+    }
+
+    const changes = {};
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = { from: policy[field], to: req.body[field] };
+        policy[field] = req.body[field];
+      }
+    });
+    policy.updatedBy = req.user.userId;
+
+    try {
+      await policy.save();
+    } catch (error) {
+      if (error.message === 'Per-night limit applies to lodging only') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    await Audit.log({
+      action: 'expense_policy_updated',
+      performedBy: req.user.userId,
+      metadata: {
+        policyId: policy._id,
+        expenseType: policy.expenseType,
+        changes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Update expense policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update expense policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an expense policy
+ * DELETE /api/expense-policies/:id
+ * @access Admin, Super Admin
+ */
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await ExpensePolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense policy not found'
+      });
+    }
+
+    await Audit.log({
+      action: 'expense_policy_deleted',
+      performedBy: req.user.userId,
+      metadata: {
+        policyId: policy._id,
+        expenseType: policy.expenseType
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete expense policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete expense policy',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
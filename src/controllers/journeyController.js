@@ -3,11 +3,39 @@
  * Handles journey tracking with GPS coordinates and distance calculation
  */
 
+const mongoose = require('mongoose');
 const Journey = require('../models/Journey');
-const Expense = require('../models/Expense');
 const Audit = require('../models/Audit');
-const Settings = require('../models/Settings');
-const { calculateDistance, calculateDistanceWithHaversine, calculateJourneyCost } = require('../utils/distanceCalculator');
+const Customer = require('../models/Customer');
+const { summarizeTrack, completeJourney } = require('../services/journeyService');
+const { checkMonthLock, sendMonthLocked } = require('../services/monthLockService');
+const { findMissingCostCenters } = require('../services/costCenterService');
+
+// Maximum number of breadcrumbs stored per journey
+const MAX_TRACK_POINTS = 20000;
+
+// Allowed clock drift for breadcrumb timestamps (5 minutes)
+const TRACK_TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Maximum number of customer stops per journey
+const MAX_STOPS = 20;
+
+/**
+ * Load the active registered customers referenced by a journey and its stops
+ * @param {Array} customerIds - Customer IDs (empty values are ignored)
+ * @returns {Promise<Object>} { customers: Map<id, Customer>, missing: Array<id> }
+ */
+const findActiveCustomers = async (customerIds) => {
+  const ids = [...new Set(customerIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) {
+    return { customers: new Map(), missing: [] };
+  }
+
+  const found = await Customer.find({ _id: { $in: ids }, isActive: true }).select('name');
+  const customers = new Map(found.map(customer => [customer._id.toString(), customer]));
+
+  return { customers, missing: ids.filter(id => !customers.has(id)) };
+};
 
 /**
  * Start a new journey
@@ -18,9 +46,11 @@ const startJourney = async (req, res) => {
   try {
     const {
       name,
-      customerName,
+      customerId,
+      costCenterId,
       natureOfWork,
       typeOfVisit,
+      vehicleType,
       numberOfMachines,
       startCoordinates,
       startAddress,
@@ -29,10 +59,12 @@ const startJourney = async (req, res) => {
       deviceInfo,
       notes
     } = req.body;
+    let { customerName } = req.body;
     const userId = req.user.id;
 
     console.log('Received journey data:', {
       name,
+      customerId,
       customerName,
       natureOfWork,
       typeOfVisit,
@@ -68,13 +100,37 @@ const startJourney = async (req, res) => {
       });
     }
 
+    // Registered customer: its name is the canonical customer name
+    if (customerId) {
+      const { customers } = await findActiveCustomers([customerId]);
+      const customer = customers.get(customerId);
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer not found or inactive'
+        });
+      }
+      customerName = customer.name;
+    }
+
+    // Cost center must exist and be active
+    if (costCenterId && (await findMissingCostCenters([costCenterId])).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cost center not found or inactive'
+      });
+    }
+
     // Create new journey
     const journey = new Journey({
       userId,
       name,
+      customerId,
       customerName,
+      costCenterId,
       natureOfWork,
       typeOfVisit,
+      vehicleType,
       numberOfMachines: typeOfVisit === 'machine_visit' ? numberOfMachines : undefined,
       startCoordinates,
       startAddress,
@@ -95,6 +151,8 @@ const startJourney = async (req, res) => {
       targetUser: userId,
       metadata: {
         journeyId: journey._id,
+        customerId: journey.customerId,
+        costCenterId: journey.costCenterId || undefined,
         startCoordinates,
         gpsOffline: journey.gpsOffline
       },
@@ -129,8 +187,8 @@ const endJourney = async (req, res) => {
      const { endCoordinates, endAddress, notes, manualDistance } = req.body;
      const userId = req.user.id;
 
-    // Find journey
-    const journey = await Journey.findById(id);
+    // Find journey (with GPS breadcrumbs)
+    const journey = await Journey.findById(id).select('+trackPoints');
 
     if (!journey) {
       return res.status(404).json({
@@ -155,169 +213,359 @@ const endJourney = async (req, res) => {
       });
     }
 
-    // Update journey end details
-    journey.endCoordinates = endCoordinates;
-    journey.endAddress = endAddress;
-    journey.siteLocation = endAddress; // Store end location as site location
-    journey.endTimestamp = new Date();
-
-    if (notes) {
-      journey.notes = notes;
-    }
-
-    // Calculate machine visit cost if applicable
-    if (journey.typeOfVisit === 'machine_visit' && journey.numberOfMachines) {
-      const costPerMachine = await Settings.getCostPerMachineVisit();
-      journey.machineVisitCost = journey.numberOfMachines * costPerMachine;
-      console.log(`Machine visit cost calculated: ${journey.numberOfMachines} machines × ₹${costPerMachine} = ₹${journey.machineVisitCost}`);
+    const result = await completeJourney(journey, {
+      endCoordinates,
+      endAddress,
+      notes,
+      manualDistance,
+      performedBy: userId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    if (result.lockError) {
+      return sendMonthLocked(res, result.lockError);
     }
 
-    console.log('Starting distance calculation...');
+    res.json({
+      success: true,
+      message: 'Journey ended successfully and expense created',
+      data: {
+        journey: result.journey,
+        expense: result.expense,
+        perDiem: result.perDiem,
+        systemDistance: result.systemDistance,
+        manualDistance: result.manualDistance,
+        finalDistance: result.finalDistance,
+        calculatedDuration: result.calculatedDuration,
+        cost: result.cost,
+        distanceCalculation: result.distanceData,
+        geofence: {
+          ...result.geofence.geofenceCheck,
+          violation: result.geofence.violation,
+          outsideStops: result.geofence.outsideStops
+        }
+      }
+    });
+  } catch (error) {
+    console.error('End journey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end journey',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-    // Calculate system distance (always the actual distance between start and end coordinates)
-    let distanceData = null;
-    let systemDistance = 0;
-    let calculatedDuration = null;
+/**
+ * Per-journey sync result for a journey ending in a locked month
+ * @param {String} clientId - Client UUID of the journey
+ * @param {Object} lockError - MONTH_LOCKED payload
+ * @returns {Object} Rejected sync result
+ */
+const rejectLocked = (clientId, lockError) => ({
+  clientId,
+  status: 'rejected',
+  code: lockError.code,
+  reason: lockError.message,
+  lock: lockError.details
+});
 
-    if (!journey.gpsOffline) {
-      console.log('GPS not offline, calculating distance...');
-      // Use Haversine formula for fast calculation (primary method)
-      try {
-        console.log('Using Haversine formula for distance calculation');
-        const haversineResult = calculateDistanceWithHaversine(
-          journey.startCoordinates,
-          endCoordinates
-        );
-        console.log('Haversine distance result:', haversineResult);
-        systemDistance = haversineResult.distance;
-        calculatedDuration = null; // Haversine doesn't provide duration
-        distanceData = { source: 'haversine' };
-
-        // Optionally try Google Maps for duration (but don't wait for it)
-        try {
-          console.log('Attempting Google Maps for duration (non-blocking)...');
-          calculateDistance(journey.startCoordinates, endCoordinates, { retries: 0 })
-            .then(googleResult => {
-              if (googleResult.duration) {
-                console.log('Google Maps duration available:', googleResult.duration);
-                // Note: This won't update the response since it's already sent
-              }
-            })
-            .catch(err => {
-              console.log('Google Maps duration failed (expected):', err.message);
-            });
-        } catch (googleError) {
-          console.log('Google Maps duration attempt failed:', googleError.message);
-        }
-      } catch (error) {
-        console.error('Distance calculation error:', error);
-        // If calculation fails, set distance to 0 and log error
-        distanceData = { source: 'error', error: error.message };
+/**
+ * Sync a single offline journey for a user
+ * Helper for syncJourneys - returns a per-journey result instead of sending a response
+ *
+ * @param {Object} item - Validated offline journey
+ * @param {String} userId - Owner of the journey
+ * @param {Array} batchRanges - Time ranges already synced in this batch [{start, end, clientId}]
+ * @param {Object} req - Express request (for audit IP / user agent)
+ * @returns {Promise<Object>} { clientId, status: 'created'|'duplicate'|'rejected', ... }
+ */
+const syncJourneyItem = async (item, userId, batchRanges, req) => {
+  const { clientId } = item;
+  const start = new Date(item.startTimestamp);
+  const end = new Date(item.endTimestamp);
+
+  const completionParams = {
+    endCoordinates: item.endCoordinates,
+    endAddress: item.endAddress,
+    notes: item.notes,
+    manualDistance: item.manualDistance,
+    endTimestamp: end,
+    performedBy: userId,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    auditMetadata: { offlineSync: true, clientId }
+  };
+
+  // Idempotency: the same client UUID returns the journey created earlier
+  const existing = await Journey.findOne({ userId, clientId }).select('+trackPoints');
+  if (existing) {
+    // A previous attempt stopped before completion - finish it now
+    if (existing.status === 'active') {
+      const result = await completeJourney(existing, completionParams);
+      if (result.lockError) {
+        return rejectLocked(clientId, result.lockError);
       }
-    } else {
-      console.log('GPS offline, skipping distance calculation');
+      batchRanges.push({ start, end, clientId });
+      return {
+        clientId,
+        status: 'created',
+        journeyId: existing._id,
+        expenseId: result.expense._id,
+        finalDistance: result.finalDistance,
+        cost: result.cost,
+        geofenceViolation: result.geofence.violation
+      };
     }
 
-    // Use manual distance if provided, otherwise use system distance
-    const finalDistance = req.body.manualDistance ? parseFloat(req.body.manualDistance) : systemDistance;
+    return {
+      clientId,
+      status: 'duplicate',
+      journeyId: existing._id,
+      expenseId: existing.expenseId
+    };
+  }
 
-    journey.calculatedDistance = finalDistance;
-    journey.calculatedDuration = calculatedDuration;
-    journey.status = 'completed';
+  if (end.getTime() > Date.now() + TRACK_TIMESTAMP_TOLERANCE_MS) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'INVALID_TIMESTAMP',
+      reason: 'End timestamp cannot be in the future'
+    };
+  }
 
-    console.log('Saving journey...');
-    await journey.save();
-    console.log('Journey saved successfully');
+  // Overlap within this batch
+  const batchConflict = batchRanges.find(range => start < range.end && end > range.start);
+  if (batchConflict) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'OVERLAPPING_JOURNEY',
+      reason: 'Journey overlaps another journey in this batch',
+      conflictingClientId: batchConflict.clientId
+    };
+  }
 
-    // Get global rate per km setting
-    const ratePerKm = await Settings.getRatePerKm();
+  // Overlap with journeys already on the server (active journeys are open-ended)
+  const conflict = await Journey.findOne({
+    userId,
+    status: { $ne: 'cancelled' },
+    startTimestamp: { $lt: end },
+    $or: [
+      { endTimestamp: { $gt: start } },
+      { status: 'active' }
+    ]
+  }).select('_id name startTimestamp endTimestamp status');
+
+  if (conflict) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'OVERLAPPING_JOURNEY',
+      reason: 'Journey overlaps an existing journey',
+      conflictingJourneyId: conflict._id
+    };
+  }
 
-    // Calculate cost based on final distance
-    const cost = calculateJourneyCost(finalDistance, ratePerKm);
-    console.log('Calculated cost:', cost);
+  // Same name rule as startJourney
+  const sameName = await Journey.findOne({ userId, name: item.name }).select('_id');
+  if (sameName) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'DUPLICATE_NAME',
+      reason: 'A journey with this name already exists. Please choose a different name.',
+      conflictingJourneyId: sameName._id
+    };
+  }
 
-    // Create expense automatically
-    console.log('Creating expense...');
-    const expense = new Expense({
-      userId,
-      type: 'journey',
-      date: new Date(),
-      description: `Journey from ${journey.startAddress} to ${journey.endAddress}`,
-      amount: cost,
+  // completeJourney enforces the lock too; checking first avoids saving a journey it would refuse
+  const lockError = await checkMonthLock(userId, end, 'sync journey');
+  if (lockError) {
+    return rejectLocked(clientId, lockError);
+  }
+
+  // Registered customers must exist and be active
+  const { customers, missing } = await findActiveCustomers([
+    item.customerId,
+    ...(item.stops || []).map(stop => stop.customerId)
+  ]);
+  if (missing.length > 0) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'INVALID_CUSTOMER',
+      reason: 'Customer not found or inactive',
+      customerIds: missing
+    };
+  }
+  const customerNameFor = (customerId, fallback) => {
+    return customerId ? customers.get(customerId).name : fallback;
+  };
+
+  if (item.costCenterId && (await findMissingCostCenters([item.costCenterId])).length > 0) {
+    return {
+      clientId,
+      status: 'rejected',
+      code: 'INVALID_COST_CENTER',
+      reason: 'Cost center not found or inactive'
+    };
+  }
+
+  // Stops must fall inside the journey and follow each other
+  const stops = [...(item.stops || [])].sort((a, b) => new Date(a.arrivedAt) - new Date(b.arrivedAt));
+  let previousTime = start;
+  for (const stop of stops) {
+    const arrival = new Date(stop.arrivedAt);
+    const departure = stop.departedAt ? new Date(stop.departedAt) : arrival;
+    if (arrival < previousTime || departure < arrival || departure > end) {
+      return {
+        clientId,
+        status: 'rejected',
+        code: 'INVALID_STOPS',
+        reason: 'Stops must be in order and within the journey start and end times'
+      };
+    }
+    previousTime = departure;
+  }
+
+  // Keep only breadcrumbs recorded during the journey
+  const trackPoints = (item.trackPoints || []).filter(point => {
+    const time = new Date(point.timestamp);
+    return time >= start && time <= end;
+  });
+
+  const journey = new Journey({
+    userId,
+    clientId,
+    syncedAt: new Date(),
+    name: item.name,
+    customerId: item.customerId,
+    customerName: customerNameFor(item.customerId, item.customerName),
+    costCenterId: item.costCenterId,
+    natureOfWork: item.natureOfWork,
+    typeOfVisit: item.typeOfVisit,
+    vehicleType: item.vehicleType,
+    numberOfMachines: item.typeOfVisit === 'machine_visit' ? item.numberOfMachines : undefined,
+    startCoordinates: item.startCoordinates,
+    startAddress: item.startAddress,
+    startTimestamp: start,
+    status: 'active',
+    gpsOffline: item.gpsOffline || false,
+    gpsOfflineReason: item.gpsOfflineReason,
+    stops: stops.map((stop, index) => ({
+      ...stop,
+      sequence: index + 1,
+      customerName: customerNameFor(stop.customerId, stop.customerName),
+      numberOfMachines: stop.typeOfVisit === 'machine_visit' ? stop.numberOfMachines : undefined
+    })),
+    trackPoints,
+    deviceInfo: item.deviceInfo,
+    notes: item.notes
+  });
+
+  try {
+    await journey.save();
+  } catch (error) {
+    // A concurrent retry of the same client UUID won the race
+    if (error.code === 11000) {
+      const winner = await Journey.findOne({ userId, clientId });
+      return {
+        clientId,
+        status: 'duplicate',
+        journeyId: winner?._id,
+        expenseId: winner?.expenseId
+      };
+    }
+    throw error;
+  }
+
+  await Audit.log({
+    action: 'journey_started',
+    performedBy: userId,
+    targetUser: userId,
+    metadata: {
       journeyId: journey._id,
       startCoordinates: journey.startCoordinates,
-      endCoordinates: journey.endCoordinates,
-      startAddress: journey.startAddress,
-      endAddress: journey.endAddress,
-      systemDistance: systemDistance,
-      manualDistance: req.body.manualDistance ? parseFloat(req.body.manualDistance) : null,
       gpsOffline: journey.gpsOffline,
-      distanceRate: ratePerKm,
-      status: 'pending'
-    });
+      offlineSync: true,
+      clientId
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const result = await completeJourney(journey, completionParams);
+  if (result.lockError) {
+    return rejectLocked(clientId, result.lockError);
+  }
+  batchRanges.push({ start, end, clientId });
+
+  return {
+    clientId,
+    status: 'created',
+    journeyId: journey._id,
+    expenseId: result.expense._id,
+    finalDistance: result.finalDistance,
+    cost: result.cost,
+    geofenceViolation: result.geofence.violation
+  };
+};
 
-    await expense.save();
-    console.log('Expense created successfully');
+/**
+ * Sync journeys recorded offline
+ * POST /api/journeys/sync
+ * @access Private
+ * @description
+ * - Each journey carries a client-generated UUID (clientId); retrying the same UUID is safe
+ * - Journeys overlapping another journey of the user (in the batch or on the server) are rejected
+ * - Journeys in a locked month are rejected
+ * - Each synced journey gets its journey expense exactly as when ended live
+ * - Results are reported per journey; one bad journey does not fail the batch
+ */
+const syncJourneys = async (req, res) => {
+  try {
+    const { journeys } = req.body;
+    const userId = req.user.id;
 
-    // Link expense to journey
-    journey.expenseId = expense._id;
-    await journey.save();
+    // Process chronologically so in-batch overlaps are reported against the earlier journey
+    const ordered = [...journeys].sort((a, b) => new Date(a.startTimestamp) - new Date(b.startTimestamp));
+    const batchRanges = [];
+    const results = [];
 
-    // Create audit log for journey
-    await Audit.log({
-      action: 'journey_ended',
-      performedBy: userId,
-      targetUser: userId,
-      metadata: {
-        journeyId: journey._id,
-        expenseId: expense._id,
-        endCoordinates,
-        systemDistance,
-        manualDistance: req.body.manualDistance ? parseFloat(req.body.manualDistance) : null,
-        finalDistance,
-        duration: calculatedDuration,
-        cost,
-        distanceSource: distanceData?.source
-      },
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+    for (const item of ordered) {
+      try {
+        results.push(await syncJourneyItem(item, userId, batchRanges, req));
+      } catch (error) {
+        console.error(`Sync journey ${item.clientId} error:`, error);
+        results.push({
+          clientId: item.clientId,
+          status: 'failed',
+          reason: error.message
+        });
+      }
+    }
 
-    // Create audit log for expense creation
-    await Audit.log({
-      action: 'expense_created',
-      performedBy: userId,
-      targetUser: userId,
-      metadata: {
-        expenseId: expense._id,
-        journeyId: journey._id,
-        type: 'journey',
-        amount: cost,
-        description: expense.description
-      },
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+    const count = status => results.filter(r => r.status === status).length;
+    const summary = {
+      total: results.length,
+      created: count('created'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      failed: count('failed')
+    };
 
     res.json({
       success: true,
-      message: 'Journey ended successfully and expense created',
-      data: {
-        journey,
-        expense,
-        systemDistance,
-        manualDistance: req.body.manualDistance ? parseFloat(req.body.manualDistance) : null,
-        finalDistance,
-        calculatedDuration,
-        cost,
-        distanceCalculation: distanceData
-      }
+      message: `Synced ${summary.created} journey(s), ${summary.duplicates} already synced, ${summary.rejected + summary.failed} not synced`,
+      data: { results, summary }
     });
   } catch (error) {
-    console.error('End journey error:', error);
+    console.error('Sync journeys error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to end journey',
+      message: 'Failed to sync journeys',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -391,10 +639,11 @@ const getJourneyById = async (req, res) => {
  * - Super Admin can see all journeys
  * - Admin can only see journeys from users assigned to them
  * - Users can only see their own journeys
+ * - geofenceViolation=true lists journeys that ended outside the customer's geofence
  */
 const getAllJourneys = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, userId: filterUserId, startDate, endDate } = req.query;
+    const { page = 1, limit = 10, status, userId: filterUserId, customerId, costCenterId, geofenceViolation, startDate, endDate } = req.query;
     const currentUserId = req.user.id;
     const userRole = req.user.role;
 
@@ -448,6 +697,19 @@ const getAllJourneys = async (req, res) => {
       query.status = status;
     }
 
+    // Filter by registered customer and geofence result
+    if (customerId) {
+      query.customerId = new mongoose.Types.ObjectId(customerId);
+    }
+
+    // Filter by cost center
+    if (costCenterId) {
+      query.costCenterId = new mongoose.Types.ObjectId(costCenterId);
+    }
+    if (geofenceViolation !== undefined) {
+      query.geofenceViolation = geofenceViolation;
+    }
+
     // Filter by date range
     if (startDate || endDate) {
       query.startTimestamp = {};
@@ -520,6 +782,383 @@ const getAllJourneys = async (req, res) => {
   }
 };
 
+/**
+ * Upload GPS breadcrumbs for an active journey
+ * POST /api/journeys/:id/points
+ * @access Private
+ * @description
+ * - Only the journey owner can upload points, and only while the journey is active
+ * - Points already stored for the same timestamp are skipped (safe to retry a batch)
+ * - Points timestamped before the journey started or in the future are rejected
+ */
+const addTrackPoints = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { points } = req.body;
+    const userId = req.user.id;
+
+    const journey = await Journey.findById(id).select('+trackPoints');
+
+    if (!journey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journey not found'
+      });
+    }
+
+    // Check ownership
+    if (journey.userId.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only upload points for your own journeys'
+      });
+    }
+
+    // Check if journey is active
+    if (journey.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot upload points. Journey is already ${journey.status}`
+      });
+    }
+
+    const earliest = journey.startTimestamp.getTime() - TRACK_TIMESTAMP_TOLERANCE_MS;
+    const latest = Date.now() + TRACK_TIMESTAMP_TOLERANCE_MS;
+    const seen = new Set(journey.trackPoints.map(point => point.timestamp.getTime()));
+
+    const newPoints = [];
+    let duplicates = 0;
+    let outOfRange = 0;
+
+    points.forEach(point => {
+      const time = new Date(point.timestamp).getTime();
+
+      if (time < earliest || time > latest) {
+        outOfRange++;
+        return;
+      }
+      if (seen.has(time)) {
+        duplicates++;
+        return;
+      }
+
+      seen.add(time);
+      newPoints.push({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy,
+        speed: point.speed,
+        timestamp: new Date(time)
+      });
+    });
+
+    if (journey.trackPoints.length + newPoints.length > MAX_TRACK_POINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Journey track cannot exceed ${MAX_TRACK_POINTS} points`
+      });
+    }
+
+    if (newPoints.length > 0) {
+      await Journey.updateOne(
+        { _id: journey._id, status: 'active' },
+        { $push: { trackPoints: { $each: newPoints } } }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${newPoints.length} track point(s) recorded`,
+      data: {
+        journeyId: journey._id,
+        received: points.length,
+        accepted: newPoints.length,
+        duplicates,
+        outOfRange,
+        totalPoints: journey.trackPoints.length + newPoints.length
+      }
+    });
+  } catch (error) {
+    console.error('Add track points error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record track points',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Arrive at a customer stop during an active journey
+ * POST /api/journeys/:id/stops
+ * @access Private
+ * @description
+ * - Only the journey owner can add stops, and only while the journey is active
+ * - Arriving at a new stop departs the previous stop if it is still open
+ * - Stops are numbered in arrival order
+ */
+const addStop = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { customerId, typeOfVisit, natureOfWork, numberOfMachines, coordinates, address, arrivedAt, notes } = req.body;
+    let { customerName } = req.body;
+    const userId = req.user.id;
+
+    const journey = await Journey.findById(id);
+
+    if (!journey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journey not found'
+      });
+    }
+
+    // Check ownership
+    if (journey.userId.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add stops to your own journeys'
+      });
+    }
+
+    // Check if journey is active
+    if (journey.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot add stop. Journey is already ${journey.status}`
+      });
+    }
+
+    if (journey.stops.length >= MAX_STOPS) {
+      return res.status(400).json({
+        success: false,
+        message: `A journey cannot have more than ${MAX_STOPS} stops`
+      });
+    }
+
+    if (customerId) {
+      const { customers } = await findActiveCustomers([customerId]);
+      const customer = customers.get(customerId);
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer not found or inactive'
+        });
+      }
+      customerName = customer.name;
+    }
+
+    const arrival = arrivedAt ? new Date(arrivedAt) : new Date();
+    const previous = journey.stops[journey.stops.length - 1];
+    const earliest = previous ? (previous.departedAt || previous.arrivedAt) : journey.startTimestamp;
+
+    if (arrival < earliest) {
+      return res.status(400).json({
+        success: false,
+        message: previous
+          ? 'Arrival time cannot be before the previous stop'
+          : 'Arrival time cannot be before the journey started'
+      });
+    }
+
+    // Leaving the previous stop
+    if (previous && !previous.departedAt) {
+      previous.departedAt = arrival;
+    }
+
+    journey.stops.push({
+      sequence: journey.stops.length + 1,
+      customerId,
+      customerName,
+      typeOfVisit,
+      natureOfWork,
+      numberOfMachines: typeOfVisit === 'machine_visit' ? numberOfMachines : undefined,
+      coordinates,
+      address,
+      arrivedAt: arrival,
+      notes
+    });
+
+    await journey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Stop added successfully',
+      data: {
+        journey,
+        stop: journey.stops[journey.stops.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Add stop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add stop',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Depart from a customer stop
+ * PUT /api/journeys/:id/stops/:stopId/depart
+ * @access Private
+ */
+const departStop = async (req, res) => {
+  try {
+    const { id, stopId } = req.params;
+    const { departedAt, notes } = req.body;
+    const userId = req.user.id;
+
+    const journey = await Journey.findById(id);
+
+    if (!journey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journey not found'
+      });
+    }
+
+    // Check ownership
+    if (journey.userId.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update stops on your own journeys'
+      });
+    }
+
+    // Check if journey is active
+    if (journey.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update stop. Journey is already ${journey.status}`
+      });
+    }
+
+    const stop = journey.stops.id(stopId);
+
+    if (!stop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stop not found'
+      });
+    }
+
+    if (stop.departedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Already departed from this stop'
+      });
+    }
+
+    const departure = departedAt ? new Date(departedAt) : new Date();
+    if (departure < stop.arrivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Departure time cannot be before arrival time'
+      });
+    }
+
+    stop.departedAt = departure;
+    if (notes) {
+      stop.notes = notes;
+    }
+
+    await journey.save();
+
+    res.json({
+      success: true,
+      message: 'Departed from stop successfully',
+      data: { journey, stop }
+    });
+  } catch (error) {
+    console.error('Depart stop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stop',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the GPS track of a journey for review
+ * GET /api/journeys/:id/track
+ * @access Private
+ * @description
+ * - Returns the raw breadcrumbs alongside the filtered track used for the system distance
+ * - Super Admin can see any track
+ * - Admin can only see tracks from users assigned to them
+ * - Users can only see their own tracks
+ */
+const getJourneyTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const journey = await Journey.findById(id)
+      .select('+trackPoints')
+      .populate('userId', 'name email employeeId');
+
+    if (!journey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Journey not found'
+      });
+    }
+
+    // RBAC: Check access permissions
+    if (userRole === 'user') {
+      if (journey.userId._id.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own journeys.'
+        });
+      }
+    } else if (userRole === 'admin') {
+      const User = require('../models/User');
+      const journeyUser = await User.findById(journey.userId._id);
+      if (!journeyUser.assignedTo || journeyUser.assignedTo.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view journeys from users assigned to you.'
+        });
+      }
+    }
+
+    // Re-run the filter so reviewers see exactly which points were used
+    const endCoordinates = journey.endCoordinates && journey.endCoordinates.latitude !== undefined
+      ? journey.endCoordinates
+      : null;
+    const { points, summary } = await summarizeTrack(journey, endCoordinates);
+
+    res.json({
+      success: true,
+      data: {
+        journeyId: journey._id,
+        user: journey.userId,
+        status: journey.status,
+        startCoordinates: journey.startCoordinates,
+        endCoordinates: journey.endCoordinates,
+        startTimestamp: journey.startTimestamp,
+        endTimestamp: journey.endTimestamp,
+        calculatedDistance: journey.calculatedDistance,
+        trackSummary: journey.status === 'completed' ? journey.trackSummary : summary,
+        rawPoints: journey.trackPoints,
+        filteredPoints: points
+      }
+    });
+  } catch (error) {
+    console.error('Get journey track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve journey track',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Cancel an active journey
  * PUT /api/journeys/:id/cancel
@@ -626,6 +1265,11 @@ module.exports = {
   getJourneyById,
   getAllJourneys,
   cancelJourney,
-  getActiveJourney
+  getActiveJourney,
+  addTrackPoints,
+  getJourneyTrack,
+  syncJourneys,
+  addStop,
+  departStop
 };
 
@@ -0,0 +1,196 @@
+/**
+ * Ledger Controller
+ * Handles advance account statements and recoveries posted to the advance ledger
+ */
+
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const { getBalance, getStatement, postRecovery } = require('../services/ledgerService');
+const { checkMonthLock, sendMonthLocked } = require('../services/monthLockService');
+const { formatMoney } = require('../utils/currency');
+
+/**
+ * Load an employee whose advance ledger the current user may see
+ * Users see their own ledger, Admin the ledgers of users assigned to them, Super Admin all
+ *
+ * @param {String} userId - Employee ID
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<Object>} { employee } or { error: { status, message } }
+ */
+const loadLedgerEmployee = async (userId, currentUser) => {
+  const employee = await User.findById(userId).select('name email employeeId assignedTo advanceBalance');
+  if (!employee) {
+    return { error: { status: 404, message: 'Employee not found' } };
+  }
+
+  const isOwn = employee._id.toString() === currentUser.userId;
+  const isAssigned = employee.assignedTo && employee.assignedTo.toString() === currentUser.userId;
+  if (!isOwn && currentUser.role !== 'superadmin' && !(currentUser.role === 'admin' && isAssigned)) {
+    return { error: { status: 403, message: 'You do not have permission to view this user\'s advance ledger' } };
+  }
+
+  return { employee };
+};
+
+/**
+ * Get an employee's advance account statement
+ * GET /api/advances/user/:userId/statement
+ * Admin (assigned users), Super Admin, and user (own data only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Opening balance, ledger entries with running balance, closing balance
+ * @description
+ * - from/to select entries by posting date; to includes the whole day
+ * - Without from the statement opens at zero with the first entry
+ */
+const getAdvanceStatement = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { from, to } = req.query;
+
+    const { employee, error } = await loadLedgerEmployee(userId, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let periodEnd = null;
+    if (to) {
+      periodEnd = new Date(to);
+      periodEnd.setHours(23, 59, 59, 999);
+    }
+
+    const [statement, baseCurrency] = await Promise.all([
+      getStatement(userId, { from, to: periodEnd }),
+      Settings.getBaseCurrency()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Advance statement retrieved successfully',
+      data: {
+        user: {
+          id: employee._id,
+          name: employee.name,
+          email: employee.email,
+          employeeId: employee.employeeId
+        },
+        period: {
+          from: from || null,
+          to: periodEnd
+        },
+        baseCurrency,
+        ...statement
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getAdvanceStatement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve advance statement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record money an employee returned from their advance
+ * POST /api/advances/user/:userId/recoveries
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Ledger entry and updated balance
+ * @description
+ * - The recovery cannot exceed the outstanding advance balance
+ * - Recoveries dated in a locked month are refused
+ */
+const recordRecovery = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { userId } = req.params;
+    const { amount, date, reference, notes } = req.body;
+
+    const { employee, error } = await loadLedgerEmployee(userId, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (userId === adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot record a recovery against your own advance'
+      });
+    }
+
+    const recoveryDate = date ? new Date(date) : new Date();
+    const lockError = await checkMonthLock(userId, recoveryDate, 'record advance recovery');
+    if (lockError) {
+      return sendMonthLocked(res, lockError);
+    }
+
+    const outstanding = await getBalance(userId);
+    if (amount > outstanding) {
+      return res.status(400).json({
+        success: false,
+        message: `Recovery cannot exceed the outstanding advance balance of ${formatMoney(outstanding, await Settings.getBaseCurrency())}`
+      });
+    }
+
+    const { entry, previousBalance, balance } = await postRecovery({
+      userId,
+      amount,
+      date: recoveryDate,
+      reference,
+      description: notes
+    }, { postedBy: adminId });
+
+    await Audit.log({
+      action: 'advance_recovered',
+      performedBy: adminId,
+      targetUser: employee._id,
+      metadata: {
+        ledgerEntryId: entry._id,
+        amount: entry.amount,
+        date: recoveryDate,
+        reference,
+        previousBalance,
+        newBalance: balance,
+        notes
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Advance recovery recorded successfully',
+      data: {
+        entry,
+        previousBalance,
+        newBalance: balance
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in recordRecovery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record advance recovery',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAdvanceStatement,
+  recordRecovery
+};
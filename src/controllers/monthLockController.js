@@ -0,0 +1,567 @@
+/**
+ * Month Lock Controller
+ * Handles month closing (locking) and reopening for employees
+ */
+
+const mongoose = require('mongoose');
+const MonthLock = require('../models/MonthLock');
+const Expense = require('../models/Expense');
+const Advance = require('../models/Advance');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const { getBalance, getTotalBalance } = require('../services/ledgerService');
+
+/**
+ * Build the closing summary for a user's month
+ * Closing balance is the advance ledger balance at the end of the month being closed
+ * (advances, approved expenses, recoveries, reversals and payouts posted up to then)
+ *
+ * @param {String|null} userId - Employee ID, or null for organization-wide totals
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12)
+ * @returns {Promise<Object>} Summary matching MonthLock.summary
+ */
+const buildMonthSummary = async (userId, year, month) => {
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 0, 23, 59, 59);
+  const userMatch = userId ? { userId: new mongoose.Types.ObjectId(userId) } : {};
+
+  // 1. Expense counts and approved total for the month
+  const expenseStats = await Expense.aggregate([
+    {
+      $match: {
+        ...userMatch,
+        date: { $gte: monthStart, $lte: monthEnd }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalExpenses: { $sum: 1 },
+        totalApproved: {
+          $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] }
+        },
+        totalRejected: {
+          $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] }
+        },
+        totalPending: {
+          $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+        },
+        totalAmount: {
+          $sum: { $cond: [{ $eq: ['$status', 'approved'] }, { $ifNull: ['$approvedAmount', 0] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  // 2. Advances given during the month
+  const advanceStats = await Advance.aggregate([
+    {
+      $match: {
+        ...userMatch,
+        status: 'completed',
+        isDeleted: false,
+        date: { $gte: monthStart, $lte: monthEnd }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  // 3. Ledger balance at month end
+  const closingBalance = userId ? await getBalance(userId, monthEnd) : await getTotalBalance(monthEnd);
+
+  const stats = expenseStats[0] || {
+    totalExpenses: 0,
+    totalApproved: 0,
+    totalRejected: 0,
+    totalPending: 0,
+    totalAmount: 0
+  };
+  const totalAdvances = advanceStats.length > 0 ? advanceStats[0].total : 0;
+
+  return {
+    totalExpenses: stats.totalExpenses,
+    totalApproved: stats.totalApproved,
+    totalRejected: stats.totalRejected,
+    totalPending: stats.totalPending,
+    totalAmount: parseFloat(stats.totalAmount.toFixed(2)),
+    totalAdvances: parseFloat(totalAdvances.toFixed(2)),
+    closingBalance
+  };
+};
+
+/**
+ * Close (lock) a single employee's month
+ * Returns an outcome object instead of sending a response so it can be
+ * reused when closing a month for many employees at once
+ *
+ * @param {Object} params - Close parameters
+ * @param {Object} params.user - Employee document
+ * @param {Number} params.year - Year
+ * @param {Number} params.month - Month (1-12)
+ * @param {Boolean} params.force - Close even when expenses are still pending
+ * @param {String} params.notes - Optional closing notes
+ * @param {Object} req - Express request object (for audit metadata)
+ * @returns {Promise<Object>} Outcome { status: 'closed'|'skipped', lock?, summary?, reason? }
+ */
+const closeMonthForUser = async ({ user, year, month, force, notes }, req) => {
+  const existing = await MonthLock.findOne({ userId: user._id, year, month });
+  if (existing && existing.isLocked) {
+    return { status: 'skipped', reason: 'Month is already locked', lock: existing };
+  }
+
+  const summary = await buildMonthSummary(user._id, year, month);
+
+  if (summary.totalPending > 0 && !force) {
+    return {
+      status: 'skipped',
+      reason: `${summary.totalPending} expense(s) are still pending. Approve or reject them, or close with force.`,
+      summary
+    };
+  }
+
+  const lock = await MonthLock.createLock(user._id, year, month, req.user.userId, summary, notes);
+
+  await Audit.log({
+    action: 'month_locked',
+    performedBy: req.user.userId,
+    targetUser: user._id,
+    metadata: {
+      monthLockId: lock._id,
+      year,
+      month,
+      forced: !!force && summary.totalPending > 0,
+      summary
+    },
+    notes,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    severity: 'medium'
+  });
+
+  return { status: 'closed', lock, summary };
+};
+
+/**
+ * Close a month for one employee or all assigned employees
+ * POST /api/month-locks/close
+ * Admin and Super Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - With scope 'organization': Super Admin locks the month for every employee
+ * - With userId: closes the month for that employee
+ * - Without userId: Admin closes for all assigned employees,
+ *   Super Admin closes for all active employees
+ * - Months with pending expenses are skipped unless force is true
+ */
+const closeMonth = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+    const { userId, scope = 'user', year, month, force = false, notes } = req.body;
+
+    // Cannot close a month that has not ended yet
+    const now = new Date();
+    const currentPeriod = now.getFullYear() * 12 + now.getMonth();
+    if (year * 12 + (month - 1) >= currentPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only past months can be closed'
+      });
+    }
+
+    // Organization-wide lock (Super Admin only)
+    if (scope === 'organization') {
+      if (userRole !== 'superadmin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Super Admin access required to close a month for the whole organization.'
+        });
+      }
+
+      const existing = await MonthLock.findOne({ scope: 'organization', year, month });
+      if (existing && existing.isLocked) {
+        return res.status(400).json({
+          success: false,
+          message: 'Month is already locked for the organization'
+        });
+      }
+
+      const summary = await buildMonthSummary(null, year, month);
+      if (summary.totalPending > 0 && !force) {
+        return res.status(400).json({
+          success: false,
+          message: `${summary.totalPending} expense(s) are still pending across the organization. Approve or reject them, or close with force.`,
+          data: { summary }
+        });
+      }
+
+      const lock = await MonthLock.createLock(null, year, month, adminId, summary, notes);
+
+      await Audit.log({
+        action: 'month_locked',
+        performedBy: adminId,
+        metadata: {
+          monthLockId: lock._id,
+          scope: 'organization',
+          year,
+          month,
+          forced: !!force && summary.totalPending > 0,
+          summary
+        },
+        notes,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        severity: 'high'
+      });
+
+      await lock.populate('closedBy', 'name email');
+
+      return res.status(201).json({
+        success: true,
+        message: `Month ${lock.period} closed for the organization`,
+        data: { lock }
+      });
+    }
+
+    // Single employee
+    if (userId) {
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee not found'
+        });
+      }
+
+      // RBAC: Admin can only close months for users assigned to them
+      if (userRole === 'admin' && (!user.assignedTo || user.assignedTo.toString() !== adminId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only close months for users assigned to you.'
+        });
+      }
+
+      const outcome = await closeMonthForUser({ user, year, month, force, notes }, req);
+
+      if (outcome.status !== 'closed') {
+        return res.status(400).json({
+          success: false,
+          message: outcome.reason,
+          data: { summary: outcome.summary }
+        });
+      }
+
+      await outcome.lock.populate('closedBy', 'name email');
+      await outcome.lock.populate('userId', 'name email employeeId');
+
+      return res.status(201).json({
+        success: true,
+        message: `Month ${outcome.lock.period} closed successfully`,
+        data: { lock: outcome.lock }
+      });
+    }
+
+    // All employees in scope
+    const employeeFilter = { role: 'user', isActive: true };
+    if (userRole === 'admin') {
+      employeeFilter.assignedTo = adminId;
+    }
+    const employees = await User.find(employeeFilter).select('name email employeeId');
+
+    const results = {
+      closed: [],
+      skipped: [],
+      failed: []
+    };
+
+    for (const user of employees) {
+      try {
+        const outcome = await closeMonthForUser({ user, year, month, force, notes }, req);
+        const entry = {
+          userId: user._id,
+          name: user.name,
+          employeeId: user.employeeId
+        };
+
+        if (outcome.status === 'closed') {
+          results.closed.push({ ...entry, lockId: outcome.lock._id, summary: outcome.summary });
+        } else {
+          results.skipped.push({ ...entry, reason: outcome.reason });
+        }
+      } catch (error) {
+        console.error('Error closing month for user:', user._id, error);
+        results.failed.push({
+          userId: user._id,
+          name: user.name,
+          employeeId: user.employeeId,
+          reason: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Month close completed. ${results.closed.length} closed, ${results.skipped.length} skipped, ${results.failed.length} failed.`,
+      data: {
+        year,
+        month,
+        totalEmployees: employees.length,
+        ...results
+      }
+    });
+  } catch (error) {
+    console.error('Close month error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close month',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unlock (reopen) a closed month
+ * PUT /api/month-locks/:id/unlock
+ * Admin and Super Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockMonth = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+    const { reason } = req.body;
+
+    const lock = await MonthLock.findById(id).populate('userId', 'name email employeeId assignedTo');
+
+    if (!lock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Month lock not found'
+      });
+    }
+
+    // RBAC: Only Super Admin can reopen an organization-wide lock
+    if (lock.scope === 'organization' && userRole !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Super Admin access required to reopen an organization-wide lock.'
+      });
+    }
+
+    // RBAC: Admin can only reopen months for users assigned to them
+    if (userRole === 'admin') {
+      const assignedTo = lock.userId?.assignedTo;
+      if (!assignedTo || assignedTo.toString() !== adminId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only reopen months for users assigned to you.'
+        });
+      }
+    }
+
+    if (!lock.isLocked) {
+      return res.status(400).json({
+        success: false,
+        message: `${lock.period} is not locked`
+      });
+    }
+
+    await lock.unlock(adminId, reason);
+
+    await Audit.log({
+      action: 'month_unlocked',
+      performedBy: adminId,
+      targetUser: lock.userId?._id,
+      metadata: {
+        monthLockId: lock._id,
+        scope: lock.scope,
+        year: lock.year,
+        month: lock.month
+      },
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      severity: 'high'
+    });
+
+    await lock.populate('unlockedBy', 'name email');
+
+    res.json({
+      success: true,
+      message: `Month ${lock.period} reopened successfully`,
+      data: { lock }
+    });
+  } catch (error) {
+    console.error('Unlock month error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock month',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get month locks with filters
+ * GET /api/month-locks
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Super Admin can see all locks
+ * - Admin can only see locks for users assigned to them
+ * - Users can only see their own locks
+ */
+const getMonthLocks = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    const userRole = req.user.role;
+    const { userId, scope, year, month, isLocked, page = 1, limit = 12 } = req.query;
+
+    const query = {};
+
+    // RBAC: Role-based filtering
+    // Organization-wide locks apply to everyone, so they are always visible
+    if (userRole === 'user') {
+      query.$or = [{ userId: currentUserId }, { scope: 'organization' }];
+    } else if (userRole === 'admin') {
+      const assignedUsers = await User.find({ assignedTo: currentUserId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (userId) {
+        if (!assignedUserIds.some(id => id.toString() === userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view month locks for users assigned to you.'
+          });
+        }
+        query.$or = [{ userId }, { scope: 'organization' }];
+      } else {
+        query.$or = [{ userId: { $in: assignedUserIds } }, { scope: 'organization' }];
+      }
+    } else if (userRole === 'superadmin' && userId) {
+      query.$or = [{ userId }, { scope: 'organization' }];
+    }
+
+    if (scope) query.scope = scope;
+    if (year) query.year = year;
+    if (month) query.month = month;
+    if (isLocked !== undefined) query.isLocked = isLocked;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [locks, total] = await Promise.all([
+      MonthLock.find(query)
+        .populate('userId', 'name email employeeId')
+        .populate('closedBy', 'name email')
+        .populate('unlockedBy', 'name email')
+        .sort({ year: -1, month: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      MonthLock.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        locks,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get month locks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve month locks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview the closing summary for an employee's month without locking it
+ * GET /api/month-locks/preview/:userId/:year/:month
+ * Admin and Super Admin only
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewMonthSummary = async (req, res) => {
+  try {
+    const { userId, year, month } = req.params;
+    const adminId = req.user.userId;
+    const userRole = req.user.role;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (userRole === 'admin' && (!user.assignedTo || user.assignedTo.toString() !== adminId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view months for users assigned to you.'
+      });
+    }
+
+    const yearNum = parseInt(year);
+    const monthNum = parseInt(month);
+    const [summary, lock] = await Promise.all([
+      buildMonthSummary(user._id, yearNum, monthNum),
+      MonthLock.findActiveLock(userId, yearNum, monthNum)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          employeeId: user.employeeId
+        },
+        year: yearNum,
+        month: monthNum,
+        isLocked: !!lock,
+        lockScope: lock ? lock.scope : null,
+        canClose: summary.totalPending === 0,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Preview month summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview month summary',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  buildMonthSummary,
+  closeMonth,
+  unlockMonth,
+  getMonthLocks,
+  previewMonthSummary
+};
@@ -0,0 +1,136 @@
+/**
+ * Notification Controller
+ * Lists notifications and marks them as read for the current user
+ */
+
+const Notification = require('../models/Notification');
+
+/**
+ * Get notifications for the current user
+ * GET /api/notifications
+ * @access Private
+ * @description
+ * - Every user only sees notifications addressed to them
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+    const userId = req.user.id;
+
+    const query = { recipient: userId };
+    if (unreadOnly) {
+      query.isRead = false;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('relatedUser', 'name email employeeId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * PUT /api/notifications/:id/read
+ * @access Private
+ */
+const markAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const notification = await Notification.findById(id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.recipient.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own notifications'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark all notifications of the current user as read
+ * PUT /api/notifications/read-all
+ * @access Private
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await Notification.updateMany(
+      { recipient: userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markAsRead,
+  markAllAsRead
+};
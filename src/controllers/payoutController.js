@@ -0,0 +1,605 @@
+/**
+ * Payout Controller
+ * Handles reimbursement payout batches, their bank/UPI files and confirmation
+ */
+
+const { format } = require('fast-csv');
+const PayoutBatch = require('../models/PayoutBatch');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const {
+  UNPAID_EXPENSE_FILTER,
+  getPayableReimbursements,
+  getBatchTotals,
+  getNextBatchNumber,
+  buildBankFile,
+  buildUpiFile
+} = require('../services/payoutService');
+const { postPayout } = require('../services/ledgerService');
+const { notify } = require('../services/notificationService');
+const { formatMoney } = require('../utils/currency');
+
+// Attempts when two batches are created at once and claim the same batch number
+const MAX_BATCH_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Employees the current user can pay
+ * @param {Object} currentUser - req.user
+ * @param {Array<String>} requestedIds - Employees asked for (optional)
+ * @returns {Promise<Array|undefined>} Employee IDs, or undefined for everyone (Super Admin)
+ */
+const getPayableUserIds = async (currentUser, requestedIds) => {
+  if (currentUser.role === 'superadmin') {
+    return requestedIds && requestedIds.length > 0 ? requestedIds : undefined;
+  }
+
+  const assignedUsers = await User.find({ assignedTo: currentUser.userId }).select('_id');
+  const assignedIds = assignedUsers.map(u => u._id.toString());
+  return requestedIds && requestedIds.length > 0
+    ? requestedIds.filter(id => assignedIds.includes(id))
+    : assignedIds;
+};
+
+/**
+ * Load a payout batch the current user may work on
+ * Super Admin can work on any batch, Admin on the batches they created
+ *
+ * @param {String} id - Batch ID
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<Object>} { batch } or { error: { status, message } }
+ */
+const loadPayoutBatch = async (id, currentUser) => {
+  const batch = await PayoutBatch.findById(id);
+  if (!batch) {
+    return { error: { status: 404, message: 'Payout batch not found' } };
+  }
+
+  if (currentUser.role !== 'superadmin' && batch.createdBy.toString() !== currentUser.userId) {
+    return { error: { status: 403, message: 'Access denied. You can only work on payout batches you created.' } };
+  }
+
+  return { batch };
+};
+
+/**
+ * Preview the reimbursements that a new batch would pay
+ * GET /api/payouts/preview
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Payable lines, skipped employees and totals
+ */
+const previewPayouts = async (req, res) => {
+  try {
+    const userIds = await getPayableUserIds(req.user, req.query.userIds);
+    const [{ lines, skipped }, baseCurrency] = await Promise.all([
+      getPayableReimbursements({ userIds }),
+      Settings.getBaseCurrency()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payable reimbursements retrieved successfully',
+      data: {
+        baseCurrency,
+        lines,
+        skipped,
+        totals: getBatchTotals(lines)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in previewPayouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payable reimbursements',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a payout batch from the approved, unpaid expenses
+ * POST /api/payouts
+ * Admin (assigned users) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Created batch
+ * @description
+ * - One line per employee: approved amount, the part covered by the advance balance, and the net paid
+ * - The expenses are held as 'processing' so they are not picked up by another batch
+ * - Employees without bank or UPI details are listed in skipped and left for a later batch
+ */
+const createPayoutBatch = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { userIds: requestedIds, notes } = req.body;
+
+    const userIds = await getPayableUserIds(req.user, requestedIds);
+    const { lines, skipped } = await getPayableReimbursements({ userIds });
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no approved, unpaid reimbursements to pay',
+        data: { skipped }
+      });
+    }
+
+    let batch;
+    for (let attempt = 1; !batch; attempt++) {
+      try {
+        batch = await PayoutBatch.create({
+          batchNumber: await getNextBatchNumber(),
+          lines,
+          totals: getBatchTotals(lines),
+          skipped,
+          notes,
+          createdBy: adminId
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_BATCH_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+
+    // Hold the expenses; if another batch took some of them first, give this one up
+    const expenseIds = lines.flatMap(line => line.expenseIds);
+    const held = await Expense.updateMany(
+      { _id: { $in: expenseIds }, ...UNPAID_EXPENSE_FILTER },
+      { paymentStatus: 'processing', payoutBatchId: batch._id }
+    );
+    if (held.modifiedCount !== expenseIds.length) {
+      await Expense.updateMany(
+        { payoutBatchId: batch._id, paymentStatus: 'processing' },
+        { paymentStatus: 'unpaid', payoutBatchId: null }
+      );
+      await PayoutBatch.deleteOne({ _id: batch._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Some expenses were paid or added to another batch while this batch was created. Please try again.'
+      });
+    }
+
+    await Audit.log({
+      action: 'payout_batch_created',
+      performedBy: adminId,
+      metadata: {
+        payoutBatchId: batch._id,
+        batchNumber: batch.batchNumber,
+        totals: batch.totals,
+        skipped: skipped.length
+      },
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout batch created successfully',
+      data: { batch }
+    });
+
+  } catch (error) {
+    console.error('Error in createPayoutBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payout batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get payout batches
+ * GET /api/payouts
+ * Admin (own batches) and Super Admin (all)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} List of batches (without lines) with pagination
+ */
+const getPayoutBatches = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = {};
+    if (req.user.role !== 'superadmin') filter.createdBy = req.user.userId;
+    if (status) filter.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .select('-lines')
+        .populate('createdBy', 'name email')
+        .populate('confirmedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batches retrieved successfully',
+      data: {
+        batches,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getPayoutBatches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payout batches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a payout batch with its lines
+ * GET /api/payouts/:id
+ * Admin (own batches) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Batch details
+ */
+const getPayoutBatchById = async (req, res) => {
+  try {
+    const { batch, error } = await loadPayoutBatch(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await batch.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'exportedBy', select: 'name email' },
+      { path: 'confirmedBy', select: 'name email' },
+      { path: 'cancelledBy', select: 'name email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch retrieved successfully',
+      data: { batch }
+    });
+
+  } catch (error) {
+    console.error('Error in getPayoutBatchById:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payout batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the bank bulk-transfer file or UPI list of a batch
+ * GET /api/payouts/:id/export
+ * Admin (own batches) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {File} CSV file
+ * @description
+ * - format=bank: NEFT/RTGS file in the PAYOUT_BANK_FILE_LAYOUT column layout
+ * - format=upi: payee, UPI ID, amount and reference per employee paid by UPI
+ * - Marks a draft batch as exported; the file can be downloaded again until the batch is confirmed
+ */
+const exportPayoutBatch = async (req, res) => {
+  try {
+    const { format: fileFormat = 'bank' } = req.query;
+
+    const { batch, error } = await loadPayoutBatch(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!batch.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${batch.status} batch cannot be exported`
+      });
+    }
+
+    const file = fileFormat === 'upi'
+      ? buildUpiFile(batch)
+      : buildBankFile(batch, await Settings.getPayoutBankFileLayout());
+
+    if (file.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: fileFormat === 'upi'
+          ? 'This batch has no employees paid by UPI'
+          : 'This batch has no employees paid by bank transfer'
+      });
+    }
+
+    batch.status = 'exported';
+    batch.exportedAt = new Date();
+    batch.exportedBy = req.user.userId;
+    batch.exportCount += 1;
+    await batch.save();
+
+    await Audit.log({
+      action: 'payout_batch_exported',
+      performedBy: req.user.userId,
+      metadata: {
+        payoutBatchId: batch._id,
+        batchNumber: batch.batchNumber,
+        format: fileFormat,
+        rows: file.rows.length,
+        exportCount: batch.exportCount
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const filename = `${batch.batchNumber}-${fileFormat}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const csvStream = format({ headers: file.headers });
+    csvStream.pipe(res);
+
+    file.rows.forEach(row => {
+      csvStream.write(row);
+    });
+
+    csvStream.end();
+
+  } catch (error) {
+    console.error('Error in exportPayoutBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export payout batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm a batch with the bank's UTRs
+ * POST /api/payouts/:id/confirm
+ * Admin (own batches) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Confirmed batch
+ * @description
+ * - Every employee paid in the batch must be listed as paid (with UTR) or failed
+ * - Paid lines post the payout to the advance ledger and mark their expenses paid with the batch and UTR
+ * - Failed lines release their expenses for a later batch
+ * - Lines covered entirely by the advance are settled without a transfer
+ */
+const confirmPayoutBatch = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { lines: outcomes, paidAt: paidAtInput } = req.body;
+    const paidAt = paidAtInput ? new Date(paidAtInput) : new Date();
+
+    const { batch, error } = await loadPayoutBatch(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!batch.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${batch.status} batch cannot be confirmed`
+      });
+    }
+
+    const outcomeByUser = new Map(outcomes.map(outcome => [outcome.userId, outcome]));
+    if (outcomeByUser.size !== outcomes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each employee can be listed only once'
+      });
+    }
+    const transferLines = batch.lines.filter(line => line.method !== 'advance_offset');
+
+    const unknown = outcomes.filter(outcome => !transferLines.some(line => line.userId.toString() === outcome.userId));
+    const missing = transferLines.filter(line => !outcomeByUser.has(line.userId.toString()));
+    if (unknown.length > 0 || missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'List every employee paid in the batch exactly once as paid (with UTR) or failed',
+        data: {
+          unknownUserIds: unknown.map(outcome => outcome.userId),
+          missingUserIds: missing.map(line => line.userId)
+        }
+      });
+    }
+
+    const baseCurrency = await Settings.getBaseCurrency();
+    const summary = { paid: 0, failed: 0, settled: 0, paidAmount: 0 };
+
+    for (const line of batch.lines) {
+      const outcome = outcomeByUser.get(line.userId.toString());
+
+      if (outcome && outcome.status === 'failed') {
+        await Expense.updateMany(
+          { _id: { $in: line.expenseIds }, payoutBatchId: batch._id },
+          { paymentStatus: 'unpaid', payoutBatchId: null }
+        );
+        line.status = 'failed';
+        line.failureReason = outcome.failureReason;
+        summary.failed++;
+        continue;
+      }
+
+      if (line.netAmount > 0) {
+        const { entry } = await postPayout({
+          userId: line.userId,
+          amount: line.netAmount,
+          payoutBatchId: batch._id,
+          batchNumber: batch.batchNumber,
+          reference: outcome.utr
+        }, { postedBy: adminId, postedAt: paidAt });
+        line.ledgerEntryId = entry._id;
+        line.utr = outcome.utr;
+        summary.paid++;
+        summary.paidAmount += line.netAmount;
+      } else {
+        summary.settled++;
+      }
+
+      await Expense.updateMany(
+        { _id: { $in: line.expenseIds }, payoutBatchId: batch._id },
+        { paymentStatus: 'paid', paidAt, paymentReference: line.utr || null }
+      );
+      line.status = 'paid';
+      line.paidAt = paidAt;
+
+      if (line.netAmount > 0) {
+        await notify({
+          recipient: line.userId,
+          type: 'reimbursement_paid',
+          title: 'Reimbursement paid',
+          message: `${formatMoney(line.netAmount, baseCurrency)} for ${line.expenseIds.length} expense(s) was paid in ${batch.batchNumber} (ref ${line.utr}).`,
+          metadata: { payoutBatchId: batch._id, utr: line.utr }
+        });
+      }
+    }
+
+    batch.status = 'confirmed';
+    batch.confirmedAt = new Date();
+    batch.confirmedBy = adminId;
+    await batch.save();
+
+    await Audit.log({
+      action: 'payout_batch_confirmed',
+      performedBy: adminId,
+      metadata: {
+        payoutBatchId: batch._id,
+        batchNumber: batch.batchNumber,
+        paidAt,
+        ...summary
+      },
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch confirmed',
+      data: { batch, summary }
+    });
+
+  } catch (error) {
+    console.error('Error in confirmPayoutBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payout batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a batch that has not been confirmed
+ * POST /api/payouts/:id/cancel
+ * Admin (own batches) and Super Admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Cancelled batch
+ */
+const cancelPayoutBatch = async (req, res) => {
+  try {
+    const adminId = req.user.userId;
+    const { reason } = req.body;
+
+    const { batch, error } = await loadPayoutBatch(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!batch.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${batch.status} batch cannot be cancelled`
+      });
+    }
+
+    const released = await Expense.updateMany(
+      { payoutBatchId: batch._id, paymentStatus: 'processing' },
+      { paymentStatus: 'unpaid', payoutBatchId: null }
+    );
+
+    batch.status = 'cancelled';
+    batch.cancelledAt = new Date();
+    batch.cancelledBy = adminId;
+    batch.cancellationReason = reason;
+    await batch.save();
+
+    await Audit.log({
+      action: 'payout_batch_cancelled',
+      performedBy: adminId,
+      metadata: {
+        payoutBatchId: batch._id,
+        batchNumber: batch.batchNumber,
+        releasedExpenses: released.modifiedCount,
+        wasExported: batch.exportCount > 0
+      },
+      reason,
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch cancelled',
+      data: { batch, releasedExpenses: released.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Error in cancelPayoutBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel payout batch',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  previewPayouts,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatchById,
+  exportPayoutBatch,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+};
@@ -0,0 +1,537 @@
+/**
+ * Recurring Expense Controller
+ * Employees define templates for regular expenses (mobile bill, internet, office rent)
+ * The recurring expense job creates the pending expenses on schedule
+ */
+
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const { findMissingCostCenters } = require('../services/costCenterService');
+
+// Fields the owner can change (they apply to future occurrences)
+const TEMPLATE_FIELDS = ['description', 'amount', 'currency', 'endDate', 'receiptRequired', 'costCenterId'];
+
+// Generated expenses shown with a template
+const GENERATED_EXPENSE_LIMIT = 12;
+
+/**
+ * Start of the day (server time zone) containing a date
+ * @param {Date|String} date - Any time on the day
+ * @returns {Date} Midnight at the start of the day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Whether the current user can view or manage a template
+ * Owner, Super Admin, or the admin the owner is assigned to
+ *
+ * @param {Object} currentUser - req.user
+ * @param {Object} template - Template document with userId populated (assignedTo)
+ * @returns {Boolean}
+ */
+const canAccessTemplate = (currentUser, template) => {
+  const owner = template.userId;
+  if ((owner._id || owner).toString() === currentUser.userId) return true;
+  if (currentUser.role === 'superadmin') return true;
+  return currentUser.role === 'admin' && owner.assignedTo?.toString() === currentUser.userId;
+};
+
+/**
+ * Load a template the current user can access
+ * @param {String} id - Template ID
+ * @param {Object} currentUser - req.user
+ * @returns {Promise<Object>} { template } or { error: {status, message} }
+ */
+const loadTemplate = async (id, currentUser) => {
+  const template = await RecurringExpense.findById(id).populate('userId', 'name email employeeId assignedTo');
+
+  if (!template) {
+    return { error: { status: 404, message: 'Recurring expense not found' } };
+  }
+  if (!canAccessTemplate(currentUser, template)) {
+    return { error: { status: 403, message: 'You do not have permission to access this recurring expense' } };
+  }
+
+  return { template };
+};
+
+/**
+ * Get recurring expense templates with filters
+ * GET /api/recurring-expenses
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - User can only see their own templates
+ * - Admin sees their own templates and those of users assigned to them
+ * - Super Admin sees all templates
+ */
+const getRecurringExpenses = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const userRole = req.user.role;
+    const { page = 1, limit = 20, status, userId: filterUserId } = req.query;
+
+    const query = {};
+
+    if (userRole === 'user') {
+      query.userId = userId;
+    } else if (userRole === 'admin') {
+      const assignedUsers = await User.find({ assignedTo: userId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (filterUserId) {
+        if (filterUserId !== userId && !assignedUserIds.some(id => id.toString() === filterUserId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only view recurring expenses of users assigned to you.'
+          });
+        }
+        query.userId = filterUserId;
+      } else {
+        query.$or = [{ userId }, { userId: { $in: assignedUserIds } }];
+      }
+    } else if (filterUserId) {
+      query.userId = filterUserId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [recurringExpenses, total] = await Promise.all([
+      RecurringExpense.find(query)
+        .populate('userId', 'name email employeeId')
+        .populate('costCenterId', 'code name')
+        .sort({ status: 1, nextOccurrence: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      RecurringExpense.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        recurringExpenses,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recurring expenses',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a template with its most recent generated expenses
+ * GET /api/recurring-expenses/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRecurringExpenseById = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await template.populate('costCenterId', 'code name');
+    const expenses = await Expense.find({ recurringExpenseId: template._id })
+      .select('date amount currency originalAmount status attachments receiptRequired recurringOccurrence')
+      .sort({ recurringOccurrence: -1 })
+      .limit(GENERATED_EXPENSE_LIMIT);
+
+    res.json({
+      success: true,
+      data: {
+        recurringExpense: template,
+        expenses
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recurring expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a recurring expense template for the current user
+ * POST /api/recurring-expenses
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - The first expense is created on startDate, then every week, month, quarter or year
+ * - startDate cannot be in the past (past months are entered as normal expenses)
+ */
+const createRecurringExpense = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { type, description, amount, currency, frequency, startDate, endDate, receiptRequired, costCenterId } = req.body;
+
+    const firstOccurrence = startOfDay(startDate);
+    if (firstOccurrence < startOfDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    if (costCenterId && (await findMissingCostCenters([costCenterId])).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cost center not found or inactive'
+      });
+    }
+
+    const template = await RecurringExpense.create({
+      userId,
+      type,
+      description,
+      amount,
+      currency: currency || null,
+      frequency,
+      startDate: firstOccurrence,
+      endDate: endDate ? startOfDay(endDate) : null,
+      nextOccurrence: firstOccurrence,
+      receiptRequired,
+      costCenterId: costCenterId || null
+    });
+
+    await Audit.log({
+      action: 'recurring_expense_created',
+      performedBy: userId,
+      targetUser: userId,
+      metadata: {
+        recurringExpenseId: template._id,
+        type,
+        amount,
+        currency: template.currency,
+        frequency: template.frequency,
+        startDate: template.startDate,
+        endDate: template.endDate,
+        receiptRequired: template.receiptRequired
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring expense created successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a recurring expense template
+ * PUT /api/recurring-expenses/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Changes apply to future occurrences; expenses already generated are not changed
+ * - An end date before the next occurrence ends the template
+ */
+const updateRecurringExpense = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (template.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update an ended recurring expense'
+      });
+    }
+
+    const updates = { ...req.body };
+    if (updates.endDate) {
+      updates.endDate = startOfDay(updates.endDate);
+      if (updates.endDate < template.startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date cannot be before the start date'
+        });
+      }
+    }
+
+    if (updates.costCenterId && (await findMissingCostCenters([updates.costCenterId])).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cost center not found or inactive'
+      });
+    }
+
+    const changes = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (updates[field] === undefined) return;
+      const from = template[field]?._id || template[field];
+      if (String(from ?? null) !== String(updates[field] ?? null)) {
+        changes[field] = { from: from ?? null, to: updates[field] };
+        template[field] = updates[field];
+      }
+    });
+
+    // Ends once the next occurrence falls after the new end date
+    if (template.endDate && template.nextOccurrence > template.endDate) {
+      template.status = 'ended';
+      template.nextOccurrence = null;
+      template.endedAt = new Date();
+      template.endedBy = req.user.userId;
+    }
+
+    await template.save();
+
+    await Audit.log({
+      action: 'recurring_expense_updated',
+      performedBy: req.user.userId,
+      targetUser: template.userId._id,
+      metadata: {
+        recurringExpenseId: template._id,
+        changes,
+        ended: template.status === 'ended' || undefined
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: template.status === 'ended'
+        ? 'Recurring expense updated and ended (no occurrences remain before the end date)'
+        : 'Recurring expense updated successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pause a recurring expense
+ * POST /api/recurring-expenses/:id/pause
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - No expenses are generated while paused
+ */
+const pauseRecurringExpense = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (template.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pause ${template.status} recurring expense. Only active recurring expenses can be paused.`
+      });
+    }
+
+    template.status = 'paused';
+    template.pausedAt = new Date();
+    await template.save();
+
+    await Audit.log({
+      action: 'recurring_expense_paused',
+      performedBy: req.user.userId,
+      targetUser: template.userId._id,
+      metadata: {
+        recurringExpenseId: template._id,
+        nextOccurrence: template.nextOccurrence
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expense paused',
+      data: template
+    });
+  } catch (error) {
+    console.error('Pause recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause recurring expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resume a paused recurring expense
+ * POST /api/recurring-expenses/:id/resume
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Occurrences that fell while paused are not generated; the schedule continues from today
+ */
+const resumeRecurringExpense = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (template.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resume ${template.status} recurring expense. Only paused recurring expenses can be resumed.`
+      });
+    }
+
+    template.status = 'active';
+    template.pausedAt = null;
+
+    // Move past the occurrences missed while paused
+    const today = startOfDay(new Date());
+    let missedOccurrences = 0;
+    while (template.nextOccurrence && template.nextOccurrence < today) {
+      template.advance();
+      missedOccurrences++;
+    }
+    if (template.status === 'ended') {
+      template.endedBy = req.user.userId;
+    }
+
+    await template.save();
+
+    await Audit.log({
+      action: 'recurring_expense_resumed',
+      performedBy: req.user.userId,
+      targetUser: template.userId._id,
+      metadata: {
+        recurringExpenseId: template._id,
+        missedOccurrences,
+        nextOccurrence: template.nextOccurrence,
+        ended: template.status === 'ended' || undefined
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: template.status === 'ended'
+        ? 'Recurring expense ended (its end date passed while paused)'
+        : 'Recurring expense resumed',
+      data: template
+    });
+  } catch (error) {
+    console.error('Resume recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume recurring expense',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * End a recurring expense
+ * POST /api/recurring-expenses/:id/end
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - No further expenses are generated; expenses already generated are kept
+ * - An ended template cannot be restarted (create a new one)
+ */
+const endRecurringExpense = async (req, res) => {
+  try {
+    const { template, error } = await loadTemplate(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (template.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring expense is already ended'
+      });
+    }
+
+    template.status = 'ended';
+    template.nextOccurrence = null;
+    template.endedAt = new Date();
+    template.endedBy = req.user.userId;
+    await template.save();
+
+    await Audit.log({
+      action: 'recurring_expense_ended',
+      performedBy: req.user.userId,
+      targetUser: template.userId._id,
+      metadata: {
+        recurringExpenseId: template._id,
+        generatedCount: template.generatedCount
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expense ended',
+      data: template
+    });
+  } catch (error) {
+    console.error('End recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end recurring expense',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRecurringExpenses,
+  getRecurringExpenseById,
+  createRecurringExpense,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  endRecurringExpense
+};
@@ -8,10 +8,70 @@ const Journey = require('../models/Journey');
 const User = require('../models/User');
 const Audit = require('../models/Audit');
 const Settings = require('../models/Settings');
+const CostCenter = require('../models/CostCenter');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getCostCenterFilter, getAllocationShare } = require('../services/costCenterService');
+const { getOutstandingLots } = require('../services/ledgerService');
+const { DEFAULT_BASE_CURRENCY, formatMoney, getCurrencySymbol, roundAmount } = require('../utils/currency');
+const { getGstinState, getTotalTax, getTaxPeriod } = require('../utils/gst');
 const ExcelJS = require('exceljs');
 const { format } = require('fast-csv');
 const { Readable } = require('stream');
 const PDFDocument = require('pdfkit');
+const { isValidObjectId } = require('../utils/validators');
+
+// Row grouping of the expense report
+const REPORT_GROUPINGS = ['journey', 'claim'];
+
+// Tax periods of the GST input-tax-credit report
+const GST_REPORT_PERIODS = ['month', 'quarter'];
+
+// Age buckets of the advance aging report (maxDays is inclusive; the last bucket is open-ended)
+const AGING_BUCKETS = [
+  { key: 'days0to30', label: '0-30 Days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 Days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 Days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ Days', maxDays: Infinity }
+];
+
+// What raised the balance, per ledger entry type (reversals here undo an approved expense)
+const AGING_ENTRY_LABELS = {
+  advance: 'Advance',
+  payout: 'Reimbursement paid',
+  reversal: 'Reversed expense'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the cost center a report is filtered by
+ * @param {Object} res - Express response object
+ * @param {String} costCenterId - Cost center ID from the query (optional)
+ * @returns {Promise<Object>} { costCenter } (null without a filter), or { sent: true } after an error response
+ */
+const loadReportCostCenter = async (res, costCenterId) => {
+  if (!costCenterId) {
+    return { costCenter: null };
+  }
+
+  if (!isValidObjectId(costCenterId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid costCenterId format'
+    });
+    return { sent: true };
+  }
+
+  const costCenter = await CostCenter.findById(costCenterId).select('code name type');
+  if (!costCenter) {
+    res.status(404).json({
+      success: false,
+      message: 'Cost center not found'
+    });
+    return { sent: true };
+  }
+  return { costCenter };
+};
 
 /**
  * Generate Expense Report
@@ -19,10 +79,12 @@ const PDFDocument = require('pdfkit');
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @description
+ * - costCenterId limits the report to expenses charged to the cost center, at their allocated share
  */
 const generateExpenseReport = async (req, res) => {
   try {
-    const { startDate, endDate, employeeId, format: reportFormat, status } = req.query;
+    const { startDate, endDate, employeeId, format: reportFormat, status, groupBy = 'journey', claimId, costCenterId } = req.query;
     const currentUser = req.user;
 
     // Validate required parameters
@@ -40,6 +102,23 @@ const generateExpenseReport = async (req, res) => {
       });
     }
 
+    if (!REPORT_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group by must be either "journey" or "claim"'
+      });
+    }
+
+    if (claimId && !isValidObjectId(claimId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid claimId format'
+      });
+    }
+
+    const { costCenter, sent } = await loadReportCostCenter(res, costCenterId);
+    if (sent) return;
+
     // Parse dates
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -71,6 +150,14 @@ const generateExpenseReport = async (req, res) => {
       query.status = status;
     }
 
+    // Apply claim filter
+    if (claimId) {
+      query.claimId = claimId;
+    }
+
+    // Apply cost center filter (expenses split across cost centers match each of them)
+    Object.assign(query, getCostCenterFilter(costCenterId));
+
     // Apply employee filter with RBAC
     if (employeeId) {
       query.userId = employeeId;
@@ -87,6 +174,8 @@ const generateExpenseReport = async (req, res) => {
       .populate('userId', 'name employeeId')
       .populate('journeyId')
       .populate('approvedBy', 'name')
+      .populate('claimId', 'title status')
+      .populate('allocations.costCenterId', 'code name')
       .sort({ date: 1, userId: 1 })
       .lean();
 
@@ -97,19 +186,21 @@ const generateExpenseReport = async (req, res) => {
       });
     }
 
-    // Get rate per km from settings
-    const ratePerKm = await Settings.getRatePerKm();
+    // Get rates per km (default and per vehicle type) from settings
+    const rates = await Settings.getRatesPerKm();
+    const baseCurrency = await Settings.getBaseCurrency();
 
     // Transform data for report
-    const reportData = await transformExpenseData(expenses, ratePerKm);
+    const journeyRows = await transformExpenseData(expenses, rates, groupBy, baseCurrency, costCenterId);
+    const reportData = groupBy === 'claim' ? mergeRowsByClaim(journeyRows) : journeyRows;
 
     // Generate report based on format
     if (reportFormat.toLowerCase() === 'excel') {
-      await generateExcelReport(res, reportData, start, end, employeeId, ratePerKm);
+      await generateExcelReport(res, reportData, start, end, employeeId, rates, groupBy, baseCurrency, costCenter);
     } else if (reportFormat.toLowerCase() === 'pdf') {
-      await generatePDFReport(res, reportData, start, end, employeeId, ratePerKm);
+      await generatePDFReport(res, reportData, start, end, employeeId, rates, groupBy, baseCurrency, costCenter);
     } else {
-      await generateCSVReport(res, reportData, start, end, ratePerKm);
+      await generateCSVReport(res, reportData, start, end, rates, groupBy, baseCurrency);
     }
 
     // Audit log
@@ -123,6 +214,9 @@ const generateExpenseReport = async (req, res) => {
           employeeId: employeeId || 'all',
           format: reportFormat,
           status: status || 'all',
+          groupBy,
+          claimId,
+          costCenterId,
           recordCount: expenses.length
         }
       });
@@ -145,29 +239,38 @@ const generateExpenseReport = async (req, res) => {
  * Transform expense data to new 12-column report format
  * Groups expenses by journey and categorizes by type
  * @param {Array} expenses - Array of expense documents
- * @param {Number} ratePerKm - Rate per kilometer from settings
+ * @param {Object} rates - Rates per kilometer from Settings.getRatesPerKm()
+ * @param {String} groupBy - 'journey' or 'claim' (journeys are also split by claim, see mergeRowsByClaim)
+ * @param {String} baseCurrency - Currency the report amounts are in
+ * @param {String} costCenterId - Cost center filter; amounts are reduced to its allocated share (optional)
  * @returns {Array} Transformed data for report
  */
-const transformExpenseData = async (expenses, ratePerKm) => {
+const transformExpenseData = async (expenses, rates, groupBy = 'journey', baseCurrency = DEFAULT_BASE_CURRENCY, costCenterId = null) => {
   // Group expenses by journey
   const journeyGroups = {};
 
   expenses.forEach(expense => {
     const journeyId = expense.journeyId?._id?.toString() || 'no-journey';
-    if (!journeyGroups[journeyId]) {
-      journeyGroups[journeyId] = {
+    const groupKey = groupBy === 'claim'
+      ? `${expense.claimId?._id?.toString() || 'no-claim'}:${journeyId}`
+      : journeyId;
+    if (!journeyGroups[groupKey]) {
+      journeyGroups[groupKey] = {
+        journeyId,
         journey: expense.journeyId,
+        claim: expense.claimId,
         expenses: []
       };
     }
-    journeyGroups[journeyId].expenses.push(expense);
+    journeyGroups[groupKey].expenses.push(expense);
   });
 
   const reportRows = [];
 
   // Process each journey group
-  for (const journeyId in journeyGroups) {
-    const group = journeyGroups[journeyId];
+  for (const groupKey in journeyGroups) {
+    const group = journeyGroups[groupKey];
+    const journeyId = group.journeyId;
     const journey = group.journey;
     const journeyExpenses = group.expenses;
 
@@ -175,18 +278,30 @@ const transformExpenseData = async (expenses, ratePerKm) => {
     let travellingAmount = 0; // Tickets + Car Rental + Toll
     let siteExpenses = 0; // Courier + Local Purchase + Transport Charges + Office Expense
     let lodgingRoom = 0; // Lodging
-    let otherExpense = 0; // Food + Others
-    let totalKm = journey?.calculatedDistance || 0;
+    let otherExpense = 0; // Food + Others + Per Diem
+    // Journey expense rate (captured at journey end), otherwise the current rate for the vehicle type
+    const journeyExpense = journeyExpenses.find(expense => expense.type === 'journey');
+    const vehicleType = journey?.vehicleType || journeyExpense?.vehicleType || null;
+    const ratePerKm = journeyExpense?.distanceRate ?? rates[vehicleType] ?? rates.default;
+    // With a cost center filter the distance counts at the journey expense's share (none without it)
+    const journeyShare = costCenterId
+      ? (journeyExpense ? getAllocationShare(journeyExpense, costCenterId) : 0)
+      : 1;
+    let totalKm = (journey?.calculatedDistance || 0) * journeyShare;
     let petrolExpense = totalKm * ratePerKm;
-    let machineVisitCost = journey?.machineVisitCost || 0;
+    let machineVisitCost = (journey?.machineVisitCost || 0) * journeyShare;
 
     // Categorize and sum expenses
     journeyExpenses.forEach(expense => {
-      const amount = expense.approvedAmount || expense.amount || 0;
+      const amount = (expense.approvedAmount || expense.amount || 0) * getAllocationShare(expense, costCenterId);
       const type = expense.type;
 
+      // Per-diem allowances are linked to a journey but count as Other Expense
+      if (type === 'per_diem') {
+        otherExpense += amount;
+      }
       // For journey-attached expenses (except main journey expense), add to travelling amount
-      if (expense.journeyId && type !== 'journey') {
+      else if (expense.journeyId && type !== 'journey') {
         travellingAmount += amount;
       }
       // Travelling Amount = Tickets + Car Rental + Toll
@@ -210,10 +325,14 @@ const transformExpenseData = async (expenses, ratePerKm) => {
     // Calculate total
     const totalAmount = travellingAmount + siteExpenses + lodgingRoom + petrolExpense + otherExpense + machineVisitCost;
 
+    // Per-stop breakdown (multi-stop journeys)
+    const stops = journeyExpense?.stopBreakdown || [];
+    const stopCustomers = stops.filter(stop => stop.stopId).map(stop => stop.customerName).join(', ');
+
     // Create row for this journey
     reportRows.push({
       date: journey ? formatDate(journey.startTimestamp) : formatDate(journeyExpenses[0]?.date),
-      customerName: journey?.customerName || journey?.name || 'General Expense',
+      customerName: journey?.customerName || stopCustomers || journey?.name || 'General Expense',
       natureOfWork: journey?.natureOfWork || 'N/A',
       siteLocation: journey?.endAddress || journey?.siteLocation || 'N/A',
       typeOfVisit: journey?.typeOfVisit ? journey.typeOfVisit.replace('_', ' ') : 'N/A',
@@ -221,6 +340,8 @@ const transformExpenseData = async (expenses, ratePerKm) => {
       siteExpenses: siteExpenses,
       lodgingRoom: lodgingRoom,
       totalKm: totalKm,
+      vehicleType: vehicleType,
+      ratePerKm: ratePerKm,
       petrolExpense: petrolExpense,
       machineVisitCost: machineVisitCost,
       otherExpense: otherExpense,
@@ -228,13 +349,74 @@ const transformExpenseData = async (expenses, ratePerKm) => {
       employeeName: journeyExpenses[0]?.userId?.name || 'Unknown',
       employeeId: journeyExpenses[0]?.userId?.employeeId || 'N/A',
       remarks: journeyExpenses.map(exp => exp.notes || '').filter(note => note).join('; ') || 'N/A',
-      journeyId: journeyId
+      originalAmounts: formatOriginalAmounts(journeyExpenses, baseCurrency),
+      costCenters: formatCostCenters(journeyExpenses),
+      journeyId: journeyId,
+      claimId: group.claim?._id?.toString() || null,
+      claimTitle: group.claim?.title || null,
+      claimStatus: group.claim?.status || null,
+      stops
     });
   }
 
   return reportRows;
 };
 
+/**
+ * Merge journey rows into one row per expense claim
+ * Expenses outside a claim are merged into one "Unclaimed expenses" row per employee
+ * @param {Array} rows - Rows from transformExpenseData (grouped by claim)
+ * @returns {Array} One row per claim
+ */
+const mergeRowsByClaim = (rows) => {
+  const numericFields = [
+    'travellingAmount', 'siteExpenses', 'lodgingRoom', 'totalKm',
+    'petrolExpense', 'machineVisitCost', 'otherExpense', 'totalAmount'
+  ];
+  const unique = (values) => [...new Set(values.filter(value => value && value !== 'N/A'))].join(', ') || 'N/A';
+  const claimRows = {};
+
+  rows.forEach(row => {
+    const key = row.claimId || `no-claim:${row.employeeId}`;
+    if (!claimRows[key]) {
+      claimRows[key] = [];
+    }
+    claimRows[key].push(row);
+  });
+
+  return Object.values(claimRows).map(claimGroup => {
+    const first = claimGroup[0];
+    const merged = {
+      ...first,
+      customerName: first.claimTitle
+        ? `${first.claimTitle} (${first.claimStatus.replace('_', ' ')})`
+        : 'Unclaimed expenses',
+      natureOfWork: unique(claimGroup.map(row => row.natureOfWork)),
+      siteLocation: unique(claimGroup.map(row => row.siteLocation)),
+      typeOfVisit: unique(claimGroup.map(row => row.typeOfVisit)),
+      remarks: unique(claimGroup.map(row => row.remarks)),
+      originalAmounts: unique(claimGroup.map(row => row.originalAmounts)),
+      costCenters: unique(claimGroup.map(row => row.costCenters)),
+      customers: unique(claimGroup.map(row => row.customerName)),
+      journeyCount: claimGroup.filter(row => row.journeyId !== 'no-journey').length,
+      stops: claimGroup.flatMap(row => row.stops)
+    };
+
+    numericFields.forEach(field => {
+      merged[field] = claimGroup.reduce((sum, row) => sum + row[field], 0);
+    });
+
+    // Effective rate when the claim mixes vehicle types
+    const vehicleTypes = new Set(claimGroup.map(row => row.vehicleType).filter(Boolean));
+    if (vehicleTypes.size > 1) {
+      merged.vehicleType = null;
+      merged.ratePerKm = merged.totalKm > 0 ? parseFloat((merged.petrolExpense / merged.totalKm).toFixed(2)) : first.ratePerKm;
+    }
+
+    return merged;
+  });
+};
+
 /**
  * Format date to DD/MM/YYYY HH:MM
  * @param {Date} date - Date object
@@ -253,6 +435,83 @@ const formatDate = (date) => {
   return `${day}/${month}/${year} ${hours}:${minutes}`;
 };
 
+/**
+ * Format vehicle type to readable string
+ * @param {String} vehicleType - Vehicle type
+ * @returns {String} Formatted vehicle type
+ */
+const formatVehicleType = (vehicleType) => {
+  const vehicleMap = {
+    'two_wheeler': 'Two-wheeler',
+    'car': 'Car',
+    'company_vehicle': 'Company Vehicle'
+  };
+  return vehicleMap[vehicleType] || 'Not specified';
+};
+
+/**
+ * Describe the rates per km used in a report
+ * @param {Object} rates - Rates per kilometer from Settings.getRatesPerKm()
+ * @param {String} baseCurrency - Currency the rates are in
+ * @returns {String} e.g. "Rate per KM: ₹8 (Two-wheeler ₹5, Car ₹10, Company Vehicle ₹4)"
+ */
+const formatRateNote = (rates, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  const symbol = getCurrencySymbol(baseCurrency);
+  const vehicleRates = Object.keys(rates)
+    .filter(key => key !== 'default')
+    .map(key => `${formatVehicleType(key)} ${symbol}${rates[key]}`)
+    .join(', ');
+  return `Rate per KM: ${symbol}${rates.default} (${vehicleRates})`;
+};
+
+/**
+ * Summarize a journey's stop breakdown on one line
+ * @param {Array} stops - Expense stop breakdown entries
+ * @param {String} baseCurrency - Currency the stop costs are in
+ * @returns {String} e.g. "1. Acme (12.40 KM, ₹99.20); 2. Return (8.00 KM, ₹64.00)"
+ */
+const formatStopSummary = (stops, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  if (!stops || stops.length === 0) return '';
+  return stops
+    .map(stop => `${stop.sequence}. ${stop.customerName} (${stop.legDistance.toFixed(2)} KM, ${formatMoney(stop.total, baseCurrency)})`)
+    .join('; ');
+};
+
+/**
+ * List the foreign-currency amounts behind a row's base-currency totals
+ * @param {Array} expenses - Expenses in the row
+ * @param {String} baseCurrency - Currency the report amounts are in
+ * @returns {String} e.g. "USD 120.00 (₹9960.00); EUR 45.00 (₹4050.00)", or 'N/A'
+ */
+const formatOriginalAmounts = (expenses, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  return expenses
+    .filter(expense => expense.currency && expense.currency !== baseCurrency)
+    .map(expense => `${expense.currency} ${expense.originalAmount.toFixed(2)} (${formatMoney(expense.amount, baseCurrency)})`)
+    .join('; ') || 'N/A';
+};
+
+/**
+ * List the cost centers a row's expenses are charged to
+ * @param {Array} expenses - Expenses in the row (allocations populated with code)
+ * @returns {String} e.g. "SALES-N, PRJ-014 (40%)", or 'N/A'
+ */
+const formatCostCenters = (expenses) => {
+  const labels = expenses.flatMap(expense => (expense.allocations || []).map(allocation => {
+    const code = allocation.costCenterId?.code || 'Unknown';
+    return allocation.percentage < 100 ? `${code} (${allocation.percentage}%)` : code;
+  }));
+  return [...new Set(labels)].join(', ') || 'N/A';
+};
+
+/**
+ * Describe the cost center a report is filtered by
+ * @param {Object} costCenter - Cost center document
+ * @returns {String} e.g. "Cost Center: PRJ-014 - Plant Upgrade (allocated share of each expense)"
+ */
+const formatCostCenterTitle = (costCenter) => {
+  return `Cost Center: ${costCenter.code} - ${costCenter.name} (allocated share of each expense)`;
+};
+
 /**
  * Format expense type to readable string
  * @param {String} type - Expense type
@@ -275,9 +534,12 @@ const formatExpenseType = (type) => {
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
  * @param {String} employeeId - Employee ID (optional)
- * @param {Number} ratePerKm - Rate per kilometer
+ * @param {Object} rates - Rates per kilometer by vehicle type
+ * @param {String} groupBy - 'journey' or 'claim'
+ * @param {String} baseCurrency - Currency the report amounts are in
+ * @param {Object} costCenter - Cost center the report is filtered by (optional)
  */
-const generateExcelReport = async (res, data, startDate, endDate, employeeId, ratePerKm) => {
+const generateExcelReport = async (res, data, startDate, endDate, employeeId, rates, groupBy = 'journey', baseCurrency = DEFAULT_BASE_CURRENCY, costCenter = null) => {
   const workbook = new ExcelJS.Workbook();
 
   // Sheet 1: Expense Details (Main Sheet)
@@ -302,12 +564,19 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
     detailsSheet.mergeCells('A3:L3');
   }
 
+  if (costCenter) {
+    const costCenterRow = detailsSheet.addRow([formatCostCenterTitle(costCenter)]);
+    costCenterRow.font = { bold: true, size: 11 };
+    costCenterRow.alignment = { horizontal: 'center' };
+    detailsSheet.mergeCells(`A${costCenterRow.number}:L${costCenterRow.number}`);
+  }
+
   detailsSheet.addRow([]); // Empty row
 
-  // Add headers (12 columns)
+  // Add headers (12 columns plus original currency amounts and cost centers)
   const headers = [
     'Date and Time',
-    'Name of the Customer',
+    groupBy === 'claim' ? 'Claim' : 'Name of the Customer',
     'Nature of Work',
     'Site Location',
     'Type of Visit',
@@ -317,7 +586,9 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
     'Travel Expense',
     'Other Expense',
     'Total Expenses Cost (Rs.)',
-    'Remarks'
+    'Remarks',
+    'Original Currency Amounts',
+    'Cost Centers'
   ];
 
   const headerRow = detailsSheet.addRow(headers);
@@ -354,7 +625,7 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
 
   // Add data rows
   data.forEach(row => {
-    const travelExpense = `${row.totalKm.toFixed(2)} KM (₹${row.petrolExpense.toFixed(2)})`;
+    const travelExpense = `${row.totalKm.toFixed(2)} KM (${formatMoney(row.petrolExpense, baseCurrency)})`;
     const dataRow = detailsSheet.addRow([
       row.date,
       row.customerName,
@@ -367,7 +638,9 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
       travelExpense,
       row.otherExpense,
       row.totalAmount,
-      row.remarks
+      row.remarks,
+      row.originalAmounts,
+      row.costCenters
     ]);
 
     // Add borders
@@ -428,8 +701,9 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
   });
 
   // Format currency columns (E to L)
+  const currencyFormat = `"${getCurrencySymbol(baseCurrency)}"#,##0.00`;
   for (let col = 5; col <= 12; col++) {
-    detailsSheet.getColumn(col).numFmt = '₹#,##0.00';
+    detailsSheet.getColumn(col).numFmt = currencyFormat;
   }
 
   // Set column widths
@@ -445,9 +719,11 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
   detailsSheet.getColumn(10).width = 18; // Machine Visit Cost
   detailsSheet.getColumn(11).width = 15; // Other Expense
   detailsSheet.getColumn(12).width = 15; // Total Amount
+  detailsSheet.getColumn(13).width = 30; // Original Currency Amounts
+  detailsSheet.getColumn(14).width = 25; // Cost Centers
 
   // Freeze header rows (title + headers)
-  const headerRowNumber = employeeId ? 5 : 4;
+  const headerRowNumber = headerRow.number;
   detailsSheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
 
   // Add footer notes
@@ -455,11 +731,62 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
   const noteRow1 = detailsSheet.addRow(['Notes:']);
   noteRow1.font = { bold: true };
 
-  detailsSheet.addRow([`• Rate per KM: ₹${ratePerKm}`]);
+  detailsSheet.addRow([`• ${formatRateNote(rates, baseCurrency)}`]);
   detailsSheet.addRow(['• Travelling Amount = Tickets + Car Rental + Toll']);
   detailsSheet.addRow(['• Site Expenses = Courier + Local Purchase + Transport Charges + Office Expense']);
-  detailsSheet.addRow(['• Other Expense = Food + Others + Fuel']);
-  detailsSheet.addRow(['• Petrol Expense = Total KM × Rate per KM']);
+  detailsSheet.addRow(['• Other Expense = Food + Others + Fuel + Per Diem']);
+  detailsSheet.addRow(['• Petrol Expense = Total KM × Rate per KM for the journey\'s vehicle type']);
+  detailsSheet.addRow([`• Amounts are in ${baseCurrency}; foreign-currency expenses are converted at the rate on the expense date`]);
+
+  // Sheet 2: Stop Breakdown (multi-stop journeys)
+  const stopRows = data.filter(row => row.stops && row.stops.length > 0);
+  if (stopRows.length > 0) {
+    const stopsSheet = workbook.addWorksheet('Stop Breakdown');
+    const stopHeaderRow = stopsSheet.addRow([
+      'Date and Time',
+      'Employee',
+      'Stop #',
+      'Customer',
+      'Type of Visit',
+      'Location',
+      'Leg KM',
+      'Leg Cost (Rs.)',
+      'Machine Visit Cost (Rs.)',
+      'Stop Total (Rs.)'
+    ]);
+    stopHeaderRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    stopHeaderRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4299E1' }
+    };
+
+    stopRows.forEach(row => {
+      row.stops.forEach(stop => {
+        stopsSheet.addRow([
+          row.date,
+          row.employeeName,
+          stop.sequence,
+          stop.customerName,
+          stop.typeOfVisit ? stop.typeOfVisit.replace('_', ' ') : 'N/A',
+          stop.address || 'N/A',
+          stop.legDistance,
+          stop.legCost,
+          stop.machineVisitCost,
+          stop.total
+        ]);
+      });
+    });
+
+    for (let col = 8; col <= 10; col++) {
+      stopsSheet.getColumn(col).numFmt = currencyFormat;
+    }
+    stopsSheet.getColumn(1).width = 18;
+    stopsSheet.getColumn(2).width = 20;
+    stopsSheet.getColumn(4).width = 25;
+    stopsSheet.getColumn(6).width = 30;
+    stopsSheet.views = [{ state: 'frozen', ySplit: 1 }];
+  }
 
   // Set response headers
   const filename = `expense-report-${Date.now()}.xlsx`;
@@ -477,22 +804,31 @@ const generateExcelReport = async (res, data, startDate, endDate, employeeId, ra
  * @param {Array} data - Report data
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @param {Number} ratePerKm - Rate per kilometer
+ * @param {Object} rates - Rates per kilometer by vehicle type
+ * @param {String} groupBy - 'journey' or 'claim'
+ * @param {String} baseCurrency - Currency the report amounts are in
  */
-const generateCSVReport = async (res, data, startDate, endDate, ratePerKm) => {
+const generateCSVReport = async (res, data, startDate, endDate, rates, groupBy = 'journey', baseCurrency = DEFAULT_BASE_CURRENCY) => {
   const csvData = data.map(row => ({
     'Date and Time': row.date,
-    'Name of the Customer': row.customerName,
+    ...(groupBy === 'claim'
+      ? { 'Claim': row.customerName, 'Customers': row.customers }
+      : { 'Name of the Customer': row.customerName }),
     'Nature of Work': row.natureOfWork,
     'Site Location': row.siteLocation,
     'Type of Visit': row.typeOfVisit,
     'Travelling Amount (Rs.)': row.travellingAmount.toFixed(2),
     'Site Expenses': row.siteExpenses.toFixed(2),
     'Lodging ROOM': row.lodgingRoom.toFixed(2),
-    'Travel Expense': `${row.totalKm.toFixed(2)} KM (₹${row.petrolExpense.toFixed(2)})`,
+    'Travel Expense': `${row.totalKm.toFixed(2)} KM (${formatMoney(row.petrolExpense, baseCurrency)})`,
+    'Vehicle Type': formatVehicleType(row.vehicleType),
+    'Rate per KM': row.ratePerKm,
     'Other Expense': row.otherExpense.toFixed(2),
     'Total Expenses Cost (Rs.)': row.totalAmount.toFixed(2),
-    'Remarks': row.remarks
+    'Remarks': row.remarks,
+    'Original Currency Amounts': row.originalAmounts,
+    'Cost Centers': row.costCenters,
+    'Stops': formatStopSummary(row.stops, baseCurrency)
   }));
 
   const filename = `expense-report-${Date.now()}.csv`;
@@ -516,9 +852,12 @@ const generateCSVReport = async (res, data, startDate, endDate, ratePerKm) => {
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
  * @param {String} employeeId - Employee ID (optional)
- * @param {Number} ratePerKm - Rate per kilometer
+ * @param {Object} rates - Rates per kilometer by vehicle type
+ * @param {String} groupBy - 'journey' or 'claim'
+ * @param {String} baseCurrency - Currency the report amounts are in
+ * @param {Object} costCenter - Cost center the report is filtered by (optional)
  */
-const generatePDFReport = async (res, data, startDate, endDate, employeeId, ratePerKm) => {
+const generatePDFReport = async (res, data, startDate, endDate, employeeId, rates, groupBy = 'journey', baseCurrency = DEFAULT_BASE_CURRENCY, costCenter = null) => {
   const doc = new PDFDocument({
     size: 'A4',
     layout: 'landscape',
@@ -552,6 +891,11 @@ const generatePDFReport = async (res, data, startDate, endDate, employeeId, rate
     doc.moveDown(0.5);
   }
 
+  if (costCenter) {
+    doc.fontSize(10).text(formatCostCenterTitle(costCenter), { align: 'center' });
+    doc.moveDown(0.5);
+  }
+
   // Define table columns
   const tableTop = doc.y + 10;
   const colWidths = [60, 70, 70, 70, 60, 60, 60, 80, 60, 60, 60, 60]; // Column widths
@@ -561,7 +905,7 @@ const generatePDFReport = async (res, data, startDate, endDate, employeeId, rate
   // Headers
   const headers = [
     'Date and\nTime',
-    'Name of the\nCustomer',
+    groupBy === 'claim' ? 'Claim' : 'Name of the\nCustomer',
     'Nature of\nWork',
     'Site\nLocation',
     'Type of\nVisit',
@@ -610,20 +954,21 @@ const generatePDFReport = async (res, data, startDate, endDate, employeeId, rate
     const fillColor = rowIndex % 2 === 0 ? '#f8f9fa' : 'white';
     doc.rect(30, currentY, colWidths.reduce((a, b) => a + b, 0), rowHeight).fill(fillColor);
 
-    const travelExpense = `${row.totalKm.toFixed(2)} KM\n(₹${row.petrolExpense.toFixed(2)})`;
+    const travelExpense = `${row.totalKm.toFixed(2)} KM\n(${formatMoney(row.petrolExpense, baseCurrency)})`;
     const cellData = [
       row.date,
       row.customerName,
       row.natureOfWork,
       row.siteLocation,
       row.typeOfVisit,
-      `₹${row.travellingAmount.toFixed(2)}`,
-      `₹${row.siteExpenses.toFixed(2)}`,
-      `₹${row.lodgingRoom.toFixed(2)}`,
+      formatMoney(row.travellingAmount, baseCurrency),
+      formatMoney(row.siteExpenses, baseCurrency),
+      formatMoney(row.lodgingRoom, baseCurrency),
       travelExpense,
-      `₹${row.otherExpense.toFixed(2)}`,
-      `₹${row.totalAmount.toFixed(2)}`,
-      row.remarks
+      formatMoney(row.otherExpense, baseCurrency),
+      formatMoney(row.totalAmount, baseCurrency),
+      // No room for more columns in the PDF; original amounts and cost centers go with the remarks
+      [row.remarks, row.originalAmounts, row.costCenters].filter(text => text && text !== 'N/A').join('\n') || 'N/A'
     ];
 
     cellData.forEach((cell, index) => {
@@ -661,14 +1006,14 @@ const generatePDFReport = async (res, data, startDate, endDate, employeeId, rate
     '',
     '',
     'GRAND TOTAL',
-    `₹${grandTotalTravelling.toFixed(2)}`,
-    `₹${grandTotalSiteExpenses.toFixed(2)}`,
-    `₹${grandTotalLodging.toFixed(2)}`,
+    formatMoney(grandTotalTravelling, baseCurrency),
+    formatMoney(grandTotalSiteExpenses, baseCurrency),
+    formatMoney(grandTotalLodging, baseCurrency),
     grandTotalKm.toFixed(2),
-    `₹${grandTotalPetrol.toFixed(2)}`,
-    `₹${grandTotalMachineVisit.toFixed(2)}`,
-    `₹${grandTotalOther.toFixed(2)}`,
-    `₹${grandTotal.toFixed(2)}`
+    formatMoney(grandTotalPetrol, baseCurrency),
+    formatMoney(grandTotalMachineVisit, baseCurrency),
+    formatMoney(grandTotalOther, baseCurrency),
+    formatMoney(grandTotal, baseCurrency)
   ];
 
   // Total row background
@@ -691,21 +1036,958 @@ const generatePDFReport = async (res, data, startDate, endDate, employeeId, rate
   doc.text('Notes:', 30, currentY);
   currentY += 15;
 
-  doc.text(`• Rate per KM: ₹${ratePerKm}`, 40, currentY);
+  doc.text(`• ${formatRateNote(rates, baseCurrency)}`, 40, currentY);
   currentY += 12;
   doc.text('• Travelling Amount = Tickets + Car Rental + Toll', 40, currentY);
   currentY += 12;
   doc.text('• Site Expenses = Courier + Local Purchase + Transport Charges + Office Expense', 40, currentY);
   currentY += 12;
-  doc.text('• Other Expense = Food + Others + Fuel', 40, currentY);
+  doc.text('• Other Expense = Food + Others + Fuel + Per Diem', 40, currentY);
+  currentY += 12;
+  doc.text('• Petrol Expense = Total KM × Rate per KM for the journey\'s vehicle type', 40, currentY);
+
+  // Stop breakdown for multi-stop journeys
+  const stopRows = data.filter(row => row.stops && row.stops.length > 0);
+  if (stopRows.length > 0) {
+    doc.addPage();
+    doc.fontSize(14).font('Helvetica-Bold').text('STOP BREAKDOWN', 30, 30);
+    doc.moveDown(0.5);
+
+    stopRows.forEach(row => {
+      doc.fontSize(9).font('Helvetica-Bold').text(`${row.date} - ${row.employeeName}`);
+      doc.fontSize(8).font('Helvetica');
+      row.stops.forEach(stop => {
+        doc.text(
+          `  ${stop.sequence}. ${stop.customerName} | ${stop.address || 'N/A'} | ` +
+          `${stop.legDistance.toFixed(2)} KM | Leg ${formatMoney(stop.legCost, baseCurrency)} | ` +
+          `Machine Visit ${formatMoney(stop.machineVisitCost, baseCurrency)} | Total ${formatMoney(stop.total, baseCurrency)}`
+        );
+      });
+      doc.moveDown(0.5);
+    });
+  }
+
+  // Finalize PDF
+  doc.end();
+};
+
+/**
+ * Generate GST Input Tax Credit Report
+ * GET /api/reports/gst-itc
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Lists claimable GST per vendor GSTIN and tax period from approved expenses with GST details
+ * - Periods follow the expense date
+ * - Excel adds an invoice-level sheet; CSV has the vendor summary only
+ * - costCenterId lists invoices charged (wholly or partly) to the cost center; invoice tax is not split
+ */
+const generateGstItcReport = async (req, res) => {
+  try {
+    const { startDate, endDate, employeeId, format: reportFormat, period = 'month', vendorGstin, costCenterId } = req.query;
+    const currentUser = req.user;
+
+    // Validate required parameters
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date and end date are required'
+      });
+    }
+
+    if (!reportFormat || !['csv', 'excel'].includes(reportFormat.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be either "csv" or "excel"'
+      });
+    }
+
+    if (!GST_REPORT_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be either "month" or "quarter"'
+      });
+    }
+
+    if (employeeId && !isValidObjectId(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employeeId format'
+      });
+    }
+
+    const { sent } = await loadReportCostCenter(res, costCenterId);
+    if (sent) return;
+
+    // Parse dates
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use ISO 8601 format (YYYY-MM-DD)'
+      });
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be before or equal to end date'
+      });
+    }
+
+    // Only approved expenses with a vendor GSTIN are claimable
+    const query = {
+      status: 'approved',
+      date: { $gte: start, $lte: end },
+      'gst.vendorGstin': vendorGstin ? vendorGstin.toUpperCase() : { $ne: null },
+      ...getCostCenterFilter(costCenterId)
+    };
+
+    // Apply employee filter with RBAC
+    if (currentUser.role === 'admin') {
+      // Admin can only see their assigned users
+      const assignedUsers = await User.find({ assignedTo: currentUser.userId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (employeeId && !assignedUserIds.some(id => id.toString() === employeeId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only report on users assigned to you.'
+        });
+      }
+      query.userId = employeeId || { $in: assignedUserIds };
+    } else if (employeeId) {
+      query.userId = employeeId;
+    }
+
+    const expenses = await Expense.find(query)
+      .populate('userId', 'name employeeId')
+      .sort({ date: 1 })
+      .lean();
+
+    if (expenses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No GST invoices found for the selected criteria'
+      });
+    }
+
+    const { vendorRows, invoiceRows } = summarizeInputTaxCredit(expenses, period);
+
+    if (reportFormat.toLowerCase() === 'excel') {
+      await generateGstExcelReport(res, vendorRows, invoiceRows, start, end, period);
+    } else {
+      await generateGstCSVReport(res, vendorRows);
+    }
+
+    // Audit log
+    try {
+      await Audit.create({
+        performedBy: currentUser.userId,
+        action: 'report_generated',
+        details: {
+          report: 'gst_itc',
+          startDate,
+          endDate,
+          employeeId: employeeId || 'all',
+          vendorGstin: vendorGstin || 'all',
+          costCenterId,
+          format: reportFormat,
+          period,
+          recordCount: expenses.length
+        }
+      });
+    } catch (auditError) {
+      console.error('Failed to create audit log for GST report generation:', auditError);
+      // Don't throw - audit logging should not break report generation
+    }
+
+  } catch (error) {
+    console.error('Error generating GST report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate GST report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Summarize claimable GST per vendor and tax period
+ * @param {Array} expenses - Approved expenses with GST details (userId populated)
+ * @param {String} period - 'month' or 'quarter'
+ * @returns {Object} { vendorRows, invoiceRows } sorted by period, then vendor GSTIN
+ */
+const summarizeInputTaxCredit = (expenses, period = 'month') => {
+  const invoiceRows = expenses.map(expense => {
+    const gst = expense.gst;
+    return {
+      period: getTaxPeriod(expense.date, period),
+      date: expense.date,
+      invoiceDate: gst.invoiceDate || null,
+      invoiceNumber: gst.invoiceNumber || 'N/A',
+      vendorGstin: gst.vendorGstin,
+      vendorName: gst.vendorName || 'N/A',
+      state: getGstinState(gst.vendorGstin)?.name || 'N/A',
+      employeeName: expense.userId?.name || 'Unknown',
+      employeeId: expense.userId?.employeeId || 'N/A',
+      type: expense.type,
+      invoiceValue: expense.amount,
+      taxableValue: gst.taxableValue || 0,
+      cgst: gst.cgst || 0,
+      sgst: gst.sgst || 0,
+      igst: gst.igst || 0,
+      totalTax: roundAmount(getTotalTax(gst))
+    };
+  });
+
+  const vendorGroups = {};
+  invoiceRows.forEach(row => {
+    const key = `${row.period}|${row.vendorGstin}`;
+    if (!vendorGroups[key]) {
+      vendorGroups[key] = {
+        period: row.period,
+        vendorGstin: row.vendorGstin,
+        vendorName: 'N/A',
+        state: row.state,
+        invoiceCount: 0,
+        taxableValue: 0,
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
+        totalTax: 0
+      };
+    }
+    const group = vendorGroups[key];
+    if (group.vendorName === 'N/A') group.vendorName = row.vendorName;
+    group.invoiceCount += 1;
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'].forEach(field => {
+      group[field] = roundAmount(group[field] + row[field]);
+    });
+  });
+
+  const byPeriodAndVendor = (a, b) => a.period.localeCompare(b.period) || a.vendorGstin.localeCompare(b.vendorGstin);
+
+  return {
+    vendorRows: Object.values(vendorGroups).sort(byPeriodAndVendor),
+    invoiceRows: invoiceRows.sort(byPeriodAndVendor)
+  };
+};
+
+/**
+ * Generate GST input-tax-credit report in Excel format
+ * @param {Object} res - Express response object
+ * @param {Array} vendorRows - Claimable tax per vendor and period
+ * @param {Array} invoiceRows - Claimable tax per invoice
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {String} period - 'month' or 'quarter'
+ */
+const generateGstExcelReport = async (res, vendorRows, invoiceRows, startDate, endDate, period) => {
+  const workbook = new ExcelJS.Workbook();
+  const currencyFormat = `"${getCurrencySymbol('INR')}"#,##0.00`;
+
+  // Sheet 1: Claimable tax per vendor and period
+  const vendorSheet = workbook.addWorksheet('ITC by Vendor');
+
+  const titleRow = vendorSheet.addRow(['GST INPUT TAX CREDIT REPORT']);
+  titleRow.font = { bold: true, size: 16 };
+  titleRow.alignment = { horizontal: 'center' };
+  vendorSheet.mergeCells('A1:J1');
+
+  const dateRow = vendorSheet.addRow([`Period: ${formatDate(startDate)} to ${formatDate(endDate)} (by ${period})`]);
+  dateRow.font = { bold: true, size: 12 };
+  dateRow.alignment = { horizontal: 'center' };
+  vendorSheet.mergeCells('A2:J2');
+
+  vendorSheet.addRow([]); // Empty row
+
+  const headerRow = vendorSheet.addRow([
+    'Tax Period',
+    'Vendor GSTIN',
+    'Vendor Name',
+    'State',
+    'Invoices',
+    'Taxable Value (Rs.)',
+    'CGST (Rs.)',
+    'SGST (Rs.)',
+    'IGST (Rs.)',
+    'Total ITC (Rs.)'
+  ]);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4299E1' }
+  };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+
+  const totals = { invoiceCount: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+  vendorRows.forEach(row => {
+    vendorSheet.addRow([
+      row.period,
+      row.vendorGstin,
+      row.vendorName,
+      row.state,
+      row.invoiceCount,
+      row.taxableValue,
+      row.cgst,
+      row.sgst,
+      row.igst,
+      row.totalTax
+    ]);
+    Object.keys(totals).forEach(field => {
+      totals[field] = roundAmount(totals[field] + row[field]);
+    });
+  });
+
+  vendorSheet.addRow([]);
+  const totalRow = vendorSheet.addRow([
+    '',
+    '',
+    '',
+    'GRAND TOTAL',
+    totals.invoiceCount,
+    totals.taxableValue,
+    totals.cgst,
+    totals.sgst,
+    totals.igst,
+    totals.totalTax
+  ]);
+  totalRow.font = { bold: true, size: 12 };
+  totalRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFD1FAE5' }
+  };
+
+  for (let col = 6; col <= 10; col++) {
+    vendorSheet.getColumn(col).numFmt = currencyFormat;
+    vendorSheet.getColumn(col).width = 16;
+  }
+  vendorSheet.getColumn(1).width = 12;
+  vendorSheet.getColumn(2).width = 20;
+  vendorSheet.getColumn(3).width = 30;
+  vendorSheet.getColumn(4).width = 20;
+  vendorSheet.views = [{ state: 'frozen', ySplit: 4 }];
+
+  vendorSheet.addRow([]);
+  const noteRow = vendorSheet.addRow(['Notes:']);
+  noteRow.font = { bold: true };
+  vendorSheet.addRow(['• Approved expenses with a vendor GSTIN only; tax periods follow the expense date']);
+  vendorSheet.addRow(['• Match the totals against GSTR-2B before claiming the credit']);
+
+  // Sheet 2: Invoice details
+  const invoiceSheet = workbook.addWorksheet('Invoices');
+  const invoiceHeaderRow = invoiceSheet.addRow([
+    'Tax Period',
+    'Expense Date',
+    'Invoice Date',
+    'Invoice Number',
+    'Vendor GSTIN',
+    'Vendor Name',
+    'Employee',
+    'Employee ID',
+    'Expense Type',
+    'Invoice Value (Rs.)',
+    'Taxable Value (Rs.)',
+    'CGST (Rs.)',
+    'SGST (Rs.)',
+    'IGST (Rs.)',
+    'Total ITC (Rs.)'
+  ]);
+  invoiceHeaderRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  invoiceHeaderRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4299E1' }
+  };
+
+  invoiceRows.forEach(row => {
+    invoiceSheet.addRow([
+      row.period,
+      formatDate(row.date),
+      row.invoiceDate ? formatDate(row.invoiceDate) : 'N/A',
+      row.invoiceNumber,
+      row.vendorGstin,
+      row.vendorName,
+      row.employeeName,
+      row.employeeId,
+      formatExpenseType(row.type),
+      row.invoiceValue,
+      row.taxableValue,
+      row.cgst,
+      row.sgst,
+      row.igst,
+      row.totalTax
+    ]);
+  });
+
+  for (let col = 10; col <= 15; col++) {
+    invoiceSheet.getColumn(col).numFmt = currencyFormat;
+    invoiceSheet.getColumn(col).width = 16;
+  }
+  invoiceSheet.getColumn(5).width = 20;
+  invoiceSheet.getColumn(6).width = 30;
+  invoiceSheet.getColumn(7).width = 20;
+  invoiceSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Set response headers
+  const filename = `gst-itc-report-${Date.now()}.xlsx`;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Write to buffer first, then send
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.send(buffer);
+};
+
+/**
+ * Generate GST input-tax-credit report in CSV format (vendor summary)
+ * @param {Object} res - Express response object
+ * @param {Array} vendorRows - Claimable tax per vendor and period
+ */
+const generateGstCSVReport = async (res, vendorRows) => {
+  const filename = `gst-itc-report-${Date.now()}.csv`;
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const csvStream = format({ headers: true });
+  csvStream.pipe(res);
+
+  vendorRows.forEach(row => {
+    csvStream.write({
+      'Tax Period': row.period,
+      'Vendor GSTIN': row.vendorGstin,
+      'Vendor Name': row.vendorName,
+      'State': row.state,
+      'Invoices': row.invoiceCount,
+      'Taxable Value (Rs.)': row.taxableValue.toFixed(2),
+      'CGST (Rs.)': row.cgst.toFixed(2),
+      'SGST (Rs.)': row.sgst.toFixed(2),
+      'IGST (Rs.)': row.igst.toFixed(2),
+      'Total ITC (Rs.)': row.totalTax.toFixed(2)
+    });
+  });
+
+  csvStream.end();
+};
+
+/**
+ * Generate Advance Aging Report
+ * GET /api/reports/advance-aging
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @description
+ * - Outstanding advance balance per employee, bucketed by how long it has been unsettled
+ * - Approved expenses, recoveries and reversals settle the oldest advances first (FIFO)
+ * - adminId limits the report to the employees assigned to an admin (Admin: themselves only)
+ * - Excel adds an advance-level sheet; CSV has the employee summary only
+ */
+const generateAdvanceAgingReport = async (req, res) => {
+  try {
+    const { asOf: asOfInput, adminId, employeeId, format: reportFormat } = req.query;
+    const currentUser = req.user;
+
+    if (!reportFormat || !['csv', 'excel', 'pdf'].includes(reportFormat.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be either "csv", "excel", or "pdf"'
+      });
+    }
+
+    for (const [name, value] of [['adminId', adminId], ['employeeId', employeeId]]) {
+      if (value && !isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} format`
+        });
+      }
+    }
+
+    const asOf = asOfInput ? new Date(asOfInput) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Use ISO 8601 format (YYYY-MM-DD)'
+      });
+    }
+    // A date without a time covers the whole day
+    if (asOfInput && /^\d{4}-\d{2}-\d{2}$/.test(asOfInput)) {
+      asOf.setHours(23, 59, 59, 999);
+    }
+
+    // Apply admin and employee filters with RBAC
+    if (currentUser.role === 'admin' && adminId && adminId !== currentUser.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only report on users assigned to you.'
+      });
+    }
+
+    const reportAdminId = currentUser.role === 'admin' ? currentUser.userId : adminId;
+    const query = { postedAt: { $lte: asOf } };
+
+    if (reportAdminId) {
+      const assignedUsers = await User.find({ assignedTo: reportAdminId }).select('_id');
+      const assignedUserIds = assignedUsers.map(u => u._id);
+
+      if (employeeId && !assignedUserIds.some(id => id.toString() === employeeId)) {
+        return res.status(403).json({
+          success: false,
+          message: currentUser.role === 'admin'
+            ? 'Access denied. You can only report on users assigned to you.'
+            : 'The employee is not assigned to the selected admin'
+        });
+      }
+      query.userId = employeeId || { $in: assignedUserIds };
+    } else if (employeeId) {
+      query.userId = employeeId;
+    }
+
+    const entries = await LedgerEntry.find(query).sort({ userId: 1, sequence: 1 });
+    const { employeeRows, advanceRows } = await summarizeAdvanceAging(entries, asOf);
+
+    if (employeeRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No outstanding advances found for the selected criteria'
+      });
+    }
+
+    const baseCurrency = await Settings.getBaseCurrency();
+
+    if (reportFormat.toLowerCase() === 'excel') {
+      await generateAgingExcelReport(res, employeeRows, advanceRows, asOf, baseCurrency);
+    } else if (reportFormat.toLowerCase() === 'pdf') {
+      await generateAgingPDFReport(res, employeeRows, asOf, baseCurrency);
+    } else {
+      await generateAgingCSVReport(res, employeeRows, baseCurrency);
+    }
+
+    // Audit log
+    try {
+      await Audit.create({
+        performedBy: currentUser.userId,
+        action: 'report_generated',
+        details: {
+          report: 'advance_aging',
+          asOf,
+          adminId: reportAdminId || 'all',
+          employeeId: employeeId || 'all',
+          format: reportFormat,
+          recordCount: employeeRows.length
+        }
+      });
+    } catch (auditError) {
+      console.error('Failed to create audit log for advance aging report generation:', auditError);
+      // Don't throw - audit logging should not break report generation
+    }
+
+  } catch (error) {
+    console.error('Error generating advance aging report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate advance aging report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Bucket the outstanding advances of each employee by age
+ * @param {Array} entries - LedgerEntry documents sorted by employee, then sequence
+ * @param {Date} asOf - Date the ages are counted to
+ * @returns {Promise<Object>} { employeeRows, advanceRows } for employees with an outstanding balance,
+ * largest balance first
+ */
+const summarizeAdvanceAging = async (entries, asOf) => {
+  const entriesByUser = new Map();
+  entries.forEach(entry => {
+    const key = entry.userId.toString();
+    if (!entriesByUser.has(key)) entriesByUser.set(key, []);
+    entriesByUser.get(key).push(entry);
+  });
+
+  const lotsByUser = new Map();
+  for (const [userId, userEntries] of entriesByUser) {
+    const { lots } = getOutstandingLots(userEntries);
+    if (lots.length > 0) lotsByUser.set(userId, lots);
+  }
+
+  const users = await User.find({ _id: { $in: [...lotsByUser.keys()] } })
+    .select('name employeeId assignedTo')
+    .populate('assignedTo', 'name')
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const employeeRows = [];
+  const advanceRows = [];
+
+  for (const [userId, lots] of lotsByUser) {
+    const user = usersById.get(userId);
+    const row = {
+      employeeName: user?.name || 'Unknown',
+      employeeId: user?.employeeId || 'N/A',
+      adminName: user?.assignedTo?.name || 'Unassigned',
+      advanceCount: lots.length,
+      oldestDate: lots[0].date,
+      oldestAgeDays: 0,
+      outstanding: 0
+    };
+    AGING_BUCKETS.forEach(bucket => { row[bucket.key] = 0; });
+
+    lots.forEach(lot => {
+      const ageDays = Math.max(0, Math.floor((asOf - new Date(lot.date)) / DAY_MS));
+      const bucket = AGING_BUCKETS.find(b => ageDays <= b.maxDays);
+      row[bucket.key] = roundAmount(row[bucket.key] + lot.outstanding);
+      row.outstanding = roundAmount(row.outstanding + lot.outstanding);
+      row.oldestAgeDays = Math.max(row.oldestAgeDays, ageDays);
+
+      advanceRows.push({
+        employeeName: row.employeeName,
+        employeeId: row.employeeId,
+        adminName: row.adminName,
+        entryType: lot.entryType,
+        advanceId: lot.advanceId,
+        date: lot.date,
+        amount: lot.amount,
+        outstanding: lot.outstanding,
+        ageDays,
+        bucket: bucket.label
+      });
+    });
+
+    employeeRows.push(row);
+  }
+
+  employeeRows.sort((a, b) => b.outstanding - a.outstanding || a.employeeName.localeCompare(b.employeeName));
+  advanceRows.sort((a, b) => a.employeeName.localeCompare(b.employeeName) || new Date(a.date) - new Date(b.date));
+
+  return { employeeRows, advanceRows };
+};
+
+/**
+ * Totals of the advance aging rows
+ * @param {Array} employeeRows - Outstanding balance per employee
+ * @returns {Object} { advanceCount, outstanding, days0to30, ... }
+ */
+const getAgingTotals = (employeeRows) => {
+  const totals = { advanceCount: 0, outstanding: 0 };
+  AGING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+
+  employeeRows.forEach(row => {
+    totals.advanceCount += row.advanceCount;
+    ['outstanding', ...AGING_BUCKETS.map(bucket => bucket.key)].forEach(field => {
+      totals[field] = roundAmount(totals[field] + row[field]);
+    });
+  });
+  return totals;
+};
+
+/**
+ * Generate advance aging report in Excel format
+ * @param {Object} res - Express response object
+ * @param {Array} employeeRows - Outstanding balance per employee
+ * @param {Array} advanceRows - Outstanding amount per advance
+ * @param {Date} asOf - Date the ages are counted to
+ * @param {String} baseCurrency - Currency the report amounts are in
+ */
+const generateAgingExcelReport = async (res, employeeRows, advanceRows, asOf, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  const workbook = new ExcelJS.Workbook();
+  const currencyFormat = `"${getCurrencySymbol(baseCurrency)}"#,##0.00`;
+
+  // Sheet 1: Outstanding balance per employee
+  const summarySheet = workbook.addWorksheet('Aging by Employee');
+
+  const titleRow = summarySheet.addRow(['ADVANCE AGING REPORT']);
+  titleRow.font = { bold: true, size: 16 };
+  titleRow.alignment = { horizontal: 'center' };
+  summarySheet.mergeCells('A1:J1');
+
+  const dateRow = summarySheet.addRow([`Outstanding as of ${formatDate(asOf)} (${baseCurrency})`]);
+  dateRow.font = { bold: true, size: 12 };
+  dateRow.alignment = { horizontal: 'center' };
+  summarySheet.mergeCells('A2:J2');
+
+  summarySheet.addRow([]); // Empty row
+
+  const headerRow = summarySheet.addRow([
+    'Employee',
+    'Employee ID',
+    'Admin',
+    'Advances',
+    'Oldest Advance',
+    'Outstanding',
+    ...AGING_BUCKETS.map(bucket => bucket.label)
+  ]);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4299E1' }
+  };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+
+  employeeRows.forEach(row => {
+    summarySheet.addRow([
+      row.employeeName,
+      row.employeeId,
+      row.adminName,
+      row.advanceCount,
+      `${formatDate(row.oldestDate)} (${row.oldestAgeDays} days)`,
+      row.outstanding,
+      ...AGING_BUCKETS.map(bucket => row[bucket.key])
+    ]);
+  });
+
+  const totals = getAgingTotals(employeeRows);
+  summarySheet.addRow([]);
+  const totalRow = summarySheet.addRow([
+    '',
+    '',
+    'GRAND TOTAL',
+    totals.advanceCount,
+    '',
+    totals.outstanding,
+    ...AGING_BUCKETS.map(bucket => totals[bucket.key])
+  ]);
+  totalRow.font = { bold: true, size: 12 };
+  totalRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFD1FAE5' }
+  };
+
+  for (let col = 6; col <= 10; col++) {
+    summarySheet.getColumn(col).numFmt = currencyFormat;
+    summarySheet.getColumn(col).width = 16;
+  }
+  summarySheet.getColumn(1).width = 25;
+  summarySheet.getColumn(2).width = 14;
+  summarySheet.getColumn(3).width = 25;
+  summarySheet.getColumn(5).width = 26;
+  summarySheet.views = [{ state: 'frozen', ySplit: 4 }];
+
+  summarySheet.addRow([]);
+  const noteRow = summarySheet.addRow(['Notes:']);
+  noteRow.font = { bold: true };
+  summarySheet.addRow(['• Approved expenses and recoveries settle the oldest advance first (FIFO)']);
+  summarySheet.addRow(['• Age is counted in days from the advance date']);
+
+  // Sheet 2: Outstanding amount per advance
+  const advanceSheet = workbook.addWorksheet('Advances');
+  const advanceHeaderRow = advanceSheet.addRow([
+    'Employee',
+    'Employee ID',
+    'Admin',
+    'Date',
+    'Type',
+    'Amount',
+    'Outstanding',
+    'Age (Days)',
+    'Bucket'
+  ]);
+  advanceHeaderRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  advanceHeaderRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4299E1' }
+  };
+
+  advanceRows.forEach(row => {
+    advanceSheet.addRow([
+      row.employeeName,
+      row.employeeId,
+      row.adminName,
+      formatDate(row.date),
+      AGING_ENTRY_LABELS[row.entryType] || row.entryType,
+      row.amount,
+      row.outstanding,
+      row.ageDays,
+      row.bucket
+    ]);
+  });
+
+  advanceSheet.getColumn(6).numFmt = currencyFormat;
+  advanceSheet.getColumn(7).numFmt = currencyFormat;
+  advanceSheet.getColumn(1).width = 25;
+  advanceSheet.getColumn(3).width = 25;
+  advanceSheet.getColumn(4).width = 18;
+  advanceSheet.getColumn(6).width = 16;
+  advanceSheet.getColumn(7).width = 16;
+  advanceSheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Set response headers
+  const filename = `advance-aging-report-${Date.now()}.xlsx`;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Write to buffer first, then send
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.send(buffer);
+};
+
+/**
+ * Generate advance aging report in CSV format (employee summary)
+ * @param {Object} res - Express response object
+ * @param {Array} employeeRows - Outstanding balance per employee
+ * @param {String} baseCurrency - Currency the report amounts are in
+ */
+const generateAgingCSVReport = async (res, employeeRows, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  const filename = `advance-aging-report-${Date.now()}.csv`;
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const csvStream = format({ headers: true });
+  csvStream.pipe(res);
+
+  employeeRows.forEach(row => {
+    const buckets = {};
+    AGING_BUCKETS.forEach(bucket => {
+      buckets[`${bucket.label} (${baseCurrency})`] = row[bucket.key].toFixed(2);
+    });
+
+    csvStream.write({
+      'Employee': row.employeeName,
+      'Employee ID': row.employeeId,
+      'Admin': row.adminName,
+      'Advances': row.advanceCount,
+      'Oldest Advance': formatDate(row.oldestDate),
+      'Oldest Age (Days)': row.oldestAgeDays,
+      [`Outstanding (${baseCurrency})`]: row.outstanding.toFixed(2),
+      ...buckets
+    });
+  });
+
+  csvStream.end();
+};
+
+/**
+ * Generate advance aging report in PDF format
+ * @param {Object} res - Express response object
+ * @param {Array} employeeRows - Outstanding balance per employee
+ * @param {Date} asOf - Date the ages are counted to
+ * @param {String} baseCurrency - Currency the report amounts are in
+ */
+const generateAgingPDFReport = async (res, employeeRows, asOf, baseCurrency = DEFAULT_BASE_CURRENCY) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 30
+  });
+
+  // Set response headers
+  const filename = `advance-aging-report-${Date.now()}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Pipe PDF to response
+  doc.pipe(res);
+
+  // Title
+  doc.fontSize(20).font('Helvetica-Bold').text('ADVANCE AGING REPORT', { align: 'center' });
+  doc.moveDown(0.5);
+
+  doc.fontSize(12).font('Helvetica').text(
+    `Outstanding as of ${formatDate(asOf)}`,
+    { align: 'center' }
+  );
+  doc.moveDown(0.5);
+
+  // Define table columns
+  const colWidths = [130, 70, 110, 50, 80, 80, 70, 70, 70, 70];
+  const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+  const rowHeight = 20;
+  let currentY = doc.y + 10;
+
+  const headers = [
+    'Employee',
+    'Employee ID',
+    'Admin',
+    'Advances',
+    'Oldest\nAdvance',
+    'Outstanding',
+    ...AGING_BUCKETS.map(bucket => bucket.label)
+  ];
+
+  const drawRow = (cells, y) => {
+    let currentX = 30;
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), currentX + 2, y + 4, {
+        width: colWidths[index] - 4,
+        height: rowHeight - 8,
+        align: 'center'
+      });
+      currentX += colWidths[index];
+    });
+  };
+
+  // Draw header row
+  doc.rect(30, currentY, tableWidth, rowHeight).fill('#4299E1');
+  doc.fontSize(8).font('Helvetica-Bold').fillColor('white');
+  drawRow(headers, currentY);
+  currentY += rowHeight;
+
+  // Draw data rows
+  employeeRows.forEach((row, rowIndex) => {
+    // Alternate row colors
+    doc.rect(30, currentY, tableWidth, rowHeight).fill(rowIndex % 2 === 0 ? '#f8f9fa' : 'white');
+    doc.fontSize(7).font('Helvetica').fillColor('black');
+    drawRow([
+      row.employeeName,
+      row.employeeId,
+      row.adminName,
+      row.advanceCount,
+      `${formatDate(row.oldestDate).split(' ')[0]}\n(${row.oldestAgeDays} days)`,
+      formatMoney(row.outstanding, baseCurrency),
+      ...AGING_BUCKETS.map(bucket => formatMoney(row[bucket.key], baseCurrency))
+    ], currentY);
+
+    currentY += rowHeight;
+
+    // Add new page if needed
+    if (currentY > 500) {
+      doc.addPage();
+      currentY = 50;
+    }
+  });
+
+  // Draw total row
+  const totals = getAgingTotals(employeeRows);
+  doc.rect(30, currentY, tableWidth, rowHeight).fill('#D1FAE5');
+  doc.fontSize(8).font('Helvetica-Bold').fillColor('black');
+  drawRow([
+    '',
+    '',
+    'GRAND TOTAL',
+    totals.advanceCount,
+    '',
+    formatMoney(totals.outstanding, baseCurrency),
+    ...AGING_BUCKETS.map(bucket => formatMoney(totals[bucket.key], baseCurrency))
+  ], currentY);
+
+  currentY += rowHeight + 10;
+
+  // Add notes
+  doc.fontSize(8).font('Helvetica');
+  doc.text('Notes:', 30, currentY);
+  currentY += 15;
+  doc.text('• Approved expenses and recoveries settle the oldest advance first (FIFO)', 40, currentY);
   currentY += 12;
-  doc.text('• Petrol Expense = Total KM × Rate per KM', 40, currentY);
+  doc.text('• Age is counted in days from the advance date', 40, currentY);
 
   // Finalize PDF
   doc.end();
 };
 
 module.exports = {
-  generateExpenseReport
+  generateExpenseReport,
+  generateGstItcReport,
+  generateAdvanceAgingReport
 };
 
@@ -4,6 +4,7 @@
  */
 
 const { Settings, Audit } = require('../models');
+const { PAYOUT_BANK_FILE_FIELDS, DEFAULT_PAYOUT_BANK_FILE_LAYOUT } = require('../models/Settings');
 
 /**
  * Get all settings
@@ -199,6 +200,347 @@ exports.initializeSettings = async (req, res) => {
         isVisible: true,
         createdBy: userId,
         updatedBy: userId
+      },
+      {
+        key: 'RATE_PER_KM_TWO_WHEELER',
+        value: 5,
+        type: 'number',
+        label: 'Rate per KM (Two-wheeler)',
+        description: 'Reimbursement rate per kilometer for two-wheeler journeys',
+        category: 'rates',
+        validation: {
+          min: 0,
+          max: 100,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RATE_PER_KM_CAR',
+        value: 10,
+        type: 'number',
+        label: 'Rate per KM (Car)',
+        description: 'Reimbursement rate per kilometer for car journeys',
+        category: 'rates',
+        validation: {
+          min: 0,
+          max: 100,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RATE_PER_KM_COMPANY_VEHICLE',
+        value: 4,
+        type: 'number',
+        label: 'Rate per KM (Company Vehicle)',
+        description: 'Reimbursement rate per kilometer for company vehicle journeys',
+        category: 'rates',
+        validation: {
+          min: 0,
+          max: 100,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'GPS_MAX_ACCURACY_METERS',
+        value: 50,
+        type: 'number',
+        label: 'GPS Max Accuracy (m)',
+        description: 'Track points with a worse reported accuracy are ignored',
+        category: 'limits',
+        validation: {
+          min: 5,
+          max: 1000,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'GPS_MIN_MOVEMENT_METERS',
+        value: 15,
+        type: 'number',
+        label: 'GPS Min Movement (m)',
+        description: 'Track points closer than this to the previous point are treated as jitter',
+        category: 'limits',
+        validation: {
+          min: 0,
+          max: 500,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'GPS_MAX_SPEED_KMH',
+        value: 150,
+        type: 'number',
+        label: 'GPS Max Speed (km/h)',
+        description: 'Track points implying a faster speed from the previous point are ignored',
+        category: 'limits',
+        validation: {
+          min: 10,
+          max: 500,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'MAX_JOURNEY_DURATION_HOURS',
+        value: 12,
+        type: 'number',
+        label: 'Max Journey Duration (hours)',
+        description: 'Active journeys older than this are closed automatically',
+        category: 'limits',
+        validation: {
+          min: 1,
+          max: 72,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'STALE_JOURNEY_ACTION',
+        value: 'cancel',
+        type: 'string',
+        label: 'Stale Journey Action',
+        description: 'What to do with journeys exceeding the maximum duration: cancel or complete',
+        category: 'features',
+        validation: {
+          required: true,
+          pattern: '^(cancel|complete)$'
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'ROUTING_PROVIDER',
+        value: 'haversine',
+        type: 'string',
+        label: 'Routing Provider',
+        description: 'Road distance provider: google, osrm, graphhopper, haversine or fake',
+        category: 'features',
+        validation: {
+          required: true,
+          pattern: '^(google|osrm|graphhopper|haversine|fake)$'
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'ROUTING_ENDPOINT_URL',
+        value: '',
+        type: 'string',
+        label: 'Routing Endpoint URL',
+        description: 'Base URL of the self-hosted OSRM or GraphHopper server',
+        category: 'features',
+        validation: {
+          required: false,
+          pattern: '^(https?://.+)?$'
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'ROAD_FACTOR',
+        value: 1,
+        type: 'number',
+        label: 'Road Factor',
+        description: 'Multiplier applied to straight-line distance when using Haversine',
+        category: 'rates',
+        validation: {
+          min: 1,
+          max: 3,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'FINANCE_APPROVAL_THRESHOLD',
+        value: 10000,
+        type: 'number',
+        label: 'Finance Approval Threshold (₹)',
+        description: 'Expenses above this amount need Super Admin or finance approval after admin approval (0 disables)',
+        category: 'limits',
+        validation: {
+          min: 0,
+          max: 10000000,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RECEIPT_EXTRACTION_ENGINE',
+        value: 'none',
+        type: 'string',
+        label: 'Receipt Extraction Engine',
+        description: 'Reads amount, date, vendor and tax from uploaded receipts: none, local (Tesseract on the server), http (self-hosted endpoint) or fake',
+        category: 'features',
+        validation: {
+          required: true,
+          pattern: '^(none|local|http|fake)$'
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RECEIPT_EXTRACTION_ENDPOINT_URL',
+        value: '',
+        type: 'string',
+        label: 'Receipt Extraction Endpoint URL',
+        description: 'URL of the self-hosted extraction endpoint used by the http engine',
+        category: 'features',
+        validation: {
+          required: false,
+          pattern: '^(https?://.+)?$'
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RECEIPT_MIN_CONFIDENCE',
+        value: 0.6,
+        type: 'number',
+        label: 'Receipt Minimum Confidence',
+        description: 'Extracted values below this confidence (0-1) are not used to pre-fill or cross-check expenses',
+        category: 'features',
+        validation: {
+          min: 0,
+          max: 1,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'RECEIPT_AMOUNT_TOLERANCE_PERCENT',
+        value: 2,
+        type: 'number',
+        label: 'Receipt Amount Tolerance (%)',
+        description: 'Entered amounts differing from the receipt by more than this are flagged for approvers',
+        category: 'limits',
+        validation: {
+          min: 0,
+          max: 100,
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'PER_DIEM_ENABLED',
+        value: false,
+        type: 'boolean',
+        label: 'Per-Diem Allowances',
+        description: 'Create a daily allowance expense from the time spent on completed journeys',
+        category: 'features',
+        validation: {
+          required: true
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'PER_DIEM_RULES',
+        value: {
+          halfDayHours: 4,
+          halfDayAmount: 250,
+          fullDayHours: 8,
+          fullDayAmount: 500,
+          overnightSupplement: 300
+        },
+        type: 'object',
+        label: 'Per-Diem Rules',
+        description: 'Hours in the field for a half-day and full-day allowance, their amounts, and the supplement for a night away (journey running past midnight)',
+        category: 'rates',
+        validation: {
+          min: 0,
+          max: 100000,
+          required: true,
+          keys: ['halfDayHours', 'halfDayAmount', 'fullDayHours', 'fullDayAmount', 'overnightSupplement']
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'PAYOUT_BANK_FILE_LAYOUT',
+        value: DEFAULT_PAYOUT_BANK_FILE_LAYOUT,
+        type: 'object',
+        label: 'Payout Bank File Layout',
+        description: 'Columns of the NEFT/RTGS bulk-transfer file exported for payout batches, the debit account, the amount from which transfers go by RTGS, and the value date format',
+        category: 'general',
+        validation: {
+          min: 0,
+          max: 1000000000,
+          required: true,
+          keys: ['rtgsThreshold'],
+          columnFields: PAYOUT_BANK_FILE_FIELDS
+        },
+        isEditable: true,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      {
+        key: 'BASE_CURRENCY',
+        value: process.env.BASE_CURRENCY || 'INR',
+        type: 'string',
+        label: 'Base Currency',
+        description: 'ISO 4217 currency all amounts and balances are kept in. Set before recording expenses; changing it does not convert stored amounts.',
+        category: 'general',
+        validation: {
+          required: true,
+          pattern: '^[A-Z]{3}$'
+        },
+        isEditable: false,
+        isVisible: true,
+        createdBy: userId,
+        updatedBy: userId
       }
     ];
 
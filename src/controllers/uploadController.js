@@ -3,9 +3,42 @@
  * Handles file uploads to Cloudinary
  */
 
+const crypto = require('crypto');
 const { uploadToCloudinary, deleteFromCloudinary, uploadMultipleToCloudinary } = require('../services/storageService');
+const { extractReceipt } = require('../services/receiptExtractionService');
 const { formatFileSize } = require('../middleware/fileUpload');
 const Audit = require('../models/Audit');
+const Upload = require('../models/Upload');
+
+/**
+ * SHA-256 of a file's content
+ * @param {Buffer} buffer - File buffer
+ * @returns {String} Hex digest
+ */
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Record an uploaded file, its content hash and the values read from it
+ * @param {String} userId - Uploader
+ * @param {Object} result - Storage upload result
+ * @param {String} contentHash - SHA-256 of the original file
+ * @param {Object} extraction - Receipt extraction result
+ * @returns {Promise<Boolean>} Whether the same content was uploaded before
+ */
+const recordUpload = async (userId, result, contentHash, extraction) => {
+  const previous = await Upload.exists({ contentHash });
+  await Upload.create({
+    uploadedBy: userId,
+    url: result.url,
+    publicId: result.publicId,
+    filename: result.filename,
+    fileType: result.fileType,
+    fileSize: result.fileSize,
+    contentHash,
+    extraction
+  });
+  return !!previous;
+};
 
 /**
  * Upload single file
@@ -33,6 +66,16 @@ const uploadFile = async (req, res) => {
       mimetype: file.mimetype
     });
 
+    // Read suggested amount, date, vendor and tax values from the receipt
+    const extraction = await extractReceipt(file.buffer, {
+      filename: file.originalname,
+      mimetype: file.mimetype
+    });
+
+    // Record the content hash for reused-receipt detection
+    const contentHash = hashContent(file.buffer);
+    const previouslyUploaded = await recordUpload(userId, uploadResult, contentHash, extraction);
+
     // Audit log
     await Audit.log({
       action: 'file_uploaded',
@@ -42,7 +85,10 @@ const uploadFile = async (req, res) => {
         fileType: uploadResult.fileType,
         fileSize: uploadResult.fileSize,
         url: uploadResult.url,
-        publicId: uploadResult.publicId
+        publicId: uploadResult.publicId,
+        contentHash,
+        previouslyUploaded,
+        extractionStatus: extraction.status
       },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -61,6 +107,9 @@ const uploadFile = async (req, res) => {
         height: uploadResult.height,
         format: uploadResult.format,
         publicId: uploadResult.publicId,
+        contentHash,
+        previouslyUploaded,
+        extraction,
         uploadedAt: uploadResult.uploadedAt
       }
     });
@@ -97,6 +146,21 @@ const uploadMultipleFiles = async (req, res) => {
     // Upload all files to Cloudinary
     const uploadResults = await uploadMultipleToCloudinary(files);
 
+    // Record content hashes and receipt values (results are in the same order as the files)
+    for (let i = 0; i < uploadResults.length; i++) {
+      uploadResults[i].extraction = await extractReceipt(files[i].buffer, {
+        filename: files[i].originalname,
+        mimetype: files[i].mimetype
+      });
+      uploadResults[i].contentHash = hashContent(files[i].buffer);
+      uploadResults[i].previouslyUploaded = await recordUpload(
+        userId,
+        uploadResults[i],
+        uploadResults[i].contentHash,
+        uploadResults[i].extraction
+      );
+    }
+
     // Audit log for each file
     for (const result of uploadResults) {
       await Audit.log({
@@ -107,7 +171,10 @@ const uploadMultipleFiles = async (req, res) => {
           fileType: result.fileType,
           fileSize: result.fileSize,
           url: result.url,
-          publicId: result.publicId
+          publicId: result.publicId,
+          contentHash: result.contentHash,
+          previouslyUploaded: result.previouslyUploaded,
+          extractionStatus: result.extraction.status
         },
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
@@ -125,6 +192,9 @@ const uploadMultipleFiles = async (req, res) => {
       height: result.height,
       format: result.format,
       publicId: result.publicId,
+      contentHash: result.contentHash,
+      previouslyUploaded: result.previouslyUploaded,
+      extraction: result.extraction,
       uploadedAt: result.uploadedAt
     }));
 
@@ -0,0 +1,248 @@
+/**
+ * Recurring Expense Job
+ * Periodically creates pending expenses from active recurring templates
+ *
+ * Each due occurrence becomes one pending expense dated on the occurrence. An occurrence
+ * is skipped (recorded on the template and notified to the employee) when:
+ * - the employee's month is locked (MonthLock)
+ * - no exchange rate is on file for a foreign-currency template
+ * - a block-mode expense policy refuses the amount
+ * Occurrences missed while the job was not running are caught up on the next pass.
+ */
+
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const Audit = require('../models/Audit');
+const { checkMonthLock } = require('../services/monthLockService');
+const { convertToBase } = require('../services/currencyService');
+const { evaluateExpensePolicy } = require('../services/policyService');
+const { getSingleAllocation } = require('../services/costCenterService');
+const { notify } = require('../services/notificationService');
+
+// Default check interval (minutes), overridable with RECURRING_EXPENSE_CHECK_INTERVAL_MINUTES
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * Occurrence date for messages, e.g. "5 Oct 2026"
+ * @param {Date} date - Occurrence date
+ * @returns {String} Formatted date
+ */
+const formatOccurrence = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * Record a skipped occurrence on the template and tell the employee
+ * @returns {Promise<void>}
+ */
+const skipOccurrence = async (template, date, code, reason) => {
+  template.skippedOccurrences.push({ date, code, reason });
+
+  await Audit.log({
+    action: 'recurring_expense_skipped',
+    actorType: 'system',
+    performedBy: null,
+    targetUser: template.userId,
+    metadata: {
+      recurringExpenseId: template._id,
+      occurrence: date,
+      code
+    },
+    reason,
+    severity: 'low'
+  });
+
+  await notify({
+    recipient: template.userId,
+    type: 'recurring_expense_skipped',
+    title: 'Recurring expense not created',
+    message: `"${template.description}" for ${formatOccurrence(date)} was not created. ${reason}`,
+    metadata: { recurringExpenseId: template._id, occurrence: date, code }
+  });
+};
+
+/**
+ * Create the expense for one occurrence of a template
+ *
+ * @param {Object} template - RecurringExpense document (saved by the caller)
+ * @param {Date} date - Occurrence date
+ * @returns {Promise<Object>} { status: 'generated'|'exists'|'skipped', expenseId, code }
+ */
+const generateOccurrence = async (template, date) => {
+  // Created by an earlier pass that stopped before the template was saved
+  const existing = await Expense.findOne({ recurringExpenseId: template._id, recurringOccurrence: date }).select('_id');
+  if (existing) {
+    return { status: 'exists', expenseId: existing._id };
+  }
+
+  const lockError = await checkMonthLock(template.userId, date, 'create recurring expense');
+  if (lockError) {
+    await skipOccurrence(template, date, lockError.code, lockError.message);
+    return { status: 'skipped', code: lockError.code };
+  }
+
+  const { conversion, rateError } = await convertToBase({
+    amount: template.amount,
+    currency: template.currency,
+    date
+  });
+  if (rateError) {
+    await skipOccurrence(template, date, rateError.code, rateError.message);
+    return { status: 'skipped', code: rateError.code };
+  }
+
+  const policyResult = await evaluateExpensePolicy({
+    userId: template.userId,
+    type: template.type,
+    date,
+    amount: conversion.amount
+  });
+  if (policyResult.blocked) {
+    const reason = policyResult.violations.map(violation => violation.message).join('. ');
+    await skipOccurrence(template, date, 'POLICY_VIOLATION', reason);
+    return { status: 'skipped', code: 'POLICY_VIOLATION' };
+  }
+
+  const expense = new Expense({
+    userId: template.userId,
+    type: template.type,
+    date,
+    description: template.description,
+    ...conversion,
+    ...getSingleAllocation(template.costCenterId),
+    policyViolations: policyResult.violations,
+    hasPolicyViolation: policyResult.violations.length > 0,
+    recurringExpenseId: template._id,
+    recurringOccurrence: date,
+    receiptRequired: template.receiptRequired,
+    status: 'pending'
+  });
+  await expense.save();
+
+  template.generatedCount += 1;
+  template.lastGeneratedAt = new Date();
+  template.lastExpenseId = expense._id;
+
+  await Audit.log({
+    action: 'expense_created',
+    actorType: 'system',
+    performedBy: null,
+    targetUser: template.userId,
+    targetExpense: expense._id,
+    metadata: {
+      expenseId: expense._id,
+      type: expense.type,
+      amount: expense.amount,
+      currency: expense.currency,
+      originalAmount: expense.originalAmount,
+      description: expense.description,
+      recurringExpenseId: template._id,
+      occurrence: date,
+      policyViolations: expense.hasPolicyViolation ? expense.policyViolations : undefined
+    }
+  });
+
+  await notify({
+    recipient: template.userId,
+    type: 'recurring_expense_generated',
+    title: 'Recurring expense created',
+    message: template.receiptRequired
+      ? `"${template.description}" for ${formatOccurrence(date)} was created. Attach the receipt so it can be approved.`
+      : `"${template.description}" for ${formatOccurrence(date)} was created.`,
+    metadata: { recurringExpenseId: template._id, expenseId: expense._id, occurrence: date }
+  });
+
+  return { status: 'generated', expenseId: expense._id };
+};
+
+/**
+ * Create the expenses of all due occurrences
+ *
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} { templates, generated, skipped, ended, failed }
+ */
+const generateRecurringExpenses = async (now = new Date()) => {
+  const templates = await RecurringExpense.find({
+    status: 'active',
+    nextOccurrence: { $lte: now }
+  });
+
+  const summary = { templates: templates.length, generated: 0, skipped: 0, ended: 0, failed: 0 };
+
+  for (const template of templates) {
+    try {
+      while (template.status === 'active' && template.nextOccurrence && template.nextOccurrence <= now) {
+        const result = await generateOccurrence(template, template.nextOccurrence);
+        if (result.status === 'generated') summary.generated++;
+        if (result.status === 'skipped') summary.skipped++;
+
+        template.advance();
+        // Saved per occurrence so a failure does not generate or skip it twice
+        await template.save();
+      }
+
+      if (template.status === 'ended') {
+        summary.ended++;
+      }
+    } catch (error) {
+      console.error(`Error generating recurring expense ${template._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  if (summary.templates > 0) {
+    console.log('Recurring expense job:', summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Run one pass, skipping if the previous pass is still running
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await generateRecurringExpenses();
+  } catch (error) {
+    console.error('Recurring expense job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduled job
+ * @param {Object} options - { intervalMinutes }
+ */
+const startRecurringExpenseJob = (options = {}) => {
+  if (timer) return;
+
+  const intervalMinutes = options.intervalMinutes
+    || parseInt(process.env.RECURRING_EXPENSE_CHECK_INTERVAL_MINUTES, 10)
+    || DEFAULT_INTERVAL_MINUTES;
+
+  timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+  timer.unref(); // Don't keep the process alive for the job alone
+
+  console.log(`⏱️  Recurring expense job scheduled every ${intervalMinutes} minute(s)`);
+};
+
+/**
+ * Stop the scheduled job
+ */
+const stopRecurringExpenseJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  generateRecurringExpenses,
+  startRecurringExpenseJob,
+  stopRecurringExpenseJob
+};
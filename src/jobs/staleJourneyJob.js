@@ -0,0 +1,238 @@
+/**
+ * Stale Journey Job
+ * Periodically closes journeys left active longer than MAX_JOURNEY_DURATION_HOURS
+ *
+ * STALE_JOURNEY_ACTION decides what happens to a stale journey:
+ * - cancel (default): the journey is cancelled
+ * - complete: the journey is completed at its last known position and its expense is created
+ *   (falls back to cancel when the month is locked)
+ */
+
+const Journey = require('../models/Journey');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const { completeJourney } = require('../services/journeyService');
+const { notifyAssignedAdmin } = require('../services/notificationService');
+
+// Default check interval (minutes), overridable with STALE_JOURNEY_CHECK_INTERVAL_MINUTES
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Last known position of a journey
+ * Latest GPS breadcrumb, otherwise the latest stop, otherwise the start
+ *
+ * @param {Object} journey - Journey document loaded with +trackPoints
+ * @returns {Object} { coordinates, timestamp, source }
+ */
+const getLastKnownPosition = (journey) => {
+  const lastPoint = [...(journey.trackPoints || [])]
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  const lastStop = journey.stops && journey.stops.length > 0
+    ? journey.stops[journey.stops.length - 1]
+    : null;
+  const lastStopTime = lastStop ? (lastStop.departedAt || lastStop.arrivedAt) : null;
+
+  if (lastPoint && (!lastStopTime || lastPoint.timestamp >= lastStopTime)) {
+    return {
+      coordinates: { latitude: lastPoint.latitude, longitude: lastPoint.longitude },
+      timestamp: lastPoint.timestamp,
+      source: 'track_point'
+    };
+  }
+
+  if (lastStop) {
+    return {
+      coordinates: { latitude: lastStop.coordinates.latitude, longitude: lastStop.coordinates.longitude },
+      timestamp: lastStopTime,
+      source: 'stop'
+    };
+  }
+
+  return {
+    coordinates: { latitude: journey.startCoordinates.latitude, longitude: journey.startCoordinates.longitude },
+    timestamp: journey.startTimestamp,
+    source: 'start'
+  };
+};
+
+/**
+ * Cancel a stale journey
+ * @returns {Promise<void>}
+ */
+const cancelStaleJourney = async (journey, maxHours, position, reason) => {
+  journey.status = 'cancelled';
+  journey.notes = journey.notes
+    ? `${journey.notes}\n\n${reason}`
+    : reason;
+  await journey.save();
+
+  await Audit.log({
+    action: 'journey_cancelled',
+    actorType: 'system',
+    performedBy: null,
+    targetUser: journey.userId,
+    targetJourney: journey._id,
+    metadata: {
+      journeyId: journey._id,
+      journeyName: journey.name,
+      reason,
+      maxDurationHours: maxHours,
+      lastKnownCoordinates: position.coordinates,
+      lastKnownAt: position.timestamp
+    },
+    reason,
+    severity: 'medium',
+    status: 'success'
+  });
+
+  await notifyAssignedAdmin(journey.userId, {
+    type: 'journey_auto_cancelled',
+    title: 'Journey auto-cancelled',
+    message: `Journey "${journey.name || 'Unnamed'}" was active for more than ${maxHours} hours and has been cancelled.`,
+    relatedJourney: journey._id,
+    metadata: { lastKnownCoordinates: position.coordinates, lastKnownAt: position.timestamp }
+  });
+};
+
+/**
+ * Complete a stale journey at its last known position
+ * @returns {Promise<Object>} completeJourney result ({ lockError } when the month is locked)
+ */
+const completeStaleJourney = async (journey, maxHours, position) => {
+  const result = await completeJourney(journey, {
+    endCoordinates: position.coordinates,
+    endAddress: journey.stops?.length ? journey.stops[journey.stops.length - 1].address : journey.startAddress,
+    notes: journey.notes
+      ? `${journey.notes}\n\nJourney auto-completed after exceeding ${maxHours} hours.`
+      : `Journey auto-completed after exceeding ${maxHours} hours.`,
+    endTimestamp: position.timestamp,
+    performedBy: null,
+    actorType: 'system',
+    auditMetadata: {
+      autoClosed: true,
+      maxDurationHours: maxHours,
+      lastKnownSource: position.source
+    }
+  });
+  if (result.lockError) {
+    return result;
+  }
+
+  await notifyAssignedAdmin(journey.userId, {
+    type: 'journey_auto_completed',
+    title: 'Journey auto-completed',
+    message: `Journey "${journey.name || 'Unnamed'}" was active for more than ${maxHours} hours and has been completed at its last known position.`,
+    relatedJourney: journey._id,
+    metadata: {
+      expenseId: result.expense._id,
+      finalDistance: result.finalDistance,
+      lastKnownCoordinates: position.coordinates,
+      lastKnownAt: position.timestamp
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Close all journeys that exceeded the maximum duration
+ *
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} { checked, cancelled, completed, failed }
+ */
+const closeStaleJourneys = async (now = new Date()) => {
+  const maxHours = (await Settings.getSetting('MAX_JOURNEY_DURATION_HOURS')) || 12;
+  const action = (await Settings.getSetting('STALE_JOURNEY_ACTION')) || 'cancel';
+  const cutoff = new Date(now.getTime() - maxHours * 60 * 60 * 1000);
+
+  const staleJourneys = await Journey.find({
+    status: 'active',
+    startTimestamp: { $lt: cutoff }
+  }).select('+trackPoints');
+
+  const summary = { checked: staleJourneys.length, cancelled: 0, completed: 0, failed: 0 };
+
+  for (const journey of staleJourneys) {
+    try {
+      const position = getLastKnownPosition(journey);
+
+      if (action === 'complete') {
+        const result = await completeStaleJourney(journey, maxHours, position);
+        if (!result.lockError) {
+          summary.completed++;
+          continue;
+        }
+        console.log(`Month locked for stale journey ${journey._id}, cancelling instead`);
+      }
+
+      await cancelStaleJourney(
+        journey,
+        maxHours,
+        position,
+        `Journey cancelled automatically after exceeding ${maxHours} hours.`
+      );
+      summary.cancelled++;
+    } catch (error) {
+      console.error(`Error closing stale journey ${journey._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log('Stale journey job:', summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Run one pass, skipping if the previous pass is still running
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await closeStaleJourneys();
+  } catch (error) {
+    console.error('Stale journey job error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduled job
+ * @param {Object} options - { intervalMinutes }
+ */
+const startStaleJourneyJob = (options = {}) => {
+  if (timer) return;
+
+  const intervalMinutes = options.intervalMinutes
+    || parseInt(process.env.STALE_JOURNEY_CHECK_INTERVAL_MINUTES, 10)
+    || DEFAULT_INTERVAL_MINUTES;
+
+  timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+  timer.unref(); // Don't keep the process alive for the job alone
+
+  console.log(`⏱️  Stale journey job scheduled every ${intervalMinutes} minute(s)`);
+};
+
+/**
+ * Stop the scheduled job
+ */
+const stopStaleJourneyJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  closeStaleJourneys,
+  startStaleJourneyJob,
+  stopStaleJourneyJob
+};
@@ -1,6 +1,13 @@
 /**
  * Advance Model
  * Tracks advance payments given to employees
+ *
+ * Status flow:
+ * - Recorded by an admin: completed
+ * - Requested by an employee: requested -> approved -> completed (disbursed)
+ *                                       -> declined
+ * - A completed advance can be cancelled; its ledger entry is reversed and the record is kept
+ * Only completed advances count towards the advance balance
  */
 
 const mongoose = require('mongoose');
@@ -14,12 +21,30 @@ const advanceSchema = new mongoose.Schema({
     index: true
   },
 
-  // Amount
+  // Amount (base currency; see Expense for the currency fields)
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: null
+  },
+  originalAmount: {
+    type: Number
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  exchangeRateDate: {
+    type: Date,
+    default: null
+  },
 
   // Date
   date: {
@@ -51,11 +76,66 @@ const advanceSchema = new mongoose.Schema({
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
 
-  // Admin who added the advance
+  // Admin who added (or disbursed) the advance
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Added by is required']
+    required: [function() { return this.status === 'completed'; }, 'Added by is required']
+  },
+
+  // Employee request (null for advances recorded directly by an admin)
+  requestedAt: {
+    type: Date,
+    default: null
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Purpose cannot exceed 500 characters']
+  },
+  tripStartDate: {
+    type: Date,
+    default: null
+  },
+  tripEndDate: {
+    type: Date,
+    default: null
+  },
+
+  // Approval decision by the assigned admin or super admin
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Decision notes cannot exceed 500 characters']
+  },
+  disbursedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Cancellation trail (the original amounts and notes are kept)
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
   },
 
   // Payment Method
@@ -74,7 +154,7 @@ const advanceSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['pending', 'completed', 'cancelled'],
+    enum: ['requested', 'approved', 'declined', 'pending', 'completed', 'cancelled'],
     default: 'completed',
     index: true
   },
@@ -94,6 +174,7 @@ advanceSchema.index({ userId: 1, status: 1 });
 advanceSchema.index({ addedBy: 1, createdAt: -1 });
 advanceSchema.index({ status: 1, date: -1 });
 advanceSchema.index({ createdAt: -1 });
+advanceSchema.index({ status: 1, requestedAt: -1 });
 
 // Virtual: Formatted amount
 advanceSchema.virtual('formattedAmount').get(function() {
@@ -110,9 +191,11 @@ advanceSchema.virtual('monthYear').get(function() {
 });
 
 // Instance method: Cancel advance
-advanceSchema.methods.cancel = function(reason) {
+advanceSchema.methods.cancel = function(reason, cancelledBy = null) {
   this.status = 'cancelled';
-  this.notes = reason || 'Advance cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = cancelledBy;
+  this.cancellationReason = reason || 'Advance cancelled';
   return this.save();
 };
 
@@ -20,12 +20,48 @@ const auditSchema = new mongoose.Schema({
       'expense_bulk_approved',
       'expense_rejected',
       'expense_deleted',
+      'expense_resubmitted',
+      'expense_policy_created',
+      'expense_policy_updated',
+      'expense_policy_deleted',
+      'expense_duplicate_reviewed',
+      'claim_created',
+      'claim_updated',
+      'claim_submitted',
+      'claim_approved',
+      'claim_rejected',
+      'claim_deleted',
+      'exchange_rate_created',
+      'exchange_rate_updated',
+      'exchange_rate_deleted',
       'advance_added',
       'advance_cancelled',
+      'advance_requested',
+      'advance_approved',
+      'advance_declined',
+      'advance_disbursed',
+      'advance_recovered',
+      'ledger_reconciled',
+      'payout_batch_created',
+      'payout_batch_exported',
+      'payout_batch_confirmed',
+      'payout_batch_cancelled',
       'journey_started',
       'journey_ended',
       'journey_cancelled',
       'file_uploaded',
+      'customer_created',
+      'customer_updated',
+      'customer_deactivated',
+      'cost_center_created',
+      'cost_center_updated',
+      'cost_center_deactivated',
+      'recurring_expense_created',
+      'recurring_expense_updated',
+      'recurring_expense_paused',
+      'recurring_expense_resumed',
+      'recurring_expense_ended',
+      'recurring_expense_skipped',
       'month_locked',
       'month_unlocked',
       'login',
@@ -40,10 +76,16 @@ const auditSchema = new mongoose.Schema({
   },
 
   // Who performed the action
+  // System actions (scheduled jobs) have no performing user
+  actorType: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user'
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Performed by is required'],
+    required: [function() { return this.actorType !== 'system'; }, 'Performed by is required'],
     index: true
   },
 
@@ -0,0 +1,64 @@
+/**
+ * CostCenter Model
+ * Departments and projects that travel expenses are charged to
+ */
+
+const mongoose = require('mongoose');
+
+const costCenterSchema = new mongoose.Schema({
+  // Short code used on exports (e.g., "SALES-N", "PRJ-2026-014")
+  code: {
+    type: String,
+    required: [true, 'Cost center code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Cost center code cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Cost center name is required'],
+    trim: true,
+    maxlength: [100, 'Cost center name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['department', 'project'],
+      message: 'Type must be either department or project'
+    },
+    default: 'department',
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Status (inactive cost centers can no longer be selected)
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+costCenterSchema.index({ name: 'text', code: 'text' });
+
+const CostCenter = mongoose.model('CostCenter', costCenterSchema);
+
+module.exports = CostCenter;
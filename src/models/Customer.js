@@ -0,0 +1,180 @@
+/**
+ * Customer Model
+ * Registry of customers with a geofenced site location
+ */
+
+const mongoose = require('mongoose');
+const { calculateDistanceWithHaversine } = require('../utils/distanceCalculator');
+
+/**
+ * Normalize a customer name for duplicate detection
+ * "  ACME  Industries " → "acme industries"
+ * @param {String} name - Customer name
+ * @returns {String} Normalized name
+ */
+const normalizeName = (name) => {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+const customerSchema = new mongoose.Schema({
+  // Customer Name
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  normalizedName: {
+    type: String,
+    unique: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Customer code cannot exceed 30 characters']
+  },
+
+  // Contact Details
+  contactPerson: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact person cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  // Site Address
+  address: {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'India' }
+  },
+
+  // Site Location (GeoJSON point: [longitude, latitude])
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Site coordinates are required'],
+      validate: {
+        validator: function(value) {
+          return Array.isArray(value) && value.length === 2 &&
+            value[0] >= -180 && value[0] <= 180 &&
+            value[1] >= -90 && value[1] <= 90;
+        },
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+
+  // Geofence radius around the site (meters)
+  geofenceRadius: {
+    type: Number,
+    min: [25, 'Geofence radius must be at least 25 meters'],
+    max: [10000, 'Geofence radius cannot exceed 10000 meters'],
+    default: 200
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+customerSchema.index({ location: '2dsphere' });
+customerSchema.index({ name: 'text', code: 'text' });
+
+// Keep normalized name in sync
+customerSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeName(this.name);
+  }
+  next();
+});
+
+// Virtual: Latitude / longitude
+customerSchema.virtual('coordinates').get(function() {
+  if (!this.location || !this.location.coordinates) return null;
+  return {
+    latitude: this.location.coordinates[1],
+    longitude: this.location.coordinates[0]
+  };
+});
+
+// Instance method: Check whether a position falls inside the site geofence
+customerSchema.methods.checkGeofence = function(coordinates, checkedAt = new Date()) {
+  const { distance } = calculateDistanceWithHaversine(this.coordinates, coordinates);
+  const distanceMeters = Math.round(distance * 1000);
+
+  return {
+    status: distanceMeters <= this.geofenceRadius ? 'inside' : 'outside',
+    distanceMeters,
+    radiusMeters: this.geofenceRadius,
+    checkedAt
+  };
+};
+
+// Static method: Build a GeoJSON point from {latitude, longitude}
+customerSchema.statics.toPoint = function(coordinates) {
+  return {
+    type: 'Point',
+    coordinates: [coordinates.longitude, coordinates.latitude]
+  };
+};
+
+// Static method: Find active customers near a position, nearest first
+customerSchema.statics.findNear = function(coordinates, maxDistanceMeters = 5000, limit = 10) {
+  return this.find({
+    isActive: true,
+    location: {
+      $near: {
+        $geometry: this.toPoint(coordinates),
+        $maxDistance: maxDistanceMeters
+      }
+    }
+  }).limit(limit);
+};
+
+// Ensure virtuals are included
+customerSchema.set('toJSON', { virtuals: true });
+customerSchema.set('toObject', { virtuals: true });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
+module.exports.normalizeName = normalizeName;
@@ -0,0 +1,103 @@
+/**
+ * Exchange Rate Model
+ * Admin-maintained conversion rates to the base currency, keyed by effective date
+ *
+ * A rate applies from its effective date until the next rate for the same currency,
+ * so expenses are converted with the latest rate on or before the expense date.
+ */
+
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // Foreign currency (ISO 4217)
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code']
+  },
+
+  // Currency the rate converts into (BASE_CURRENCY when the rate was entered)
+  baseCurrency: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a three-letter ISO 4217 code']
+  },
+
+  // Units of base currency per one unit of currency
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+
+  // First day the rate applies (stored at midnight UTC)
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Source cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, baseCurrency: 1, effectiveDate: -1 }, { unique: true });
+
+/**
+ * Normalize a date to midnight UTC
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const toEffectiveDate = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.effectiveDate) {
+    this.effectiveDate = toEffectiveDate(this.effectiveDate);
+  }
+  next();
+});
+
+/**
+ * Rate in effect for a currency on a date
+ * @param {String} currency - ISO 4217 code
+ * @param {String} baseCurrency - ISO 4217 code
+ * @param {Date|String} date - Expense or advance date
+ * @returns {Promise<Object|null>} ExchangeRate document, or null when no rate is on file
+ */
+exchangeRateSchema.statics.findRateForDate = function(currency, baseCurrency, date) {
+  return this.findOne({
+    currency: currency.toUpperCase(),
+    baseCurrency: baseCurrency.toUpperCase(),
+    effectiveDate: { $lte: toEffectiveDate(date) }
+  }).sort({ effectiveDate: -1 });
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
+module.exports.toEffectiveDate = toEffectiveDate;
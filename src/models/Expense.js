@@ -46,6 +46,7 @@ const expenseSchema = new mongoose.Schema({
       'transport_charges',
       'office_expense',
       'others',
+      'per_diem', // Created from journey time (see perDiemService)
       // Legacy types for backward compatibility
       'journey',
       'accessories',
@@ -93,6 +94,21 @@ const expenseSchema = new mongoose.Schema({
     min: [0, 'Distance cannot be negative']
   },
 
+  // Per-stop cost breakdown for multi-stop journeys
+  // Each entry covers the leg arriving at the stop; the final entry (stopId null) is the return leg
+  stopBreakdown: [{
+    _id: false,
+    stopId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sequence: { type: Number },
+    customerName: { type: String, trim: true },
+    typeOfVisit: { type: String, trim: true },
+    address: { type: String, trim: true },
+    legDistance: { type: Number, default: 0 }, // in kilometers
+    legCost: { type: Number, default: 0 },
+    machineVisitCost: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  }],
+
   // GPS Status
   gpsOffline: {
     type: Boolean,
@@ -108,17 +124,105 @@ const expenseSchema = new mongoose.Schema({
   },
 
   // Amount Tracking
+  // amount is in the base currency (Settings BASE_CURRENCY); foreign-currency expenses keep the
+  // amount as entered in originalAmount, converted at the rate in effect on the expense date
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
     min: [0, 'Amount cannot be negative']
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code'],
+    default: null // Base currency (expenses recorded before multi-currency support)
+  },
+  originalAmount: {
+    type: Number,
+    min: [0, 'Original amount cannot be negative']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  exchangeRateDate: {
+    type: Date,
+    default: null
+  },
+  vehicleType: {
+    type: String,
+    enum: ['two_wheeler', 'car', 'company_vehicle'],
+    default: null
+  },
   distanceRate: {
     type: Number,
     // No default - must be set explicitly from Settings.getRatePerKm() when creating journey expenses
     min: [0, 'Rate cannot be negative']
   },
 
+  // Lodging nights (used for per-night policy limits)
+  nights: {
+    type: Number,
+    min: [1, 'Nights must be at least 1'],
+    default: null
+  },
+
+  // GST invoice details for input tax credit (bills from GST-registered vendors)
+  // Amounts are in INR as printed on the invoice
+  gst: {
+    type: new mongoose.Schema({
+      vendorGstin: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Vendor GSTIN is not valid']
+      },
+      vendorName: { type: String, trim: true, maxlength: [200, 'Vendor name cannot exceed 200 characters'] },
+      invoiceNumber: { type: String, trim: true, maxlength: [16, 'Invoice number cannot exceed 16 characters'] },
+      invoiceDate: { type: Date },
+      taxableValue: { type: Number, min: [0, 'Taxable value cannot be negative'] },
+      cgst: { type: Number, min: [0, 'CGST cannot be negative'], default: 0 },
+      sgst: { type: Number, min: [0, 'SGST cannot be negative'], default: 0 },
+      igst: { type: Number, min: [0, 'IGST cannot be negative'], default: 0 }
+    }, { _id: false }),
+    default: null
+  },
+
+  // Per-diem allowance details (type='per_diem')
+  // One allowance per employee per day, covering every completed journey on that day
+  perDiem: {
+    type: new mongoose.Schema({
+      day: { type: Date, required: true }, // Start of the day the allowance covers
+      journeyIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Journey' }],
+      fieldMinutes: { type: Number, min: 0, default: 0 }, // Journey time on the day, overlaps counted once
+      band: { type: String, enum: ['half_day', 'full_day'], default: null }, // null when only the overnight supplement applies
+      dayAmount: { type: Number, min: 0, default: 0 },
+      overnight: { type: Boolean, default: false }, // Still on a journey at midnight
+      overnightSupplement: { type: Number, min: 0, default: 0 },
+      calculatedAt: { type: Date, default: null }
+    }, { _id: false }),
+    default: null
+  },
+
+  // Expense policy violations found at submission (warn-mode policies)
+  policyViolations: [{
+    _id: false,
+    rule: {
+      type: String,
+      enum: ['per_expense', 'per_day', 'per_month', 'per_night']
+    },
+    limit: { type: Number },
+    actual: { type: Number },
+    enforcement: { type: String, enum: ['warn', 'block'] },
+    message: { type: String, trim: true }
+  }],
+  hasPolicyViolation: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
   // File Attachments
   attachments: [{
     url: {
@@ -128,12 +232,66 @@ const expenseSchema = new mongoose.Schema({
     filename: String,
     fileType: String,
     fileSize: Number,
+    contentHash: String, // SHA-256 recorded at upload time
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
 
+  // Duplicate detection (similar expense or reused receipt)
+  duplicateCheck: {
+    status: {
+      type: String,
+      enum: ['none', 'suspected', 'confirmed', 'dismissed'],
+      default: 'none'
+    },
+    matches: [{
+      _id: false,
+      expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
+      reason: { type: String, enum: ['similar_expense', 'reused_receipt'] },
+      contentHash: { type: String },
+      dayDifference: { type: Number },
+      amountDifference: { type: Number }
+    }],
+    checkedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNotes: { type: String, trim: true, maxlength: [500, 'Review notes cannot exceed 500 characters'] }
+  },
+  isSuspectedDuplicate: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    default: null
+  },
+
+  // Cross-check of the entered amount against the attached receipts (see receiptExtractionService)
+  receiptCheck: {
+    status: {
+      type: String,
+      enum: ['unavailable', 'matched', 'mismatch'],
+      default: 'unavailable'
+    },
+    engine: { type: String },
+    extractedAmount: { type: Number }, // In the currency the amount was entered in
+    enteredAmount: { type: Number },
+    difference: { type: Number },
+    confidence: { type: Number },
+    extractedDate: { type: Date },
+    prefilled: [{ type: String }], // Fields filled from the receipt at creation
+    checkedAt: { type: Date }
+  },
+  hasReceiptMismatch: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
   // Approval Workflow
   status: {
     type: String,
@@ -159,6 +317,33 @@ const expenseSchema = new mongoose.Schema({
   approvedAt: {
     type: Date
   },
+
+  // Multi-level approval chain
+  // Level 1: assigned admin; level 2 (above FINANCE_APPROVAL_THRESHOLD): Super Admin or finance approver
+  // The expense stays pending until the last required level approves
+  approvalLevelsRequired: {
+    type: Number,
+    min: 1,
+    default: null // Resolved at the first approval decision
+  },
+  currentApprovalLevel: {
+    type: Number,
+    min: 1,
+    default: 1,
+    index: true
+  },
+  approvalChain: [{
+    _id: false,
+    level: { type: Number, required: true },
+    role: { type: String, enum: ['admin', 'finance'], required: true },
+    approver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    decidedAt: { type: Date, default: Date.now },
+    notes: { type: String, trim: true, maxlength: [1000, 'Notes cannot exceed 1000 characters'] },
+    // Distance option chosen for journey expenses; later levels default to the earlier choice
+    approvedOption: { type: Number, enum: [1, 2, 3] },
+    adminDistance: { type: Number, min: [0, 'Distance cannot be negative'] }
+  }],
   adminNotes: {
     type: String,
     trim: true,
@@ -170,6 +355,95 @@ const expenseSchema = new mongoose.Schema({
     maxlength: [500, 'Rejection reason cannot exceed 500 characters']
   },
 
+  // Reimbursement of approved expenses (see PayoutBatch)
+  // unpaid -> processing (in an open payout batch) -> paid (batch confirmed)
+  // Older expenses have no paymentStatus and count as unpaid
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'processing', 'paid'],
+    default: 'unpaid'
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null,
+    index: true
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  paymentReference: {
+    type: String,
+    trim: true // Bank UTR or UPI transaction ID of the payout
+  },
+
+  // Resubmission after rejection (see ExpenseRevision)
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  resubmittedAt: {
+    type: Date
+  },
+
+  // Expense claim (see ExpenseClaim)
+  claimId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseClaim',
+    default: null,
+    index: true
+  },
+  // Held back from approvers until the claim is submitted
+  inDraftClaim: {
+    type: Boolean,
+    default: false
+  },
+
+  // Generated from a recurring template (see RecurringExpense)
+  recurringExpenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense',
+    default: null,
+    index: true
+  },
+  recurringOccurrence: {
+    type: Date,
+    default: null // Scheduled date the expense was generated for
+  },
+  // Cannot be approved until a receipt is attached
+  receiptRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Cost center the expense is charged to (the largest share when split)
+  costCenterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+    default: null,
+    index: true
+  },
+  // Split across cost centers; a single cost center is one allocation of 100%
+  // percentage is authoritative; amount is its share of the base-currency amount
+  allocations: [{
+    _id: false,
+    costCenterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CostCenter',
+      required: [true, 'Cost center is required']
+    },
+    percentage: {
+      type: Number,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Allocated amount cannot be negative']
+    }
+  }],
+
   // Bulk approval tracking
   bulkApproved: {
     type: Boolean,
@@ -184,7 +458,18 @@ expenseSchema.index({ userId: 1, date: -1 });
 expenseSchema.index({ userId: 1, status: 1 });
 expenseSchema.index({ status: 1, date: -1 });
 expenseSchema.index({ type: 1, status: 1 });
+expenseSchema.index({ status: 1, paymentStatus: 1, userId: 1 });
 expenseSchema.index({ createdAt: -1 });
+expenseSchema.index({ 'gst.vendorGstin': 1, date: -1 }, { sparse: true });
+expenseSchema.index({ 'allocations.costCenterId': 1, date: -1 });
+expenseSchema.index(
+  { userId: 1, 'perDiem.day': 1 },
+  { unique: true, partialFilterExpression: { type: 'per_diem' } }
+); // One per-diem allowance per employee per day
+expenseSchema.index(
+  { recurringExpenseId: 1, recurringOccurrence: 1 },
+  { unique: true, partialFilterExpression: { recurringExpenseId: { $type: 'objectId' } } }
+); // One expense per recurring occurrence
 
 // Virtual: Calculate variance percentage
 expenseSchema.virtual('variancePercentage').get(function() {
@@ -212,12 +497,30 @@ expenseSchema.virtual('approvedDistance').get(function() {
   return null;
 });
 
+// Virtual: Approved amount in the original currency
+expenseSchema.virtual('approvedOriginalAmount').get(function() {
+  if (this.approvedAmount === undefined || this.approvedAmount === null) return null;
+  if (!this.exchangeRate || this.exchangeRate === 1) return this.approvedAmount;
+  return Math.round((this.approvedAmount / this.exchangeRate) * 100) / 100;
+});
+
 // Pre-save validation
 expenseSchema.pre('save', function(next) {
   // Validate journeyId is required when expenseCategory is 'journey'
   if (this.expenseCategory === 'journey' && !this.journeyId) {
     return next(new Error('Journey ID is required when expense category is journey'));
   }
+
+  // Keep allocated amounts in step with the amount; the last allocation takes the rounding remainder
+  if (this.allocations.length > 0 && (this.isModified('amount') || this.isModified('allocations'))) {
+    let remaining = this.amount;
+    this.allocations.forEach((allocation, index) => {
+      allocation.amount = index === this.allocations.length - 1
+        ? Math.max(Math.round(remaining * 100) / 100, 0)
+        : Math.round(this.amount * allocation.percentage) / 100;
+      remaining -= allocation.amount;
+    });
+  }
   next();
 });
 
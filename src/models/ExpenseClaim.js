@@ -0,0 +1,95 @@
+/**
+ * Expense Claim Model
+ * Groups an employee's expenses (e.g. one trip) into a claim submitted and approved as a unit
+ *
+ * Status flow:
+ * draft -> submitted -> approved | partially_approved | rejected
+ * The decided states follow the status of the claim's expenses (see claimService.refreshClaim)
+ */
+
+const mongoose = require('mongoose');
+
+const CLAIM_STATUSES = ['draft', 'submitted', 'approved', 'partially_approved', 'rejected'];
+
+const claimTotalsSchema = new mongoose.Schema({
+  count: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+  approvedAmount: { type: Number, default: 0 },
+  pendingCount: { type: Number, default: 0 },
+  approvedCount: { type: Number, default: 0 },
+  rejectedCount: { type: Number, default: 0 },
+  attachmentCount: { type: Number, default: 0 }
+}, { _id: false });
+
+const expenseClaimSchema = new mongoose.Schema({
+  // Claim owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Claim title is required'],
+    trim: true,
+    maxlength: [150, 'Claim title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: CLAIM_STATUSES,
+      message: '{VALUE} is not a valid claim status'
+    },
+    default: 'draft',
+    index: true
+  },
+
+  // Cached from the claim's expenses
+  totals: {
+    type: claimTotalsSchema,
+    default: () => ({})
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+
+  submittedAt: {
+    type: Date
+  },
+  // When the last pending expense of the claim was decided
+  decidedAt: {
+    type: Date
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+expenseClaimSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+/**
+ * Whether expenses can still be added, removed or edited through the claim
+ * @returns {Boolean}
+ */
+expenseClaimSchema.methods.isEditable = function() {
+  return this.status === 'draft';
+};
+
+const ExpenseClaim = mongoose.model('ExpenseClaim', expenseClaimSchema);
+
+module.exports = ExpenseClaim;
+module.exports.CLAIM_STATUSES = CLAIM_STATUSES;
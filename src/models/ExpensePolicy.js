@@ -0,0 +1,104 @@
+/**
+ * Expense Policy Model
+ * Per-type spending limits evaluated when expenses are submitted
+ */
+
+const mongoose = require('mongoose');
+
+// Expense types a policy can cover (journey expenses are governed by the mileage rate)
+const POLICY_EXPENSE_TYPES = [
+  'food',
+  'lodging',
+  'fuel',
+  'tickets',
+  'car_rental',
+  'courier',
+  'toll',
+  'local_purchase',
+  'transport_charges',
+  'office_expense',
+  'others',
+  'accessories',
+  'other'
+];
+
+const expensePolicySchema = new mongoose.Schema({
+  // Expense type covered by this policy (one policy per type)
+  expenseType: {
+    type: String,
+    enum: POLICY_EXPENSE_TYPES,
+    required: [true, 'Expense type is required'],
+    unique: true
+  },
+
+  // Limits (null = no limit)
+  perExpenseLimit: {
+    type: Number,
+    min: [0, 'Limit cannot be negative'],
+    default: null
+  },
+  perDayLimit: {
+    type: Number,
+    min: [0, 'Limit cannot be negative'],
+    default: null
+  },
+  perMonthLimit: {
+    type: Number,
+    min: [0, 'Limit cannot be negative'],
+    default: null
+  },
+  perNightLimit: {
+    type: Number, // Lodging only: amount divided by nights
+    min: [0, 'Limit cannot be negative'],
+    default: null
+  },
+
+  // Enforcement
+  // warn: the expense is saved and flagged for the approver
+  // block: the expense is refused
+  enforcement: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Audit Trail
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Per-night limits only make sense for lodging
+expensePolicySchema.pre('validate', function(next) {
+  if (this.perNightLimit !== null && this.perNightLimit !== undefined && this.expenseType !== 'lodging') {
+    return next(new Error('Per-night limit applies to lodging only'));
+  }
+  next();
+});
+
+// Static method: Active policy for an expense type
+expensePolicySchema.statics.findActivePolicy = function(expenseType) {
+  return this.findOne({ expenseType, isActive: true });
+};
+
+const ExpensePolicy = mongoose.model('ExpensePolicy', expensePolicySchema);
+
+module.exports = ExpensePolicy;
+module.exports.POLICY_EXPENSE_TYPES = POLICY_EXPENSE_TYPES;
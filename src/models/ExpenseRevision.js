@@ -0,0 +1,89 @@
+/**
+ * Expense Revision Model
+ * Immutable version of an expense recorded each time a rejected expense is resubmitted
+ */
+
+const mongoose = require('mongoose');
+
+// Expense fields captured in each revision
+const REVISION_FIELDS = ['type', 'date', 'description', 'amount', 'currency', 'originalAmount', 'manualDistance', 'nights', 'gst', 'allocations', 'attachments'];
+
+const expenseRevisionSchema = new mongoose.Schema({
+  // Expense Reference
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: [true, 'Expense ID is required'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Revision number (1 = first resubmission)
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // The rejection this revision responds to
+  rejection: {
+    reason: { type: String, trim: true },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectedAt: { type: Date },
+    approvalChain: { type: Array, default: [] } // Decisions made before the rejection
+  },
+
+  // Expense values before the resubmission
+  previousValues: {
+    type: Object,
+    default: {}
+  },
+
+  // Field-level diff
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+
+  // Employee's response to the rejection
+  responseNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Response note cannot exceed 1000 characters']
+  },
+
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'submittedAt', updatedAt: false }
+});
+
+expenseRevisionSchema.index({ expenseId: 1, revision: 1 }, { unique: true });
+
+// Revisions are immutable once written
+expenseRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Expense revisions cannot be modified'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  expenseRevisionSchema.pre(operation, function(next) {
+    next(new Error('Expense revisions cannot be modified'));
+  });
+});
+
+const ExpenseRevision = mongoose.model('ExpenseRevision', expenseRevisionSchema);
+
+module.exports = ExpenseRevision;
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
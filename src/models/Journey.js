@@ -5,6 +5,98 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Geofence Check Schema
+ * Result of comparing a position with a registered customer's site geofence
+ */
+const geofenceCheckSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['inside', 'outside', 'not_applicable'],
+    default: 'not_applicable'
+  },
+  distanceMeters: { type: Number, default: null }, // from the customer site
+  radiusMeters: { type: Number, default: null },
+  checkedAt: { type: Date, default: null }
+}, { _id: false });
+
+/**
+ * Stop Schema
+ * One customer visit within a multi-stop journey
+ */
+const stopSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  customerName: {
+    type: String,
+    trim: true,
+    required: [true, 'Stop customer name is required'],
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  typeOfVisit: {
+    type: String,
+    enum: ['sales_call', 'service_call', 'inspection', 'group_visit', 'machine_visit'],
+    default: null
+  },
+  natureOfWork: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Nature of work cannot exceed 500 characters'],
+    default: null
+  },
+  numberOfMachines: {
+    type: Number,
+    min: [1, 'Number of machines must be at least 1'],
+    max: [10, 'Number of machines cannot exceed 10'],
+    default: null
+  },
+  machineVisitCost: {
+    type: Number,
+    min: [0, 'Machine visit cost cannot be negative'],
+    default: 0
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      required: [true, 'Stop latitude is required'],
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Stop longitude is required'],
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    }
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  geofenceCheck: geofenceCheckSchema,
+  arrivedAt: {
+    type: Date,
+    required: [true, 'Arrival time is required']
+  },
+  departedAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
 const journeySchema = new mongoose.Schema({
   // User Reference
   userId: {
@@ -14,6 +106,15 @@ const journeySchema = new mongoose.Schema({
     index: true
   },
 
+  // Offline Sync (client-generated UUID, only set for journeys recorded offline)
+  clientId: {
+    type: String,
+    trim: true
+  },
+  syncedAt: {
+    type: Date
+  },
+
   // Journey Name (Customer Name)
   name: {
     type: String,
@@ -21,6 +122,12 @@ const journeySchema = new mongoose.Schema({
     maxlength: [100, 'Journey name cannot exceed 100 characters'],
     index: true
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
   customerName: {
     type: String,
     trim: true,
@@ -28,6 +135,14 @@ const journeySchema = new mongoose.Schema({
     default: null
   },
 
+  // Cost center the journey is charged to (copied to its expense)
+  costCenterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+    default: null,
+    index: true
+  },
+
   // Nature of Work
   natureOfWork: {
     type: String,
@@ -44,6 +159,13 @@ const journeySchema = new mongoose.Schema({
     default: null
   },
 
+  // Vehicle used (selects the mileage rate)
+  vehicleType: {
+    type: String,
+    enum: ['two_wheeler', 'car', 'company_vehicle'],
+    default: null
+  },
+
   // Machine Visit Details (only for machine_visit type)
   numberOfMachines: {
     type: Number,
@@ -140,6 +262,90 @@ const journeySchema = new mongoose.Schema({
     min: [0, 'Duration cannot be negative']
   },
 
+  // Ordered customer stops (multi-stop journeys)
+  stops: {
+    type: [stopSchema],
+    default: []
+  },
+
+  // Distance per leg (start → stop 1 → ... → end), filled when the journey ends
+  legs: [{
+    _id: false,
+    sequence: { type: Number, required: true },
+    fromStopId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = journey start
+    toStopId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = journey end
+    distance: { type: Number, default: 0 }, // in kilometers
+    duration: { type: Number, default: null }, // in minutes
+    source: { type: String, trim: true }
+  }],
+
+  // Routing provider result for the start → end route
+  routing: {
+    provider: {
+      type: String,
+      enum: ['google', 'osrm', 'graphhopper', 'haversine', 'fake'],
+      default: null
+    },
+    distance: { type: Number, default: null }, // in kilometers
+    duration: { type: Number, default: null }, // in minutes
+    fallback: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    calculatedAt: { type: Date, default: null }
+  },
+
+  // Geofence check of the end coordinates against the selected customer's site
+  geofenceCheck: geofenceCheckSchema,
+  geofenceViolation: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // GPS Breadcrumb Track (raw samples uploaded while the journey is active)
+  // Excluded from queries by default; load with .select('+trackPoints')
+  trackPoints: {
+    type: [{
+      _id: false,
+      latitude: {
+        type: Number,
+        required: true,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      },
+      accuracy: {
+        type: Number, // in meters
+        min: [0, 'Accuracy cannot be negative']
+      },
+      speed: {
+        type: Number, // in meters per second, as reported by the device
+        min: [0, 'Speed cannot be negative']
+      },
+      timestamp: {
+        type: Date,
+        required: true
+      }
+    }],
+    select: false,
+    default: []
+  },
+
+  // Track summary (filled when the journey ends)
+  trackSummary: {
+    rawPoints: { type: Number, default: 0 },
+    acceptedPoints: { type: Number, default: 0 },
+    droppedInaccurate: { type: Number, default: 0 },
+    droppedJitter: { type: Number, default: 0 },
+    droppedSpeed: { type: Number, default: 0 },
+    trackDistance: { type: Number, default: null }, // in kilometers
+    straightLineDistance: { type: Number, default: null } // in kilometers
+  },
+
   // Associated Expenses
   expenseId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -172,6 +378,10 @@ journeySchema.index({ userId: 1, status: 1 });
 journeySchema.index({ status: 1, createdAt: -1 });
 journeySchema.index({ expenseId: 1 });
 journeySchema.index({ name: 1 }); // Allow duplicate names per user
+journeySchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+); // One journey per client UUID per user
 
 // Virtual: Duration in minutes
 journeySchema.virtual('durationMinutes').get(function() {
@@ -198,6 +408,13 @@ journeySchema.virtual('endCoordinatesString').get(function() {
   return `${this.endCoordinates.latitude},${this.endCoordinates.longitude}`;
 });
 
+// Virtual: Current stop (arrived but not yet departed)
+journeySchema.virtual('currentStop').get(function() {
+  if (!this.stops || this.stops.length === 0) return null;
+  const last = this.stops[this.stops.length - 1];
+  return last.departedAt ? null : last;
+});
+
 // Instance method: Complete journey
 journeySchema.methods.complete = function(endCoords, endAddress, calculatedDistance) {
   this.endCoordinates = endCoords;
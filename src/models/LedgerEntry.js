@@ -0,0 +1,171 @@
+/**
+ * Ledger Entry Model
+ * Immutable double-entry postings behind each employee's advance balance
+ *
+ * Every entry moves an amount from its credit account to its debit account.
+ * The employee's advance account holds what the employee owes the company:
+ * - advance:  debit employee_advance, credit cash      (balance goes up)
+ * - expense:  debit expense,          credit employee_advance (balance goes down)
+ * - recovery: debit cash,             credit employee_advance (balance goes down)
+ * - payout:   debit employee_advance, credit cash      (reimbursement paid; balance goes up)
+ * - reversal: the accounts of the reversed entry swapped
+ * Entries are never changed or deleted; mistakes are corrected with a reversal.
+ */
+
+const mongoose = require('mongoose');
+
+const LEDGER_ACCOUNTS = ['employee_advance', 'cash', 'expense'];
+const LEDGER_ENTRY_TYPES = ['advance', 'expense', 'recovery', 'payout', 'reversal'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Employee whose advance account the entry belongs to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Position in the employee's ledger (1, 2, 3, ...)
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required'],
+    min: 1
+  },
+
+  entryType: {
+    type: String,
+    enum: {
+      values: LEDGER_ENTRY_TYPES,
+      message: '{VALUE} is not a valid ledger entry type'
+    },
+    required: [true, 'Entry type is required']
+  },
+
+  // Double entry (base currency)
+  debitAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: [true, 'Debit account is required']
+  },
+  creditAccount: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: [true, 'Credit account is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+
+  // Employee advance balance after this entry
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after is required']
+  },
+
+  // When the entry was posted (statements are cut on this date)
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Date of the underlying advance, expense or recovery
+  effectiveDate: {
+    type: Date,
+    default: null
+  },
+
+  // Source documents
+  advanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Advance',
+    default: null
+  },
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    default: null
+  },
+  reversesEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    default: null
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Who posted it (null for system postings, e.g. the reconciliation script)
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One position per employee; a concurrent posting fails and retries with the next sequence
+ledgerEntrySchema.index({ userId: 1, sequence: 1 }, { unique: true });
+ledgerEntrySchema.index({ userId: 1, postedAt: 1 });
+
+// Each advance, approved expense and batch payout is posted once; each entry is reversed at most once
+ledgerEntrySchema.index(
+  { advanceId: 1 },
+  { unique: true, partialFilterExpression: { entryType: 'advance' } }
+);
+ledgerEntrySchema.index(
+  { expenseId: 1 },
+  { unique: true, partialFilterExpression: { entryType: 'expense' } }
+);
+ledgerEntrySchema.index(
+  { payoutBatchId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { entryType: 'payout' } }
+);
+ledgerEntrySchema.index(
+  { reversesEntry: 1 },
+  { unique: true, partialFilterExpression: { entryType: 'reversal' } }
+);
+
+/**
+ * Signed change of the employee advance balance
+ * @returns {Number} +amount when the advance account is debited, -amount when credited
+ */
+ledgerEntrySchema.methods.getBalanceChange = function() {
+  if (this.debitAccount === 'employee_advance') return this.amount;
+  if (this.creditAccount === 'employee_advance') return -this.amount;
+  return 0;
+};
+
+// Entries are immutable once posted
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed; post a reversal instead'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Ledger entries cannot be changed or deleted; post a reversal instead'));
+  }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
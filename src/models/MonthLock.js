@@ -6,11 +6,21 @@
 const mongoose = require('mongoose');
 
 const monthLockSchema = new mongoose.Schema({
-  // User Reference
+  // Lock Scope
+  // 'user' locks a single employee's month, 'organization' locks the month for everyone
+  scope: {
+    type: String,
+    enum: ['user', 'organization'],
+    default: 'user',
+    required: true
+  },
+
+  // User Reference (not set for organization-wide locks)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required'],
+    required: [function() { return this.scope !== 'organization'; }, 'User ID is required'],
+    default: null,
     index: true
   },
 
@@ -104,7 +114,9 @@ const monthLockSchema = new mongoose.Schema({
 });
 
 // Compound unique index - one lock per user per month/year
+// (organization-wide locks have userId null, so there is one per month/year)
 monthLockSchema.index({ userId: 1, year: 1, month: 1 }, { unique: true });
+monthLockSchema.index({ scope: 1, year: 1, month: 1, isLocked: 1 });
 
 // Other indexes
 monthLockSchema.index({ userId: 1, isLocked: 1 });
@@ -147,9 +159,25 @@ monthLockSchema.methods.relock = function() {
   return this.save();
 };
 
-// Static method: Check if month is locked
+// Static method: Find the active lock that applies to a user's month
+// A user's own lock takes precedence over an organization-wide lock
+monthLockSchema.statics.findActiveLock = async function(userId, year, month) {
+  const locks = await this.find({
+    year,
+    month,
+    isLocked: true,
+    $or: [
+      { userId },
+      { scope: 'organization' }
+    ]
+  }).populate('closedBy', 'name email');
+
+  return locks.find(lock => lock.scope === 'user') || locks[0] || null;
+};
+
+// Static method: Check if month is locked (user or organization-wide)
 monthLockSchema.statics.isMonthLocked = async function(userId, year, month) {
-  const lock = await this.findOne({ userId, year, month, isLocked: true });
+  const lock = await this.findActiveLock(userId, year, month);
   return !!lock;
 };
 
@@ -168,15 +196,17 @@ monthLockSchema.statics.getLatestLock = function(userId) {
 };
 
 // Static method: Create month lock with summary
+// Pass a null userId to create an organization-wide lock
 monthLockSchema.statics.createLock = async function(userId, year, month, closedBy, summary, notes) {
   // Check if already locked
-  const existing = await this.findOne({ userId, year, month });
+  const existing = await this.findOne({ userId: userId || null, year, month });
   if (existing && existing.isLocked) {
     throw new Error('Month is already locked');
   }
 
   // Create or update lock
-  const lock = existing || new this({ userId, year, month });
+  const lock = existing || new this({ userId: userId || null, year, month });
+  lock.scope = userId ? 'user' : 'organization';
   lock.isLocked = true;
   lock.closedBy = closedBy;
   lock.closedAt = new Date();
@@ -0,0 +1,96 @@
+/**
+ * Notification Model
+ * In-app notifications for employees and admins
+ */
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required'],
+    index: true
+  },
+
+  // Notification Type
+  type: {
+    type: String,
+    enum: [
+      'journey_auto_cancelled',
+      'journey_auto_completed',
+      'claim_submitted',
+      'recurring_expense_generated',
+      'recurring_expense_skipped',
+      'advance_requested',
+      'advance_approved',
+      'advance_declined',
+      'advance_disbursed',
+      'advance_cancelled',
+      'reimbursement_paid',
+      'other'
+    ],
+    required: [true, 'Notification type is required']
+  },
+
+  // Content
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // Related entities
+  relatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  relatedJourney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Read status
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+// Instance method: Mark as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method: Unread count for a user
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,168 @@
+/**
+ * Payout Batch Model
+ * A run of reimbursements paid to employees for their approved expenses
+ *
+ * Each line is one employee: their approved, unpaid expenses less the part already
+ * covered by their advance balance. Lines fully covered by the advance pay nothing
+ * and are settled when the batch is confirmed.
+ *
+ * Status flow:
+ * draft -> exported (bank or UPI file downloaded) -> confirmed
+ * draft/exported -> cancelled (expenses are released for a later batch)
+ */
+
+const mongoose = require('mongoose');
+
+const PAYOUT_BATCH_STATUSES = ['draft', 'exported', 'confirmed', 'cancelled'];
+const PAYOUT_METHODS = ['bank_transfer', 'upi', 'advance_offset'];
+
+const payoutLineSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Payee details copied from the employee when the batch was created
+  payeeName: { type: String, trim: true },
+  employeeId: { type: String, trim: true },
+  email: { type: String, trim: true },
+  method: {
+    type: String,
+    enum: PAYOUT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  accountNumber: { type: String, trim: true },
+  ifscCode: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  upiId: { type: String, trim: true },
+
+  // Amounts (base currency)
+  expenseIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  grossAmount: {
+    type: Number,
+    required: true,
+    min: 0 // Approved amount of the expenses
+  },
+  advanceOffset: {
+    type: Number,
+    default: 0,
+    min: 0 // Covered by the employee's advance balance
+  },
+  netAmount: {
+    type: Number,
+    required: true,
+    min: 0 // Paid to the employee
+  },
+
+  // Outcome, recorded on confirmation
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  utr: {
+    type: String,
+    trim: true // Bank UTR or UPI transaction ID
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Failure reason cannot exceed 500 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  }
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  // Human-readable reference, e.g. PB-20261019-001 (also used in transfer narrations)
+  batchNumber: {
+    type: String,
+    required: [true, 'Batch number is required'],
+    unique: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: PAYOUT_BATCH_STATUSES,
+      message: '{VALUE} is not a valid payout batch status'
+    },
+    default: 'draft',
+    index: true
+  },
+
+  lines: [payoutLineSchema],
+
+  totals: {
+    employees: { type: Number, default: 0 },
+    expenses: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    advanceOffset: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 }
+  },
+
+  // Employees with payable expenses left out of the batch (e.g. no bank or UPI details)
+  skipped: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    netAmount: Number,
+    reason: { type: String, trim: true }
+  }],
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required'],
+    index: true
+  },
+  exportedAt: { type: Date, default: null },
+  exportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  exportCount: { type: Number, default: 0 },
+  confirmedAt: { type: Date, default: null },
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'lines.userId': 1, status: 1 });
+
+/**
+ * Whether the batch can still be exported, confirmed or cancelled
+ * @returns {Boolean}
+ */
+payoutBatchSchema.methods.isOpen = function() {
+  return this.status === 'draft' || this.status === 'exported';
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+module.exports = PayoutBatch;
+module.exports.PAYOUT_BATCH_STATUSES = PAYOUT_BATCH_STATUSES;
+module.exports.PAYOUT_METHODS = PAYOUT_METHODS;
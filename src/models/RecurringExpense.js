@@ -0,0 +1,196 @@
+/**
+ * Recurring Expense Model
+ * An employee's template for a regular expense (mobile bill, internet, office rent)
+ * The recurring expense job creates a pending expense from it on each scheduled date
+ *
+ * Status flow:
+ * active <-> paused -> ended (an ended template is not restarted)
+ */
+
+const mongoose = require('mongoose');
+
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const RECURRING_STATUSES = ['active', 'paused', 'ended'];
+
+// Months between occurrences (weekly templates step by days)
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const recurringExpenseSchema = new mongoose.Schema({
+  // Template owner (expenses are created for this user)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Expense details copied to each generated expense
+  type: {
+    type: String,
+    enum: [
+      'food',
+      'lodging',
+      'fuel',
+      'tickets',
+      'car_rental',
+      'courier',
+      'toll',
+      'local_purchase',
+      'transport_charges',
+      'office_expense',
+      'others'
+    ],
+    required: [true, 'Expense type is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null // Base currency; foreign amounts are converted at each occurrence date
+  },
+  costCenterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+    default: null
+  },
+  // Generated expenses cannot be approved until a receipt is attached
+  receiptRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Schedule: occurrence n falls n intervals after startDate
+  // Monthly dates past the end of a shorter month fall on its last day
+  frequency: {
+    type: String,
+    enum: {
+      values: RECURRING_FREQUENCIES,
+      message: '{VALUE} is not a valid frequency'
+    },
+    default: 'monthly'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null // Open-ended
+  },
+  sequence: {
+    type: Number,
+    default: 0 // Occurrences scheduled so far (generated or skipped)
+  },
+  nextOccurrence: {
+    type: Date,
+    default: null, // null once ended
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: RECURRING_STATUSES,
+      message: '{VALUE} is not a valid status'
+    },
+    default: 'active',
+    index: true
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Generation history
+  generatedCount: {
+    type: Number,
+    default: 0
+  },
+  lastGeneratedAt: {
+    type: Date,
+    default: null
+  },
+  lastExpenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    default: null
+  },
+  // Occurrences that could not be generated (e.g. locked month)
+  skippedOccurrences: [{
+    _id: false,
+    date: { type: Date, required: true },
+    code: { type: String, trim: true },
+    reason: { type: String, trim: true },
+    skippedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+recurringExpenseSchema.index({ status: 1, nextOccurrence: 1 });
+
+/**
+ * Date of the nth occurrence
+ * @param {Number} sequence - Occurrence number (0 = startDate)
+ * @returns {Date} Occurrence date
+ */
+recurringExpenseSchema.methods.getOccurrence = function(sequence) {
+  const date = new Date(this.startDate);
+
+  if (this.frequency === 'weekly') {
+    date.setDate(date.getDate() + sequence * 7);
+    return date;
+  }
+
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + sequence * FREQUENCY_MONTHS[this.frequency]);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date;
+};
+
+/**
+ * Move to the next occurrence, ending the template after its end date
+ * @returns {Date|null} Next occurrence, or null when the template ended
+ */
+recurringExpenseSchema.methods.advance = function() {
+  this.sequence += 1;
+  const next = this.getOccurrence(this.sequence);
+
+  if (this.endDate && next > this.endDate) {
+    this.nextOccurrence = null;
+    this.status = 'ended';
+    this.endedAt = new Date();
+    return null;
+  }
+
+  this.nextOccurrence = next;
+  return next;
+};
+
+const RecurringExpense = mongoose.model('RecurringExpense', recurringExpenseSchema);
+
+module.exports = RecurringExpense;
+module.exports.RECURRING_FREQUENCIES = RECURRING_FREQUENCIES;
+module.exports.RECURRING_STATUSES = RECURRING_STATUSES;
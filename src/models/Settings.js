@@ -49,7 +49,9 @@ const settingsSchema = new mongoose.Schema({
     min: Number,
     max: Number,
     required: Boolean,
-    pattern: String
+    pattern: String,
+    keys: [String], // Numeric keys required in object values
+    columnFields: [String] // Fields allowed in the columns of a file layout value
   },
 
   // Metadata
@@ -108,10 +110,27 @@ settingsSchema.statics.getByCategory = function(category) {
   return this.find({ category, isVisible: true }).sort({ label: 1 });
 };
 
+// Vehicle types with their own mileage rate (RATE_PER_KM_<TYPE>)
+const VEHICLE_TYPES = ['two_wheeler', 'car', 'company_vehicle'];
+
 // Static method: Get rate per KM
-settingsSchema.statics.getRatePerKm = async function() {
+// Uses the vehicle type rate (e.g. RATE_PER_KM_TWO_WHEELER) when set, otherwise RATE_PER_KM
+settingsSchema.statics.getRatePerKm = async function(vehicleType = null) {
+  if (vehicleType && VEHICLE_TYPES.includes(vehicleType)) {
+    const vehicleRate = await this.getSetting(`RATE_PER_KM_${vehicleType.toUpperCase()}`);
+    if (vehicleRate !== null && vehicleRate !== undefined) return vehicleRate;
+  }
   const setting = await this.getSetting('RATE_PER_KM');
-  return setting || 8; // Default to 8 if not set
+  return setting ?? 8; // Default to 8 if not set
+};
+
+// Static method: Get all rates per KM keyed by vehicle type ('default' = RATE_PER_KM)
+settingsSchema.statics.getRatesPerKm = async function() {
+  const rates = { default: await this.getRatePerKm() };
+  for (const vehicleType of VEHICLE_TYPES) {
+    rates[vehicleType] = await this.getRatePerKm(vehicleType);
+  }
+  return rates;
 };
 
 // Static method: Get cost per machine visit
@@ -120,6 +139,96 @@ settingsSchema.statics.getCostPerMachineVisit = async function() {
   return setting || 100; // Default to 100 if not set
 };
 
+// Static method: Get GPS track filter thresholds
+settingsSchema.statics.getTrackFilterOptions = async function() {
+  const [maxAccuracyMeters, minMovementMeters, maxSpeedKmh] = await Promise.all([
+    this.getSetting('GPS_MAX_ACCURACY_METERS'),
+    this.getSetting('GPS_MIN_MOVEMENT_METERS'),
+    this.getSetting('GPS_MAX_SPEED_KMH')
+  ]);
+  return {
+    maxAccuracyMeters: maxAccuracyMeters || 50, // Default to 50 m if not set
+    minMovementMeters: minMovementMeters || 15, // Default to 15 m if not set
+    maxSpeedKmh: maxSpeedKmh || 150 // Default to 150 km/h if not set
+  };
+};
+
+// Static method: Get the amount above which finance approval is required (0 = disabled)
+settingsSchema.statics.getFinanceApprovalThreshold = async function() {
+  const setting = await this.getSetting('FINANCE_APPROVAL_THRESHOLD');
+  return setting ?? 10000; // Default to 10000 if not set
+};
+
+// Static method: Get the base currency all amounts are stored in
+settingsSchema.statics.getBaseCurrency = async function() {
+  const setting = await this.getSetting('BASE_CURRENCY');
+  return setting || process.env.BASE_CURRENCY || 'INR'; // Default to INR if not set
+};
+
+// Default per-diem rules (amounts in the base currency)
+const DEFAULT_PER_DIEM_RULES = {
+  halfDayHours: 4,
+  halfDayAmount: 250,
+  fullDayHours: 8,
+  fullDayAmount: 500,
+  overnightSupplement: 300
+};
+
+// Static method: Get the per-diem rules and whether per-diem allowances are enabled
+settingsSchema.statics.getPerDiemRules = async function() {
+  const [enabled, rules] = await Promise.all([
+    this.getSetting('PER_DIEM_ENABLED'),
+    this.getSetting('PER_DIEM_RULES')
+  ]);
+  return {
+    ...DEFAULT_PER_DIEM_RULES,
+    ...(rules || {}),
+    enabled: enabled === true // Disabled unless switched on
+  };
+};
+
+// Values a payout bank file column can hold (see payoutService)
+const PAYOUT_BANK_FILE_FIELDS = [
+  'transferType',
+  'beneficiaryName',
+  'accountNumber',
+  'ifscCode',
+  'bankName',
+  'amount',
+  'valueDate',
+  'debitAccountNumber',
+  'reference',
+  'narration',
+  'email',
+  'employeeId'
+];
+
+// Default NEFT/RTGS bulk-transfer file layout
+// Each column is { header, field } or { header, value } for a fixed value
+const DEFAULT_PAYOUT_BANK_FILE_LAYOUT = {
+  debitAccountNumber: '',
+  rtgsThreshold: 200000, // Transfers of this amount or more go by RTGS
+  dateFormat: 'dd/MM/yyyy',
+  columns: [
+    { header: 'Transaction Type', field: 'transferType' },
+    { header: 'Beneficiary Name', field: 'beneficiaryName' },
+    { header: 'Beneficiary Account Number', field: 'accountNumber' },
+    { header: 'IFSC Code', field: 'ifscCode' },
+    { header: 'Amount', field: 'amount' },
+    { header: 'Value Date', field: 'valueDate' },
+    { header: 'Debit Account Number', field: 'debitAccountNumber' },
+    { header: 'Customer Reference', field: 'reference' },
+    { header: 'Narration', field: 'narration' },
+    { header: 'Beneficiary Email', field: 'email' }
+  ]
+};
+
+// Static method: Get the payout bank file layout
+settingsSchema.statics.getPayoutBankFileLayout = async function() {
+  const layout = await this.getSetting('PAYOUT_BANK_FILE_LAYOUT');
+  return { ...DEFAULT_PAYOUT_BANK_FILE_LAYOUT, ...(layout || {}) };
+};
+
 // Instance method: Validate value against rules
 settingsSchema.methods.validateValue = function(value) {
   if (!this.validation) return true;
@@ -131,10 +240,43 @@ settingsSchema.methods.validateValue = function(value) {
     if (this.validation.max !== undefined && numValue > this.validation.max) return false;
   }
 
+  if (this.type === 'string' && this.validation.pattern) {
+    if (typeof value !== 'string' || !new RegExp(this.validation.pattern).test(value)) return false;
+  }
+
+  if (this.type === 'boolean' && typeof value !== 'boolean') return false;
+
+  // Object settings: every key listed in validation.keys must be a number within min/max
+  if (this.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    for (const key of this.validation.keys || []) {
+      const numValue = value[key];
+      if (typeof numValue !== 'number' || isNaN(numValue)) return false;
+      if (this.validation.min !== undefined && numValue < this.validation.min) return false;
+      if (this.validation.max !== undefined && numValue > this.validation.max) return false;
+    }
+
+    // File layouts: a non-empty list of { header, field } (field from validation.columnFields) or { header, value }
+    if (this.validation.columnFields && this.validation.columnFields.length > 0) {
+      if (!Array.isArray(value.columns) || value.columns.length === 0) return false;
+      for (const column of value.columns) {
+        if (!column || typeof column.header !== 'string' || !column.header.trim()) return false;
+        if (column.field !== undefined) {
+          if (!this.validation.columnFields.includes(column.field)) return false;
+        } else if (typeof column.value !== 'string') {
+          return false;
+        }
+      }
+    }
+  }
+
   return true;
 };
 
 const Settings = mongoose.model('Settings', settingsSchema);
 
 module.exports = Settings;
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
+module.exports.PAYOUT_BANK_FILE_FIELDS = PAYOUT_BANK_FILE_FIELDS;
+module.exports.DEFAULT_PAYOUT_BANK_FILE_LAYOUT = DEFAULT_PAYOUT_BANK_FILE_LAYOUT;
 
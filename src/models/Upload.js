@@ -0,0 +1,65 @@
+/**
+ * Upload Model
+ * Record of every uploaded file with a content hash for reused-receipt detection
+ */
+
+const mongoose = require('mongoose');
+
+const uploadSchema = new mongoose.Schema({
+  // Uploader
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required'],
+    index: true
+  },
+
+  // Stored file
+  url: {
+    type: String,
+    required: [true, 'File URL is required'],
+    index: true
+  },
+  publicId: {
+    type: String
+  },
+  filename: String,
+  fileType: String,
+  fileSize: Number,
+
+  // SHA-256 of the original file content (before any storage transformation)
+  contentHash: {
+    type: String,
+    required: [true, 'Content hash is required'],
+    index: true
+  },
+
+  // Values read from the receipt (see receiptExtractionService)
+  extraction: {
+    engine: { type: String },
+    status: { type: String, enum: ['completed', 'failed', 'skipped'] },
+    fields: { type: mongoose.Schema.Types.Mixed, default: null }, // { amount: {value, confidence}, ... }
+    error: { type: String },
+    extractedAt: { type: Date }
+  }
+}, {
+  timestamps: true
+});
+
+// Static method: Content hashes for a list of attachment URLs
+uploadSchema.statics.getHashesByUrl = async function(urls = []) {
+  if (urls.length === 0) return new Map();
+  const uploads = await this.find({ url: { $in: urls } }).select('url contentHash');
+  return new Map(uploads.map(upload => [upload.url, upload.contentHash]));
+};
+
+// Static method: Completed receipt extractions for a list of attachment URLs
+uploadSchema.statics.getExtractionsByUrl = async function(urls = []) {
+  if (urls.length === 0) return new Map();
+  const uploads = await this.find({ url: { $in: urls }, 'extraction.status': 'completed' }).select('url extraction');
+  return new Map(uploads.map(upload => [upload.url, upload.extraction]));
+};
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
@@ -49,6 +49,13 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Finance approver: can give the second-level approval on expenses above
+  // FINANCE_APPROVAL_THRESHOLD (Super Admins always can)
+  canApproveFinance: {
+    type: Boolean,
+    default: false
+  },
+
   // Profile Information
   name: {
     type: String,
@@ -91,6 +98,7 @@ const userSchema = new mongoose.Schema({
   },
 
   // Balance Tracking
+  // Cached copy of the advance ledger balance (written by ledgerService on every posting)
   advanceBalance: {
     type: Number,
     default: 0
@@ -10,6 +10,17 @@ const Advance = require('./Advance');
 const Audit = require('./Audit');
 const MonthLock = require('./MonthLock');
 const Settings = require('./Settings');
+const Notification = require('./Notification');
+const Customer = require('./Customer');
+const ExpensePolicy = require('./ExpensePolicy');
+const Upload = require('./Upload');
+const ExpenseRevision = require('./ExpenseRevision');
+const ExpenseClaim = require('./ExpenseClaim');
+const ExchangeRate = require('./ExchangeRate');
+const CostCenter = require('./CostCenter');
+const RecurringExpense = require('./RecurringExpense');
+const LedgerEntry = require('./LedgerEntry');
+const PayoutBatch = require('./PayoutBatch');
 
 module.exports = {
   User,
@@ -18,6 +29,17 @@ module.exports = {
   Advance,
   Audit,
   MonthLock,
-  Settings
+  Settings,
+  Notification,
+  Customer,
+  ExpensePolicy,
+  Upload,
+  ExpenseRevision,
+  ExpenseClaim,
+  ExchangeRate,
+  CostCenter,
+  RecurringExpense,
+  LedgerEntry,
+  PayoutBatch
 };
 
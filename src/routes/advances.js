@@ -9,14 +9,29 @@ const {
   addAdvance,
   getAdvances,
   getAdvanceHistory,
-  getAdvanceById
+  getAdvanceById,
+  requestAdvance,
+  getAdvanceRequests,
+  approveAdvanceRequest,
+  declineAdvanceRequest,
+  disburseAdvance,
+  cancelAdvance
 } = require('../controllers/advanceController');
+const { getAdvanceStatement, recordRecovery } = require('../controllers/ledgerController');
 const { authMiddleware, adminOnly } = require('../middleware/auth');
 const { validate } = require('../utils/validators');
 const {
   createAdvanceSchema,
   getAdvancesSchema,
-  advanceIdSchema
+  advanceIdSchema,
+  requestAdvanceSchema,
+  advanceRequestFilterSchema,
+  approveAdvanceSchema,
+  declineAdvanceSchema,
+  disburseAdvanceSchema,
+  cancelAdvanceSchema,
+  advanceStatementSchema,
+  recordRecoverySchema
 } = require('../utils/validators');
 
 /**
@@ -45,6 +60,92 @@ router.get(
   getAdvances
 );
 
+/**
+ * @route   POST /api/advances/requests
+ * @desc    Request an advance before a trip
+ * @access  Private (for yourself)
+ * @body    amount, currency, purpose, tripStartDate, tripEndDate, notes
+ */
+router.post(
+  '/requests',
+  authMiddleware,
+  validate(requestAdvanceSchema),
+  requestAdvance
+);
+
+/**
+ * @route   GET /api/advances/requests
+ * @desc    Get advance requests
+ * @access  Private (own requests; admin: assigned users; super admin: all)
+ * @query   status, userId, page, limit
+ */
+router.get(
+  '/requests',
+  authMiddleware,
+  validate(advanceRequestFilterSchema, 'query'),
+  getAdvanceRequests
+);
+
+/**
+ * @route   POST /api/advances/:id/approve
+ * @desc    Approve an advance request
+ * @access  Admin (assigned users) and Super Admin
+ * @body    notes
+ */
+router.post(
+  '/:id/approve',
+  authMiddleware,
+  adminOnly,
+  validate(advanceIdSchema, 'params'),
+  validate(approveAdvanceSchema),
+  approveAdvanceRequest
+);
+
+/**
+ * @route   POST /api/advances/:id/decline
+ * @desc    Decline an advance request
+ * @access  Admin (assigned users) and Super Admin
+ * @body    reason
+ */
+router.post(
+  '/:id/decline',
+  authMiddleware,
+  adminOnly,
+  validate(advanceIdSchema, 'params'),
+  validate(declineAdvanceSchema),
+  declineAdvanceRequest
+);
+
+/**
+ * @route   POST /api/advances/:id/disburse
+ * @desc    Mark an approved advance request as paid out
+ * @access  Admin (assigned users) and Super Admin
+ * @body    paymentMethod, transactionReference, proofUrl, notes
+ */
+router.post(
+  '/:id/disburse',
+  authMiddleware,
+  adminOnly,
+  validate(advanceIdSchema, 'params'),
+  validate(disburseAdvanceSchema),
+  disburseAdvance
+);
+
+/**
+ * @route   POST /api/advances/:id/cancel
+ * @desc    Cancel a paid-out advance and reverse it from the employee's balance
+ * @access  Admin (assigned users) and Super Admin
+ * @body    reason
+ */
+router.post(
+  '/:id/cancel',
+  authMiddleware,
+  adminOnly,
+  validate(advanceIdSchema, 'params'),
+  validate(cancelAdvanceSchema),
+  cancelAdvance
+);
+
 /**
  * @route   GET /api/advances/user/:userId
  * @desc    Get advance history for a specific user
@@ -57,6 +158,35 @@ router.get(
   getAdvanceHistory
 );
 
+/**
+ * @route   GET /api/advances/user/:userId/statement
+ * @desc    Advance account statement with opening and closing balances
+ * @access  Admin (assigned users), Super Admin, and user (own data only)
+ * @query   from, to
+ */
+router.get(
+  '/user/:userId/statement',
+  authMiddleware,
+  validate(advanceIdSchema, 'params'),
+  validate(advanceStatementSchema, 'query'),
+  getAdvanceStatement
+);
+
+/**
+ * @route   POST /api/advances/user/:userId/recoveries
+ * @desc    Record money an employee returned from their advance
+ * @access  Admin (assigned users) and Super Admin
+ * @body    amount, date, reference, notes
+ */
+router.post(
+  '/user/:userId/recoveries',
+  authMiddleware,
+  adminOnly,
+  validate(advanceIdSchema, 'params'),
+  validate(recordRecoverySchema),
+  recordRecovery
+);
+
 /**
  * @route   GET /api/advances/:id
  * @desc    Get advance by ID
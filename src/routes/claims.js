@@ -0,0 +1,134 @@
+/**
+ * Expense Claim Routes
+ * Handles grouping expenses into claims and approving them as a unit
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getClaims,
+  getClaimById,
+  createClaim,
+  updateClaim,
+  addClaimExpenses,
+  removeClaimExpense,
+  submitClaim,
+  deleteClaim
+} = require('../controllers/claimController');
+const { approveClaim, rejectClaim } = require('../controllers/approvalController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createClaimSchema,
+  updateClaimSchema,
+  claimExpensesSchema,
+  claimFilterSchema,
+  approveClaimSchema,
+  rejectExpenseSchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/claims
+ * @desc    Get claims with filters (drafts are visible to their owner only)
+ * @access  Private (own claims; admin: assigned users; super admin: all)
+ * @query   status, userId, page, limit
+ */
+router.get('/', validate(claimFilterSchema, 'query'), getClaims);
+
+/**
+ * @route   POST /api/claims
+ * @desc    Create a draft claim, optionally with pending expenses
+ * @access  Private
+ * @body    title, description, expenseIds
+ */
+router.post('/', validate(createClaimSchema), createClaim);
+
+/**
+ * @route   GET /api/claims/:id
+ * @desc    Get a claim with its expenses, totals and attachments
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.get('/:id', validateObjectId('id'), getClaimById);
+
+/**
+ * @route   PUT /api/claims/:id
+ * @desc    Update a draft claim's title or description
+ * @access  Private (owner only)
+ * @body    title, description
+ */
+router.put('/:id', validateObjectId('id'), validate(updateClaimSchema), updateClaim);
+
+/**
+ * @route   DELETE /api/claims/:id
+ * @desc    Delete a draft claim (its expenses are kept)
+ * @access  Private (owner only)
+ */
+router.delete('/:id', validateObjectId('id'), deleteClaim);
+
+/**
+ * @route   POST /api/claims/:id/expenses
+ * @desc    Add pending expenses to a draft claim
+ * @access  Private (owner only)
+ * @body    expenseIds
+ */
+router.post(
+  '/:id/expenses',
+  validateObjectId('id'),
+  validate(claimExpensesSchema),
+  addClaimExpenses
+);
+
+/**
+ * @route   DELETE /api/claims/:id/expenses/:expenseId
+ * @desc    Remove an expense from a draft claim
+ * @access  Private (owner only)
+ */
+router.delete(
+  '/:id/expenses/:expenseId',
+  validateObjectId('id'),
+  validateObjectId('expenseId'),
+  removeClaimExpense
+);
+
+/**
+ * @route   POST /api/claims/:id/submit
+ * @desc    Submit a draft claim for approval
+ * @access  Private (owner only)
+ */
+router.post('/:id/submit', validateObjectId('id'), submitClaim);
+
+/**
+ * @route   POST /api/claims/:id/approve
+ * @desc    Approve every pending expense of the claim at its current approval level
+ *          (individual lines: POST /api/expenses/:id/approve)
+ * @access  Admin only
+ * @body    approvedOption (1 or 2), adminNotes
+ */
+router.post(
+  '/:id/approve',
+  adminOnly,
+  validateObjectId('id'),
+  validate(approveClaimSchema),
+  approveClaim
+);
+
+/**
+ * @route   POST /api/claims/:id/reject
+ * @desc    Reject every pending expense of the claim
+ *          (individual lines: POST /api/expenses/:id/reject)
+ * @access  Admin only
+ * @body    rejectionReason
+ */
+router.post(
+  '/:id/reject',
+  adminOnly,
+  validateObjectId('id'),
+  validate(rejectExpenseSchema),
+  rejectClaim
+);
+
+module.exports = router;
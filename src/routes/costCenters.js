@@ -0,0 +1,71 @@
+/**
+ * Cost Center Routes
+ * Handles the departments and projects that expenses are charged to
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getCostCenters,
+  getCostCenterById,
+  createCostCenter,
+  updateCostCenter,
+  deactivateCostCenter
+} = require('../controllers/costCenterController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createCostCenterSchema,
+  updateCostCenterSchema,
+  costCenterFilterSchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/cost-centers
+ * @desc    Get cost centers with filters (inactive cost centers visible to admins only)
+ * @access  Private
+ * @query   search, type, isActive, page, limit
+ */
+router.get('/', validate(costCenterFilterSchema, 'query'), getCostCenters);
+
+/**
+ * @route   GET /api/cost-centers/:id
+ * @desc    Get cost center by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), getCostCenterById);
+
+/**
+ * @route   POST /api/cost-centers
+ * @desc    Create a department or project cost center
+ * @access  Admin only
+ * @body    code, name, type, description
+ */
+router.post('/', adminOnly, validate(createCostCenterSchema), createCostCenter);
+
+/**
+ * @route   PUT /api/cost-centers/:id
+ * @desc    Update a cost center (the code is fixed)
+ * @access  Admin only
+ * @body    name, type, description, isActive
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateObjectId('id'),
+  validate(updateCostCenterSchema),
+  updateCostCenter
+);
+
+/**
+ * @route   DELETE /api/cost-centers/:id
+ * @desc    Deactivate a cost center (soft delete)
+ * @access  Admin only
+ */
+router.delete('/:id', adminOnly, validateObjectId('id'), deactivateCostCenter);
+
+module.exports = router;
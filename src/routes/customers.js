@@ -0,0 +1,81 @@
+/**
+ * Customer Routes
+ * Handles the customer registry and site geofences
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getCustomers,
+  lookupCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deactivateCustomer
+} = require('../controllers/customerController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createCustomerSchema,
+  updateCustomerSchema,
+  customerFilterSchema,
+  customerLookupSchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get customers with filters (inactive customers visible to admins only)
+ * @access  Private
+ * @query   search, city, isActive, page, limit
+ */
+router.get('/', validate(customerFilterSchema, 'query'), getCustomers);
+
+/**
+ * @route   GET /api/customers/lookup
+ * @desc    Find customers near a position (nearest first) or by name when starting a journey
+ * @access  Private
+ * @query   latitude, longitude, radius, search, limit
+ */
+router.get('/lookup', validate(customerLookupSchema, 'query'), lookupCustomers);
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get customer by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), getCustomerById);
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create a customer with its site location and geofence radius
+ * @access  Admin only
+ * @body    name, code, contactPerson, phone, email, address, coordinates, geofenceRadius, notes
+ */
+router.post('/', adminOnly, validate(createCustomerSchema), createCustomer);
+
+/**
+ * @route   PUT /api/customers/:id
+ * @desc    Update a customer
+ * @access  Admin only
+ * @body    Any create field, isActive
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateObjectId('id'),
+  validate(updateCustomerSchema),
+  updateCustomer
+);
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Deactivate a customer (soft delete)
+ * @access  Admin only
+ */
+router.delete('/:id', adminOnly, validateObjectId('id'), deactivateCustomer);
+
+module.exports = router;
@@ -11,16 +11,19 @@ const {
   getMonthSummary
 } = require('../controllers/dashboardController');
 const { authMiddleware, adminOnly } = require('../middleware/auth');
+const { validate, dashboardFilterSchema } = require('../utils/validators');
 
 /**
  * @route   GET /api/dashboard/admin
  * @desc    Get admin dashboard statistics
  * @access  Admin only
+ * @query   costCenterId - Optional: amounts at the cost center's allocated share
  */
 router.get(
   '/admin',
   authMiddleware,
   adminOnly,
+  validate(dashboardFilterSchema, 'query'),
   getAdminDashboard
 );
 
@@ -28,10 +31,12 @@ router.get(
  * @route   GET /api/dashboard/user/:id
  * @desc    Get user dashboard statistics
  * @access  Admin and user (own data only)
+ * @query   costCenterId - Optional: amounts at the cost center's allocated share
  */
 router.get(
   '/user/:id',
   authMiddleware,
+  validate(dashboardFilterSchema, 'query'),
   getUserDashboard
 );
 
@@ -39,10 +44,12 @@ router.get(
  * @route   GET /api/dashboard/monthly/:userId/:year/:month
  * @desc    Get monthly summary for a user
  * @access  Admin and user (own data only)
+ * @query   costCenterId - Optional: amounts at the cost center's allocated share
  */
 router.get(
   '/monthly/:userId/:year/:month',
   authMiddleware,
+  validate(dashboardFilterSchema, 'query'),
   getMonthSummary
 );
 
@@ -0,0 +1,73 @@
+/**
+ * Exchange Rate Routes
+ * Handles the exchange-rate table for foreign-currency expenses
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  convertAmount,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createExchangeRateSchema,
+  updateExchangeRateSchema,
+  exchangeRateFilterSchema,
+  convertCurrencySchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get exchange rates to the base currency (newest first)
+ * @access  Private
+ * @query   currency, dateFrom, dateTo, page, limit
+ */
+router.get('/', validate(exchangeRateFilterSchema, 'query'), getExchangeRates);
+
+/**
+ * @route   GET /api/exchange-rates/convert
+ * @desc    Preview the base-currency amount of a foreign-currency amount at a date
+ * @access  Private
+ * @query   currency, amount, date
+ */
+router.get('/convert', validate(convertCurrencySchema, 'query'), convertAmount);
+
+/**
+ * @route   POST /api/exchange-rates
+ * @desc    Add a rate for a currency from an effective date
+ * @access  Admin only
+ * @body    currency, rate (base currency per unit), effectiveDate, source, notes
+ */
+router.post('/', adminOnly, validate(createExchangeRateSchema), createExchangeRate);
+
+/**
+ * @route   PUT /api/exchange-rates/:id
+ * @desc    Correct a rate (already converted expenses keep their stored rate)
+ * @access  Admin only
+ * @body    rate, source, notes
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateObjectId('id'),
+  validate(updateExchangeRateSchema),
+  updateExchangeRate
+);
+
+/**
+ * @route   DELETE /api/exchange-rates/:id
+ * @desc    Delete a rate
+ * @access  Admin only
+ */
+router.delete('/:id', adminOnly, validateObjectId('id'), deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Expense Policy Routes
+ * Handles per-type expense limits
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/expensePolicyController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createExpensePolicySchema,
+  updateExpensePolicySchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/expense-policies
+ * @desc    Get all expense policies
+ * @access  Private
+ */
+router.get('/', getPolicies);
+
+/**
+ * @route   POST /api/expense-policies
+ * @desc    Create a policy for an expense type
+ * @access  Admin only
+ * @body    expenseType, perExpenseLimit, perDayLimit, perMonthLimit, perNightLimit (lodging), enforcement (warn|block), isActive, description
+ */
+router.post('/', adminOnly, validate(createExpensePolicySchema), createPolicy);
+
+/**
+ * @route   PUT /api/expense-policies/:id
+ * @desc    Update an expense policy
+ * @access  Admin only
+ * @body    perExpenseLimit, perDayLimit, perMonthLimit, perNightLimit, enforcement, isActive, description
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateObjectId('id'),
+  validate(updateExpensePolicySchema),
+  updatePolicy
+);
+
+/**
+ * @route   DELETE /api/expense-policies/:id
+ * @desc    Delete an expense policy
+ * @access  Admin only
+ */
+router.delete('/:id', adminOnly, validateObjectId('id'), deletePolicy);
+
+module.exports = router;
@@ -7,16 +7,20 @@ const express = require('express');
 const router = express.Router();
 
 // Middleware
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
 const {
   validate,
   validateObjectId,
   createExpenseSchema,
   updateExpenseSchema,
+  resubmitExpenseSchema,
   expenseFilterSchema,
   approveExpenseSchema,
   rejectExpenseSchema,
-  bulkApproveSchema
+  bulkApproveSchema,
+  pendingForMeSchema,
+  duplicateQueueSchema,
+  reviewDuplicateSchema
 } = require('../utils/validators');
 
 // Controllers
@@ -24,6 +28,8 @@ const {
   createExpense,
   getAllExpenses,
   getExpenseById,
+  resubmitExpense,
+  getExpenseRevisions,
   updateExpense,
   deleteExpense,
   getJourneyExpenseTotal
@@ -32,9 +38,15 @@ const {
 const {
   approveExpense,
   rejectExpense,
-  bulkApproveExpenses
+  bulkApproveExpenses,
+  getPendingForMe
 } = require('../controllers/approvalController');
 
+const {
+  getDuplicateQueue,
+  reviewDuplicate
+} = require('../controllers/duplicateController');
+
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
@@ -60,6 +72,32 @@ router.get(
   getAllExpenses
 );
 
+/**
+ * @route   GET /api/expenses/pending-for-me
+ * @desc    Expenses awaiting the current user's approval level
+ * @access  Private (admin only)
+ * @query   type, page, limit
+ */
+router.get(
+  '/pending-for-me',
+  adminOnly,
+  validate(pendingForMeSchema, 'query'),
+  getPendingForMe
+);
+
+/**
+ * @route   GET /api/expenses/duplicates
+ * @desc    Duplicate review queue (similar expenses and reused receipts)
+ * @access  Private (admin only)
+ * @query   status (suspected|confirmed|dismissed), userId, page, limit
+ */
+router.get(
+  '/duplicates',
+  adminOnly,
+  validate(duplicateQueueSchema, 'query'),
+  getDuplicateQueue
+);
+
 /**
  * @route   GET /api/expenses/:id
  * @desc    Get expense by ID
@@ -83,6 +121,30 @@ router.put(
   updateExpense
 );
 
+/**
+ * @route   PUT /api/expenses/:id/resubmit
+ * @desc    Edit a rejected expense and send it back for approval
+ * @access  Private (owner only)
+ * @body    type, date, description, amount, manualDistance, nights, gst, costCenterId or allocations, attachments, responseNote
+ */
+router.put(
+  '/:id/resubmit',
+  validateObjectId('id'),
+  validate(resubmitExpenseSchema),
+  resubmitExpense
+);
+
+/**
+ * @route   GET /api/expenses/:id/revisions
+ * @desc    Get the revision history of a resubmitted expense
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.get(
+  '/:id/revisions',
+  validateObjectId('id'),
+  getExpenseRevisions
+);
+
 /**
  * @route   DELETE /api/expenses/:id
  * @desc    Delete expense (before approval only)
@@ -129,6 +191,20 @@ router.post(
   rejectExpense
 );
 
+/**
+ * @route   PUT /api/expenses/:id/duplicate-review
+ * @desc    Confirm or dismiss a suspected duplicate
+ * @access  Private (admin only)
+ * @body    decision (confirmed|dismissed), notes
+ */
+router.put(
+  '/:id/duplicate-review',
+  adminOnly,
+  validateObjectId('id'),
+  validate(reviewDuplicateSchema),
+  reviewDuplicate
+);
+
 /**
  * @route   GET /api/expenses/journey/:journeyId/total
  * @desc    Get total expenses for a specific journey
@@ -12,13 +12,22 @@ const {
   getJourneyById,
   getAllJourneys,
   cancelJourney,
-  getActiveJourney
+  getActiveJourney,
+  addTrackPoints,
+  getJourneyTrack,
+  syncJourneys,
+  addStop,
+  departStop
 } = require('../controllers/journeyController');
 const {
   validate,
   validateObjectId,
   startJourneySchema,
   endJourneySchema,
+  trackPointsSchema,
+  journeyStopSchema,
+  departStopSchema,
+  syncJourneysSchema,
   journeyPaginationSchema
 } = require('../utils/validators');
 
@@ -39,10 +48,19 @@ router.get('/active', getActiveJourney);
  */
 router.post('/start', validate(startJourneySchema), startJourney);
 
+/**
+ * @route   POST /api/journeys/sync
+ * @desc    Sync complete journeys recorded offline (idempotent per clientId)
+ * @access  Private
+ * @body    journeys [{clientId, name, startCoordinates, startTimestamp, endCoordinates, endTimestamp, gpsOffline, gpsOfflineReason, ...}] (max 50)
+ */
+router.post('/sync', validate(syncJourneysSchema), syncJourneys);
+
 /**
  * @route   GET /api/journeys
  * @desc    Get all journeys with pagination and filters
  * @access  Private
+ * @query   page, limit, status, userId, customerId, costCenterId, geofenceViolation, startDate, endDate
  */
 router.get('/', validate(journeyPaginationSchema, 'query'), getAllJourneys);
 
@@ -53,6 +71,43 @@ router.get('/', validate(journeyPaginationSchema, 'query'), getAllJourneys);
  */
 router.get('/:id', validateObjectId('id'), getJourneyById);
 
+/**
+ * @route   GET /api/journeys/:id/track
+ * @desc    Get raw and filtered GPS track for review
+ * @access  Private (own journeys), Admin (assigned users), Super Admin
+ */
+router.get('/:id/track', validateObjectId('id'), getJourneyTrack);
+
+/**
+ * @route   POST /api/journeys/:id/points
+ * @desc    Batch-upload GPS breadcrumbs for an active journey
+ * @access  Private
+ * @body    points [{latitude, longitude, accuracy, speed, timestamp}] (max 500)
+ */
+router.post('/:id/points', validateObjectId('id'), validate(trackPointsSchema), addTrackPoints);
+
+/**
+ * @route   POST /api/journeys/:id/stops
+ * @desc    Arrive at a customer stop (departs the previous stop if still open)
+ * @access  Private
+ * @body    customerId or customerName, typeOfVisit, natureOfWork, numberOfMachines, coordinates, address, arrivedAt, notes
+ */
+router.post('/:id/stops', validateObjectId('id'), validate(journeyStopSchema), addStop);
+
+/**
+ * @route   PUT /api/journeys/:id/stops/:stopId/depart
+ * @desc    Depart from a customer stop
+ * @access  Private
+ * @body    departedAt, notes
+ */
+router.put(
+  '/:id/stops/:stopId/depart',
+  validateObjectId('id'),
+  validateObjectId('stopId'),
+  validate(departStopSchema),
+  departStop
+);
+
 /**
  * @route   PUT /api/journeys/:id/end
  * @desc    End an active journey
@@ -0,0 +1,79 @@
+/**
+ * Month Lock Routes
+ * Handles month closing and reopening
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  closeMonth,
+  unlockMonth,
+  getMonthLocks,
+  previewMonthSummary
+} = require('../controllers/monthLockController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  closeMonthSchema,
+  unlockMonthSchema,
+  monthLockFilterSchema,
+  monthSummarySchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/month-locks
+ * @desc    Get month locks with filters
+ * @access  Admin (assigned users), user (own locks only)
+ * @query   userId, scope, year, month, isLocked, page, limit
+ */
+router.get(
+  '/',
+  validate(monthLockFilterSchema, 'query'),
+  getMonthLocks
+);
+
+/**
+ * @route   GET /api/month-locks/preview/:userId/:year/:month
+ * @desc    Preview the closing summary for an employee's month
+ * @access  Admin only
+ */
+router.get(
+  '/preview/:userId/:year/:month',
+  adminOnly,
+  validate(monthSummarySchema, 'params'),
+  previewMonthSummary
+);
+
+/**
+ * @route   POST /api/month-locks/close
+ * @desc    Close a month for one employee (userId), all employees in scope,
+ *          or the whole organization (scope: 'organization', Super Admin only)
+ * @access  Admin only
+ * @body    scope (optional), userId (optional), year, month, force, notes
+ */
+router.post(
+  '/close',
+  adminOnly,
+  validate(closeMonthSchema),
+  closeMonth
+);
+
+/**
+ * @route   PUT /api/month-locks/:id/unlock
+ * @desc    Reopen a closed month
+ * @access  Admin only
+ * @body    reason
+ */
+router.put(
+  '/:id/unlock',
+  adminOnly,
+  validateObjectId('id'),
+  validate(unlockMonthSchema),
+  unlockMonth
+);
+
+module.exports = router;
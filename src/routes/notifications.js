@@ -0,0 +1,45 @@
+/**
+ * Notification Routes
+ * Handles in-app notifications for the current user
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead
+} = require('../controllers/notificationController');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  notificationFilterSchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get notifications for the current user
+ * @access  Private
+ * @query   unreadOnly, page, limit
+ */
+router.get('/', validate(notificationFilterSchema, 'query'), getNotifications);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', markAllAsRead);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', validateObjectId('id'), markAsRead);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Payout Routes
+ * Handles routing for reimbursement payout batches
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  previewPayouts,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatchById,
+  exportPayoutBatch,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+} = require('../controllers/payoutController');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const { validate, validateObjectId } = require('../utils/validators');
+const {
+  payoutPreviewSchema,
+  createPayoutBatchSchema,
+  payoutBatchFilterSchema,
+  exportPayoutBatchSchema,
+  confirmPayoutBatchSchema,
+  cancelPayoutBatchSchema
+} = require('../utils/validators');
+
+/**
+ * @route   GET /api/payouts/preview
+ * @desc    Approved, unpaid reimbursements per employee after advances are offset
+ * @access  Admin (assigned users) and Super Admin
+ * @query   userIds
+ */
+router.get(
+  '/preview',
+  authMiddleware,
+  adminOnly,
+  validate(payoutPreviewSchema, 'query'),
+  previewPayouts
+);
+
+/**
+ * @route   POST /api/payouts
+ * @desc    Create a payout batch from the approved, unpaid expenses
+ * @access  Admin (assigned users) and Super Admin
+ * @body    userIds, notes
+ */
+router.post(
+  '/',
+  authMiddleware,
+  adminOnly,
+  validate(createPayoutBatchSchema),
+  createPayoutBatch
+);
+
+/**
+ * @route   GET /api/payouts
+ * @desc    Get payout batches
+ * @access  Admin (own batches) and Super Admin
+ * @query   status, page, limit
+ */
+router.get(
+  '/',
+  authMiddleware,
+  adminOnly,
+  validate(payoutBatchFilterSchema, 'query'),
+  getPayoutBatches
+);
+
+/**
+ * @route   GET /api/payouts/:id/export
+ * @desc    Download the NEFT/RTGS bulk-transfer file or the UPI list of a batch
+ * @access  Admin (own batches) and Super Admin
+ * @query   format (bank | upi)
+ */
+router.get(
+  '/:id/export',
+  authMiddleware,
+  adminOnly,
+  validateObjectId('id'),
+  validate(exportPayoutBatchSchema, 'query'),
+  exportPayoutBatch
+);
+
+/**
+ * @route   POST /api/payouts/:id/confirm
+ * @desc    Confirm a batch with the bank's UTRs and mark its expenses paid
+ * @access  Admin (own batches) and Super Admin
+ * @body    paidAt, lines [{ userId, status, utr, failureReason }]
+ */
+router.post(
+  '/:id/confirm',
+  authMiddleware,
+  adminOnly,
+  validateObjectId('id'),
+  validate(confirmPayoutBatchSchema),
+  confirmPayoutBatch
+);
+
+/**
+ * @route   POST /api/payouts/:id/cancel
+ * @desc    Cancel a batch that has not been confirmed and release its expenses
+ * @access  Admin (own batches) and Super Admin
+ * @body    reason
+ */
+router.post(
+  '/:id/cancel',
+  authMiddleware,
+  adminOnly,
+  validateObjectId('id'),
+  validate(cancelPayoutBatchSchema),
+  cancelPayoutBatch
+);
+
+/**
+ * @route   GET /api/payouts/:id
+ * @desc    Get a payout batch with its lines
+ * @access  Admin (own batches) and Super Admin
+ */
+router.get(
+  '/:id',
+  authMiddleware,
+  adminOnly,
+  validateObjectId('id'),
+  getPayoutBatchById
+);
+
+module.exports = router;
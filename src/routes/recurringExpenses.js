@@ -0,0 +1,86 @@
+/**
+ * Recurring Expense Routes
+ * Handles templates for regular expenses generated on a schedule
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getRecurringExpenses,
+  getRecurringExpenseById,
+  createRecurringExpense,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  endRecurringExpense
+} = require('../controllers/recurringExpenseController');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  validate,
+  validateObjectId,
+  createRecurringExpenseSchema,
+  updateRecurringExpenseSchema,
+  recurringExpenseFilterSchema
+} = require('../utils/validators');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/recurring-expenses
+ * @desc    Get recurring expense templates with filters
+ * @access  Private (own templates; admin: assigned users; super admin: all)
+ * @query   status, userId, page, limit
+ */
+router.get('/', validate(recurringExpenseFilterSchema, 'query'), getRecurringExpenses);
+
+/**
+ * @route   POST /api/recurring-expenses
+ * @desc    Create a recurring expense template
+ * @access  Private
+ * @body    type, description, amount, currency, frequency, startDate, endDate, receiptRequired, costCenterId
+ */
+router.post('/', validate(createRecurringExpenseSchema), createRecurringExpense);
+
+/**
+ * @route   GET /api/recurring-expenses/:id
+ * @desc    Get a template with its most recent generated expenses
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.get('/:id', validateObjectId('id'), getRecurringExpenseById);
+
+/**
+ * @route   PUT /api/recurring-expenses/:id
+ * @desc    Update a template (applies to future occurrences)
+ * @access  Private (owner, assigned admin or super admin)
+ * @body    description, amount, currency, endDate, receiptRequired, costCenterId
+ */
+router.put(
+  '/:id',
+  validateObjectId('id'),
+  validate(updateRecurringExpenseSchema),
+  updateRecurringExpense
+);
+
+/**
+ * @route   POST /api/recurring-expenses/:id/pause
+ * @desc    Pause a template (no expenses are generated while paused)
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.post('/:id/pause', validateObjectId('id'), pauseRecurringExpense);
+
+/**
+ * @route   POST /api/recurring-expenses/:id/resume
+ * @desc    Resume a paused template from its next occurrence after today
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.post('/:id/resume', validateObjectId('id'), resumeRecurringExpense);
+
+/**
+ * @route   POST /api/recurring-expenses/:id/end
+ * @desc    End a template (generated expenses are kept)
+ * @access  Private (owner, assigned admin or super admin)
+ */
+router.post('/:id/end', validateObjectId('id'), endRecurringExpense);
+
+module.exports = router;
@@ -11,7 +11,7 @@ const rateLimit = require('express-rate-limit');
 const { authMiddleware, requireAdminOrSuperAdmin } = require('../middleware/auth');
 
 // Controllers
-const { generateExpenseReport } = require('../controllers/reportController');
+const { generateExpenseReport, generateGstItcReport, generateAdvanceAgingReport } = require('../controllers/reportController');
 
 // Rate limiter for report generation (10 requests per hour)
 const reportRateLimiter = rateLimit({
@@ -34,6 +34,9 @@ const reportRateLimiter = rateLimit({
  * @query   {String} [employeeId] - Optional employee ID filter
  * @query   {String} format - Report format ('excel' or 'csv')
  * @query   {String} [status] - Optional status filter ('approved', 'pending', 'rejected', 'all')
+ * @query   {String} [groupBy] - Row grouping ('journey' (default) or 'claim')
+ * @query   {String} [claimId] - Optional expense claim filter
+ * @query   {String} [costCenterId] - Optional cost center filter (amounts at the allocated share)
  */
 router.get(
   '/expense-report',
@@ -43,5 +46,42 @@ router.get(
   generateExpenseReport
 );
 
+/**
+ * @route   GET /api/reports/gst-itc
+ * @desc    Generate GST input-tax-credit report (claimable tax per vendor and period)
+ * @access  Admin, Super Admin
+ * @query   {String} startDate - Start date (ISO 8601 format)
+ * @query   {String} endDate - End date (ISO 8601 format)
+ * @query   {String} format - Report format ('excel' or 'csv')
+ * @query   {String} [period] - Tax period ('month' (default) or 'quarter')
+ * @query   {String} [employeeId] - Optional employee ID filter
+ * @query   {String} [vendorGstin] - Optional vendor GSTIN filter
+ * @query   {String} [costCenterId] - Optional cost center filter
+ */
+router.get(
+  '/gst-itc',
+  authMiddleware,
+  requireAdminOrSuperAdmin,
+  reportRateLimiter,
+  generateGstItcReport
+);
+
+/**
+ * @route   GET /api/reports/advance-aging
+ * @desc    Generate advance aging report (outstanding balances by age, settled FIFO)
+ * @access  Admin, Super Admin
+ * @query   {String} format - Report format ('excel', 'csv' or 'pdf')
+ * @query   {String} [asOf] - Date the ages are counted to (ISO 8601 format, defaults to now)
+ * @query   {String} [adminId] - Optional filter for the employees assigned to an admin
+ * @query   {String} [employeeId] - Optional employee ID filter
+ */
+router.get(
+  '/advance-aging',
+  authMiddleware,
+  requireAdminOrSuperAdmin,
+  reportRateLimiter,
+  generateAdvanceAgingReport
+);
+
 module.exports = router;
 
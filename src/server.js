@@ -10,6 +10,8 @@ const helmet = require('helmet');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const { startStaleJourneyJob } = require('./jobs/staleJourneyJob');
+const { startRecurringExpenseJob } = require('./jobs/recurringExpenseJob');
 
 // Initialize Express app
 const app = express();
@@ -69,7 +71,16 @@ app.get('/', (req, res) => {
       uploads: '/api/uploads',
       dashboard: '/api/dashboard',
       reports: '/api/reports',
-      settings: '/api/settings'
+      settings: '/api/settings',
+      monthLocks: '/api/month-locks',
+      notifications: '/api/notifications',
+      customers: '/api/customers',
+      expensePolicies: '/api/expense-policies',
+      claims: '/api/claims',
+      exchangeRates: '/api/exchange-rates',
+      costCenters: '/api/cost-centers',
+      recurringExpenses: '/api/recurring-expenses',
+      payouts: '/api/payouts'
     },
     docs: 'See README.md for API documentation'
   });
@@ -94,6 +105,15 @@ app.use('/api/uploads', require('./routes/uploads'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/settings', require('./routes/settings'));
+app.use('/api/month-locks', require('./routes/monthLocks'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/customers', require('./routes/customers'));
+app.use('/api/expense-policies', require('./routes/expensePolicies'));
+app.use('/api/claims', require('./routes/claims'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/cost-centers', require('./routes/costCenters'));
+app.use('/api/recurring-expenses', require('./routes/recurringExpenses'));
+app.use('/api/payouts', require('./routes/payouts'));
 
 // 404 handler
 app.use((req, res) => {
@@ -114,6 +134,14 @@ app.listen(PORT, HOST, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://${HOST}:${PORT}/health`);
   console.log(`📱 Mobile access: http://192.168.1.32:${PORT}/health`);
+
+  // Scheduled jobs
+  if (process.env.STALE_JOURNEY_JOB_ENABLED !== 'false') {
+    startStaleJourneyJob();
+  }
+  if (process.env.RECURRING_EXPENSE_JOB_ENABLED !== 'false') {
+    startRecurringExpenseJob();
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,218 @@
+/**
+ * Approval Service
+ * Multi-level approval chain for expenses
+ *
+ * Levels:
+ * 1. admin   - The employee's assigned admin (or a Super Admin)
+ * 2. finance - A Super Admin or a user with canApproveFinance; required when the
+ *              expense amount is above FINANCE_APPROVAL_THRESHOLD
+ */
+
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+
+const APPROVAL_LEVELS = [
+  { level: 1, role: 'admin', label: 'Admin approval' },
+  { level: 2, role: 'finance', label: 'Finance approval' }
+];
+
+/**
+ * Number of approval levels an expense needs
+ * @param {Object} expense - Expense document
+ * @returns {Promise<Number>} 1 or 2
+ */
+const getRequiredLevels = async (expense) => {
+  const threshold = await Settings.getFinanceApprovalThreshold();
+  return threshold > 0 && expense.amount > threshold ? 2 : 1;
+};
+
+/**
+ * Whether the current user can decide the expense at its current level
+ * The same person cannot decide two levels of one expense, and nobody can decide
+ * expenses of a claim still in draft
+ *
+ * @param {Object} approver - req.user { userId, role }
+ * @param {Object} expense - Expense document (userId may be populated)
+ * @param {Object} options - { action: 'approve'|'reject' (for messages), approverUser: loaded User of the approver (optional) }
+ * @returns {Promise<Object>} { allowed, level, role, reason }
+ */
+const checkApprover = async (approver, expense, options = {}) => {
+  const action = options.action || 'approve';
+  const level = expense.currentApprovalLevel || 1;
+  const step = APPROVAL_LEVELS.find(item => item.level === level);
+  const ownerId = (expense.userId?._id || expense.userId).toString();
+
+  // Expenses of a draft claim wait for the employee to submit the claim
+  if (expense.inDraftClaim) {
+    return {
+      allowed: false,
+      level,
+      role: step.role,
+      reason: 'Expense belongs to a claim that has not been submitted yet.'
+    };
+  }
+
+  const decidedEarlier = (expense.approvalChain || []).some(entry => entry.approver.toString() === approver.userId);
+  if (decidedEarlier) {
+    return {
+      allowed: false,
+      level,
+      role: step.role,
+      reason: `Awaiting ${step.label.toLowerCase()} by a different approver. You already decided an earlier level.`
+    };
+  }
+
+  if (step.role === 'admin') {
+    if (approver.role === 'superadmin') {
+      return { allowed: true, level, role: step.role };
+    }
+    const owner = expense.userId?.assignedTo !== undefined ? expense.userId : await User.findById(ownerId);
+    if (approver.role === 'admin' && owner?.assignedTo && owner.assignedTo.toString() === approver.userId) {
+      return { allowed: true, level, role: step.role };
+    }
+    return {
+      allowed: false,
+      level,
+      role: step.role,
+      reason: `Access denied. You can only ${action} expenses from users assigned to you.`
+    };
+  }
+
+  // Finance level
+  if (approver.role === 'superadmin') {
+    return { allowed: true, level, role: step.role };
+  }
+  const approverUser = options.approverUser || await User.findById(approver.userId).select('canApproveFinance');
+  if (approverUser?.canApproveFinance) {
+    return { allowed: true, level, role: step.role };
+  }
+  return {
+    allowed: false,
+    level,
+    role: step.role,
+    reason: `Awaiting finance approval. Only Super Admins or finance approvers can ${action} this level.`
+  };
+};
+
+/**
+ * Whether an expense still needs its receipt before it can be approved
+ * Set on expenses generated from a recurring template with receiptRequired
+ *
+ * @param {Object} expense - Expense document
+ * @returns {Object|null} RECEIPT_REQUIRED payload { code, message }, or null when it can be approved
+ */
+const checkReceiptRequired = (expense) => {
+  if (!expense.receiptRequired || (expense.attachments || []).length > 0) {
+    return null;
+  }
+  return {
+    code: 'RECEIPT_REQUIRED',
+    message: 'A receipt must be attached before this expense can be approved.'
+  };
+};
+
+/**
+ * Record an approver's decision on the expense (not saved)
+ * Resolves the number of required levels at the first decision
+ *
+ * @param {Object} expense - Expense document
+ * @param {Object} decision - { approverId, level, role, decision: 'approved'|'rejected', notes, approvedOption, adminDistance }
+ * @returns {Promise<Object>} { final: Boolean, nextLevel: Number|null }
+ */
+const recordDecision = async (expense, { approverId, level, role, decision, notes, approvedOption, adminDistance }) => {
+  if (!expense.approvalLevelsRequired) {
+    expense.approvalLevelsRequired = await getRequiredLevels(expense);
+  }
+
+  expense.approvalChain.push({
+    level,
+    role,
+    approver: approverId,
+    decision,
+    decidedAt: new Date(),
+    notes,
+    approvedOption,
+    adminDistance: approvedOption === 3 ? adminDistance : undefined
+  });
+
+  if (decision === 'rejected' || level >= expense.approvalLevelsRequired) {
+    return { final: true, nextLevel: null };
+  }
+
+  expense.currentApprovalLevel = level + 1;
+  return { final: false, nextLevel: level + 1 };
+};
+
+/**
+ * Distance option chosen at an earlier approval level of a journey expense
+ * @param {Object} expense - Expense document
+ * @returns {Object|null} { level, approvedOption, adminDistance } of the latest approval with an option
+ */
+const getProposedChoice = (expense) => {
+  const entry = [...(expense.approvalChain || [])]
+    .reverse()
+    .find(item => item.decision === 'approved' && item.approvedOption);
+  if (!entry) return null;
+
+  return {
+    level: entry.level,
+    approvedOption: entry.approvedOption,
+    adminDistance: entry.approvedOption === 3 ? entry.adminDistance : null
+  };
+};
+
+/**
+ * Earlier choice that a later approver changed
+ * @param {Object|null} proposal - getProposedChoice result
+ * @param {Number} approvedOption - Option chosen now
+ * @param {Number} adminDistance - Admin distance chosen now (option 3)
+ * @returns {Object|null} The earlier choice when it differs, otherwise null
+ */
+const getChangedChoice = (proposal, approvedOption, adminDistance) => {
+  if (!proposal) return null;
+  const distance = approvedOption === 3 ? adminDistance : null;
+  return proposal.approvedOption !== approvedOption || proposal.adminDistance !== distance ? proposal : null;
+};
+
+/**
+ * Build the expense query for "pending for me"
+ * @param {Object} approver - req.user { userId, role }
+ * @returns {Promise<Object>} Mongo query
+ */
+const buildPendingForMeQuery = async (approver) => {
+  const conditions = [];
+
+  // Level 1: assigned users (all users for Super Admin)
+  const adminLevel = { currentApprovalLevel: { $in: [1, null] } };
+  if (approver.role === 'admin') {
+    const assignedUsers = await User.find({ assignedTo: approver.userId }).select('_id');
+    adminLevel.userId = { $in: assignedUsers.map(u => u._id) };
+  }
+  conditions.push(adminLevel);
+
+  // Level 2: Super Admins and finance approvers
+  const approverUser = approver.role === 'superadmin'
+    ? null
+    : await User.findById(approver.userId).select('canApproveFinance');
+  if (approver.role === 'superadmin' || approverUser?.canApproveFinance) {
+    conditions.push({ currentApprovalLevel: 2 });
+  }
+
+  return {
+    status: 'pending',
+    inDraftClaim: { $ne: true },
+    'approvalChain.approver': { $ne: approver.userId },
+    $or: conditions
+  };
+};
+
+module.exports = {
+  APPROVAL_LEVELS,
+  getRequiredLevels,
+  checkApprover,
+  checkReceiptRequired,
+  recordDecision,
+  getProposedChoice,
+  getChangedChoice,
+  buildPendingForMeQuery
+};
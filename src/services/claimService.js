@@ -0,0 +1,127 @@
+/**
+ * Claim Service
+ * Keeps an expense claim's totals and status in step with its expenses
+ */
+
+const Expense = require('../models/Expense');
+const ExpenseClaim = require('../models/ExpenseClaim');
+
+/**
+ * Summarize the expenses of a claim
+ * @param {Array} expenses - Expense documents of the claim
+ * @returns {Object} { totals, periodStart, periodEnd }
+ */
+const summarizeClaimExpenses = (expenses) => {
+  const totals = {
+    count: expenses.length,
+    amount: 0,
+    approvedAmount: 0,
+    pendingCount: 0,
+    approvedCount: 0,
+    rejectedCount: 0,
+    attachmentCount: 0
+  };
+  let periodStart = null;
+  let periodEnd = null;
+
+  expenses.forEach(expense => {
+    totals.amount += expense.amount || 0;
+    totals.attachmentCount += (expense.attachments || []).length;
+    totals[`${expense.status}Count`]++;
+    if (expense.status === 'approved') {
+      totals.approvedAmount += expense.approvedAmount || 0;
+    }
+
+    const date = new Date(expense.date);
+    if (!periodStart || date < periodStart) periodStart = date;
+    if (!periodEnd || date > periodEnd) periodEnd = date;
+  });
+
+  totals.amount = parseFloat(totals.amount.toFixed(2));
+  totals.approvedAmount = parseFloat(totals.approvedAmount.toFixed(2));
+
+  return { totals, periodStart, periodEnd };
+};
+
+/**
+ * Claim status for a submitted claim, from its expense counts
+ * @param {Object} totals - Totals from summarizeClaimExpenses
+ * @returns {String} submitted | approved | partially_approved | rejected
+ */
+const deriveClaimStatus = (totals) => {
+  if (totals.count === 0 || totals.pendingCount > 0) return 'submitted';
+  if (totals.approvedCount === totals.count) return 'approved';
+  if (totals.rejectedCount === totals.count) return 'rejected';
+  return 'partially_approved';
+};
+
+/**
+ * Recalculate a claim's totals and, once submitted, its status
+ *
+ * @param {Object|String} claimOrId - ExpenseClaim document or ID
+ * @param {Object} options - { decidedBy: user ID recorded when the claim is decided }
+ * @returns {Promise<Object|null>} Updated claim, or null when not found
+ *
+ * @example
+ * await refreshClaim(expense.claimId, { decidedBy: adminId });
+ */
+const refreshClaim = async (claimOrId, options = {}) => {
+  const claim = claimOrId instanceof ExpenseClaim ? claimOrId : await ExpenseClaim.findById(claimOrId);
+  if (!claim) {
+    return null;
+  }
+
+  const expenses = await Expense.find({ claimId: claim._id }).select('amount approvedAmount status date attachments');
+  const { totals, periodStart, periodEnd } = summarizeClaimExpenses(expenses);
+
+  claim.totals = totals;
+  claim.periodStart = periodStart;
+  claim.periodEnd = periodEnd;
+
+  if (claim.status !== 'draft') {
+    const status = deriveClaimStatus(totals);
+    if (status !== claim.status) {
+      claim.status = status;
+      if (status === 'submitted') {
+        claim.decidedAt = undefined;
+        claim.decidedBy = undefined;
+      } else {
+        claim.decidedAt = new Date();
+        claim.decidedBy = options.decidedBy;
+      }
+    }
+  }
+
+  await claim.save();
+  return claim;
+};
+
+/**
+ * Refresh the claims of the given expenses after they were decided, edited or deleted
+ * Errors are logged and never thrown, so the expense action itself is not affected
+ *
+ * @param {Array|Object} expenses - Expense document(s) with claimId
+ * @param {Object} options - See refreshClaim
+ */
+const refreshClaimsForExpenses = async (expenses, options = {}) => {
+  const claimIds = new Set(
+    [].concat(expenses)
+      .filter(expense => expense?.claimId)
+      .map(expense => (expense.claimId._id || expense.claimId).toString())
+  );
+
+  for (const claimId of claimIds) {
+    try {
+      await refreshClaim(claimId, options);
+    } catch (error) {
+      console.error(`Failed to refresh expense claim ${claimId}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  summarizeClaimExpenses,
+  deriveClaimStatus,
+  refreshClaim,
+  refreshClaimsForExpenses
+};
@@ -0,0 +1,177 @@
+/**
+ * Cost Center Service
+ * Resolves how an expense is charged to cost centers and filters expenses by cost center
+ */
+
+const mongoose = require('mongoose');
+const CostCenter = require('../models/CostCenter');
+const { roundAmount } = require('../utils/currency');
+
+// Allowed difference between the allocated amounts and the expense amount
+const ALLOCATION_TOLERANCE = 0.01;
+
+/**
+ * Find the active cost centers among a list of IDs
+ * @param {Array} costCenterIds - Cost center IDs (empty values are ignored)
+ * @returns {Promise<Array>} IDs that are unknown or inactive
+ */
+const findMissingCostCenters = async (costCenterIds) => {
+  const ids = [...new Set(costCenterIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return [];
+
+  const found = await CostCenter.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  const active = new Set(found.map(costCenter => costCenter._id.toString()));
+  return ids.filter(id => !active.has(id));
+};
+
+/**
+ * Allocation of a whole expense to one cost center
+ * @param {String} costCenterId - Cost center ID (empty for none)
+ * @returns {Object} { costCenterId, allocations }
+ */
+const getSingleAllocation = (costCenterId) => ({
+  costCenterId: costCenterId || null,
+  allocations: costCenterId ? [{ costCenterId, percentage: 100 }] : []
+});
+
+/**
+ * Resolve the cost-center input of an expense into allocations
+ * - costCenterId: the whole expense goes to one cost center
+ * - allocations: split by percentage (adding up to 100) or by amount (adding up to the expense amount)
+ * - null for either removes the cost center
+ *
+ * Amount splits are stored as percentages so they follow later amount changes and approvals.
+ *
+ * @param {Object} input - { costCenterId, allocations } from the request
+ * @param {number} total - Expense amount as entered (amount splits are in the same currency)
+ * @returns {Promise<Object>} { allocation: {costCenterId, allocations} }
+ *                            or { allocationError } (INVALID_COST_CENTER_ALLOCATION)
+ *
+ * @example
+ * const { allocation, allocationError } = await resolveAllocations({ allocations }, 1000);
+ * if (allocationError) return sendInvalidAllocation(res, allocationError);
+ * expense.set(allocation);
+ */
+const resolveAllocations = async ({ costCenterId, allocations }, total) => {
+  if (costCenterId === null || allocations === null || (!costCenterId && !allocations)) {
+    return { allocation: getSingleAllocation(null) };
+  }
+
+  const entries = allocations || [{ costCenterId, percentage: 100 }];
+  const invalid = (message, details = {}) => ({
+    allocationError: { code: 'INVALID_COST_CENTER_ALLOCATION', message, details }
+  });
+
+  const missing = await findMissingCostCenters(entries.map(entry => entry.costCenterId));
+  if (missing.length > 0) {
+    return invalid('Cost center not found or inactive', { costCenterIds: missing });
+  }
+
+  let percentages = entries.map(entry => entry.percentage);
+  if (entries[0].amount !== undefined) {
+    const allocated = roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0));
+    if (!(total > 0) || Math.abs(allocated - total) > ALLOCATION_TOLERANCE) {
+      return invalid(`Allocated amounts (${allocated}) must add up to the expense amount (${total})`, {
+        allocated,
+        amount: total
+      });
+    }
+
+    // The last cost center takes the rounding remainder so the split is exactly 100%
+    percentages = entries.map(entry => Math.round((entry.amount / total) * 1000000) / 10000);
+    const others = percentages.slice(0, -1).reduce((sum, percentage) => sum + percentage, 0);
+    percentages[percentages.length - 1] = Math.round((100 - others) * 10000) / 10000;
+  }
+
+  // The largest share is the expense's cost center
+  const largest = percentages.indexOf(Math.max(...percentages));
+
+  return {
+    allocation: {
+      costCenterId: entries[largest].costCenterId,
+      allocations: entries.map((entry, index) => ({
+        costCenterId: entry.costCenterId,
+        percentage: percentages[index]
+      }))
+    }
+  };
+};
+
+/**
+ * Send an INVALID_COST_CENTER_ALLOCATION error response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} allocationError - Payload from resolveAllocations
+ * @returns {Object} Express response
+ */
+const sendInvalidAllocation = (res, allocationError) => {
+  return res.status(400).json({
+    success: false,
+    code: allocationError.code,
+    message: allocationError.message,
+    data: allocationError.details
+  });
+};
+
+/**
+ * Query for expenses charged (wholly or partly) to a cost center
+ * @param {String} costCenterId - Cost center ID (optional)
+ * @returns {Object} Mongo query fragment ({} without a cost center)
+ */
+const getCostCenterFilter = (costCenterId) => {
+  if (!costCenterId) return {};
+  return { 'allocations.costCenterId': new mongoose.Types.ObjectId(costCenterId) };
+};
+
+/**
+ * Aggregation stages that reduce matched expenses to their share for one cost center
+ * amount, originalAmount and approvedAmount become the allocated share
+ *
+ * @param {String} costCenterId - Cost center ID (optional)
+ * @returns {Array} Stages to place after $match ([] without a cost center)
+ */
+const getCostCenterStages = (costCenterId) => {
+  if (!costCenterId) return [];
+
+  const share = (field) => ({
+    $multiply: [`$${field}`, { $divide: ['$allocations.percentage', 100] }]
+  });
+
+  return [
+    { $unwind: '$allocations' },
+    { $match: getCostCenterFilter(costCenterId) },
+    {
+      $set: {
+        amount: share('amount'),
+        originalAmount: share('originalAmount'),
+        approvedAmount: share('approvedAmount')
+      }
+    }
+  ];
+};
+
+/**
+ * Share of an expense charged to a cost center
+ * @param {Object} expense - Expense (document or plain object)
+ * @param {String} costCenterId - Cost center ID (optional)
+ * @returns {number} Fraction between 0 and 1 (1 without a cost center)
+ */
+const getAllocationShare = (expense, costCenterId) => {
+  if (!costCenterId) return 1;
+
+  const allocation = (expense.allocations || []).find(entry => {
+    const id = entry.costCenterId?._id || entry.costCenterId;
+    return id && id.toString() === costCenterId.toString();
+  });
+  return allocation ? allocation.percentage / 100 : 0;
+};
+
+module.exports = {
+  findMissingCostCenters,
+  getSingleAllocation,
+  resolveAllocations,
+  sendInvalidAllocation,
+  getCostCenterFilter,
+  getCostCenterStages,
+  getAllocationShare
+};
@@ -0,0 +1,121 @@
+/**
+ * Currency Service
+ * Converts foreign-currency amounts to the base currency with the exchange-rate table
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const Settings = require('../models/Settings');
+const { roundAmount } = require('../utils/currency');
+
+/**
+ * Convert an amount to the base currency at a date
+ * Amounts already in the base currency keep a rate of 1
+ *
+ * @param {Object} params - { amount, currency (defaults to the base currency), date }
+ * @returns {Promise<Object>} { conversion: {currency, originalAmount, exchangeRate, exchangeRateDate, amount} }
+ *                            or { rateError } when no rate is on file for the date
+ *
+ * @example
+ * const { conversion, rateError } = await convertToBase({ amount: 120, currency: 'USD', date });
+ * if (rateError) return sendExchangeRateMissing(res, rateError);
+ * expense.set(conversion);
+ */
+const convertToBase = async ({ amount, currency, date }) => {
+  const baseCurrency = await Settings.getBaseCurrency();
+  const code = (currency || baseCurrency).toUpperCase();
+
+  if (code === baseCurrency) {
+    return {
+      conversion: {
+        currency: code,
+        originalAmount: amount,
+        exchangeRate: 1,
+        exchangeRateDate: null,
+        amount
+      }
+    };
+  }
+
+  const rate = await ExchangeRate.findRateForDate(code, baseCurrency, date);
+  if (!rate) {
+    return {
+      rateError: {
+        code: 'EXCHANGE_RATE_MISSING',
+        message: `No ${code} to ${baseCurrency} exchange rate on or before ${new Date(date).toISOString().slice(0, 10)}`,
+        details: { currency: code, baseCurrency, date }
+      }
+    };
+  }
+
+  return {
+    conversion: {
+      currency: code,
+      originalAmount: amount,
+      exchangeRate: rate.rate,
+      exchangeRateDate: rate.effectiveDate,
+      amount: roundAmount(amount * rate.rate)
+    }
+  };
+};
+
+/**
+ * Send an EXCHANGE_RATE_MISSING error response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} rateError - Payload from convertToBase
+ * @returns {Object} Express response
+ */
+const sendExchangeRateMissing = (res, rateError) => {
+  return res.status(400).json({
+    success: false,
+    code: rateError.code,
+    message: rateError.message,
+    data: rateError.details
+  });
+};
+
+/**
+ * Totals per foreign currency for a set of expenses or advances
+ * Original amounts are in the foreign currency, converted amounts in the base currency
+ *
+ * @param {Object} Model - Expense or Advance model
+ * @param {Object} match - Mongo query for the documents
+ * @param {String} amountField - Converted amount field ('amount' or 'approvedAmount')
+ * @param {Array} stages - Optional stages after the match (e.g. a cost center's share)
+ * @returns {Promise<Array>} [{currency, count, originalAmount, amount}]
+ */
+const getForeignCurrencyTotals = async (Model, match, amountField = 'amount', stages = []) => {
+  const baseCurrency = await Settings.getBaseCurrency();
+
+  const totals = await Model.aggregate([
+    { $match: { ...Model.where(match).cast(Model), currency: { $nin: [null, baseCurrency] } } },
+    ...stages,
+    {
+      $group: {
+        _id: '$currency',
+        count: { $sum: 1 },
+        // Approved amounts may differ from the claimed amount; convert them back at the stored rate
+        originalAmount: {
+          $sum: amountField === 'amount'
+            ? '$originalAmount'
+            : { $divide: [{ $ifNull: [`$${amountField}`, 0] }, { $ifNull: ['$exchangeRate', 1] }] }
+        },
+        amount: { $sum: { $ifNull: [`$${amountField}`, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return totals.map(item => ({
+    currency: item._id,
+    count: item.count,
+    originalAmount: roundAmount(item.originalAmount),
+    amount: roundAmount(item.amount)
+  }));
+};
+
+module.exports = {
+  convertToBase,
+  sendExchangeRateMissing,
+  getForeignCurrencyTotals
+};
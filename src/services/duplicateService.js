@@ -0,0 +1,150 @@
+/**
+ * Duplicate Expense Service
+ * Flags expenses that look like an earlier submission or reuse an earlier receipt
+ */
+
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Upload = require('../models/Upload');
+
+// Expenses of the same type within this many days are compared
+const DUPLICATE_DATE_WINDOW_DAYS = 1;
+
+// Amounts within this fraction of each other are considered the same (5%)
+const DUPLICATE_AMOUNT_TOLERANCE = 0.05;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill in the content hash of each attachment from the upload records
+ * Attachments not uploaded through /api/uploads keep no hash
+ *
+ * @param {Array} attachments - Expense attachments [{url, ...}]
+ * @returns {Promise<Array>} Attachments with contentHash where known
+ */
+const resolveAttachmentHashes = async (attachments = []) => {
+  const plain = attachments.map(attachment => (attachment.toObject ? attachment.toObject() : attachment));
+  const hashes = await Upload.getHashesByUrl(plain.map(attachment => attachment.url).filter(Boolean));
+
+  return plain.map(attachment => ({
+    ...attachment,
+    contentHash: hashes.get(attachment.url) || attachment.contentHash
+  }));
+};
+
+/**
+ * Find earlier expenses that the given expense may duplicate
+ * 1. Similar expense: same employee and type, date within the window, amount within tolerance
+ *    (journey expenses are created once per journey and are not compared)
+ * 2. Reused receipt: any other expense, by any employee, with an attachment of the same content hash
+ * Rejected expenses are ignored
+ *
+ * @param {Object} expense - { _id (when updating), userId, type, date, amount, attachments }
+ * @returns {Promise<Array>} Matches [{expenseId, reason, contentHash, dayDifference, amountDifference}]
+ */
+const findDuplicates = async (expense) => {
+  const excludeSelf = expense._id
+    ? { _id: { $ne: new mongoose.Types.ObjectId(expense._id.toString()) } }
+    : {};
+  const date = new Date(expense.date);
+  const matches = [];
+
+  // 1. Similar expense (fuzzy match)
+  if (expense.type !== 'journey') {
+    const amount = expense.amount || 0;
+    const tolerance = Math.max(amount * DUPLICATE_AMOUNT_TOLERANCE, 1);
+
+    const similar = await Expense.find({
+      ...excludeSelf,
+      userId: expense.userId,
+      type: expense.type,
+      status: { $ne: 'rejected' },
+      date: {
+        $gte: new Date(date.getTime() - DUPLICATE_DATE_WINDOW_DAYS * DAY_MS),
+        $lte: new Date(date.getTime() + DUPLICATE_DATE_WINDOW_DAYS * DAY_MS)
+      },
+      amount: { $gte: amount - tolerance, $lte: amount + tolerance }
+    })
+      .select('_id date amount createdAt')
+      .sort({ createdAt: 1 })
+      .limit(5);
+
+    similar.forEach(match => {
+      matches.push({
+        expenseId: match._id,
+        reason: 'similar_expense',
+        dayDifference: Math.round(Math.abs(match.date - date) / DAY_MS),
+        amountDifference: parseFloat(Math.abs(match.amount - amount).toFixed(2))
+      });
+    });
+  }
+
+  // 2. Reused receipt (same attachment content)
+  const hashes = [...new Set((expense.attachments || []).map(attachment => attachment.contentHash).filter(Boolean))];
+  if (hashes.length > 0) {
+    const reused = await Expense.find({
+      ...excludeSelf,
+      status: { $ne: 'rejected' },
+      'attachments.contentHash': { $in: hashes }
+    })
+      .select('_id attachments.contentHash createdAt')
+      .sort({ createdAt: 1 })
+      .limit(10);
+
+    reused.forEach(match => {
+      const contentHash = match.attachments.find(attachment => hashes.includes(attachment.contentHash)).contentHash;
+      matches.push({
+        expenseId: match._id,
+        reason: 'reused_receipt',
+        contentHash
+      });
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Run the duplicate check and record the result on an expense document (not saved)
+ * A reviewed expense keeps its review decision unless new matches appear
+ *
+ * @param {Object} expense - Expense document
+ * @returns {Promise<Array>} Matches found
+ *
+ * @example
+ * expense.attachments = await resolveAttachmentHashes(expense.attachments);
+ * await applyDuplicateCheck(expense);
+ * await expense.save();
+ */
+const applyDuplicateCheck = async (expense) => {
+  const matches = await findDuplicates(expense);
+  const previous = expense.duplicateCheck || {};
+  const previousIds = new Set((previous.matches || []).map(match => match.expenseId.toString()));
+  const hasNewMatches = matches.some(match => !previousIds.has(match.expenseId.toString()));
+
+  let status = matches.length > 0 ? 'suspected' : 'none';
+  if (['confirmed', 'dismissed'].includes(previous.status) && matches.length > 0 && !hasNewMatches) {
+    status = previous.status;
+  }
+
+  expense.duplicateCheck = {
+    ...(status === previous.status ? {
+      reviewedBy: previous.reviewedBy,
+      reviewedAt: previous.reviewedAt,
+      reviewNotes: previous.reviewNotes
+    } : {}),
+    status,
+    matches,
+    checkedAt: new Date()
+  };
+  expense.isSuspectedDuplicate = status === 'suspected';
+  expense.duplicateOf = matches.length > 0 ? matches[0].expenseId : null;
+
+  return matches;
+};
+
+module.exports = {
+  resolveAttachmentHashes,
+  findDuplicates,
+  applyDuplicateCheck
+};
@@ -0,0 +1,449 @@
+/**
+ * Journey Service
+ * Shared journey completion used by live end-journey and offline sync
+ */
+
+const Expense = require('../models/Expense');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const Customer = require('../models/Customer');
+const { calculateDistanceWithHaversine, calculateJourneyCost } = require('../utils/distanceCalculator');
+const { filterTrackPoints, calculateTrackDistance } = require('../utils/trackFilter');
+const { getRoute } = require('./routingService');
+const { getSingleAllocation } = require('./costCenterService');
+const { applyPerDiem } = require('./perDiemService');
+const { checkMonthLock } = require('./monthLockService');
+
+/**
+ * Filter a journey's breadcrumbs and measure the distance along them
+ * The start and end coordinates anchor the track so the first and last legs are counted
+ *
+ * @param {Object} journey - Journey document loaded with +trackPoints
+ * @param {Object} endCoordinates - {latitude, longitude}
+ * @returns {Promise<Object>} { points, summary }
+ */
+const summarizeTrack = async (journey, endCoordinates) => {
+  const filterOptions = await Settings.getTrackFilterOptions();
+  const rawPoints = (journey.trackPoints || []).map(point => (point.toObject ? point.toObject() : point));
+  const { points, stats } = filterTrackPoints(rawPoints, filterOptions);
+
+  const straightLineDistance = endCoordinates
+    ? calculateDistanceWithHaversine(journey.startCoordinates, endCoordinates).distance
+    : null;
+  const anchors = endCoordinates ? [journey.startCoordinates, ...points, endCoordinates] : points;
+
+  return {
+    points,
+    summary: {
+      ...stats,
+      trackDistance: points.length >= 2 ? calculateTrackDistance(anchors) : null,
+      straightLineDistance
+    }
+  };
+};
+
+/**
+ * Ordered waypoints of a journey: start, each stop, end
+ * @param {Object} journey - Journey document
+ * @param {Object} endCoordinates - {latitude, longitude}
+ * @param {Date} endTimestamp - When the journey ended
+ * @returns {Array} [{stopId, coordinates, arrivedAt, departedAt}]
+ */
+const buildWaypoints = (journey, endCoordinates, endTimestamp) => {
+  const stops = [...(journey.stops || [])].sort((a, b) => a.sequence - b.sequence);
+
+  return [
+    { stopId: null, coordinates: journey.startCoordinates, arrivedAt: journey.startTimestamp, departedAt: journey.startTimestamp },
+    ...stops.map(stop => ({
+      stopId: stop._id,
+      coordinates: stop.coordinates,
+      arrivedAt: stop.arrivedAt,
+      departedAt: stop.departedAt || stop.arrivedAt
+    })),
+    { stopId: null, coordinates: endCoordinates, arrivedAt: endTimestamp, departedAt: endTimestamp }
+  ];
+};
+
+/**
+ * Calculate distance leg by leg
+ * Each leg uses the filtered GPS breadcrumbs recorded between leaving one waypoint and
+ * arriving at the next when at least 2 survive, otherwise the routing provider
+ *
+ * @param {Array} waypoints - From buildWaypoints
+ * @param {Array} trackPoints - Filtered track points (may be empty)
+ * @returns {Promise<Object>} { legs, routing }
+ */
+const calculateLegs = async (waypoints, trackPoints = []) => {
+  const legs = [];
+  const routes = [];
+  const lastLeg = waypoints.length - 1;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1];
+    const to = waypoints[i];
+
+    const route = await getRoute(from.coordinates, to.coordinates);
+    routes.push(route);
+
+    // Breadcrumbs before the start belong to the first leg, after the end to the last leg
+    const legPoints = trackPoints.filter(point => {
+      const time = new Date(point.timestamp);
+      return (i === 1 || time >= from.departedAt) && (i === lastLeg || time <= to.arrivedAt);
+    });
+    const trackDistance = legPoints.length >= 2
+      ? calculateTrackDistance([from.coordinates, ...legPoints, to.coordinates])
+      : null;
+
+    legs.push({
+      sequence: i,
+      fromStopId: from.stopId,
+      toStopId: to.stopId,
+      distance: trackDistance !== null ? trackDistance : route.distance,
+      duration: route.duration,
+      source: trackDistance !== null ? 'gps_track' : route.provider
+    });
+  }
+
+  // Single leg keeps the provider result as is; multiple legs are summed
+  const routing = routes.length === 1 ? routes[0] : {
+    provider: routes[0].provider,
+    distance: parseFloat(routes.reduce((sum, r) => sum + r.distance, 0).toFixed(2)),
+    duration: routes.every(r => r.duration !== null) ? routes.reduce((sum, r) => sum + r.duration, 0) : null,
+    fallback: routes.some(r => r.fallback),
+    error: routes.find(r => r.error)?.error || null,
+    calculatedAt: new Date()
+  };
+
+  return { legs, routing };
+};
+
+/**
+ * Split a journey's cost across its stops in proportion to leg distance
+ * The last entry absorbs rounding so the breakdown always sums to the cost
+ *
+ * @param {Object} journey - Journey document with stops and legs
+ * @param {Number} cost - Journey cost (distance × rate)
+ * @returns {Array} Stop breakdown entries for Expense.stopBreakdown
+ */
+const buildStopBreakdown = (journey, cost) => {
+  const legs = journey.legs || [];
+  const totalDistance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+  let allocated = 0;
+
+  return legs.map((leg, index) => {
+    const share = totalDistance > 0 ? leg.distance / totalDistance : 1 / legs.length;
+    const legCost = index === legs.length - 1
+      ? parseFloat((cost - allocated).toFixed(2))
+      : parseFloat((cost * share).toFixed(2));
+    allocated += legCost;
+
+    const stop = leg.toStopId ? journey.stops.id(leg.toStopId) : null;
+    const machineVisitCost = stop?.machineVisitCost || 0;
+
+    return {
+      stopId: stop ? stop._id : null,
+      sequence: leg.sequence,
+      customerName: stop ? stop.customerName : 'Return',
+      typeOfVisit: stop ? stop.typeOfVisit : null,
+      address: stop ? stop.address : journey.endAddress,
+      legDistance: leg.distance,
+      legCost,
+      machineVisitCost,
+      total: parseFloat((legCost + machineVisitCost).toFixed(2))
+    };
+  });
+};
+
+/**
+ * Check the end position and each stop against the registered customers' geofences
+ * Journeys without a registered customer, or recorded with GPS offline, are not applicable
+ *
+ * @param {Object} journey - Journey document (stops are updated in place)
+ * @param {Object} endCoordinates - {latitude, longitude}
+ * @param {Date} checkedAt - Time of the check
+ * @returns {Promise<Object>} { geofenceCheck, violation, outsideStops }
+ */
+const checkGeofences = async (journey, endCoordinates, checkedAt) => {
+  const notApplicable = { status: 'not_applicable', distanceMeters: null, radiusMeters: null, checkedAt };
+  const stops = journey.stops || [];
+  const customerIds = [journey.customerId, ...stops.map(stop => stop.customerId)].filter(Boolean);
+
+  if (customerIds.length === 0 || journey.gpsOffline) {
+    stops.forEach(stop => { stop.geofenceCheck = notApplicable; });
+    return { geofenceCheck: notApplicable, violation: false, outsideStops: [] };
+  }
+
+  const customers = await Customer.find({ _id: { $in: customerIds } });
+  const byId = new Map(customers.map(customer => [customer._id.toString(), customer]));
+  const check = (customerId, coordinates) => {
+    const customer = customerId && byId.get(customerId.toString());
+    return customer ? customer.checkGeofence(coordinates, checkedAt) : notApplicable;
+  };
+
+  const geofenceCheck = check(journey.customerId, endCoordinates);
+  const outsideStops = [];
+  stops.forEach(stop => {
+    stop.geofenceCheck = check(stop.customerId, stop.coordinates);
+    if (stop.geofenceCheck.status === 'outside') {
+      outsideStops.push(stop.sequence);
+    }
+  });
+
+  return {
+    geofenceCheck,
+    violation: geofenceCheck.status === 'outside' || outsideStops.length > 0,
+    outsideStops
+  };
+};
+
+/**
+ * Complete an active journey and create its journey expense
+ * Calculates the system distance leg by leg (GPS track, otherwise routing provider), the
+ * machine visit cost and the journey cost with its per-stop breakdown, flags positions
+ * outside the registered customer geofences, then writes the journey_ended and
+ * expense_created audits, and creates or updates the per-diem allowance for the journey's days
+ * Nothing is changed when the end date falls in a locked month
+ *
+ * @param {Object} journey - Active Journey document loaded with +trackPoints
+ * @param {Object} params - Completion details
+ * @param {Object} params.endCoordinates - {latitude, longitude}
+ * @param {String} params.endAddress - End address
+ * @param {String} params.notes - Optional notes (replace the journey notes when given)
+ * @param {Number} params.manualDistance - Optional manual distance override (km)
+ * @param {Date} params.endTimestamp - When the journey ended (defaults to now)
+ * @param {String} params.performedBy - User completing the journey (null for system actions)
+ * @param {String} params.actorType - 'user' (default) or 'system' for scheduled jobs
+ * @param {String} params.ipAddress - Request IP for audit
+ * @param {String} params.userAgent - Request user agent for audit
+ * @param {Object} params.auditMetadata - Extra metadata merged into the journey_ended audit
+ * @returns {Promise<Object>} { journey, expense, perDiem, systemDistance, manualDistance, finalDistance, calculatedDuration, cost, distanceData, geofence },
+ * or { lockError } (MONTH_LOCKED payload) when the month is locked
+ */
+const completeJourney = async (journey, params) => {
+  const {
+    endCoordinates,
+    endAddress,
+    notes,
+    endTimestamp = new Date(),
+    performedBy,
+    actorType = 'user',
+    ipAddress,
+    userAgent,
+    auditMetadata = {}
+  } = params;
+  const manualDistance = params.manualDistance ? parseFloat(params.manualDistance) : null;
+
+  // The journey expense is dated at the end of the journey
+  const lockError = await checkMonthLock(journey.userId, endTimestamp, 'complete journey');
+  if (lockError) {
+    return { lockError };
+  }
+
+  // Update journey end details
+  journey.endCoordinates = endCoordinates;
+  journey.endAddress = endAddress;
+  journey.siteLocation = endAddress; // Store end location as site location
+  journey.endTimestamp = endTimestamp;
+
+  if (notes) {
+    journey.notes = notes;
+  }
+
+  // Leaving the last stop ends the visit
+  if (journey.currentStop) {
+    journey.currentStop.departedAt = endTimestamp;
+  }
+
+  // Calculate machine visit cost (journey-level visit plus each machine-visit stop)
+  const costPerMachine = await Settings.getCostPerMachineVisit();
+  let machineVisitCost = 0;
+
+  if (journey.typeOfVisit === 'machine_visit' && journey.numberOfMachines) {
+    machineVisitCost += journey.numberOfMachines * costPerMachine;
+  }
+  (journey.stops || []).forEach(stop => {
+    stop.machineVisitCost = stop.typeOfVisit === 'machine_visit' && stop.numberOfMachines
+      ? stop.numberOfMachines * costPerMachine
+      : 0;
+    machineVisitCost += stop.machineVisitCost;
+  });
+
+  if (machineVisitCost > 0) {
+    journey.machineVisitCost = machineVisitCost;
+    console.log(`Machine visit cost calculated: ₹${machineVisitCost} at ₹${costPerMachine} per machine`);
+  }
+
+  // Calculate system distance leg by leg (GPS track when available, otherwise the routing provider's road distance)
+  let distanceData = null;
+  let systemDistance = 0;
+  let calculatedDuration = null;
+  const waypoints = buildWaypoints(journey, endCoordinates, endTimestamp);
+
+  if (!journey.gpsOffline) {
+    try {
+      let trackPoints = [];
+      if (journey.trackPoints && journey.trackPoints.length > 0) {
+        const track = await summarizeTrack(journey, endCoordinates);
+        journey.trackSummary = track.summary;
+        trackPoints = track.points;
+        console.log('GPS track summary:', track.summary);
+      }
+
+      const { legs, routing } = await calculateLegs(waypoints, trackPoints);
+      console.log('Routing result:', routing);
+      journey.routing = routing;
+      journey.legs = legs;
+      systemDistance = parseFloat(legs.reduce((sum, leg) => sum + leg.distance, 0).toFixed(2));
+      calculatedDuration = routing.duration;
+
+      const trackLegs = legs.filter(leg => leg.source === 'gps_track').length;
+      if (trackLegs === 0) {
+        distanceData = { source: routing.provider, fallback: routing.fallback, error: routing.error || undefined };
+      } else {
+        distanceData = {
+          source: trackLegs === legs.length ? 'gps_track' : 'mixed',
+          routingProvider: routing.provider,
+          trackSummary: journey.trackSummary
+        };
+      }
+      if (legs.length > 1) {
+        distanceData.legs = legs;
+      }
+    } catch (error) {
+      console.error('Distance calculation error:', error);
+      // If calculation fails, set distance to 0 and log error
+      distanceData = { source: 'error', error: error.message };
+    }
+  } else {
+    console.log('GPS offline, skipping distance calculation');
+    // Keep the leg structure so the cost can still be split per stop
+    journey.legs = waypoints.slice(1).map((to, index) => ({
+      sequence: index + 1,
+      fromStopId: waypoints[index].stopId,
+      toStopId: to.stopId,
+      distance: 0,
+      duration: null,
+      source: 'gps_offline'
+    }));
+  }
+
+  // Flag end coordinates (and stops) outside the selected customer's geofence
+  const geofence = await checkGeofences(journey, endCoordinates, endTimestamp);
+  journey.geofenceCheck = geofence.geofenceCheck;
+  journey.geofenceViolation = geofence.violation;
+
+  // Use manual distance if provided, otherwise use system distance
+  const finalDistance = manualDistance !== null ? manualDistance : systemDistance;
+
+  journey.calculatedDistance = finalDistance;
+  journey.calculatedDuration = calculatedDuration;
+  journey.status = 'completed';
+  await journey.save();
+
+  // Rate per km for the journey's vehicle type
+  const ratePerKm = await Settings.getRatePerKm(journey.vehicleType);
+
+  // Calculate cost based on final distance
+  const cost = calculateJourneyCost(finalDistance, ratePerKm);
+
+  // Create expense automatically
+  const expense = new Expense({
+    userId: journey.userId,
+    type: 'journey',
+    date: endTimestamp,
+    description: `Journey from ${journey.startAddress} to ${journey.endAddress}`,
+    amount: cost,
+    journeyId: journey._id,
+    startCoordinates: journey.startCoordinates,
+    endCoordinates: journey.endCoordinates,
+    startAddress: journey.startAddress,
+    endAddress: journey.endAddress,
+    systemDistance: systemDistance,
+    manualDistance,
+    gpsOffline: journey.gpsOffline,
+    vehicleType: journey.vehicleType,
+    distanceRate: ratePerKm,
+    stopBreakdown: journey.stops && journey.stops.length > 0 ? buildStopBreakdown(journey, cost) : [],
+    ...getSingleAllocation(journey.costCenterId),
+    status: 'pending'
+  });
+
+  await expense.save();
+
+  // Link expense to journey
+  journey.expenseId = expense._id;
+  await journey.save();
+
+  // Create audit log for journey
+  await Audit.log({
+    action: 'journey_ended',
+    actorType,
+    performedBy,
+    targetUser: journey.userId,
+    metadata: {
+      journeyId: journey._id,
+      expenseId: expense._id,
+      endCoordinates,
+      systemDistance,
+      manualDistance,
+      finalDistance,
+      duration: calculatedDuration,
+      cost,
+      distanceSource: distanceData?.source,
+      stops: journey.stops ? journey.stops.length : 0,
+      geofence: {
+        customerId: journey.customerId,
+        status: geofence.geofenceCheck.status,
+        distanceMeters: geofence.geofenceCheck.distanceMeters,
+        radiusMeters: geofence.geofenceCheck.radiusMeters,
+        outsideStops: geofence.outsideStops
+      },
+      ...auditMetadata
+    },
+    ipAddress,
+    userAgent
+  });
+
+  // Create audit log for expense creation
+  await Audit.log({
+    action: 'expense_created',
+    actorType,
+    performedBy,
+    targetUser: journey.userId,
+    metadata: {
+      expenseId: expense._id,
+      journeyId: journey._id,
+      type: 'journey',
+      amount: cost,
+      description: expense.description
+    },
+    ipAddress,
+    userAgent
+  });
+
+  // Per-diem allowance for the days the journey covers (the journey is complete either way)
+  let perDiem = [];
+  try {
+    perDiem = await applyPerDiem(journey, { actorType, performedBy, ipAddress, userAgent });
+  } catch (error) {
+    console.error(`Per-diem calculation failed for journey ${journey._id}:`, error.message);
+  }
+
+  return {
+    journey,
+    expense,
+    perDiem,
+    systemDistance,
+    manualDistance,
+    finalDistance,
+    calculatedDuration,
+    cost,
+    distanceData,
+    geofence
+  };
+};
+
+module.exports = {
+  summarizeTrack,
+  completeJourney
+};
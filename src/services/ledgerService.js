@@ -0,0 +1,437 @@
+/**
+ * Ledger Service
+ * Posts entries to the employee advance ledger and reads balances and statements from it
+ *
+ * The ledger is the record of an employee's advance balance. User.advanceBalance is a cached
+ * copy of the latest balance, refreshed on every posting, for list queries and sorting.
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const { roundAmount } = require('../utils/currency');
+
+// Accounts of each entry type (reversals swap the accounts of the reversed entry)
+const ENTRY_ACCOUNTS = {
+  advance: { debitAccount: 'employee_advance', creditAccount: 'cash' },
+  expense: { debitAccount: 'expense', creditAccount: 'employee_advance' },
+  recovery: { debitAccount: 'cash', creditAccount: 'employee_advance' },
+  payout: { debitAccount: 'employee_advance', creditAccount: 'cash' }
+};
+
+// Attempts when concurrent postings claim the same sequence
+const MAX_POST_ATTEMPTS = 5;
+
+/**
+ * Latest entry of an employee's ledger
+ * @param {String|ObjectId} userId - Employee
+ * @param {Date} asOf - Only entries posted on or before this time (optional)
+ * @returns {Promise<Object|null>} LedgerEntry or null
+ */
+const getLastEntry = (userId, asOf) => {
+  const filter = { userId };
+  if (asOf) filter.postedAt = { $lte: asOf };
+  return LedgerEntry.findOne(filter).sort({ sequence: -1 });
+};
+
+/**
+ * Advance balance from the ledger
+ * @param {String|ObjectId} userId - Employee
+ * @param {Date} asOf - Balance at this time (defaults to the current balance)
+ * @returns {Promise<Number>} Balance in the base currency
+ */
+const getBalance = async (userId, asOf) => {
+  const last = await getLastEntry(userId, asOf);
+  return last ? last.balanceAfter : 0;
+};
+
+/**
+ * Sum of every employee's advance balance from the ledger
+ * @param {Date} asOf - Balances at this time (defaults to the current balances)
+ * @returns {Promise<Number>} Total balance in the base currency
+ */
+const getTotalBalance = async (asOf) => {
+  const match = asOf ? { postedAt: { $lte: asOf } } : {};
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    { $sort: { userId: 1, sequence: -1 } },
+    { $group: { _id: '$userId', balance: { $first: '$balanceAfter' } } },
+    { $group: { _id: null, total: { $sum: '$balance' } } }
+  ]);
+  return result ? roundAmount(result.total) : 0;
+};
+
+/**
+ * Copy the latest ledger balance to User.advanceBalance
+ * @param {String|ObjectId} userId - Employee
+ * @returns {Promise<Number>} Current balance
+ */
+const syncUserBalance = async (userId) => {
+  const balance = await getBalance(userId);
+  await User.updateOne({ _id: userId }, { advanceBalance: balance });
+  return balance;
+};
+
+/**
+ * Append an entry to an employee's ledger
+ *
+ * @param {Object} data - LedgerEntry fields (userId, entryType, debitAccount, creditAccount, amount, ...)
+ * @returns {Promise<Object>} { entry, previousBalance, balance }
+ */
+const postEntry = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await getLastEntry(data.userId);
+    const previousBalance = last ? last.balanceAfter : 0;
+
+    const entry = new LedgerEntry({
+      ...data,
+      amount: roundAmount(data.amount),
+      sequence: last ? last.sequence + 1 : 1
+    });
+    entry.balanceAfter = roundAmount(previousBalance + entry.getBalanceChange());
+
+    try {
+      await entry.save();
+    } catch (error) {
+      // Another posting took this sequence - retry on top of it
+      if (error.code === 11000 && error.keyPattern?.sequence && attempt < MAX_POST_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+
+    await syncUserBalance(data.userId);
+    return { entry, previousBalance, balance: entry.balanceAfter };
+  }
+};
+
+/**
+ * Result for a source document that is already posted
+ * @param {Object} entry - Existing LedgerEntry
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyPosted }
+ */
+const alreadyPosted = async (entry) => ({
+  entry,
+  previousBalance: roundAmount(entry.balanceAfter - entry.getBalanceChange()),
+  balance: await getBalance(entry.userId),
+  alreadyPosted: true
+});
+
+/**
+ * Post a source document once (advance, approved expense or batch payout)
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyPosted }
+ */
+const postOnce = async (sourceFilter, data) => {
+  const existing = await LedgerEntry.findOne(sourceFilter);
+  if (existing) {
+    return alreadyPosted(existing);
+  }
+
+  try {
+    return await postEntry(data);
+  } catch (error) {
+    // Posted concurrently by another request
+    if (error.code === 11000 && !error.keyPattern?.sequence) {
+      return alreadyPosted(await LedgerEntry.findOne(sourceFilter));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post a paid-out (completed) advance
+ *
+ * @param {Object} advance - Advance document
+ * @param {Object} context - { postedBy, postedAt }
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyPosted }
+ *
+ * @example
+ * const { previousBalance, balance } = await postAdvance(advance, { postedBy: adminId });
+ */
+const postAdvance = (advance, context = {}) => {
+  return postOnce({ entryType: 'advance', advanceId: advance._id }, {
+    userId: advance.userId._id || advance.userId,
+    entryType: 'advance',
+    ...ENTRY_ACCOUNTS.advance,
+    amount: advance.amount,
+    advanceId: advance._id,
+    effectiveDate: advance.date,
+    reference: advance.transactionReference,
+    description: advance.description || advance.purpose || 'Advance payment',
+    postedBy: context.postedBy || null,
+    postedAt: context.postedAt || new Date()
+  });
+};
+
+/**
+ * Post an approved expense against the advance balance
+ * Expenses approved at zero do not change the balance and are not posted
+ *
+ * @param {Object} expense - Approved Expense document
+ * @param {Object} context - { postedBy, postedAt }
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyPosted }
+ */
+const postExpense = async (expense, context = {}) => {
+  const userId = expense.userId._id || expense.userId;
+
+  if (!(expense.approvedAmount > 0)) {
+    const balance = await getBalance(userId);
+    return { entry: null, previousBalance: balance, balance };
+  }
+
+  return postOnce({ entryType: 'expense', expenseId: expense._id }, {
+    userId,
+    entryType: 'expense',
+    ...ENTRY_ACCOUNTS.expense,
+    amount: expense.approvedAmount,
+    expenseId: expense._id,
+    effectiveDate: expense.date,
+    description: expense.description || `Approved ${expense.type} expense`,
+    postedBy: context.postedBy || null,
+    postedAt: context.postedAt || new Date()
+  });
+};
+
+/**
+ * Post money an employee returned from their advance
+ *
+ * @param {Object} data - { userId, amount, date, reference, description }
+ * @param {Object} context - { postedBy }
+ * @returns {Promise<Object>} { entry, previousBalance, balance }
+ */
+const postRecovery = (data, context = {}) => {
+  return postEntry({
+    userId: data.userId,
+    entryType: 'recovery',
+    ...ENTRY_ACCOUNTS.recovery,
+    amount: data.amount,
+    effectiveDate: data.date || new Date(),
+    reference: data.reference,
+    description: data.description || 'Advance recovered',
+    postedBy: context.postedBy || null
+  });
+};
+
+/**
+ * Post a reimbursement paid to an employee in a payout batch
+ *
+ * @param {Object} data - { userId, amount, payoutBatchId, batchNumber, reference }
+ * @param {Object} context - { postedBy, postedAt }
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyPosted }
+ */
+const postPayout = (data, context = {}) => {
+  return postOnce({ entryType: 'payout', payoutBatchId: data.payoutBatchId, userId: data.userId }, {
+    userId: data.userId,
+    entryType: 'payout',
+    ...ENTRY_ACCOUNTS.payout,
+    amount: data.amount,
+    payoutBatchId: data.payoutBatchId,
+    effectiveDate: context.postedAt || new Date(),
+    reference: data.reference,
+    description: `Reimbursement paid in payout batch ${data.batchNumber}`,
+    postedBy: context.postedBy || null,
+    postedAt: context.postedAt || new Date()
+  });
+};
+
+/**
+ * Reverse an entry by posting the same amount with the accounts swapped
+ *
+ * @param {Object} entry - LedgerEntry to reverse
+ * @param {Object} context - { postedBy, reason }
+ * @returns {Promise<Object>} { entry, previousBalance, balance } or { error: { status, message } }
+ */
+const postReversal = async (entry, context = {}) => {
+  if (entry.entryType === 'reversal') {
+    return { error: { status: 400, message: 'A reversal cannot be reversed' } };
+  }
+
+  const existing = await LedgerEntry.findOne({ entryType: 'reversal', reversesEntry: entry._id });
+  if (existing) {
+    return { error: { status: 400, message: `Ledger entry #${entry.sequence} is already reversed` } };
+  }
+
+  try {
+    return await postEntry({
+      userId: entry.userId,
+      entryType: 'reversal',
+      debitAccount: entry.creditAccount,
+      creditAccount: entry.debitAccount,
+      amount: entry.amount,
+      effectiveDate: entry.effectiveDate,
+      advanceId: entry.advanceId,
+      expenseId: entry.expenseId,
+      reversesEntry: entry._id,
+      reference: entry.reference,
+      description: context.reason
+        ? `Reversal of entry #${entry.sequence}: ${context.reason}`
+        : `Reversal of entry #${entry.sequence}`,
+      postedBy: context.postedBy || null
+    });
+  } catch (error) {
+    if (error.code === 11000 && !error.keyPattern?.sequence) {
+      return { error: { status: 400, message: `Ledger entry #${entry.sequence} is already reversed` } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reverse the ledger entry of a cancelled advance
+ * An advance paid before the ledger existed is posted first, so it can be cancelled
+ * without reconciling the ledger. An advance that is already reversed returns the
+ * existing reversal, so a failed cancellation can be retried
+ *
+ * @param {Object} advance - Advance document
+ * @param {Object} context - { postedBy, reason }
+ * @returns {Promise<Object>} { entry, previousBalance, balance, alreadyReversed } or { error: { status, message } }
+ */
+const reverseAdvance = async (advance, context = {}) => {
+  const { entry: posted } = await postAdvance(advance, { postedBy: context.postedBy });
+
+  const existing = await LedgerEntry.findOne({ entryType: 'reversal', reversesEntry: posted._id });
+  if (existing) {
+    const balance = await getBalance(advance.userId);
+    return {
+      entry: existing,
+      previousBalance: roundAmount(existing.balanceAfter - existing.getBalanceChange()),
+      balance,
+      alreadyReversed: true
+    };
+  }
+
+  return postReversal(posted, context);
+};
+
+/**
+ * Statement of an employee's advance account for a period
+ * Debits raise the balance (advances, reversed expenses); credits lower it (expenses, recoveries)
+ *
+ * @param {String|ObjectId} userId - Employee
+ * @param {Object} period - { from, to } (either may be omitted)
+ * @returns {Promise<Object>} { openingBalance, closingBalance, totals: { debits, credits, count }, entries }
+ */
+const getStatement = async (userId, { from, to } = {}) => {
+  const filter = { userId };
+  if (from || to) {
+    filter.postedAt = {};
+    if (from) filter.postedAt.$gte = new Date(from);
+    if (to) filter.postedAt.$lte = new Date(to);
+  }
+
+  const [opening, entries] = await Promise.all([
+    from ? LedgerEntry.findOne({ userId, postedAt: { $lt: new Date(from) } }).sort({ sequence: -1 }) : null,
+    LedgerEntry.find(filter)
+      .sort({ sequence: 1 })
+      .populate('postedBy', 'name email employeeId')
+  ]);
+
+  const openingBalance = opening ? opening.balanceAfter : 0;
+  const closingBalance = entries.length > 0 ? entries[entries.length - 1].balanceAfter : openingBalance;
+
+  const totals = { debits: 0, credits: 0, count: entries.length };
+  const lines = entries.map(entry => {
+    const change = entry.getBalanceChange();
+    const debit = change > 0 ? change : 0;
+    const credit = change < 0 ? -change : 0;
+    totals.debits += debit;
+    totals.credits += credit;
+
+    return {
+      id: entry._id,
+      sequence: entry.sequence,
+      postedAt: entry.postedAt,
+      effectiveDate: entry.effectiveDate,
+      entryType: entry.entryType,
+      description: entry.description,
+      reference: entry.reference,
+      debitAccount: entry.debitAccount,
+      creditAccount: entry.creditAccount,
+      debit,
+      credit,
+      balance: entry.balanceAfter,
+      advanceId: entry.advanceId,
+      expenseId: entry.expenseId,
+      reversesEntry: entry.reversesEntry,
+      postedBy: entry.postedBy
+    };
+  });
+
+  totals.debits = roundAmount(totals.debits);
+  totals.credits = roundAmount(totals.credits);
+
+  return { openingBalance, closingBalance, totals, entries: lines };
+};
+
+/**
+ * Unsettled part of each amount that raised an employee's advance balance, settled first-in, first-out
+ *
+ * Entries that lower the balance (approved expenses, recoveries) settle the oldest amounts first;
+ * a reversal settles the entry it reverses first. What is settled beyond the open amounts is owed
+ * to the employee and is taken off the next amount that raises the balance.
+ *
+ * @param {Array} entries - One employee's LedgerEntry documents in sequence order
+ * @returns {Object} { lots: [{ entryId, entryType, advanceId, date, amount, outstanding }], owedToEmployee }
+ *
+ * @example
+ * const { lots } = getOutstandingLots(await LedgerEntry.find({ userId }).sort({ sequence: 1 }));
+ */
+const getOutstandingLots = (entries) => {
+  const lots = [];
+  let owedToEmployee = 0;
+
+  const settle = (lot, amount) => {
+    const settled = Math.min(lot.outstanding, amount);
+    lot.outstanding = roundAmount(lot.outstanding - settled);
+    return roundAmount(amount - settled);
+  };
+
+  entries.forEach(entry => {
+    const change = entry.getBalanceChange();
+
+    if (change > 0) {
+      const amount = roundAmount(change - Math.min(owedToEmployee, change));
+      owedToEmployee = roundAmount(owedToEmployee - (change - amount));
+      if (amount > 0) {
+        const lot = {
+          entryId: entry._id,
+          entryType: entry.entryType,
+          advanceId: entry.advanceId,
+          date: entry.effectiveDate || entry.postedAt,
+          amount,
+          outstanding: amount
+        };
+        // Keep the oldest first; a backdated advance is settled before later ones
+        const index = lots.findIndex(open => open.date > lot.date);
+        lots.splice(index === -1 ? lots.length : index, 0, lot);
+      }
+      return;
+    }
+
+    let remaining = -change;
+    if (entry.entryType === 'reversal' && entry.reversesEntry) {
+      const reversed = lots.find(lot => lot.entryId.toString() === entry.reversesEntry.toString());
+      if (reversed) remaining = settle(reversed, remaining);
+    }
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      remaining = settle(lot, remaining);
+    }
+    owedToEmployee = roundAmount(owedToEmployee + remaining);
+  });
+
+  return { lots: lots.filter(lot => lot.outstanding > 0), owedToEmployee };
+};
+
+module.exports = {
+  getBalance,
+  getTotalBalance,
+  syncUserBalance,
+  postAdvance,
+  postExpense,
+  postRecovery,
+  postPayout,
+  postReversal,
+  reverseAdvance,
+  getStatement,
+  getOutstandingLots
+};
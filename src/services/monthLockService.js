@@ -0,0 +1,90 @@
+/**
+ * Month Lock Service
+ * Single place to resolve whether an employee's month is closed
+ */
+
+const MonthLock = require('../models/MonthLock');
+
+/**
+ * Resolve the active lock for the owner of a record on a given date
+ * Considers the owner's own lock first, then any organization-wide lock
+ *
+ * @param {String|ObjectId} userId - Owner of the expense/advance/journey
+ * @param {Date|String} date - Date that falls in the month to check
+ * @returns {Promise<Object|null>} Active MonthLock document or null
+ */
+const findLockForDate = async (userId, date) => {
+  const lockDate = date ? new Date(date) : new Date();
+  const year = lockDate.getFullYear();
+  const month = lockDate.getMonth() + 1;
+
+  return MonthLock.findActiveLock(userId, year, month);
+};
+
+/**
+ * Build the structured MONTH_LOCKED error payload
+ *
+ * @param {Object} lock - Active MonthLock document (closedBy populated)
+ * @param {String} action - What was attempted, e.g. 'approve expense'
+ * @returns {Object} Error payload { code, message, details }
+ */
+const buildMonthLockedError = (lock, action) => {
+  const period = `${lock.monthName} ${lock.year}`;
+  const scopeText = lock.scope === 'organization' ? ' for the organization' : '';
+
+  return {
+    code: 'MONTH_LOCKED',
+    message: `Cannot ${action} for ${period}. Month is locked${scopeText}.`,
+    details: {
+      lockId: lock._id,
+      scope: lock.scope,
+      year: lock.year,
+      month: lock.month,
+      period,
+      closedBy: lock.closedBy && lock.closedBy._id
+        ? { id: lock.closedBy._id, name: lock.closedBy.name, email: lock.closedBy.email }
+        : lock.closedBy,
+      closedAt: lock.closedAt
+    }
+  };
+};
+
+/**
+ * Check whether an action is allowed for the owner's month
+ *
+ * @param {String|ObjectId} userId - Owner of the record
+ * @param {Date|String} date - Date of the record
+ * @param {String} action - What is being attempted (used in the error message)
+ * @returns {Promise<Object|null>} MONTH_LOCKED error payload, or null when the month is open
+ *
+ * @example
+ * const lockError = await checkMonthLock(expense.userId, expense.date, 'approve expense');
+ * if (lockError) return sendMonthLocked(res, lockError);
+ */
+const checkMonthLock = async (userId, date, action) => {
+  const lock = await findLockForDate(userId, date);
+  return lock ? buildMonthLockedError(lock, action) : null;
+};
+
+/**
+ * Send a MONTH_LOCKED error response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} lockError - Payload from checkMonthLock
+ * @returns {Object} Express response
+ */
+const sendMonthLocked = (res, lockError) => {
+  return res.status(400).json({
+    success: false,
+    code: lockError.code,
+    message: lockError.message,
+    data: lockError.details
+  });
+};
+
+module.exports = {
+  findLockForDate,
+  buildMonthLockedError,
+  checkMonthLock,
+  sendMonthLocked
+};
@@ -0,0 +1,56 @@
+/**
+ * Notification Service
+ * Creates in-app notifications without breaking the calling flow
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * Create a notification
+ * Failures are logged and swallowed - notifications should not break the main flow
+ *
+ * @param {Object} data - {recipient, type, title, message, relatedUser, relatedJourney, metadata}
+ * @returns {Promise<Object|null>} Notification document or null on failure
+ */
+const notify = async (data) => {
+  try {
+    return await Notification.create(data);
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Notify the admin an employee is assigned to
+ *
+ * @param {String|ObjectId} userId - Employee
+ * @param {Object} data - {type, title, message, relatedJourney, metadata}
+ * @returns {Promise<Object|null>} Notification document, or null when the employee has no assigned admin
+ *
+ * @example
+ * await notifyAssignedAdmin(journey.userId, {
+ *   type: 'journey_auto_cancelled',
+ *   title: 'Journey auto-cancelled',
+ *   relatedJourney: journey._id
+ * });
+ */
+const notifyAssignedAdmin = async (userId, data) => {
+  const user = await User.findById(userId).select('name assignedTo');
+
+  if (!user || !user.assignedTo) {
+    return null;
+  }
+
+  return notify({
+    ...data,
+    recipient: user.assignedTo,
+    relatedUser: user._id
+  });
+};
+
+module.exports = {
+  notify,
+  notifyAssignedAdmin
+};
@@ -0,0 +1,209 @@
+/**
+ * Payout Service
+ * Works out the reimbursements owed to employees and builds the payout batch files
+ *
+ * An employee is owed what their advance ledger balance is below zero, up to the approved
+ * amount of their unpaid expenses. The rest of those expenses is covered by the advance.
+ */
+
+const { format: formatDate } = require('date-fns');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const PayoutBatch = require('../models/PayoutBatch');
+const { getBalance } = require('./ledgerService');
+const { roundAmount } = require('../utils/currency');
+
+// Approved expenses not paid and not in an open batch (older expenses have no paymentStatus)
+const UNPAID_EXPENSE_FILTER = {
+  status: 'approved',
+  paymentStatus: { $nin: ['processing', 'paid'] }
+};
+
+// Columns of the UPI payout list
+const UPI_FILE_HEADERS = ['Payee Name', 'UPI ID', 'Amount', 'Reference', 'Narration', 'Employee ID'];
+
+/**
+ * How an employee can be paid
+ * @param {Object} user - User document
+ * @returns {String|null} 'bank_transfer', 'upi', or null without bank or UPI details
+ */
+const getPayoutMethod = (user) => {
+  if (user.bankDetails && user.bankDetails.accountNumber && user.bankDetails.ifscCode) {
+    return 'bank_transfer';
+  }
+  return user.upiId ? 'upi' : null;
+};
+
+/**
+ * Amount per employee already committed to open (draft or exported) batches
+ * Those lines are not in the ledger until the batch is confirmed
+ * @returns {Promise<Map>} userId -> net amount
+ */
+const getOpenBatchAmounts = async () => {
+  const rows = await PayoutBatch.aggregate([
+    { $match: { status: { $in: ['draft', 'exported'] } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.status': 'pending' } },
+    { $group: { _id: '$lines.userId', netAmount: { $sum: '$lines.netAmount' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.netAmount]));
+};
+
+/**
+ * Reimbursements owed per employee, ready to become payout batch lines
+ *
+ * @param {Object} options - { userIds } to restrict the employees (omit for everyone)
+ * @returns {Promise<Object>} { lines, skipped }
+ *
+ * @example
+ * const { lines, skipped } = await getPayableReimbursements({ userIds: assignedUserIds });
+ */
+const getPayableReimbursements = async ({ userIds } = {}) => {
+  const filter = { ...UNPAID_EXPENSE_FILTER, approvedAmount: { $gt: 0 } };
+  if (userIds) filter.userId = { $in: userIds };
+
+  const [expenses, openAmounts] = await Promise.all([
+    Expense.find(filter).select('userId approvedAmount').sort({ approvedAt: 1 }),
+    getOpenBatchAmounts()
+  ]);
+
+  const byUser = new Map();
+  expenses.forEach(expense => {
+    const key = expense.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(expense);
+  });
+
+  const lines = [];
+  const skipped = [];
+
+  for (const [userId, userExpenses] of byUser) {
+    const user = await User.findById(userId).select('name email employeeId bankDetails upiId');
+    if (!user) continue;
+
+    const grossAmount = roundAmount(userExpenses.reduce((sum, expense) => sum + expense.approvedAmount, 0));
+    const balance = await getBalance(userId);
+    const owed = Math.max(0, -balance - (openAmounts.get(userId) || 0));
+    const netAmount = roundAmount(Math.min(grossAmount, owed));
+
+    const method = netAmount > 0 ? getPayoutMethod(user) : 'advance_offset';
+    if (!method) {
+      skipped.push({
+        userId: user._id,
+        name: user.name,
+        netAmount,
+        reason: 'No bank account (with IFSC) or UPI ID on file'
+      });
+      continue;
+    }
+
+    lines.push({
+      userId: user._id,
+      payeeName: (user.bankDetails && user.bankDetails.accountHolderName) || user.name,
+      employeeId: user.employeeId,
+      email: user.email,
+      method,
+      accountNumber: method === 'bank_transfer' ? user.bankDetails.accountNumber : undefined,
+      ifscCode: method === 'bank_transfer' ? user.bankDetails.ifscCode : undefined,
+      bankName: method === 'bank_transfer' ? user.bankDetails.bankName : undefined,
+      upiId: method === 'upi' ? user.upiId : undefined,
+      expenseIds: userExpenses.map(expense => expense._id),
+      grossAmount,
+      advanceOffset: roundAmount(grossAmount - netAmount),
+      netAmount
+    });
+  }
+
+  return { lines, skipped };
+};
+
+/**
+ * Totals of a set of batch lines
+ * @param {Array} lines - Batch lines
+ * @returns {Object} { employees, expenses, grossAmount, advanceOffset, netAmount }
+ */
+const getBatchTotals = (lines) => ({
+  employees: lines.length,
+  expenses: lines.reduce((sum, line) => sum + line.expenseIds.length, 0),
+  grossAmount: roundAmount(lines.reduce((sum, line) => sum + line.grossAmount, 0)),
+  advanceOffset: roundAmount(lines.reduce((sum, line) => sum + line.advanceOffset, 0)),
+  netAmount: roundAmount(lines.reduce((sum, line) => sum + line.netAmount, 0))
+});
+
+/**
+ * Next batch number for a day, e.g. PB-20261019-003
+ * @param {Date} date - Batch date
+ * @returns {Promise<String>} Batch number
+ */
+const getNextBatchNumber = async (date = new Date()) => {
+  const prefix = `PB-${formatDate(date, 'yyyyMMdd')}-`;
+  const count = await PayoutBatch.countDocuments({ batchNumber: { $regex: `^${prefix}` } });
+  return `${prefix}${String(count + 1).padStart(3, '0')}`;
+};
+
+/**
+ * Payment reference of one line, e.g. PB-20261019-003-EMP042
+ * @returns {String} Reference
+ */
+const getLineReference = (batch, line) => `${batch.batchNumber}-${line.employeeId || line.userId}`;
+
+/**
+ * Rows of the NEFT/RTGS bulk-transfer file
+ *
+ * @param {Object} batch - PayoutBatch document
+ * @param {Object} layout - Settings.getPayoutBankFileLayout()
+ * @param {Date} valueDate - Transfer date printed in the file
+ * @returns {Object} { headers, rows } (rows are arrays in header order)
+ */
+const buildBankFile = (batch, layout, valueDate = new Date()) => {
+  const rows = batch.lines
+    .filter(line => line.method === 'bank_transfer' && line.status === 'pending' && line.netAmount > 0)
+    .map(line => {
+      const values = {
+        transferType: line.netAmount >= layout.rtgsThreshold ? 'RTGS' : 'NEFT',
+        beneficiaryName: line.payeeName,
+        accountNumber: line.accountNumber,
+        ifscCode: line.ifscCode,
+        bankName: line.bankName,
+        amount: line.netAmount.toFixed(2),
+        valueDate: formatDate(valueDate, layout.dateFormat || 'dd/MM/yyyy'),
+        debitAccountNumber: layout.debitAccountNumber,
+        reference: getLineReference(batch, line),
+        narration: `Expense reimbursement ${batch.batchNumber}`,
+        email: line.email,
+        employeeId: line.employeeId
+      };
+      return layout.columns.map(column => (column.field !== undefined ? values[column.field] ?? '' : column.value));
+    });
+
+  return { headers: layout.columns.map(column => column.header), rows };
+};
+
+/**
+ * Rows of the UPI payout list
+ * @param {Object} batch - PayoutBatch document
+ * @returns {Object} { headers, rows }
+ */
+const buildUpiFile = (batch) => {
+  const rows = batch.lines
+    .filter(line => line.method === 'upi' && line.status === 'pending' && line.netAmount > 0)
+    .map(line => [
+      line.payeeName,
+      line.upiId,
+      line.netAmount.toFixed(2),
+      getLineReference(batch, line),
+      `Expense reimbursement ${batch.batchNumber}`,
+      line.employeeId || ''
+    ]);
+
+  return { headers: UPI_FILE_HEADERS, rows };
+};
+
+module.exports = {
+  UNPAID_EXPENSE_FILTER,
+  getPayableReimbursements,
+  getBatchTotals,
+  getNextBatchNumber,
+  buildBankFile,
+  buildUpiFile
+};
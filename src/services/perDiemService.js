@@ -0,0 +1,300 @@
+/**
+ * Per-Diem Service
+ * Turns the time an employee spends on completed journeys into a daily allowance expense
+ */
+
+const Expense = require('../models/Expense');
+const Journey = require('../models/Journey');
+const Audit = require('../models/Audit');
+const Settings = require('../models/Settings');
+const { checkMonthLock } = require('./monthLockService');
+const { getSingleAllocation } = require('./costCenterService');
+const { refreshClaimsForExpenses } = require('./claimService');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Start of the day (server time zone) containing a date
+ * @param {Date|String} date - Any time on the day
+ * @returns {Date} Midnight at the start of the day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Add calendar days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Days touched by a time range
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Array<Date>} Start of each day from the start day to the end day
+ */
+const getDaysInRange = (start, end) => {
+  const days = [];
+  for (let day = startOfDay(start); day < new Date(end); day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Minutes covered by time ranges within one day (overlapping ranges are counted once)
+ * @param {Array} ranges - [{start, end}]
+ * @param {Date} day - Start of the day
+ * @returns {number} Minutes in the field on the day
+ */
+const getFieldMinutes = (ranges, day) => {
+  const dayStart = day.getTime();
+  const dayEnd = addDays(day, 1).getTime();
+
+  const clipped = ranges
+    .map(range => ({
+      start: Math.max(new Date(range.start).getTime(), dayStart),
+      end: Math.min(new Date(range.end).getTime(), dayEnd)
+    }))
+    .filter(range => range.end > range.start)
+    .sort((a, b) => a.start - b.start);
+
+  let total = 0;
+  let coveredUntil = dayStart;
+  clipped.forEach(range => {
+    const from = Math.max(range.start, coveredUntil);
+    if (range.end > from) {
+      total += range.end - from;
+      coveredUntil = range.end;
+    }
+  });
+
+  return Math.round(total / MS_PER_MINUTE);
+};
+
+/**
+ * Allowance for one day under the per-diem rules
+ * @param {number} fieldMinutes - Minutes in the field on the day
+ * @param {boolean} overnight - Whether a journey ran past midnight
+ * @param {Object} rules - Settings.getPerDiemRules()
+ * @returns {Object} { band: 'full_day'|'half_day'|null, dayAmount, overnightSupplement, amount }
+ */
+const evaluatePerDiem = (fieldMinutes, overnight, rules) => {
+  const hours = fieldMinutes / 60;
+  let band = null;
+  let dayAmount = 0;
+
+  if (hours >= rules.fullDayHours) {
+    band = 'full_day';
+    dayAmount = rules.fullDayAmount;
+  } else if (hours >= rules.halfDayHours) {
+    band = 'half_day';
+    dayAmount = rules.halfDayAmount;
+  }
+
+  const overnightSupplement = overnight ? rules.overnightSupplement : 0;
+
+  return {
+    band,
+    dayAmount,
+    overnightSupplement,
+    amount: dayAmount + overnightSupplement
+  };
+};
+
+/**
+ * Expense description for an allowance, e.g. "Per-diem allowance: full day + overnight (9h 30m in the field)"
+ * @param {Object} allowance - Result of evaluatePerDiem
+ * @param {number} fieldMinutes - Minutes in the field
+ * @returns {String} Description
+ */
+const describePerDiem = (allowance, fieldMinutes) => {
+  const parts = [];
+  if (allowance.band) parts.push(allowance.band.replace('_', ' '));
+  if (allowance.overnightSupplement > 0) parts.push('overnight');
+  const duration = `${Math.floor(fieldMinutes / 60)}h ${fieldMinutes % 60}m`;
+  return `Per-diem allowance: ${parts.join(' + ')} (${duration} in the field)`;
+};
+
+/**
+ * Create or update the per-diem expense for one employee and day
+ * All completed journeys on the day are evaluated together, so a second journey on the
+ * same day updates the existing allowance instead of adding another one
+ *
+ * @param {String|ObjectId} userId - Employee
+ * @param {Date} day - Start of the day
+ * @param {Object} rules - Settings.getPerDiemRules()
+ * @param {Object} context - { actorType, performedBy, ipAddress, userAgent } for audit
+ * @returns {Promise<Object>} { day, status: 'created'|'updated'|'unchanged'|'not_eligible'|'skipped', ... }
+ */
+const applyPerDiemForDay = async (userId, day, rules, context) => {
+  const dayEnd = addDays(day, 1);
+
+  const journeys = await Journey.find({
+    userId,
+    status: 'completed',
+    startTimestamp: { $lt: dayEnd },
+    endTimestamp: { $gt: day }
+  })
+    .sort({ startTimestamp: 1 })
+    .select('startTimestamp endTimestamp costCenterId');
+
+  const fieldMinutes = getFieldMinutes(
+    journeys.map(journey => ({ start: journey.startTimestamp, end: journey.endTimestamp })),
+    day
+  );
+  const overnight = journeys.some(journey => journey.endTimestamp > dayEnd);
+  const allowance = evaluatePerDiem(fieldMinutes, overnight, rules);
+  const result = { day, fieldMinutes, band: allowance.band, amount: allowance.amount };
+
+  const existing = await Expense.findOne({ userId, type: 'per_diem', 'perDiem.day': day });
+
+  // Approved or rejected allowances are not recalculated
+  if (existing && existing.status !== 'pending') {
+    return { ...result, expenseId: existing._id, status: 'skipped', reason: `Allowance already ${existing.status}` };
+  }
+  if (allowance.amount <= 0) {
+    return { ...result, expenseId: existing?._id, status: existing ? 'unchanged' : 'not_eligible' };
+  }
+
+  const journeyIds = journeys.map(journey => journey._id);
+  if (
+    existing &&
+    existing.amount === allowance.amount &&
+    existing.perDiem.journeyIds.map(String).join() === journeyIds.map(String).join()
+  ) {
+    return { ...result, expenseId: existing._id, status: 'unchanged' };
+  }
+
+  const lockError = await checkMonthLock(userId, day, 'record per-diem allowance');
+  if (lockError) {
+    return { ...result, expenseId: existing?._id, status: 'skipped', reason: lockError.message };
+  }
+
+  const perDiem = {
+    day,
+    journeyIds,
+    fieldMinutes,
+    band: allowance.band,
+    dayAmount: allowance.dayAmount,
+    overnight,
+    overnightSupplement: allowance.overnightSupplement,
+    calculatedAt: new Date()
+  };
+  const description = describePerDiem(allowance, fieldMinutes);
+
+  if (existing) {
+    const previousAmount = existing.amount;
+    existing.amount = allowance.amount;
+    existing.description = description;
+    existing.perDiem = perDiem;
+    await existing.save();
+    await refreshClaimsForExpenses(existing);
+
+    await Audit.log({
+      action: 'expense_updated',
+      actorType: context.actorType,
+      performedBy: context.performedBy,
+      targetUser: userId,
+      metadata: {
+        expenseId: existing._id,
+        type: 'per_diem',
+        day,
+        previousAmount,
+        amount: allowance.amount,
+        fieldMinutes,
+        journeyIds
+      },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    return { ...result, expenseId: existing._id, status: 'updated' };
+  }
+
+  // Linked to (and charged like) the first journey of the day
+  const expense = new Expense({
+    userId,
+    type: 'per_diem',
+    date: day,
+    description,
+    amount: allowance.amount,
+    journeyId: journeys[0]._id,
+    perDiem,
+    ...getSingleAllocation(journeys[0].costCenterId),
+    status: 'pending'
+  });
+  await expense.save();
+
+  await Audit.log({
+    action: 'expense_created',
+    actorType: context.actorType,
+    performedBy: context.performedBy,
+    targetUser: userId,
+    metadata: {
+      expenseId: expense._id,
+      journeyId: journeys[0]._id,
+      type: 'per_diem',
+      amount: allowance.amount,
+      description,
+      day,
+      fieldMinutes,
+      journeyIds
+    },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  return { ...result, expenseId: expense._id, status: 'created' };
+};
+
+/**
+ * Create or update the per-diem allowances for the days a completed journey covers
+ * Does nothing unless PER_DIEM_ENABLED is on
+ *
+ * @param {Object} journey - Completed Journey document
+ * @param {Object} context - Audit context
+ * @param {String} context.actorType - 'user' (default) or 'system'
+ * @param {String} context.performedBy - User completing the journey (null for system actions)
+ * @param {String} context.ipAddress - Request IP for audit
+ * @param {String} context.userAgent - Request user agent for audit
+ * @returns {Promise<Array>} One result per day (see applyPerDiemForDay)
+ *
+ * @example
+ * const perDiem = await applyPerDiem(journey, { performedBy: userId });
+ */
+const applyPerDiem = async (journey, context = {}) => {
+  const rules = await Settings.getPerDiemRules();
+  if (!rules.enabled || journey.status !== 'completed' || !journey.endTimestamp) {
+    return [];
+  }
+
+  const auditContext = { actorType: 'user', ...context };
+  const results = [];
+  for (const day of getDaysInRange(journey.startTimestamp, journey.endTimestamp)) {
+    try {
+      results.push(await applyPerDiemForDay(journey.userId, day, rules, auditContext));
+    } catch (error) {
+      // Another journey created the day's allowance first - recalculate against it
+      if (error.code !== 11000) throw error;
+      results.push(await applyPerDiemForDay(journey.userId, day, rules, auditContext));
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  getDaysInRange,
+  getFieldMinutes,
+  evaluatePerDiem,
+  applyPerDiem
+};
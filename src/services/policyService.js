@@ -0,0 +1,153 @@
+/**
+ * Expense Policy Service
+ * Evaluates per-type spending limits for an expense before it is saved
+ */
+
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const Settings = require('../models/Settings');
+const { formatMoney } = require('../utils/currency');
+
+/**
+ * Human-readable expense type, e.g. 'car_rental' → 'Car rental'
+ * @param {String} type - Expense type
+ * @returns {String} Label
+ */
+const formatType = (type) => {
+  const label = (type || '').replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Total of the owner's other expenses of the same type in a date range
+ * Rejected expenses do not count towards a limit
+ *
+ * @param {Object} params - { userId, type, from, to, excludeExpenseId }
+ * @returns {Promise<Number>} Total amount
+ */
+const sumExpenses = async ({ userId, type, from, to, excludeExpenseId }) => {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId.toString()),
+    type,
+    status: { $ne: 'rejected' },
+    date: { $gte: from, $lte: to }
+  };
+  if (excludeExpenseId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeExpenseId.toString()) };
+  }
+
+  const result = await Expense.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+};
+
+/**
+ * Evaluate the active policy for an expense
+ * Day and month totals include the expense being evaluated
+ *
+ * @param {Object} expense - { userId, type, date, amount, nights, _id (when updating) }
+ * @returns {Promise<Object>} { policy, violations: Array, blocked: Boolean }
+ *
+ * @example
+ * const { violations, blocked } = await evaluateExpensePolicy({ userId, type, date, amount });
+ * if (blocked) return sendPolicyViolation(res, violations);
+ */
+const evaluateExpensePolicy = async (expense) => {
+  const policy = await ExpensePolicy.findActivePolicy(expense.type);
+  if (!policy) {
+    return { policy: null, violations: [], blocked: false };
+  }
+
+  const label = formatType(expense.type);
+  const baseCurrency = await Settings.getBaseCurrency();
+  const money = (value) => formatMoney(value, baseCurrency);
+  const amount = expense.amount || 0;
+  const date = expense.date ? new Date(expense.date) : new Date();
+  const violations = [];
+
+  const addViolation = (rule, limit, actual, message) => {
+    violations.push({
+      rule,
+      limit,
+      actual: parseFloat(actual.toFixed(2)),
+      enforcement: policy.enforcement,
+      message
+    });
+  };
+
+  // 1. Single expense
+  if (policy.perExpenseLimit !== null && amount > policy.perExpenseLimit) {
+    addViolation('per_expense', policy.perExpenseLimit, amount,
+      `${label} expense of ${money(amount)} exceeds the per-expense limit of ${money(policy.perExpenseLimit)}`);
+  }
+
+  // 2. Per night (lodging)
+  if (policy.perNightLimit !== null && expense.type === 'lodging') {
+    const nights = expense.nights || 1;
+    const perNight = amount / nights;
+    if (perNight > policy.perNightLimit) {
+      addViolation('per_night', policy.perNightLimit, perNight,
+        `Lodging of ${money(perNight)} per night (${nights} night${nights > 1 ? 's' : ''}) exceeds the per-night limit of ${money(policy.perNightLimit)}`);
+    }
+  }
+
+  const owner = {
+    userId: expense.userId,
+    type: expense.type,
+    excludeExpenseId: expense._id
+  };
+
+  // 3. Daily total
+  if (policy.perDayLimit !== null) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    const dayTotal = await sumExpenses({ ...owner, from: dayStart, to: dayEnd }) + amount;
+    if (dayTotal > policy.perDayLimit) {
+      addViolation('per_day', policy.perDayLimit, dayTotal,
+        `${label} expenses of ${money(dayTotal)} on ${dayStart.toDateString()} exceed the daily limit of ${money(policy.perDayLimit)}`);
+    }
+  }
+
+  // 4. Monthly total
+  if (policy.perMonthLimit !== null) {
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
+    const monthTotal = await sumExpenses({ ...owner, from: monthStart, to: monthEnd }) + amount;
+    if (monthTotal > policy.perMonthLimit) {
+      const period = monthStart.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+      addViolation('per_month', policy.perMonthLimit, monthTotal,
+        `${label} expenses of ${money(monthTotal)} in ${period} exceed the monthly limit of ${money(policy.perMonthLimit)}`);
+    }
+  }
+
+  return {
+    policy,
+    violations,
+    blocked: violations.length > 0 && policy.enforcement === 'block'
+  };
+};
+
+/**
+ * Send a POLICY_VIOLATION error response for a blocked expense
+ *
+ * @param {Object} res - Express response object
+ * @param {Array} violations - Violations from evaluateExpensePolicy
+ * @returns {Object} Express response
+ */
+const sendPolicyViolation = (res, violations) => {
+  return res.status(400).json({
+    success: false,
+    code: 'POLICY_VIOLATION',
+    message: violations.map(violation => violation.message).join('. '),
+    data: { violations }
+  });
+};
+
+module.exports = {
+  evaluateExpensePolicy,
+  sendPolicyViolation
+};
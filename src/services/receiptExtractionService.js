@@ -0,0 +1,281 @@
+/**
+ * Receipt Extraction Service
+ * Pluggable OCR engines selected through Settings (RECEIPT_EXTRACTION_ENGINE)
+ *
+ * Engines:
+ * - none: Extraction disabled
+ * - local: Tesseract OCR installed on the server (RECEIPT_OCR_COMMAND, default "tesseract"); runs offline
+ * - http: Self-hosted extraction endpoint (RECEIPT_EXTRACTION_ENDPOINT_URL)
+ * - fake: Deterministic offline engine for local testing (FAKE_RECEIPT_TEXT)
+ *
+ * Engines return OCR text, parsed with utils/receiptParser, or ready-made fields.
+ * Extraction never fails an upload; errors are recorded on the result.
+ */
+
+const { execFile } = require('child_process');
+const axios = require('axios');
+const Settings = require('../models/Settings');
+const Upload = require('../models/Upload');
+const { parseReceiptText } = require('../utils/receiptParser');
+const { roundAmount } = require('../utils/currency');
+
+// Time allowed for one receipt
+const EXTRACTION_TIMEOUT_MS = 20000;
+
+// Fields suggested from a receipt
+const RECEIPT_FIELDS = ['amount', 'date', 'vendor', 'gstin', 'taxableValue', 'cgst', 'sgst', 'igst'];
+
+// Receipt file types the engines can read
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const RECEIPT_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+// Sample receipt for the fake engine
+const FAKE_RECEIPT_TEXT = [
+  'FIELDX TEST VENDOR',
+  'GSTIN: 27AAPFU0939F1ZV',
+  'Date: 14/10/2026',
+  'Sub Total 1,000.00',
+  'CGST @ 9% 90.00',
+  'SGST @ 9% 90.00',
+  'Grand Total 1,180.00'
+].join('\n');
+
+/**
+ * Engine implementations
+ * Each engine resolves to { text } or { fields } or throws
+ */
+const engines = {
+  local: (buffer, file, config) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      throw new Error(`The local engine reads images only (got ${file.mimetype})`);
+    }
+
+    return new Promise((resolve, reject) => {
+      // "tesseract stdin stdout" reads the image from stdin and prints the text
+      const child = execFile(
+        config.ocrCommand,
+        ['stdin', 'stdout', '--psm', '4'],
+        { timeout: EXTRACTION_TIMEOUT_MS, maxBuffer: 1024 * 1024 },
+        (error, stdout) => {
+          if (error) {
+            return reject(new Error(`OCR command failed: ${error.message}`));
+          }
+          resolve({ text: stdout });
+        }
+      );
+      child.stdin.on('error', () => {}); // Reported through the exit callback
+      child.stdin.end(buffer);
+    });
+  },
+
+  http: async (buffer, file, config) => {
+    if (!config.endpointUrl) {
+      throw new Error('Receipt extraction endpoint URL not configured');
+    }
+
+    // The endpoint receives the raw file and answers { text } or { fields }
+    const response = await axios.post(config.endpointUrl, buffer, {
+      headers: {
+        'Content-Type': file.mimetype,
+        'X-Filename': encodeURIComponent(file.filename || 'receipt')
+      },
+      timeout: EXTRACTION_TIMEOUT_MS,
+      maxBodyLength: Infinity
+    });
+
+    if (typeof response.data?.text !== 'string' && !response.data?.fields) {
+      throw new Error('Extraction endpoint returned neither text nor fields');
+    }
+    return response.data;
+  },
+
+  fake: async () => {
+    if (process.env.FAKE_RECEIPT_EXTRACTION_FAIL === 'true') {
+      throw new Error('Fake receipt extraction failure');
+    }
+    return { text: process.env.FAKE_RECEIPT_TEXT || FAKE_RECEIPT_TEXT };
+  }
+};
+
+/**
+ * Keep known fields in { value, confidence } form with confidence between 0 and 1
+ * @param {Object} fields - Fields from the parser or an extraction endpoint
+ * @returns {Object} Normalized fields (missing fields are null)
+ */
+const normalizeFields = (fields = {}) => {
+  const normalized = {};
+  RECEIPT_FIELDS.forEach(field => {
+    const entry = fields[field];
+    if (!entry || entry.value === undefined || entry.value === null || entry.value === '') {
+      normalized[field] = null;
+      return;
+    }
+    const confidence = Number(entry.confidence);
+    normalized[field] = {
+      value: entry.value,
+      confidence: isNaN(confidence) ? 0 : Math.min(Math.max(confidence, 0), 1)
+    };
+  });
+  return normalized;
+};
+
+/**
+ * Resolve receipt extraction configuration from Settings
+ * @returns {Promise<Object>} { engine, endpointUrl, ocrCommand, minConfidence, amountTolerancePercent }
+ */
+const getExtractionConfig = async () => {
+  const [engine, endpointUrl, minConfidence, amountTolerancePercent] = await Promise.all([
+    Settings.getSetting('RECEIPT_EXTRACTION_ENGINE'),
+    Settings.getSetting('RECEIPT_EXTRACTION_ENDPOINT_URL'),
+    Settings.getSetting('RECEIPT_MIN_CONFIDENCE'),
+    Settings.getSetting('RECEIPT_AMOUNT_TOLERANCE_PERCENT')
+  ]);
+
+  return {
+    engine: engine || 'none',
+    endpointUrl: endpointUrl || process.env.RECEIPT_EXTRACTION_ENDPOINT_URL || null,
+    // Server-side only: the command is never taken from Settings
+    ocrCommand: process.env.RECEIPT_OCR_COMMAND || 'tesseract',
+    minConfidence: minConfidence ?? 0.6,
+    amountTolerancePercent: amountTolerancePercent ?? 2
+  };
+};
+
+/**
+ * Extract suggested expense values from an uploaded receipt with the configured engine
+ *
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { filename, mimetype }
+ * @param {Object} overrides - Optional config overrides {engine, endpointUrl, ocrCommand}
+ * @returns {Promise<Object>} { engine, status ('completed'|'failed'|'skipped'), fields, error, extractedAt }
+ *
+ * @example
+ * const extraction = await extractReceipt(file.buffer, { filename: file.originalname, mimetype: file.mimetype });
+ * // extraction.fields.amount => { value: 1180, confidence: 0.9 }
+ */
+const extractReceipt = async (buffer, file, overrides = {}) => {
+  const config = { ...(await getExtractionConfig()), ...overrides };
+  const result = {
+    engine: config.engine,
+    status: 'skipped',
+    fields: null,
+    error: null,
+    extractedAt: new Date()
+  };
+
+  const engine = engines[config.engine];
+  if (!engine) {
+    if (config.engine !== 'none') {
+      result.error = `Unknown receipt extraction engine: ${config.engine}`;
+    }
+    return result;
+  }
+  if (!RECEIPT_TYPES.includes(file.mimetype)) {
+    return result;
+  }
+
+  try {
+    const output = await engine(buffer, file, config);
+    result.fields = normalizeFields(output.fields || parseReceiptText(output.text));
+    result.status = 'completed';
+  } catch (error) {
+    console.warn(`Receipt extraction engine "${config.engine}" failed: ${error.message}`);
+    result.status = 'failed';
+    result.error = error.message;
+  }
+  return result;
+};
+
+/**
+ * Combine the values extracted from an expense's receipts
+ * Amounts are added across receipts; other fields come from the most confident receipt
+ * Fields below RECEIPT_MIN_CONFIDENCE are left out
+ *
+ * @param {Array} attachments - Expense attachments [{url}]
+ * @param {Object} config - Optional config from getExtractionConfig
+ * @returns {Promise<Object>} { engine, fields } with only confident fields, or { engine: null, fields: {} }
+ */
+const getReceiptSuggestions = async (attachments = [], config = null) => {
+  const urls = [...new Set((attachments || []).map(attachment => attachment.url).filter(Boolean))];
+  const extractions = [...(await Upload.getExtractionsByUrl(urls)).values()];
+  if (extractions.length === 0) {
+    return { engine: null, fields: {} };
+  }
+
+  const { minConfidence } = config || await getExtractionConfig();
+  const fields = {};
+
+  RECEIPT_FIELDS.forEach(field => {
+    const entries = extractions
+      .map(extraction => extraction.fields?.[field])
+      .filter(entry => entry && entry.confidence >= minConfidence);
+
+    // Every attachment must yield an amount for the sum to stand for the expense
+    if (field === 'amount') {
+      if (entries.length === urls.length) {
+        fields.amount = {
+          value: roundAmount(entries.reduce((sum, entry) => sum + Number(entry.value), 0)),
+          confidence: Math.min(...entries.map(entry => entry.confidence))
+        };
+      }
+      return;
+    }
+
+    if (entries.length > 0) {
+      fields[field] = entries.reduce((best, entry) => (entry.confidence > best.confidence ? entry : best));
+    }
+  });
+
+  return { engine: extractions[0].engine, fields };
+};
+
+/**
+ * Cross-check an expense's entered amount against its receipts and record the result (not saved)
+ * The amount is compared in the currency it was entered in
+ *
+ * @param {Object} expense - Expense document
+ * @param {Array<String>} prefilled - Fields filled from the receipt when the expense was created
+ * @returns {Promise<Object>} The receipt check
+ *
+ * @example
+ * await applyReceiptCheck(expense);
+ * await expense.save();
+ */
+const applyReceiptCheck = async (expense, prefilled = []) => {
+  const config = await getExtractionConfig();
+  const { engine, fields } = expense.type === 'journey'
+    ? { engine: null, fields: {} }
+    : await getReceiptSuggestions(expense.attachments, config);
+
+  const enteredAmount = expense.originalAmount ?? expense.amount;
+  const check = {
+    status: 'unavailable',
+    engine,
+    extractedAmount: fields.amount ? fields.amount.value : null,
+    enteredAmount,
+    difference: null,
+    confidence: fields.amount ? fields.amount.confidence : null,
+    extractedDate: fields.date ? new Date(fields.date.value) : null,
+    prefilled: prefilled.length > 0 ? prefilled : (expense.receiptCheck?.prefilled || []),
+    checkedAt: new Date()
+  };
+
+  if (fields.amount) {
+    const difference = roundAmount(Math.abs(enteredAmount - fields.amount.value));
+    const tolerance = Math.max(fields.amount.value * config.amountTolerancePercent / 100, 1);
+    check.difference = difference;
+    check.status = difference > tolerance ? 'mismatch' : 'matched';
+  }
+
+  expense.receiptCheck = check;
+  expense.hasReceiptMismatch = check.status === 'mismatch';
+  return check;
+};
+
+module.exports = {
+  RECEIPT_EXTRACTION_ENGINES: ['none', ...Object.keys(engines)],
+  getExtractionConfig,
+  extractReceipt,
+  getReceiptSuggestions,
+  applyReceiptCheck
+};
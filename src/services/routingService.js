@@ -0,0 +1,205 @@
+/**
+ * Routing Service
+ * Pluggable road-distance providers selected through Settings (ROUTING_PROVIDER)
+ *
+ * Providers:
+ * - google: Google Maps Distance Matrix (GOOGLE_MAPS_API_KEY)
+ * - osrm: Self-hosted OSRM-compatible endpoint (ROUTING_ENDPOINT_URL)
+ * - graphhopper: Self-hosted GraphHopper-compatible endpoint (ROUTING_ENDPOINT_URL)
+ * - haversine: Straight-line distance multiplied by ROAD_FACTOR
+ * - fake: Deterministic offline provider for local testing
+ */
+
+const axios = require('axios');
+const Settings = require('../models/Settings');
+const {
+  calculateDistanceWithGoogleMaps,
+  calculateDistanceWithHaversine,
+  isValidCoordinate
+} = require('../utils/distanceCalculator');
+
+// HTTP timeout for self-hosted routing endpoints
+const ROUTING_TIMEOUT_MS = 10000;
+
+// Average speed used to estimate duration when a provider has none (km/h)
+const ESTIMATED_SPEED_KMH = 40;
+
+/**
+ * Round a distance in meters to kilometers (2 decimal places)
+ * @param {number} meters - Distance in meters
+ * @returns {number} Distance in kilometers
+ */
+const metersToKm = (meters) => parseFloat((meters / 1000).toFixed(2));
+
+/**
+ * Straight-line distance scaled by the road factor
+ * @param {Object} origin - {latitude, longitude}
+ * @param {Object} destination - {latitude, longitude}
+ * @param {number} roadFactor - Multiplier applied to the straight-line distance
+ * @returns {number} Distance in kilometers
+ */
+const roadAdjustedDistance = (origin, destination, roadFactor) => {
+  const { distance } = calculateDistanceWithHaversine(origin, destination);
+  return parseFloat((distance * roadFactor).toFixed(2));
+};
+
+/**
+ * Provider implementations
+ * Each provider resolves to { distance (km), duration (minutes|null) } or throws
+ */
+const providers = {
+  google: async (origin, destination) => {
+    const result = await calculateDistanceWithGoogleMaps(origin, destination);
+    return { distance: result.distance, duration: result.duration };
+  },
+
+  osrm: async (origin, destination, config) => {
+    if (!config.endpointUrl) {
+      throw new Error('Routing endpoint URL not configured');
+    }
+
+    const coordinates = `${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}`;
+    const response = await axios.get(
+      `${config.endpointUrl.replace(/\/$/, '')}/route/v1/driving/${coordinates}`,
+      { params: { overview: 'false' }, timeout: ROUTING_TIMEOUT_MS }
+    );
+
+    const route = response.data?.routes?.[0];
+    if (response.data?.code !== 'Ok' || !route) {
+      throw new Error(`No route found: ${response.data?.code || 'Unknown error'}`);
+    }
+
+    return {
+      distance: metersToKm(route.distance),
+      duration: Math.round(route.duration / 60)
+    };
+  },
+
+  graphhopper: async (origin, destination, config) => {
+    if (!config.endpointUrl) {
+      throw new Error('Routing endpoint URL not configured');
+    }
+
+    const response = await axios.get(`${config.endpointUrl.replace(/\/$/, '')}/route`, {
+      params: {
+        point: [
+          `${origin.latitude},${origin.longitude}`,
+          `${destination.latitude},${destination.longitude}`
+        ],
+        profile: 'car',
+        calc_points: false
+      },
+      paramsSerializer: { indexes: null }, // point=a&point=b
+      timeout: ROUTING_TIMEOUT_MS
+    });
+
+    const path = response.data?.paths?.[0];
+    if (!path) {
+      throw new Error(`No route found: ${response.data?.message || 'Unknown error'}`);
+    }
+
+    return {
+      distance: metersToKm(path.distance),
+      duration: Math.round(path.time / 1000 / 60)
+    };
+  },
+
+  haversine: async (origin, destination, config) => {
+    return {
+      distance: roadAdjustedDistance(origin, destination, config.roadFactor),
+      duration: null
+    };
+  },
+
+  fake: async (origin, destination, config) => {
+    if (process.env.FAKE_ROUTING_FAIL === 'true') {
+      throw new Error('Fake routing provider failure');
+    }
+
+    const distance = roadAdjustedDistance(origin, destination, config.roadFactor);
+    return {
+      distance,
+      duration: Math.round((distance / ESTIMATED_SPEED_KMH) * 60)
+    };
+  }
+};
+
+/**
+ * Resolve routing configuration from Settings
+ * @returns {Promise<Object>} { provider, endpointUrl, roadFactor }
+ */
+const getRoutingConfig = async () => {
+  const [provider, endpointUrl, roadFactor] = await Promise.all([
+    Settings.getSetting('ROUTING_PROVIDER'),
+    Settings.getSetting('ROUTING_ENDPOINT_URL'),
+    Settings.getSetting('ROAD_FACTOR')
+  ]);
+
+  return {
+    provider: provider || 'haversine',
+    endpointUrl: endpointUrl || process.env.ROUTING_ENDPOINT_URL || null,
+    roadFactor: roadFactor || 1
+  };
+};
+
+/**
+ * Calculate the road distance between two points using the configured provider
+ * Falls back to Haversine × ROAD_FACTOR when the provider fails
+ *
+ * @param {Object} origin - Origin coordinates {latitude, longitude}
+ * @param {Object} destination - Destination coordinates {latitude, longitude}
+ * @param {Object} overrides - Optional config overrides {provider, endpointUrl, roadFactor}
+ * @returns {Promise<Object>} { provider, distance, duration, fallback, error, calculatedAt }
+ *
+ * @example
+ * const route = await getRoute(journey.startCoordinates, endCoordinates);
+ * journey.routing = route;
+ */
+const getRoute = async (origin, destination, overrides = {}) => {
+  if (!isValidCoordinate(origin) || !isValidCoordinate(destination)) {
+    throw new Error('Invalid GPS coordinates provided');
+  }
+
+  const config = { ...(await getRoutingConfig()), ...overrides };
+  const provider = providers[config.provider];
+
+  if (provider) {
+    try {
+      const result = await provider(origin, destination, config);
+      return {
+        provider: config.provider,
+        distance: result.distance,
+        duration: result.duration,
+        fallback: false,
+        error: null,
+        calculatedAt: new Date()
+      };
+    } catch (error) {
+      console.warn(`Routing provider "${config.provider}" failed: ${error.message}. Using Haversine.`);
+      return buildFallbackRoute(origin, destination, config, error.message);
+    }
+  }
+
+  return buildFallbackRoute(origin, destination, config, `Unknown routing provider: ${config.provider}`);
+};
+
+/**
+ * Build a Haversine × ROAD_FACTOR route used when the configured provider is unavailable
+ * @returns {Object} Route result with fallback flag set
+ */
+const buildFallbackRoute = (origin, destination, config, errorMessage) => {
+  return {
+    provider: 'haversine',
+    distance: roadAdjustedDistance(origin, destination, config.roadFactor),
+    duration: null,
+    fallback: true,
+    error: errorMessage,
+    calculatedAt: new Date()
+  };
+};
+
+module.exports = {
+  ROUTING_PROVIDERS: Object.keys(providers),
+  getRoutingConfig,
+  getRoute
+};
@@ -0,0 +1,62 @@
+/**
+ * Currency Utility
+ * Currency codes, symbols and amount formatting
+ */
+
+// Default base currency when BASE_CURRENCY is not configured
+const DEFAULT_BASE_CURRENCY = 'INR';
+
+// Symbols printed in reports (other currencies print their ISO code)
+const CURRENCY_SYMBOLS = {
+  INR: '₹',
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  AED: 'AED ',
+  SGD: 'S$',
+  AUD: 'A$',
+  CAD: 'C$'
+};
+
+/**
+ * Whether a value is a three-letter ISO 4217 currency code
+ * @param {String} code - Currency code
+ * @returns {Boolean}
+ */
+const isValidCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Symbol (or code prefix) for a currency
+ * @param {String} currency - ISO 4217 code
+ * @returns {String} e.g. "₹", "$", "CHF "
+ */
+const getCurrencySymbol = (currency = DEFAULT_BASE_CURRENCY) => {
+  return CURRENCY_SYMBOLS[currency] || `${currency} `;
+};
+
+/**
+ * Round an amount to 2 decimal places
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Format an amount with its currency symbol
+ * @param {number} amount - Amount
+ * @param {String} currency - ISO 4217 code
+ * @returns {String} e.g. "₹1250.00", "$15.00"
+ */
+const formatMoney = (amount, currency = DEFAULT_BASE_CURRENCY) => {
+  return `${getCurrencySymbol(currency)}${(amount || 0).toFixed(2)}`;
+};
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  CURRENCY_SYMBOLS,
+  isValidCurrencyCode,
+  getCurrencySymbol,
+  roundAmount,
+  formatMoney
+};
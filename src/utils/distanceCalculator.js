@@ -204,7 +204,7 @@ const sleep = (ms) => {
  * @returns {number} Cost in rupees
  */
 const calculateJourneyCost = (distance, rate) => {
-  if (!rate || typeof rate !== 'number' || rate <= 0) {
+  if (typeof rate !== 'number' || Number.isNaN(rate) || rate < 0) {
     throw new Error('Valid rate per kilometer is required for journey cost calculation');
   }
 
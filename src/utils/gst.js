@@ -0,0 +1,122 @@
+/**
+ * GST Utility
+ * GSTIN validation and input-tax-credit helpers
+ */
+
+// GSTIN layout: state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// First two digits of a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (old)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+/**
+ * Check character of a GSTIN (mod-36 checksum over the first 14 characters)
+ * @param {String} gstin - GSTIN (at least 14 characters, uppercase)
+ * @returns {String} Expected 15th character
+ */
+const computeGstinCheckChar = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Whether a value is a well-formed GSTIN with a known state code and valid check character
+ * @param {String} gstin - GSTIN
+ * @returns {Boolean}
+ */
+const isValidGstin = (gstin) => {
+  if (typeof gstin !== 'string' || !GSTIN_PATTERN.test(gstin)) return false;
+  if (!GST_STATE_CODES[gstin.slice(0, 2)]) return false;
+  return computeGstinCheckChar(gstin) === gstin[14];
+};
+
+/**
+ * State of registration of a GSTIN
+ * @param {String} gstin - GSTIN
+ * @returns {Object|null} { code, name }
+ */
+const getGstinState = (gstin) => {
+  const code = gstin ? gstin.slice(0, 2) : null;
+  return GST_STATE_CODES[code] ? { code, name: GST_STATE_CODES[code] } : null;
+};
+
+/**
+ * Total tax on a GST invoice
+ * @param {Object} gst - Expense GST details
+ * @returns {number} CGST + SGST + IGST
+ */
+const getTotalTax = (gst) => {
+  if (!gst) return 0;
+  return (gst.cgst || 0) + (gst.sgst || 0) + (gst.igst || 0);
+};
+
+/**
+ * GST filing period of a date
+ * @param {Date} date - Expense date
+ * @param {String} period - 'month' or 'quarter'
+ * @returns {String} e.g. "2026-10" or "2026-Q4"
+ */
+const getTaxPeriod = (date, period = 'month') => {
+  const value = new Date(date);
+  const year = value.getFullYear();
+  if (period === 'quarter') {
+    return `${year}-Q${Math.floor(value.getMonth() / 3) + 1}`;
+  }
+  return `${year}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+module.exports = {
+  GSTIN_PATTERN,
+  GST_STATE_CODES,
+  computeGstinCheckChar,
+  isValidGstin,
+  getGstinState,
+  getTotalTax,
+  getTaxPeriod
+};
@@ -0,0 +1,189 @@
+/**
+ * Receipt Parser Utility
+ * Pulls amount, date, vendor and GST values out of OCR text
+ *
+ * Each field resolves to { value, confidence } (confidence 0-1) or null when not found.
+ * Dates are read day-first (DD/MM/YYYY), as printed on Indian receipts.
+ */
+
+const { isValidGstin } = require('./gst');
+
+// Amounts such as "1,180.00", "1180", "₹ 1,18,000.50"
+const AMOUNT_PATTERN = /(?:₹|rs\.?|inr)?\s*([0-9]{1,3}(?:,[0-9]{2,3})+(?:\.[0-9]{1,2})?|[0-9]+(?:\.[0-9]{1,2})?)/gi;
+
+// Total lines, strongest first
+const TOTAL_KEYWORDS = [
+  { pattern: /(grand\s*total|amount\s*payable|net\s*payable|total\s*payable|amount\s*paid|balance\s*due)/i, confidence: 0.9 },
+  { pattern: /(net\s*amount|total\s*amount|bill\s*amount|\btotal\b)/i, confidence: 0.8 },
+  { pattern: /\b(amount|amt)\b/i, confidence: 0.7 }
+];
+
+// Total lines that are not the bill total
+const NON_TOTAL_PATTERN = /(sub\s*-?\s*total|total\s*(tax|gst|qty|quantity|items?)|taxable)/i;
+
+// Lines that are not the vendor name
+const NON_VENDOR_PATTERN = /(invoice|receipt|\bbill\b|tax|gst|date|\b(ph|phone|tel|mob|mobile)\b|email|www\.|http|cash\s*memo|[0-9]{5,}|[0-9]+\.[0-9]{2})/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_PATTERNS = [
+  // 2026-10-14
+  { pattern: /\b(20[0-9]{2})[-/.](0?[1-9]|1[0-2])[-/.](0?[1-9]|[12][0-9]|3[01])\b/, order: ['year', 'month', 'day'], confidence: 0.85 },
+  // 14 Oct 2026, 14-Oct-26
+  { pattern: /\b(0?[1-9]|[12][0-9]|3[01])[\s-]*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s,-]*((?:20)?[0-9]{2})\b/i, order: ['day', 'monthName', 'year'], confidence: 0.85 },
+  // 14/10/2026, 14-10-26
+  { pattern: /\b(0?[1-9]|[12][0-9]|3[01])[-/.](0?[1-9]|1[0-2])[-/.]((?:20)?[0-9]{2})\b/, order: ['day', 'month', 'year'], confidence: 0.75 }
+];
+
+/**
+ * Parse an amount string
+ * @param {String} text - e.g. "1,18,000.50"
+ * @returns {number}
+ */
+const parseAmount = (text) => parseFloat(text.replace(/,/g, ''));
+
+/**
+ * Last amount with a decimal part on a line (the value column of a receipt)
+ * Falls back to the last amount when none has decimals
+ * @param {String} line - Text line
+ * @returns {number|null}
+ */
+const lastAmountOnLine = (line) => {
+  const matches = [...line.matchAll(AMOUNT_PATTERN)];
+  const decimal = matches.filter(match => match[1].includes('.'));
+  const match = (decimal.length > 0 ? decimal : matches).pop();
+  return match ? parseAmount(match[1]) : null;
+};
+
+/**
+ * Bill total
+ * @param {Array<String>} lines - Receipt lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractAmount = (lines) => {
+  for (const keyword of TOTAL_KEYWORDS) {
+    // The last matching line is usually the final total
+    const line = lines.filter(text => keyword.pattern.test(text) && !NON_TOTAL_PATTERN.test(text)).pop();
+    const value = line ? lastAmountOnLine(line) : null;
+    if (value) {
+      return { value, confidence: keyword.confidence };
+    }
+  }
+
+  // No total line: the largest decimal amount is a weak guess
+  const amounts = lines
+    .flatMap(line => [...line.matchAll(AMOUNT_PATTERN)])
+    .filter(match => match[1].includes('.'))
+    .map(match => parseAmount(match[1]));
+  return amounts.length > 0 ? { value: Math.max(...amounts), confidence: 0.4 } : null;
+};
+
+/**
+ * Bill date
+ * @param {Array<String>} lines - Receipt lines
+ * @returns {Object|null} { value (YYYY-MM-DD), confidence }
+ */
+const extractDate = (lines) => {
+  // Prefer lines labelled as a date
+  const ordered = [
+    ...lines.filter(line => /date|dt\b/i.test(line)),
+    ...lines.filter(line => !/date|dt\b/i.test(line))
+  ];
+
+  for (const line of ordered) {
+    for (const { pattern, order, confidence } of DATE_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const parts = {};
+      order.forEach((part, index) => { parts[part] = match[index + 1]; });
+      const year = parts.year.length === 2 ? 2000 + parseInt(parts.year) : parseInt(parts.year);
+      const month = parts.monthName
+        ? MONTHS.indexOf(parts.monthName.slice(0, 3).toLowerCase()) + 1
+        : parseInt(parts.month);
+      const day = parseInt(parts.day);
+
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (date.getUTCDate() !== day || date > new Date(Date.now() + 24 * 60 * 60 * 1000)) continue;
+
+      const labelled = /date|dt\b/i.test(line);
+      return {
+        value: date.toISOString().slice(0, 10),
+        confidence: Math.min(confidence + (labelled ? 0.1 : 0), 0.95)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Vendor name (first line of the receipt header that looks like a name)
+ * @param {Array<String>} lines - Receipt lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractVendor = (lines) => {
+  const line = lines
+    .slice(0, 5)
+    .find(text => /[a-z]{3,}/i.test(text) && !NON_VENDOR_PATTERN.test(text));
+  if (!line) return null;
+
+  return {
+    value: line.replace(/\s+/g, ' ').slice(0, 200),
+    confidence: line === line.toUpperCase() ? 0.6 : 0.5
+  };
+};
+
+/**
+ * Vendor GSTIN (first one with a valid check character)
+ * @param {String} text - Receipt text
+ * @returns {Object|null} { value, confidence }
+ */
+const extractGstin = (text) => {
+  const candidates = text.toUpperCase().match(/\b[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g) || [];
+  const gstin = candidates.find(isValidGstin);
+  return gstin ? { value: gstin, confidence: 0.95 } : null;
+};
+
+/**
+ * Amount on the first line matching a label
+ * @param {Array<String>} lines - Receipt lines
+ * @param {RegExp} pattern - Line label
+ * @param {number} confidence - Confidence when found
+ * @returns {Object|null} { value, confidence }
+ */
+const extractLabelledAmount = (lines, pattern, confidence) => {
+  const line = lines.find(text => pattern.test(text));
+  const value = line ? lastAmountOnLine(line) : null;
+  return value !== null ? { value, confidence } : null;
+};
+
+/**
+ * Extract suggested expense values from receipt text
+ * @param {String} text - OCR text of a receipt
+ * @returns {Object} { amount, date, vendor, gstin, taxableValue, cgst, sgst, igst } each { value, confidence } or null
+ *
+ * @example
+ * parseReceiptText('HOTEL SAI PALACE\nDate: 14/10/2026\nGrand Total 1,180.00')
+ * // { amount: { value: 1180, confidence: 0.9 }, date: { value: '2026-10-14', confidence: 0.85 }, vendor: {...}, ... }
+ */
+const parseReceiptText = (text = '') => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  return {
+    amount: extractAmount(lines),
+    date: extractDate(lines),
+    vendor: extractVendor(lines),
+    gstin: extractGstin(text),
+    taxableValue: extractLabelledAmount(lines, /taxable\s*(value|amount)|sub\s*-?\s*total/i, 0.6),
+    cgst: extractLabelledAmount(lines, /\bcgst\b/i, 0.7),
+    sgst: extractLabelledAmount(lines, /\b(sgst|utgst)\b/i, 0.7),
+    igst: extractLabelledAmount(lines, /\bigst\b/i, 0.7)
+  };
+};
+
+module.exports = {
+  parseReceiptText
+};
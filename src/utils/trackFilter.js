@@ -0,0 +1,112 @@
+/**
+ * GPS Track Filter Utility
+ * Cleans raw GPS breadcrumbs and calculates the distance travelled along the track
+ */
+
+const { calculateDistanceWithHaversine } = require('./distanceCalculator');
+
+/**
+ * Default filter thresholds
+ * Overridable from Settings (see Settings.getTrackFilterOptions)
+ */
+const DEFAULT_TRACK_FILTER_OPTIONS = {
+  maxAccuracyMeters: 50, // Drop samples with a worse reported accuracy
+  minMovementMeters: 15, // Drop samples closer than this to the last kept sample (jitter)
+  maxSpeedKmh: 150 // Drop samples that imply an impossible speed from the last kept sample
+};
+
+/**
+ * Distance between two points in meters
+ * @param {Object} from - {latitude, longitude}
+ * @param {Object} to - {latitude, longitude}
+ * @returns {number} Distance in meters
+ */
+const distanceInMeters = (from, to) => {
+  return calculateDistanceWithHaversine(from, to).distance * 1000;
+};
+
+/**
+ * Filter raw track points
+ * Points are sorted by timestamp, then:
+ * 1. Samples with accuracy worse than maxAccuracyMeters are dropped
+ * 2. Samples closer than minMovementMeters to the last kept sample are dropped as jitter
+ * 3. Samples implying a speed above maxSpeedKmh from the last kept sample are dropped
+ *
+ * @param {Array} points - Raw points [{latitude, longitude, accuracy, timestamp}]
+ * @param {Object} options - Thresholds (defaults to DEFAULT_TRACK_FILTER_OPTIONS)
+ * @returns {Object} { points: Array, stats: {rawPoints, acceptedPoints, droppedInaccurate, droppedJitter, droppedSpeed} }
+ *
+ * @example
+ * const { points, stats } = filterTrackPoints(journey.trackPoints, { maxSpeedKmh: 120 });
+ */
+const filterTrackPoints = (points = [], options = {}) => {
+  const { maxAccuracyMeters, minMovementMeters, maxSpeedKmh } = {
+    ...DEFAULT_TRACK_FILTER_OPTIONS,
+    ...options
+  };
+
+  const stats = {
+    rawPoints: points.length,
+    acceptedPoints: 0,
+    droppedInaccurate: 0,
+    droppedJitter: 0,
+    droppedSpeed: 0
+  };
+
+  const sorted = [...points].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const accepted = [];
+
+  sorted.forEach(point => {
+    // 1. Accuracy outliers (points without accuracy, e.g. journey anchors, are trusted)
+    if (typeof point.accuracy === 'number' && point.accuracy > maxAccuracyMeters) {
+      stats.droppedInaccurate++;
+      return;
+    }
+
+    const last = accepted[accepted.length - 1];
+    if (!last) {
+      accepted.push(point);
+      return;
+    }
+
+    // 2. Jitter around the last kept position
+    const meters = distanceInMeters(last, point);
+    if (meters < minMovementMeters) {
+      stats.droppedJitter++;
+      return;
+    }
+
+    // 3. Speed cap between consecutive kept points
+    const seconds = (new Date(point.timestamp) - new Date(last.timestamp)) / 1000;
+    const speedKmh = seconds > 0 ? (meters / seconds) * 3.6 : Infinity;
+    if (speedKmh > maxSpeedKmh) {
+      stats.droppedSpeed++;
+      return;
+    }
+
+    accepted.push(point);
+  });
+
+  stats.acceptedPoints = accepted.length;
+
+  return { points: accepted, stats };
+};
+
+/**
+ * Calculate distance along an ordered track
+ * @param {Array} points - Ordered points [{latitude, longitude}]
+ * @returns {number} Distance in kilometers (2 decimal places)
+ */
+const calculateTrackDistance = (points = []) => {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    meters += distanceInMeters(points[i - 1], points[i]);
+  }
+  return parseFloat((meters / 1000).toFixed(2));
+};
+
+module.exports = {
+  DEFAULT_TRACK_FILTER_OPTIONS,
+  filterTrackPoints,
+  calculateTrackDistance
+};
@@ -4,6 +4,7 @@
  */
 
 const Joi = require('joi');
+const { isValidGstin } = require('./gst');
 
 /**
  * MongoDB ObjectId validation schema
@@ -94,6 +95,18 @@ const accountNumberSchema = Joi.string()
     'string.pattern.base': 'Account number must be 9-18 digits'
   });
 
+/**
+ * Currency code validation schema
+ * Format: ISO 4217 (e.g., INR, USD)
+ */
+const currencySchema = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    'string.pattern.base': 'Currency must be a three-letter ISO 4217 code (e.g., USD)'
+  });
+
 /**
  * Employee creation validation schema
  */
@@ -138,7 +151,8 @@ const updateEmployeeSchema = Joi.object({
     accountHolderName: Joi.string().max(100).trim().optional().allow('')
   }).optional(),
   upiId: upiIdSchema.optional().allow(''),
-  isActive: Joi.boolean().optional()
+  isActive: Joi.boolean().optional(),
+  canApproveFinance: Joi.boolean().optional() // Super Admin only
 }).min(1).messages({
   'object.min': 'At least one field must be provided for update'
 });
@@ -212,6 +226,7 @@ const startJourneySchema = Joi.object({
       'string.max': 'Journey name cannot exceed 100 characters',
       'any.required': 'Journey name is required'
     }),
+  customerId: objectIdSchema.optional(), // Registered customer; its name overrides customerName
   customerName: Joi.string()
     .trim()
     .max(100)
@@ -220,6 +235,7 @@ const startJourneySchema = Joi.object({
     .messages({
       'string.max': 'Customer name cannot exceed 100 characters'
     }),
+  costCenterId: objectIdSchema.optional(), // Charged to the journey expense
   natureOfWork: Joi.string()
     .trim()
     .max(500)
@@ -234,6 +250,12 @@ const startJourneySchema = Joi.object({
     .messages({
       'any.only': 'Type of visit must be one of: sales_call, service_call, inspection, group_visit, machine_visit'
     }),
+  vehicleType: Joi.string()
+    .valid('two_wheeler', 'car', 'company_vehicle')
+    .optional()
+    .messages({
+      'any.only': 'Vehicle type must be one of: two_wheeler, car, company_vehicle'
+    }),
   numberOfMachines: Joi.number()
     .integer()
     .min(1)
@@ -281,6 +303,133 @@ const endJourneySchema = Joi.object({
   manualDistance: Joi.number().min(0).max(10000).optional() // Optional manual distance override
 });
 
+/**
+ * Track Points Schema
+ * For batch-uploading GPS breadcrumbs while a journey is active
+ */
+const trackPointSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  accuracy: Joi.number().min(0).optional(), // meters
+  speed: Joi.number().min(0).optional(), // meters per second
+  timestamp: Joi.date().iso().required()
+});
+
+const trackPointsSchema = Joi.object({
+  points: Joi.array()
+    .items(trackPointSchema)
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'array.min': 'At least one track point is required',
+      'array.max': 'Cannot upload more than 500 track points at once',
+      'any.required': 'Track points are required'
+    })
+});
+
+/**
+ * Journey Stop Schema
+ * For arriving at a customer stop during a multi-stop journey
+ */
+const journeyStopSchema = Joi.object({
+  customerId: objectIdSchema.optional(),
+  customerName: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .when('customerId', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
+    .messages({
+      'string.empty': 'Customer name is required',
+      'string.max': 'Customer name cannot exceed 100 characters',
+      'any.required': 'Customer name is required'
+    }),
+  typeOfVisit: Joi.string()
+    .valid('sales_call', 'service_call', 'inspection', 'group_visit', 'machine_visit')
+    .optional()
+    .messages({
+      'any.only': 'Type of visit must be one of: sales_call, service_call, inspection, group_visit, machine_visit'
+    }),
+  natureOfWork: Joi.string().trim().max(500).optional().allow(''),
+  numberOfMachines: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .when('typeOfVisit', {
+      is: 'machine_visit',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'any.required': 'Number of machines is required for machine visit type'
+    }),
+  coordinates: coordinatesSchema.required(),
+  address: Joi.string().trim().max(500).optional().allow(''),
+  arrivedAt: Joi.date().iso().optional(),
+  notes: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Depart Stop Schema
+ * For leaving a customer stop
+ */
+const departStopSchema = Joi.object({
+  departedAt: Joi.date().iso().optional(),
+  notes: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Sync Journeys Schema
+ * For uploading complete journeys recorded offline
+ * Each journey extends the start journey fields with its end details
+ */
+const syncJourneyItemSchema = startJourneySchema.keys({
+  clientId: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Client ID must be a valid UUID',
+      'any.required': 'Client ID is required'
+    }),
+  startTimestamp: Joi.date().iso().required(),
+  endCoordinates: coordinatesSchema.required(),
+  endAddress: Joi.string().trim().max(500).optional().allow(''),
+  endTimestamp: Joi.date()
+    .iso()
+    .greater(Joi.ref('startTimestamp'))
+    .required()
+    .messages({
+      'date.greater': 'End timestamp must be after start timestamp',
+      'any.required': 'End timestamp is required'
+    }),
+  manualDistance: Joi.number().min(0).max(10000).optional(),
+  stops: Joi.array()
+    .items(journeyStopSchema.keys({
+      arrivedAt: Joi.date().iso().required(),
+      departedAt: Joi.date().iso().optional()
+    }))
+    .max(20)
+    .optional(),
+  trackPoints: Joi.array().items(trackPointSchema).max(5000).optional()
+});
+
+const syncJourneysSchema = Joi.object({
+  journeys: Joi.array()
+    .items(syncJourneyItemSchema)
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'array.min': 'At least one journey is required',
+      'array.max': 'Cannot sync more than 50 journeys at once',
+      'any.required': 'Journeys are required'
+    })
+});
+
 /**
  * Journey Pagination Schema
  * For listing journeys with filters
@@ -290,6 +439,9 @@ const journeyPaginationSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(10),
   status: Joi.string().valid('active', 'completed', 'cancelled').optional(),
   userId: Joi.string().optional(), // For admin to filter by user
+  customerId: objectIdSchema.optional(),
+  costCenterId: objectIdSchema.optional(),
+  geofenceViolation: Joi.boolean().optional(),
   startDate: Joi.date().iso().optional(),
   endDate: Joi.date().iso().optional().when('startDate', {
     is: Joi.exist(),
@@ -301,6 +453,74 @@ const journeyPaginationSchema = Joi.object({
 // EXPENSE VALIDATION SCHEMAS
 // ========================================
 
+/**
+ * GST Details Schema
+ * Invoice details of a bill from a GST-registered vendor (input tax credit)
+ * - Tax amounts need the vendor GSTIN and invoice number
+ * - Intra-state bills carry equal CGST and SGST; inter-state bills carry IGST only
+ */
+const gstDetailsSchema = Joi.object({
+  vendorGstin: Joi.string()
+    .trim()
+    .uppercase()
+    .custom((value, helpers) => (isValidGstin(value) ? value : helpers.error('any.invalid')))
+    .optional()
+    .messages({
+      'any.invalid': 'Vendor GSTIN is not valid (15 characters, e.g., 27AAPFU0939F1ZV)'
+    }),
+  vendorName: Joi.string().trim().max(200).optional().allow(''),
+  invoiceNumber: Joi.string().trim().max(16).optional(),
+  invoiceDate: Joi.date().iso().optional(),
+  taxableValue: Joi.number().min(0).optional(),
+  cgst: Joi.number().min(0).default(0),
+  sgst: Joi.number().min(0).default(0),
+  igst: Joi.number().min(0).default(0)
+}).custom((value, helpers) => {
+  const hasTax = value.cgst > 0 || value.sgst > 0 || value.igst > 0;
+  if (hasTax && (!value.vendorGstin || !value.invoiceNumber || value.taxableValue === undefined)) {
+    return helpers.message('Vendor GSTIN, invoice number and taxable value are required when GST is charged');
+  }
+  if (Math.abs(value.cgst - value.sgst) > 0.01) {
+    return helpers.message('CGST and SGST must be equal');
+  }
+  if (value.igst > 0 && value.cgst > 0) {
+    return helpers.message('A bill carries either CGST and SGST (intra-state) or IGST (inter-state), not both');
+  }
+  return value;
+});
+
+/**
+ * Cost Center Allocations Schema
+ * Split of an expense across cost centers, either all by percentage or all by amount
+ * - Percentages must add up to 100; amounts are checked against the expense amount by the controller
+ */
+const costCenterAllocationsSchema = Joi.array()
+  .items(Joi.object({
+    costCenterId: objectIdSchema.required(),
+    percentage: Joi.number().greater(0).max(100),
+    amount: Joi.number().greater(0)
+  }).xor('percentage', 'amount').messages({
+    'object.missing': 'Each allocation needs a percentage or an amount',
+    'object.xor': 'Each allocation needs a percentage or an amount, not both'
+  }))
+  .min(1)
+  .max(20)
+  .unique('costCenterId')
+  .custom((value, helpers) => {
+    const byAmount = value.filter(allocation => allocation.amount !== undefined).length;
+    if (byAmount > 0 && byAmount < value.length) {
+      return helpers.message('Split either by percentage or by amount, not both');
+    }
+    const totalPercentage = value.reduce((sum, allocation) => sum + (allocation.percentage || 0), 0);
+    if (byAmount === 0 && Math.abs(totalPercentage - 100) > 0.01) {
+      return helpers.message('Allocation percentages must add up to 100');
+    }
+    return value;
+  })
+  .messages({
+    'array.unique': 'A cost center can appear only once in the allocations'
+  });
+
 /**
  * Create Expense Schema
  * For creating new expenses (journey or non-journey)
@@ -322,7 +542,13 @@ const createExpenseSchema = Joi.object({
     }),
   date: Joi.date().iso().optional(),
   description: Joi.string().trim().max(500).required(),
-  amount: Joi.number().min(0).required(),
+  // Optional with attachments: read from the receipts when omitted
+  amount: Joi.number().min(0).when('attachments', {
+    is: Joi.array().min(1).required(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }),
+  currency: currencySchema.optional(), // Currency of amount (defaults to the base currency)
 
   // Journey-specific fields
   journeyId: Joi.string().when('expenseCategory', {
@@ -356,6 +582,24 @@ const createExpenseSchema = Joi.object({
   }),
   gpsOffline: Joi.boolean().optional(),
   distanceRate: Joi.number().min(0).optional(),
+  nights: Joi.number().integer().min(1).max(365).when('type', {
+    is: 'lodging',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.unknown': 'Nights can only be provided for lodging expenses'
+  }),
+  gst: gstDetailsSchema.when('type', {
+    is: 'journey',
+    then: Joi.forbidden(),
+    otherwise: Joi.optional()
+  }).messages({
+    'any.unknown': 'GST details cannot be provided for journey expenses'
+  }),
+
+  // Cost center: one cost center, or a split across several
+  costCenterId: objectIdSchema.optional(),
+  allocations: costCenterAllocationsSchema.optional(),
 
   // Attachments
   attachments: Joi.array().items(
@@ -366,6 +610,8 @@ const createExpenseSchema = Joi.object({
       fileSize: Joi.number().optional()
     })
   ).optional()
+}).oxor('costCenterId', 'allocations').messages({
+  'object.oxor': 'Provide either a cost center or allocations, not both'
 });
 
 /**
@@ -382,7 +628,12 @@ const updateExpenseSchema = Joi.object({
   date: Joi.date().iso().optional(),
   description: Joi.string().trim().max(500).optional(),
   amount: Joi.number().min(0).optional(),
+  currency: currencySchema.optional(), // Currency of amount
   manualDistance: Joi.number().min(0).optional(),
+  nights: Joi.number().integer().min(1).max(365).optional(), // Lodging only
+  gst: gstDetailsSchema.allow(null).optional(), // null removes the GST details
+  costCenterId: objectIdSchema.allow(null).optional(), // null removes the cost center
+  allocations: costCenterAllocationsSchema.allow(null).optional(),
   attachments: Joi.array().items(
     Joi.object({
       url: Joi.string().uri().required(),
@@ -391,6 +642,12 @@ const updateExpenseSchema = Joi.object({
       fileSize: Joi.number().optional()
     })
   ).optional()
+}).oxor('costCenterId', 'allocations').messages({
+  'object.oxor': 'Provide either a cost center or allocations, not both'
+});
+
+const resubmitExpenseSchema = updateExpenseSchema.keys({
+  responseNote: Joi.string().trim().max(1000).optional() // Reply to the rejection reason
 });
 
 /**
@@ -401,7 +658,7 @@ const expenseFilterSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
   userId: Joi.string().optional(),
-  type: Joi.string().valid('journey', 'food', 'lodging', 'fuel', 'tickets', 'car_rental', 'courier', 'toll', 'local_purchase', 'transport_charges', 'office_expense', 'others', 'accessories', 'other').optional(),
+  type: Joi.string().valid('journey', 'food', 'lodging', 'fuel', 'tickets', 'car_rental', 'courier', 'toll', 'local_purchase', 'transport_charges', 'office_expense', 'others', 'per_diem', 'accessories', 'other').optional(),
   status: Joi.string().valid('pending', 'approved', 'rejected').optional(),
   dateFrom: Joi.date().iso().optional(),
   dateTo: Joi.date().iso().optional().when('dateFrom', {
@@ -413,17 +670,57 @@ const expenseFilterSchema = Joi.object({
     is: Joi.exist(),
     then: Joi.number().min(Joi.ref('varianceMin'))
   }),
+  hasPolicyViolation: Joi.boolean().optional(),
+  isSuspectedDuplicate: Joi.boolean().optional(),
+  hasReceiptMismatch: Joi.boolean().optional(),
+  claimId: objectIdSchema.optional(),
+  paymentStatus: Joi.string().valid('unpaid', 'processing', 'paid').optional(),
+  recurringExpenseId: objectIdSchema.optional(), // Expenses generated from the recurring template
+  costCenterId: objectIdSchema.optional(), // Expenses charged (wholly or partly) to the cost center
   sortBy: Joi.string().valid('date', 'amount', 'variance', 'createdAt', 'approvedAt').default('date'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+/**
+ * Pending For Me Schema
+ * For listing expenses awaiting the current approver
+ */
+const pendingForMeSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid('journey', 'food', 'lodging', 'fuel', 'tickets', 'car_rental', 'courier', 'toll', 'local_purchase', 'transport_charges', 'office_expense', 'others', 'per_diem', 'accessories', 'other').optional()
+});
+
+/**
+ * Duplicate Queue Schema
+ * For listing suspected duplicate expenses
+ */
+const duplicateQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('suspected', 'confirmed', 'dismissed').default('suspected'),
+  userId: objectIdSchema.optional()
+});
+
+/**
+ * Duplicate Review Schema
+ * For confirming or dismissing a suspected duplicate
+ */
+const reviewDuplicateSchema = Joi.object({
+  decision: Joi.string().valid('confirmed', 'dismissed').required().messages({
+    'any.required': 'Decision is required',
+    'any.only': 'Decision must be either confirmed or dismissed'
+  }),
+  notes: Joi.string().trim().max(500).optional().allow('')
+});
+
 /**
  * Approval Schema
  * For approving expenses
+ * approvedOption may be left out at a later approval level to keep the earlier level's choice
  */
 const approveExpenseSchema = Joi.object({
-  approvedOption: Joi.number().valid(1, 2, 3).required().messages({
-    'any.required': 'Approved option is required',
+  approvedOption: Joi.number().valid(1, 2, 3).optional().messages({
     'any.only': 'Approved option must be 1 (system), 2 (manual), or 3 (admin)'
   }),
   adminDistance: Joi.number().min(0).when('approvedOption', {
@@ -454,7 +751,7 @@ const bulkApproveSchema = Joi.object({
     'any.required': 'Expense IDs array is required',
     'array.min': 'At least one expense ID is required'
   }),
-  approvedOption: Joi.number().valid(1, 2, 3).default(1).optional(),
+  approvedOption: Joi.number().valid(1, 2, 3).optional(), // Defaults to the earlier level's choice, else 1 (system)
   maxVariance: Joi.number().min(0).optional(),
   adminNotes: Joi.string().trim().max(1000).optional().allow('')
 });
@@ -540,6 +837,7 @@ const createAdvanceSchema = Joi.object({
       'number.positive': 'Amount must be greater than 0',
       'any.required': 'Amount is required'
     }),
+  currency: currencySchema.optional(), // Currency of amount (defaults to the base currency)
   proofUrl: Joi.string()
     .uri()
     .trim()
@@ -583,10 +881,10 @@ const createAdvanceSchema = Joi.object({
 const getAdvancesSchema = Joi.object({
   userId: objectIdSchema.optional(),
   status: Joi.string()
-    .valid('pending', 'completed', 'cancelled')
+    .valid('requested', 'approved', 'declined', 'pending', 'completed', 'cancelled')
     .optional()
     .messages({
-      'any.only': 'Status must be one of: pending, completed, cancelled'
+      'any.only': 'Status must be one of: requested, approved, declined, pending, completed, cancelled'
     }),
   dateFrom: Joi.date()
     .iso()
@@ -655,6 +953,210 @@ const advanceIdSchema = Joi.object({
   userId: objectIdSchema.optional()
 }).or('id', 'userId');
 
+/**
+ * Request advance schema
+ * POST /api/advances/requests
+ */
+const requestAdvanceSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be greater than 0',
+      'any.required': 'Amount is required'
+    }),
+  currency: currencySchema.optional(), // Currency of amount (defaults to the base currency)
+  purpose: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'Purpose is required',
+      'string.empty': 'Purpose is required',
+      'string.min': 'Purpose must be at least 3 characters',
+      'string.max': 'Purpose cannot exceed 500 characters'
+    }),
+  tripStartDate: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'Trip start date must be a valid ISO date',
+      'any.required': 'Trip start date is required'
+    }),
+  tripEndDate: Joi.date()
+    .iso()
+    .min(Joi.ref('tripStartDate'))
+    .required()
+    .messages({
+      'date.format': 'Trip end date must be a valid ISO date',
+      'date.min': 'Trip end date must be on or after the trip start date',
+      'any.required': 'Trip end date is required'
+    }),
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+/**
+ * Advance requests filter schema
+ * GET /api/advances/requests
+ */
+const advanceRequestFilterSchema = Joi.object({
+  userId: objectIdSchema.optional(),
+  status: Joi.string()
+    .valid('requested', 'approved', 'declined', 'completed')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: requested, approved, declined, completed'
+    }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+/**
+ * Approve advance request schema
+ * POST /api/advances/:id/approve
+ */
+const approveAdvanceSchema = Joi.object({
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+/**
+ * Decline advance request schema
+ * POST /api/advances/:id/decline
+ */
+const declineAdvanceSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Decline reason is required',
+    'string.empty': 'Decline reason is required',
+    'string.min': 'Decline reason must be at least 3 characters',
+    'string.max': 'Decline reason cannot exceed 500 characters'
+  })
+});
+
+/**
+ * Disburse advance schema
+ * POST /api/advances/:id/disburse
+ * A transaction reference is required for every payment method except cash
+ */
+const disburseAdvanceSchema = Joi.object({
+  paymentMethod: Joi.string()
+    .valid('cash', 'bank_transfer', 'upi', 'cheque', 'other')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be one of: cash, bank_transfer, upi, cheque, other',
+      'any.required': 'Payment method is required'
+    }),
+  transactionReference: Joi.when('paymentMethod', {
+    is: 'cash',
+    then: Joi.string().trim().max(100).allow('', null),
+    otherwise: Joi.string().trim().max(100).required()
+  }).messages({
+    'any.required': 'Transaction reference is required',
+    'string.empty': 'Transaction reference is required',
+    'string.max': 'Transaction reference cannot exceed 100 characters'
+  }),
+  proofUrl: Joi.string()
+    .uri()
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.uri': 'Proof URL must be a valid URL'
+    }),
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+/**
+ * Cancel advance schema
+ * POST /api/advances/:id/cancel
+ */
+const cancelAdvanceSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Cancellation reason is required',
+    'string.empty': 'Cancellation reason is required',
+    'string.min': 'Cancellation reason must be at least 3 characters',
+    'string.max': 'Cancellation reason cannot exceed 500 characters'
+  })
+});
+
+/**
+ * Advance statement schema
+ * GET /api/advances/user/:userId/statement
+ */
+const advanceStatementSchema = Joi.object({
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'From must be a valid ISO date'
+    }),
+  to: Joi.date()
+    .iso()
+    .min(Joi.ref('from'))
+    .optional()
+    .messages({
+      'date.format': 'To must be a valid ISO date',
+      'date.min': 'To must be on or after from'
+    })
+});
+
+/**
+ * Record advance recovery schema
+ * POST /api/advances/user/:userId/recoveries
+ */
+const recordRecoverySchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be greater than 0',
+      'any.required': 'Amount is required'
+    }),
+  date: Joi.date()
+    .iso()
+    .max('now')
+    .optional()
+    .messages({
+      'date.format': 'Date must be a valid ISO date',
+      'date.max': 'Date cannot be in the future'
+    }),
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .allow('', null)
+    .messages({
+      'string.max': 'Reference cannot exceed 100 characters'
+    }),
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .allow('', null)
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
 /**
  * ========================================
  * DASHBOARD VALIDATION SCHEMAS
@@ -671,6 +1173,14 @@ const dashboardUserIdSchema = Joi.object({
   })
 });
 
+/**
+ * Dashboard filter schema
+ * GET /api/dashboard/admin, /user/:id, /monthly/:userId/:year/:month
+ */
+const dashboardFilterSchema = Joi.object({
+  costCenterId: objectIdSchema.optional() // Amounts at the cost center's allocated share
+});
+
 /**
  * Monthly summary parameters schema
  * GET /api/dashboard/monthly/:userId/:year/:month
@@ -705,15 +1215,594 @@ const monthSummarySchema = Joi.object({
     })
 });
 
-module.exports = {
-  // Schemas
-  objectIdSchema,
+/**
+ * ========================================
+ * MONTH LOCK VALIDATION SCHEMAS
+ * ========================================
+ */
+
+/**
+ * Close month schema
+ * POST /api/month-locks/close
+ */
+const closeMonthSchema = Joi.object({
+  scope: Joi.string().valid('user', 'organization').default('user').messages({
+    'any.only': 'Scope must be either user or organization'
+  }),
+  userId: objectIdSchema.optional().when('scope', {
+    is: 'organization',
+    then: Joi.forbidden()
+  }), // Omit to close for all employees in scope
+  year: Joi.number()
+    .integer()
+    .min(2020)
+    .max(2100)
+    .required()
+    .messages({
+      'number.base': 'Year must be a number',
+      'number.min': 'Year must be at least 2020',
+      'number.max': 'Year cannot exceed 2100',
+      'any.required': 'Year is required'
+    }),
+  month: Joi.number()
+    .integer()
+    .min(1)
+    .max(12)
+    .required()
+    .messages({
+      'number.base': 'Month must be a number',
+      'number.min': 'Month must be at least 1',
+      'number.max': 'Month cannot exceed 12',
+      'any.required': 'Month is required'
+    }),
+  force: Joi.boolean().default(false),
+  notes: Joi.string().trim().max(1000).optional().allow('')
+});
+
+/**
+ * Unlock month schema
+ * PUT /api/month-locks/:id/unlock
+ */
+const unlockMonthSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Unlock reason is required',
+    'string.empty': 'Unlock reason is required',
+    'string.min': 'Unlock reason must be at least 3 characters',
+    'string.max': 'Unlock reason cannot exceed 500 characters'
+  })
+});
+
+/**
+ * Month lock filter schema
+ * GET /api/month-locks
+ */
+const monthLockFilterSchema = Joi.object({
+  userId: objectIdSchema.optional(),
+  scope: Joi.string().valid('user', 'organization').optional(),
+  year: Joi.number().integer().min(2020).max(2100).optional(),
+  month: Joi.number().integer().min(1).max(12).optional(),
+  isLocked: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(12)
+});
+
+/**
+ * ========================================
+ * CUSTOMER VALIDATION SCHEMAS
+ * ========================================
+ */
+
+const customerAddressSchema = Joi.object({
+  line1: Joi.string().trim().max(200).optional().allow(''),
+  line2: Joi.string().trim().max(200).optional().allow(''),
+  city: Joi.string().trim().max(100).optional().allow(''),
+  state: Joi.string().trim().max(100).optional().allow(''),
+  postalCode: Joi.string().trim().max(20).optional().allow(''),
+  country: Joi.string().trim().max(100).optional().allow('')
+});
+
+/**
+ * Create customer schema
+ * POST /api/customers
+ */
+const createCustomerSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Customer name is required',
+    'string.max': 'Customer name cannot exceed 100 characters',
+    'any.required': 'Customer name is required'
+  }),
+  code: Joi.string().trim().max(30).optional().allow(''),
+  contactPerson: Joi.string().trim().max(100).optional().allow(''),
+  phone: Joi.string()
+    .pattern(/^[0-9+\-\s]{7,20}$/)
+    .optional()
+    .allow('')
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  email: Joi.string().email().lowercase().trim().optional().allow(''),
+  address: customerAddressSchema.optional(),
+  coordinates: coordinatesSchema.required().messages({
+    'any.required': 'Site coordinates are required'
+  }),
+  geofenceRadius: Joi.number().integer().min(25).max(10000).optional().messages({
+    'number.min': 'Geofence radius must be at least 25 meters',
+    'number.max': 'Geofence radius cannot exceed 10000 meters'
+  }),
+  notes: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Update customer schema
+ * PUT /api/customers/:id
+ */
+const updateCustomerSchema = createCustomerSchema.fork(
+  ['name', 'coordinates'],
+  (schema) => schema.optional()
+).keys({
+  isActive: Joi.boolean().optional() // Reactivate a customer
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Customer filter schema
+ * GET /api/customers
+ */
+const customerFilterSchema = Joi.object({
+  search: Joi.string().trim().max(100).optional().allow(''),
+  city: Joi.string().trim().max(100).optional(),
+  isActive: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * Customer lookup schema
+ * GET /api/customers/lookup
+ * Either a position (latitude + longitude) or a search term is required
+ */
+const customerLookupSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  radius: Joi.number().integer().min(25).max(50000).default(5000), // meters
+  search: Joi.string().trim().max(100).optional().allow(''),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+})
+  .and('latitude', 'longitude')
+  .or('latitude', 'search')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together',
+    'object.missing': 'Provide a position (latitude, longitude) or a search term'
+  });
+
+/**
+ * ========================================
+ * EXPENSE POLICY VALIDATION SCHEMAS
+ * ========================================
+ */
+
+const policyLimitSchema = Joi.number().min(0).allow(null).optional();
+
+/**
+ * Create expense policy schema
+ * POST /api/expense-policies
+ */
+const createExpensePolicySchema = Joi.object({
+  expenseType: Joi.string()
+    .valid('food', 'lodging', 'fuel', 'tickets', 'car_rental', 'courier', 'toll', 'local_purchase', 'transport_charges', 'office_expense', 'others', 'accessories', 'other')
+    .required()
+    .messages({
+      'any.required': 'Expense type is required',
+      'any.only': 'Expense type must be a non-journey expense type'
+    }),
+  perExpenseLimit: policyLimitSchema,
+  perDayLimit: policyLimitSchema,
+  perMonthLimit: policyLimitSchema,
+  perNightLimit: policyLimitSchema.when('expenseType', {
+    is: 'lodging',
+    then: Joi.optional(),
+    otherwise: Joi.valid(null)
+  }).messages({
+    'any.only': 'Per-night limit applies to lodging only'
+  }),
+  enforcement: Joi.string().valid('warn', 'block').default('warn').messages({
+    'any.only': 'Enforcement must be either warn or block'
+  }),
+  isActive: Joi.boolean().optional(),
+  description: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Update expense policy schema
+ * PUT /api/expense-policies/:id
+ */
+const updateExpensePolicySchema = Joi.object({
+  perExpenseLimit: policyLimitSchema,
+  perDayLimit: policyLimitSchema,
+  perMonthLimit: policyLimitSchema,
+  perNightLimit: policyLimitSchema,
+  enforcement: Joi.string().valid('warn', 'block').optional().messages({
+    'any.only': 'Enforcement must be either warn or block'
+  }),
+  isActive: Joi.boolean().optional(),
+  description: Joi.string().trim().max(500).optional().allow('')
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * ========================================
+ * EXPENSE CLAIM VALIDATION SCHEMAS
+ * ========================================
+ */
+
+const claimExpenseIdsSchema = Joi.array().items(objectIdSchema).unique().max(200);
+
+/**
+ * Create claim schema
+ * POST /api/claims
+ */
+const createClaimSchema = Joi.object({
+  title: Joi.string().trim().max(150).required().messages({
+    'any.required': 'Claim title is required',
+    'string.max': 'Claim title cannot exceed 150 characters'
+  }),
+  description: Joi.string().trim().max(1000).optional().allow(''),
+  expenseIds: claimExpenseIdsSchema.optional()
+});
+
+/**
+ * Update claim schema
+ * PUT /api/claims/:id
+ */
+const updateClaimSchema = Joi.object({
+  title: Joi.string().trim().max(150).optional(),
+  description: Joi.string().trim().max(1000).optional().allow('')
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Claim expenses schema
+ * POST /api/claims/:id/expenses
+ */
+const claimExpensesSchema = Joi.object({
+  expenseIds: claimExpenseIdsSchema.min(1).required().messages({
+    'any.required': 'Expense IDs array is required',
+    'array.min': 'At least one expense ID is required'
+  })
+});
+
+/**
+ * Claim filter schema
+ * GET /api/claims
+ */
+const claimFilterSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('draft', 'submitted', 'approved', 'partially_approved', 'rejected').optional(),
+  userId: objectIdSchema.optional()
+});
+
+/**
+ * Claim approval schema
+ * POST /api/claims/:id/approve
+ */
+const approveClaimSchema = Joi.object({
+  approvedOption: Joi.number().valid(1, 2).optional().messages({ // Defaults to the earlier level's choice, else 1 (system)
+    'any.only': 'Approved option must be 1 (system) or 2 (manual)'
+  }),
+  adminNotes: Joi.string().trim().max(1000).optional().allow('')
+});
+
+/**
+ * ========================================
+ * EXCHANGE RATE VALIDATION SCHEMAS
+ * ========================================
+ */
+
+/**
+ * Create exchange rate schema
+ * POST /api/exchange-rates
+ */
+const createExchangeRateSchema = Joi.object({
+  currency: currencySchema.required().messages({
+    'any.required': 'Currency is required'
+  }),
+  rate: Joi.number().positive().required().messages({
+    'number.positive': 'Rate must be greater than 0',
+    'any.required': 'Rate is required'
+  }),
+  effectiveDate: Joi.date().iso().required().messages({
+    'any.required': 'Effective date is required'
+  }),
+  source: Joi.string().trim().max(100).optional().allow(''),
+  notes: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Update exchange rate schema
+ * PUT /api/exchange-rates/:id
+ */
+const updateExchangeRateSchema = Joi.object({
+  rate: Joi.number().positive().optional().messages({
+    'number.positive': 'Rate must be greater than 0'
+  }),
+  source: Joi.string().trim().max(100).optional().allow(''),
+  notes: Joi.string().trim().max(500).optional().allow('')
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Exchange rate filter schema
+ * GET /api/exchange-rates
+ */
+const exchangeRateFilterSchema = Joi.object({
+  currency: currencySchema.optional(),
+  dateFrom: Joi.date().iso().optional(),
+  dateTo: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * Currency conversion preview schema
+ * GET /api/exchange-rates/convert
+ */
+const convertCurrencySchema = Joi.object({
+  currency: currencySchema.required(),
+  amount: Joi.number().min(0).required(),
+  date: Joi.date().iso().default(() => new Date())
+});
+
+/**
+ * ========================================
+ * COST CENTER VALIDATION SCHEMAS
+ * ========================================
+ */
+
+/**
+ * Create cost center schema
+ * POST /api/cost-centers
+ */
+const createCostCenterSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9][A-Z0-9_\-/.]*$/)
+    .max(30)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code may contain letters, digits, "-", "_", "/" and "."',
+      'string.max': 'Cost center code cannot exceed 30 characters',
+      'any.required': 'Cost center code is required'
+    }),
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Cost center name is required',
+    'string.max': 'Cost center name cannot exceed 100 characters',
+    'any.required': 'Cost center name is required'
+  }),
+  type: Joi.string().valid('department', 'project').default('department').messages({
+    'any.only': 'Type must be either department or project'
+  }),
+  description: Joi.string().trim().max(500).optional().allow('')
+});
+
+/**
+ * Update cost center schema
+ * PUT /api/cost-centers/:id
+ * The code is fixed once created (it appears on exports)
+ */
+const updateCostCenterSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  type: Joi.string().valid('department', 'project').optional().messages({
+    'any.only': 'Type must be either department or project'
+  }),
+  description: Joi.string().trim().max(500).optional().allow(''),
+  isActive: Joi.boolean().optional() // Reactivate a cost center
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Cost center filter schema
+ * GET /api/cost-centers
+ */
+const costCenterFilterSchema = Joi.object({
+  search: Joi.string().trim().max(100).optional().allow(''),
+  type: Joi.string().valid('department', 'project').optional(),
+  isActive: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * ========================================
+ * RECURRING EXPENSE VALIDATION SCHEMAS
+ * ========================================
+ */
+
+const recurringExpenseTypeSchema = Joi.string()
+  .valid('food', 'lodging', 'fuel', 'tickets', 'car_rental', 'courier', 'toll', 'local_purchase', 'transport_charges', 'office_expense', 'others')
+  .messages({
+    'any.only': 'Type must be one of: food, lodging, fuel, tickets, car_rental, courier, toll, local_purchase, transport_charges, office_expense, others'
+  });
+
+/**
+ * Create recurring expense schema
+ * POST /api/recurring-expenses
+ */
+const createRecurringExpenseSchema = Joi.object({
+  type: recurringExpenseTypeSchema.required().messages({
+    'any.required': 'Expense type is required'
+  }),
+  description: Joi.string().trim().max(500).required().messages({
+    'any.required': 'Description is required',
+    'string.max': 'Description cannot exceed 500 characters'
+  }),
+  amount: Joi.number().positive().required().messages({
+    'any.required': 'Amount is required',
+    'number.positive': 'Amount must be greater than 0'
+  }),
+  currency: currencySchema.optional(), // Currency of amount (defaults to the base currency)
+  frequency: Joi.string().valid('weekly', 'monthly', 'quarterly', 'yearly').default('monthly').messages({
+    'any.only': 'Frequency must be one of: weekly, monthly, quarterly, yearly'
+  }),
+  startDate: Joi.date().iso().required().messages({
+    'any.required': 'Start date (first occurrence) is required'
+  }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().allow(null).messages({
+    'date.min': 'End date cannot be before the start date'
+  }),
+  receiptRequired: Joi.boolean().default(false),
+  costCenterId: objectIdSchema.optional().allow(null)
+});
+
+/**
+ * Update recurring expense schema
+ * PUT /api/recurring-expenses/:id
+ * Changes apply to future occurrences; the type, frequency and start date are fixed
+ */
+const updateRecurringExpenseSchema = Joi.object({
+  description: Joi.string().trim().max(500).optional(),
+  amount: Joi.number().positive().optional().messages({
+    'number.positive': 'Amount must be greater than 0'
+  }),
+  currency: currencySchema.optional().allow(null),
+  endDate: Joi.date().iso().optional().allow(null),
+  receiptRequired: Joi.boolean().optional(),
+  costCenterId: objectIdSchema.optional().allow(null)
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Recurring expense filter schema
+ * GET /api/recurring-expenses
+ */
+const recurringExpenseFilterSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('active', 'paused', 'ended').optional(),
+  userId: objectIdSchema.optional()
+});
+
+/**
+ * ========================================
+ * PAYOUT VALIDATION SCHEMAS
+ * ========================================
+ */
+
+/**
+ * Payout preview schema
+ * GET /api/payouts/preview
+ */
+const payoutPreviewSchema = Joi.object({
+  userIds: Joi.array().items(objectIdSchema).single().unique().max(500).optional()
+});
+
+/**
+ * Create payout batch schema
+ * POST /api/payouts
+ */
+const createPayoutBatchSchema = Joi.object({
+  userIds: Joi.array().items(objectIdSchema).unique().max(500).optional(), // Defaults to every payable employee
+  notes: Joi.string().trim().max(500).allow('', null).messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  })
+});
+
+/**
+ * Payout batch filter schema
+ * GET /api/payouts
+ */
+const payoutBatchFilterSchema = Joi.object({
+  status: Joi.string().valid('draft', 'exported', 'confirmed', 'cancelled').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+/**
+ * Export payout batch schema
+ * GET /api/payouts/:id/export
+ */
+const exportPayoutBatchSchema = Joi.object({
+  format: Joi.string().valid('bank', 'upi').default('bank').messages({
+    'any.only': 'Format must be one of: bank, upi'
+  })
+});
+
+/**
+ * Confirm payout batch schema
+ * POST /api/payouts/:id/confirm
+ */
+const confirmPayoutBatchSchema = Joi.object({
+  paidAt: Joi.date().iso().max('now').optional().messages({
+    'date.max': 'Paid date cannot be in the future'
+  }),
+  lines: Joi.array().items(
+    Joi.object({
+      userId: objectIdSchema.lowercase().required(), // Lowercased so unique('userId') catches the same ID in any case
+      status: Joi.string().valid('paid', 'failed').required().messages({
+        'any.only': 'Line status must be one of: paid, failed'
+      }),
+      utr: Joi.string().trim().max(100).when('status', {
+        is: 'paid',
+        then: Joi.required(),
+        otherwise: Joi.optional().allow('', null)
+      }).messages({
+        'any.required': 'UTR is required for paid lines'
+      }),
+      failureReason: Joi.string().trim().max(500).allow('', null)
+    })
+  ).unique('userId').default([]).messages({
+    'array.unique': 'Each employee can be listed only once'
+  })
+});
+
+/**
+ * Cancel payout batch schema
+ * POST /api/payouts/:id/cancel
+ */
+const cancelPayoutBatchSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Cancellation reason is required',
+    'string.empty': 'Cancellation reason is required',
+    'string.min': 'Cancellation reason must be at least 3 characters',
+    'string.max': 'Cancellation reason cannot exceed 500 characters'
+  })
+});
+
+/**
+ * ========================================
+ * NOTIFICATION VALIDATION SCHEMAS
+ * ========================================
+ */
+
+/**
+ * Notification filter schema
+ * GET /api/notifications
+ */
+const notificationFilterSchema = Joi.object({
+  unreadOnly: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = {
+  // Schemas
+  objectIdSchema,
   passwordSchema,
   emailSchema,
   employeeIdSchema,
   ifscCodeSchema,
   upiIdSchema,
   accountNumberSchema,
+  currencySchema,
+  gstDetailsSchema,
+  costCenterAllocationsSchema,
   createEmployeeSchema,
   updateEmployeeSchema,
   updatePasswordSchema,
@@ -723,15 +1812,23 @@ module.exports = {
   coordinatesSchema,
   startJourneySchema,
   endJourneySchema,
+  trackPointsSchema,
+  journeyStopSchema,
+  departStopSchema,
+  syncJourneysSchema,
   journeyPaginationSchema,
 
   // Expense Schemas
   createExpenseSchema,
   updateExpenseSchema,
+  resubmitExpenseSchema,
   expenseFilterSchema,
   approveExpenseSchema,
   rejectExpenseSchema,
   bulkApproveSchema,
+  pendingForMeSchema,
+  duplicateQueueSchema,
+  reviewDuplicateSchema,
 
   // Middleware
   validate,
@@ -742,9 +1839,67 @@ module.exports = {
   createAdvanceSchema,
   getAdvancesSchema,
   advanceIdSchema,
+  requestAdvanceSchema,
+  advanceRequestFilterSchema,
+  approveAdvanceSchema,
+  declineAdvanceSchema,
+  disburseAdvanceSchema,
+  cancelAdvanceSchema,
+  advanceStatementSchema,
+  recordRecoverySchema,
 
   // Dashboard schemas
   dashboardUserIdSchema,
-  monthSummarySchema
+  dashboardFilterSchema,
+  monthSummarySchema,
+
+  // Month lock schemas
+  closeMonthSchema,
+  unlockMonthSchema,
+  monthLockFilterSchema,
+
+  // Notification schemas
+  notificationFilterSchema,
+
+  // Payout schemas
+  payoutPreviewSchema,
+  createPayoutBatchSchema,
+  payoutBatchFilterSchema,
+  exportPayoutBatchSchema,
+  confirmPayoutBatchSchema,
+  cancelPayoutBatchSchema,
+
+  // Customer schemas
+  createCustomerSchema,
+  updateCustomerSchema,
+  customerFilterSchema,
+  customerLookupSchema,
+
+  // Expense policy schemas
+  createExpensePolicySchema,
+  updateExpensePolicySchema,
+
+  // Expense claim schemas
+  createClaimSchema,
+  updateClaimSchema,
+  claimExpensesSchema,
+  claimFilterSchema,
+  approveClaimSchema,
+
+  // Exchange rate schemas
+  createExchangeRateSchema,
+  updateExchangeRateSchema,
+  exchangeRateFilterSchema,
+  convertCurrencySchema,
+
+  // Cost center schemas
+  createCostCenterSchema,
+  updateCostCenterSchema,
+  costCenterFilterSchema,
+
+  // Recurring expense schemas
+  createRecurringExpenseSchema,
+  updateRecurringExpenseSchema,
+  recurringExpenseFilterSchema
 };
 
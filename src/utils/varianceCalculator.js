@@ -112,6 +112,27 @@ const isVarianceAcceptable = (variancePercentage, maxAcceptable = 10) => {
   return variancePercentage <= maxAcceptable;
 };
 
+/**
+ * Calculate the cost of the distance variance at the journey's rate
+ * Formula: |manual - system| × rate
+ *
+ * @param {number} systemDistance - System-calculated distance in km
+ * @param {number} manualDistance - User-entered manual distance in km
+ * @param {number} ratePerKm - Rate per kilometer for the journey's vehicle type
+ * @returns {number|null} Variance amount, or null when no rate is known
+ *
+ * @example
+ * calculateVarianceAmount(10, 12, 5) // Returns 10 (2 km × ₹5)
+ */
+const calculateVarianceAmount = (systemDistance, manualDistance, ratePerKm) => {
+  if (ratePerKm === null || ratePerKm === undefined) {
+    return null;
+  }
+
+  const difference = Math.abs((manualDistance || 0) - (systemDistance || 0));
+  return parseFloat((difference * ratePerKm).toFixed(2));
+};
+
 /**
  * Calculate final amount based on approved option
  *
@@ -135,8 +156,8 @@ const calculateApprovedAmount = (expense, approvedOption, adminDistance = null,
   }
 
   // Use provided rate, or expense's distanceRate, or throw error if neither exists
-  const rate = ratePerKm || expense.distanceRate;
-  if (!rate) {
+  const rate = ratePerKm ?? expense.distanceRate;
+  if (rate === null || rate === undefined) {
     throw new Error('Rate per kilometer is required. Either provide ratePerKm parameter or ensure expense.distanceRate is set.');
   }
 
@@ -167,6 +188,7 @@ module.exports = {
   getVarianceCategory,
   calculateVarianceWithCategory,
   isVarianceAcceptable,
+  calculateVarianceAmount,
   calculateApprovedAmount
 };
 